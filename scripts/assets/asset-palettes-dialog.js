@@ -0,0 +1,274 @@
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import {
+  listPalettes,
+  getPalette,
+  savePalette,
+  deletePalette,
+  createPaletteFromAssets,
+  normalizePalette,
+  paletteAssetKey,
+  startPalettePlacement
+} from './asset-palettes.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const FLIP_LABELS = { off: 'Off', on: 'Always', random: 'Random' };
+const MODE_LABELS = { single: 'Single placement', brush: 'Scatter brush' };
+
+/**
+ * AssetPalettesDialog
+ * Lists saved asset palettes and edits their weights, transform ranges and shadow preset.
+ * Opened from the Assets tab footer; the tab supplies the current multi-selection.
+ */
+export class AssetPalettesDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'fa-nexus-asset-palettes',
+    tag: 'form',
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: true,
+      title: 'Asset Palettes',
+      icon: 'fas fa-palette'
+    },
+    position: { width: 460, height: 'auto' }
+  };
+
+  static PARTS = {
+    form: { template: 'modules/fa-nexus/templates/assets/asset-palettes-dialog.hbs' }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this._tab = options.tab || null;
+    this._editing = null;
+  }
+
+  get _placementManager() {
+    return this._tab?.placementManager || null;
+  }
+
+  _selectionCount() {
+    try { return this._tab?._selection?.selectedKeys?.size || 0; }
+    catch (_) { return 0; }
+  }
+
+  _selectedAssets() {
+    try { return this._tab?._selection?.preparePlacementSelection?.() || []; }
+    catch (_) { return []; }
+  }
+
+  _shadowPresetSlots() {
+    const presets = this._placementManager?._shadowPresets;
+    return Array.isArray(presets) ? presets : [];
+  }
+
+  _summarize(palette) {
+    const total = palette.items.reduce((sum, item) => sum + item.weight, 0);
+    if (!palette.items.length) return 'Empty';
+    const parts = palette.items
+      .slice()
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, 3)
+      .map((item) => `${total > 0 ? Math.round((item.weight / total) * 100) : 0}% ${this._assetLabel(item.asset)}`);
+    if (palette.items.length > 3) parts.push(`+${palette.items.length - 3} more`);
+    return parts.join(', ');
+  }
+
+  _assetLabel(asset) {
+    const name = String(asset?.filename || asset?.file_path || asset?.path || '').split('/').pop();
+    return name.replace(/\.[a-z0-9]+$/i, '') || 'Asset';
+  }
+
+  async _prepareContext() {
+    const selectionCount = this._selectionCount();
+    if (!this._editing) {
+      return {
+        editing: null,
+        selectionCount,
+        palettes: listPalettes().map((palette) => ({
+          id: palette.id,
+          name: palette.name,
+          summary: this._summarize(palette),
+          modeLabel: MODE_LABELS[palette.mode]
+        }))
+      };
+    }
+
+    const palette = this._editing;
+    const total = palette.items.reduce((sum, item) => sum + item.weight, 0);
+    const options = (labels, current) => Object.entries(labels).map(([value, label]) => ({ value, label, selected: value === current }));
+    const shadowEnabled = palette.shadow.enabled === null ? 'global' : (palette.shadow.enabled ? 'on' : 'off');
+    const shadowPresetOptions = [{ value: 'none', label: 'Keep current shadow settings', selected: !palette.shadow.preset }];
+    if (palette.shadow.preset) shadowPresetOptions.push({ value: 'saved', label: 'Saved with palette', selected: true });
+    shadowPresetOptions.push({ value: 'current', label: 'Capture current shadow settings', selected: false });
+    this._shadowPresetSlots().forEach((preset, index) => {
+      if (preset) shadowPresetOptions.push({ value: `slot-${index}`, label: `Shadow preset ${index + 1}`, selected: false });
+    });
+
+    return {
+      selectionCount,
+      editing: {
+        ...palette,
+        items: palette.items.map((item, index) => ({
+          index,
+          label: this._assetLabel(item.asset),
+          path: item.asset.file_path || item.asset.path || '',
+          weight: item.weight,
+          percent: total > 0 ? Math.round((item.weight / total) * 100) : 0
+        }))
+      },
+      flipHorizontalOptions: options(FLIP_LABELS, palette.flip.horizontal),
+      flipVerticalOptions: options(FLIP_LABELS, palette.flip.vertical),
+      modeOptions: options(MODE_LABELS, palette.mode),
+      shadowEnabledOptions: options({ global: 'Follow global setting', on: 'On', off: 'Off' }, shadowEnabled),
+      shadowPresetOptions
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const root = this.element;
+    if (!root) return;
+    root.addEventListener('submit', (event) => event.preventDefault());
+    root.querySelectorAll('[data-action]').forEach((button) => {
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        this._handleAction(button.dataset.action, button.dataset).catch((error) => {
+          Logger.warn('AssetPalettes.action.failed', { action: button.dataset.action, error: String(error?.message || error) });
+          ui.notifications?.error?.(`FA Nexus: ${error?.message || error}`);
+        });
+      });
+    });
+    root.querySelectorAll('[data-item-weight]').forEach((input) => {
+      input.addEventListener('input', () => this._updatePercentages());
+    });
+  }
+
+  async _handleAction(action, data = {}) {
+    switch (action) {
+      case 'new-from-selection': return this._createFromSelection();
+      case 'place': return this._place(getPalette(data.id));
+      case 'edit': {
+        const palette = getPalette(data.id);
+        if (!palette) return;
+        this._editing = foundry.utils.deepClone(palette);
+        return this.render();
+      }
+      case 'delete': return this._delete(data.id);
+      case 'add-selection': return this._addSelection();
+      case 'remove-item': {
+        this._readEditorForm();
+        this._editing.items.splice(Number(data.index), 1);
+        return this.render();
+      }
+      case 'save': {
+        await this._saveEditing();
+        this._editing = null;
+        return this.render();
+      }
+      case 'save-place': {
+        const saved = await this._saveEditing();
+        this._editing = null;
+        this._place(saved);
+        return this.close();
+      }
+      case 'cancel':
+        this._editing = null;
+        return this.render();
+      default:
+        return undefined;
+    }
+  }
+
+  async _createFromSelection() {
+    const assets = this._selectedAssets();
+    if (!assets.length) {
+      ui.notifications?.warn?.('Select one or more assets in the Assets tab first.');
+      return;
+    }
+    this._editing = createPaletteFromAssets(`Palette ${listPalettes().length + 1}`, assets);
+    await this.render();
+  }
+
+  _addSelection() {
+    this._readEditorForm();
+    const assets = this._selectedAssets();
+    const known = new Set(this._editing.items.map((item) => paletteAssetKey(item.asset)));
+    let added = 0;
+    for (const asset of assets) {
+      const key = paletteAssetKey(asset);
+      if (!key || known.has(key)) continue;
+      known.add(key);
+      this._editing.items.push({ asset, weight: 1 });
+      added += 1;
+    }
+    if (!added) ui.notifications?.info?.('The selected assets are already in this palette.');
+    return this.render();
+  }
+
+  async _delete(id) {
+    const palette = getPalette(id);
+    if (!palette) return;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Delete Palette' },
+      content: `<p>Delete the palette "${foundry.utils.escapeHTML(palette.name)}"?</p>`
+    });
+    if (!confirmed) return;
+    await deletePalette(id);
+    await this.render();
+  }
+
+  _place(palette) {
+    if (!palette) return;
+    const manager = this._placementManager;
+    if (!manager) {
+      ui.notifications?.warn?.('Open the Assets tab to place a palette.');
+      return;
+    }
+    startPalettePlacement(manager, palette);
+  }
+
+  async _saveEditing() {
+    this._readEditorForm();
+    if (!this._editing.items.length) throw new Error('Add at least one asset to the palette');
+    return savePalette(this._editing);
+  }
+
+  /** Copy the editor inputs into the working palette so re-renders keep unsaved edits. */
+  _readEditorForm() {
+    const root = this.element;
+    const palette = this._editing;
+    if (!root || !palette) return;
+    const value = (selector) => root.querySelector(selector)?.value;
+    palette.name = String(value('[data-palette-name]') ?? palette.name);
+    root.querySelectorAll('[data-item-weight]').forEach((input) => {
+      const item = palette.items[Number(input.dataset.itemWeight)];
+      if (item) item.weight = Math.max(0, Number(input.value) || 0);
+    });
+    palette.scale = { min: Number(value('[data-scale-min]')), max: Number(value('[data-scale-max]')) };
+    palette.rotation = { min: Number(value('[data-rotation-min]')), max: Number(value('[data-rotation-max]')) };
+    palette.flip = { horizontal: value('[data-flip-horizontal]'), vertical: value('[data-flip-vertical]') };
+    palette.mode = value('[data-placement-mode]');
+    const enabled = value('[data-shadow-enabled]');
+    const preset = value('[data-shadow-preset]');
+    let snapshot = palette.shadow?.preset || null;
+    if (preset === 'none') snapshot = null;
+    else if (preset === 'current') snapshot = this._placementManager?._currentShadowSnapshot?.() || null;
+    else if (preset?.startsWith('slot-')) snapshot = this._shadowPresetSlots()[Number(preset.slice(5))] || null;
+    palette.shadow = { enabled: enabled === 'on' ? true : (enabled === 'off' ? false : null), preset: snapshot };
+    this._editing = normalizePalette(palette);
+  }
+
+  _updatePercentages() {
+    const root = this.element;
+    if (!root) return;
+    const inputs = Array.from(root.querySelectorAll('[data-item-weight]'));
+    const weights = inputs.map((input) => Math.max(0, Number(input.value) || 0));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    inputs.forEach((input, index) => {
+      const label = root.querySelector(`[data-item-percent="${input.dataset.itemWeight}"]`);
+      if (label) label.textContent = `${total > 0 ? Math.round((weights[index] / total) * 100) : 0}%`;
+    });
+  }
+}
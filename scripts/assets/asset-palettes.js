@@ -0,0 +1,188 @@
+// Saved asset placement palettes: weighted asset lists with transform ranges and a shadow preset
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+
+const SETTING_KEY = 'assetPalettes';
+const FLIP_MODES = new Set(['off', 'on', 'random']);
+const PLACEMENT_MODES = new Set(['single', 'brush']);
+// Asset fields kept from `AssetsTabSelectionHelper.preparePlacementSelection()`
+const ASSET_FIELDS = [
+  'source', 'tier', 'file_path', 'path', 'cachedLocalPath', 'filename', 'url',
+  'grid_width', 'grid_height', 'width', 'height', 'actual_width', 'actual_height'
+];
+
+function finite(value, fallback) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+function normalizeRange(range, { min, max, fallback }) {
+  if (!range || typeof range !== 'object') return { ...fallback };
+  const lo = Math.min(max, Math.max(min, finite(range.min, fallback.min)));
+  const hi = Math.min(max, Math.max(min, finite(range.max, fallback.max)));
+  return { min: Math.min(lo, hi), max: Math.max(lo, hi) };
+}
+
+function normalizeShadowPreset(preset) {
+  if (!preset || typeof preset !== 'object') return null;
+  const keys = ['alpha', 'dilation', 'blur', 'offsetDistance', 'offsetAngle'];
+  const values = keys.map((key) => Number(preset[key]));
+  if (!values.every(Number.isFinite)) return null;
+  return Object.fromEntries(keys.map((key, index) => [key, values[index]]));
+}
+
+/**
+ * Key used to de-duplicate palette items (mirrors the placement prefetch queue key).
+ * @param {object} asset
+ * @returns {string}
+ */
+export function paletteAssetKey(asset) {
+  return String(asset?.file_path || asset?.path || asset?.filename || '').toLowerCase();
+}
+
+function pickAssetFields(asset) {
+  const out = {};
+  for (const field of ASSET_FIELDS) {
+    if (asset?.[field] !== undefined && asset?.[field] !== null) out[field] = asset[field];
+  }
+  return out;
+}
+
+/**
+ * Fill defaults and clamp every field of a stored palette.
+ * @param {object} raw
+ * @returns {object|null}
+ */
+export function normalizePalette(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const seen = new Set();
+  const items = [];
+  for (const entry of Array.isArray(raw.items) ? raw.items : []) {
+    const asset = pickAssetFields(entry?.asset);
+    const key = paletteAssetKey(asset);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    items.push({ asset, weight: Math.max(0, finite(entry?.weight, 1)) });
+  }
+  const flip = raw.flip && typeof raw.flip === 'object' ? raw.flip : {};
+  const shadow = raw.shadow && typeof raw.shadow === 'object' ? raw.shadow : {};
+  const now = Date.now();
+  return {
+    id: String(raw.id || foundry.utils.randomID()),
+    name: String(raw.name || '').trim() || 'Untitled Palette',
+    items,
+    scale: normalizeRange(raw.scale, { min: 0.1, max: 2.5, fallback: { min: 1, max: 1 } }),
+    rotation: normalizeRange(raw.rotation, { min: -180, max: 180, fallback: { min: 0, max: 0 } }),
+    flip: {
+      horizontal: FLIP_MODES.has(flip.horizontal) ? flip.horizontal : 'off',
+      vertical: FLIP_MODES.has(flip.vertical) ? flip.vertical : 'off'
+    },
+    shadow: {
+      enabled: shadow.enabled === true || shadow.enabled === false ? shadow.enabled : null,
+      preset: normalizeShadowPreset(shadow.preset)
+    },
+    mode: PLACEMENT_MODES.has(raw.mode) ? raw.mode : 'single',
+    createdAt: finite(raw.createdAt, now),
+    updatedAt: finite(raw.updatedAt, now)
+  };
+}
+
+/** @returns {Array<object>} Saved palettes sorted by name */
+export function listPalettes() {
+  let stored = [];
+  try { stored = game.settings.get('fa-nexus', SETTING_KEY) || []; }
+  catch (_) { stored = []; }
+  return (Array.isArray(stored) ? stored : [])
+    .map(normalizePalette)
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getPalette(id) {
+  return listPalettes().find((palette) => palette.id === id) || null;
+}
+
+async function writePalettes(palettes) {
+  await game.settings.set('fa-nexus', SETTING_KEY, palettes);
+}
+
+/**
+ * Create or replace a palette.
+ * @param {object} palette
+ * @returns {Promise<object>} The stored palette
+ */
+export async function savePalette(palette) {
+  const normalized = normalizePalette({ ...palette, updatedAt: Date.now() });
+  if (!normalized) throw new Error('Invalid palette');
+  const palettes = listPalettes();
+  const index = palettes.findIndex((entry) => entry.id === normalized.id);
+  if (index >= 0) palettes[index] = { ...normalized, createdAt: palettes[index].createdAt };
+  else palettes.push(normalized);
+  await writePalettes(palettes);
+  Logger.info('AssetPalettes.save', { id: normalized.id, name: normalized.name, items: normalized.items.length });
+  return normalized;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} True when a palette was removed
+ */
+export async function deletePalette(id) {
+  const palettes = listPalettes();
+  const next = palettes.filter((palette) => palette.id !== id);
+  if (next.length === palettes.length) return false;
+  await writePalettes(next);
+  Logger.info('AssetPalettes.delete', { id });
+  return true;
+}
+
+/**
+ * Build a new palette from prepared placement assets with equal weights.
+ * @param {string} name
+ * @param {Array<object>} assets
+ * @param {object} [overrides] - Any palette field (scale, rotation, flip, shadow, mode)
+ * @returns {object}
+ */
+export function createPaletteFromAssets(name, assets, overrides = {}) {
+  return normalizePalette({
+    ...overrides,
+    id: foundry.utils.randomID(),
+    name,
+    items: (Array.isArray(assets) ? assets : []).map((asset) => ({ asset, weight: 1 }))
+  });
+}
+
+/**
+ * Asset list for `AssetPlacementManager.startPlacementRandom`, each tagged with `placementWeight`.
+ * Zero-weight items are left out.
+ * @param {object} palette
+ * @returns {Array<object>}
+ */
+export function paletteAssets(palette) {
+  return (palette?.items || [])
+    .filter((item) => item.weight > 0)
+    .map((item) => ({ ...item.asset, placementWeight: item.weight }));
+}
+
+/**
+ * Start weighted random (or scatter brush) placement from a palette.
+ * @param {import('./asset-placement-manager.js').AssetPlacementManager} placementManager
+ * @param {object|string} paletteOrId
+ * @param {{sticky?:boolean}} [options]
+ * @returns {boolean} False when the palette is missing or has nothing to place
+ */
+export function startPalettePlacement(placementManager, paletteOrId, { sticky = true } = {}) {
+  const palette = typeof paletteOrId === 'string' ? getPalette(paletteOrId) : normalizePalette(paletteOrId);
+  if (!palette || !placementManager) return false;
+  const assets = paletteAssets(palette);
+  if (!assets.length) {
+    ui.notifications?.warn?.(`Palette "${palette.name}" has no assets with a weight above zero.`);
+    return false;
+  }
+  Logger.info('AssetPalettes.place', { id: palette.id, name: palette.name, items: assets.length, mode: palette.mode });
+  placementManager.startPlacementRandom(assets, sticky !== false, { palette });
+  return true;
+}
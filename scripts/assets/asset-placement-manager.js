@@ -5,9 +5,12 @@ import { getAssetShadowManager } from './asset-shadow-manager.js';
 import { getTileRenderElevation } from '../canvas/elevation-band-utils.js';
 import { toolOptionsController } from '../core/tool-options-controller.js';
 import { PlacementOverlay, createPlacementSpinner } from '../core/placement/placement-overlay.js';
-import { PlacementPrefetchQueue } from '../core/placement/placement-prefetch-queue.js';
-import { getGridSnapStep } from '../core/grid-snap-utils.js';
+import { PlacementPrefetchQueue, pickWeightedItem } from '../core/placement/placement-prefetch-queue.js';
+import { getGridSnapStep, isHexGrid, snapPointToHexGrid } from '../core/grid-snap-utils.js';
+import { NEXUS_KEYBINDINGS, matchesKeybinding, isKeybindingHeld, formatKeybinding } from '../core/keybindings.js';
 import { getZoomAtCursorView } from '../canvas/canvas-pointer-utils.js';
+import { nexusCollaboration } from '../core/collaboration-service.js';
+import { recordPlacement } from '../core/placement/placement-history.js';
 import './asset-scatter-tiles.js';
 
 const quantizeElevation = (value) => {
@@ -87,6 +90,7 @@ export class AssetPlacementManager {
     this._randomPrefetch = new PlacementPrefetchQueue({
       prefetchCount: PREFETCH_COUNT_DEFAULT,
       getItemKey: (asset) => this._assetKey(asset),
+      getItemWeight: (asset) => this._assetPlacementWeight(asset),
       needsPrefetch: (asset) => this._assetRequiresDownload(asset),
       prefetch: (asset) => this._ensureAssetLocal(asset),
       logger: Logger,
@@ -162,6 +166,8 @@ export class AssetPlacementManager {
     this._dropShadowOffsetDistance = this._readShadowSetting('assetDropShadowOffsetDistance', 0, 0, MAX_SHADOW_OFFSET);
     this._dropShadowOffsetAngle = this._readShadowSetting('assetDropShadowOffsetAngle', 135, 0, 359, { wrapAngle: true });
     this._shadowPresets = this._loadShadowPresets();
+    // Set while a palette's shadow preset overrides the saved shadow settings
+    this._paletteShadowActive = false;
     this._shadowSettingsCollapsed = this._readShadowSettingsCollapsed();
     this._shadowElevationContext = { elevation: 0, tileCount: 0, hasTiles: false, source: 'default' };
     this._shadowPreviewTextureListener = null;
@@ -442,18 +448,18 @@ export class AssetPlacementManager {
     this._pendingFlipVertical = this._flipVertical;
     this._updateFlipPreview({ regenerateOffsets: this._hasRandomFlipEnabled() });
     this._setScatterMode(this._readStoredScatterMode());
+    if (options.palette) this._applyPaletteTransforms(options.palette);
     this._updateRandomPrefetchCount();
     this._activateToolOptions();
     try { Logger.info('Placement.start', { sticky: !!stickyMode, kind: 'single', asset: assetData?.filename || assetData?.path }); } catch (_) {}
-    const initialElevation = Number.isFinite(selectedElevation)
-      ? selectedElevation
-      : (Number.isFinite(this._lastElevationUsed) ? this._lastElevationUsed : 0);
+    const initialElevation = this._resolveInitialElevation(selectedElevation, options);
     this._previewElevation = initialElevation;
     this._previewSort = this._interactionController.computeNextSortAtElevation?.(initialElevation) ?? 0;
     this._lastElevationUsed = this._previewElevation;
     this._lastElevationAnnounce = 0;
     this._clearElevationAnnounceTimer();
     this._refreshShadowElevationContext({ adopt: true });
+    if (options.palette) this._applyPaletteShadow(options.palette);
     this._activateTilesLayer();
     this._startInteractionSession();
     this._addPlacementFeedback();
@@ -616,18 +622,18 @@ export class AssetPlacementManager {
       this._pendingFlipVertical = this._flipVertical;
       this._updateFlipPreview({ regenerateOffsets: this._hasRandomFlipEnabled() });
       this._setScatterMode(this._readStoredScatterMode());
+      if (options.palette) this._applyPaletteTransforms(options.palette);
       this._activateToolOptions();
-      const initialElevation = Number.isFinite(selectedElevation)
-        ? selectedElevation
-        : (Number.isFinite(this._lastElevationUsed) ? this._lastElevationUsed : 0);
+      const initialElevation = this._resolveInitialElevation(selectedElevation, options);
       this._previewElevation = initialElevation;
       this._previewSort = this._interactionController.computeNextSortAtElevation?.(initialElevation) ?? 0;
       this._lastElevationUsed = this._previewElevation;
       this._lastElevationAnnounce = 0;
       this._clearElevationAnnounceTimer();
-      Logger.info('Placement.startRandom', { sticky: !!stickyMode, count: this.randomAssets.length });
+      Logger.info('Placement.startRandom', { sticky: !!stickyMode, count: this.randomAssets.length, palette: options.palette?.name || null });
       this._activateTilesLayer();
       this._refreshShadowElevationContext({ adopt: true });
+      if (options.palette) this._applyPaletteShadow(options.palette);
       this._startInteractionSession();
       this._addPlacementFeedback();
       this._updateRandomPrefetchCount();
@@ -671,6 +677,7 @@ export class AssetPlacementManager {
       return;
     }
     this._autoCommitScatterSession(reason);
+    this._restorePaletteShadow();
     this.isPlacementActive = false;
     this.isStickyMode = false;
     this.currentAsset = null;
@@ -776,6 +783,7 @@ export class AssetPlacementManager {
   /**
    * Apply grid snapping to world coordinates for asset placement
    * Uses half-grid increments for more precise positioning (corners, edges, centers)
+   * On hex grids snaps to hex centers, adding vertices/edges at finer subgrid densities
    * @param {Object} worldCoords - World coordinates {x, y}
    * @returns {Object} Snapped coordinates {x, y}
    */
@@ -790,6 +798,7 @@ export class AssetPlacementManager {
     }
 
     try {
+      if (isHexGrid(canvas.grid)) return snapPointToHexGrid(worldCoords, { grid: canvas.grid });
       const gridSize = Number(canvas.scene.grid.size) || 0;
       const snapStep = getGridSnapStep(gridSize);
       if (!snapStep || !Number.isFinite(snapStep)) return worldCoords;
@@ -1104,14 +1113,17 @@ export class AssetPlacementManager {
     const hint = globalEnabled
       ? ''
       : 'Enable drop shadows in the FA Nexus module settings to unlock this toggle.';
+    const freezeKey = formatKeybinding(NEXUS_KEYBINDINGS.PLACEMENT_FREEZE, 'the freeze key');
+    const cancelKey = formatKeybinding(NEXUS_KEYBINDINGS.PLACEMENT_CANCEL, 'right-click');
+    const elevationKey = formatKeybinding(NEXUS_KEYBINDINGS.ELEVATION_WHEEL, 'Alt');
     const freezeHint = this._previewFrozen
-      ? 'Preview frozen — press Space to resume following your cursor.'
-      : 'Press Space to freeze the preview while adjusting sliders.';
+      ? `Preview frozen — press ${freezeKey} to resume following your cursor.`
+      : `Press ${freezeKey} to freeze the preview while adjusting sliders.`;
     const hints = [
-      'Click to place; ESC to cancel.',
+      `Click to place; ${cancelKey} to cancel.`,
       'Ctrl/Cmd+Wheel rotates (add Shift for 1° steps);',
       'Shift+Wheel scales;',
-      'Alt+Wheel adjusts elevation (Shift=coarse, Ctrl/Cmd=fine).',
+      `${elevationKey}+Wheel adjusts elevation (Shift=coarse, Ctrl/Cmd=fine).`,
       freezeHint
     ];
     const subtoolToggles = this._buildScatterSubtoolToggles();
@@ -1307,7 +1319,8 @@ export class AssetPlacementManager {
       this._refreshFrozenPointerScreen();
       this._applyPlacementFreezeClass();
       if (announce) {
-        announceChange('asset-placement-freeze', 'Preview frozen. Press Space again to unlock.', { throttleMs: 2000 });
+        const unlockKey = formatKeybinding(NEXUS_KEYBINDINGS.PLACEMENT_FREEZE, 'the freeze key');
+        announceChange('asset-placement-freeze', `Preview frozen. Press ${unlockKey} again to unlock.`, { throttleMs: 2000 });
       }
       if (sync) this._syncToolOptionsState();
       return true;
@@ -2065,7 +2078,11 @@ export class AssetPlacementManager {
     return true;
   }
 
-  _setScatterMode(mode) {
+  /**
+   * @param {string} mode - ASSET_SCATTER_MODE_SINGLE or ASSET_SCATTER_MODE_BRUSH
+   * @param {{persist?:boolean}} [options] - persist: false keeps the stored default mode (palettes)
+   */
+  _setScatterMode(mode, { persist = true } = {}) {
     const next = mode === ASSET_SCATTER_MODE_BRUSH ? ASSET_SCATTER_MODE_BRUSH : ASSET_SCATTER_MODE_SINGLE;
     if (this._scatterMode === next) {
       if (
@@ -2084,11 +2101,11 @@ export class AssetPlacementManager {
       return false;
     }
     this._scatterMode = next;
-    this._persistPlacementSetting('assetPlacementScatterMode', next);
+    if (persist) this._persistPlacementSetting('assetPlacementScatterMode', next);
     if (next === ASSET_SCATTER_MODE_BRUSH) {
       if (!this._scatterMergeEnabled) {
         this._scatterMergeEnabled = true;
-        this._persistScatterSetting('assetScatterMerge', true);
+        if (persist) this._persistScatterSetting('assetScatterMerge', true);
       }
       this._ensureScatterOverlay();
       if (this._scatterMergeEnabled) this._ensureScatterPreviewOverlay();
@@ -4712,8 +4729,12 @@ export class AssetPlacementManager {
       if (tileData) tileDataList.push(tileData);
     }
     if (!tileDataList.length) return;
+    // Taken before the first await: an auto-commit on cancel clears the session right after
+    const history = this._placementHistorySnapshot({ mode: 'brush' });
+    const placed = this._scatterInstanceAssets(groups.flatMap((group) => group.instances));
     try {
       await canvas.scene.createEmbeddedDocuments('Tile', tileDataList);
+      recordPlacement('asset', history, { placed });
       if (this.isPlacementActive) this._syncPreviewOrdering();
     } catch (error) {
       Logger.warn('Placement.scatter.merge.failed', String(error?.message || error));
@@ -4934,6 +4955,7 @@ export class AssetPlacementManager {
       if (!Number.isFinite(nextSort)) nextSort = this._previewSort || 0;
 
       const tileDataList = [];
+      const placedAssets = [];
       for (const pos of positions) {
         const asset = this._pickScatterAsset();
         if (!asset) continue;
@@ -4953,12 +4975,15 @@ export class AssetPlacementManager {
         });
         if (!tileData) continue;
         tileDataList.push(tileData);
+        placedAssets.push(asset);
         nextSort += 2;
       }
 
       if (!tileDataList.length) return;
+      const history = this._placementHistorySnapshot({ mode: 'brush' });
       const created = await canvas.scene.createEmbeddedDocuments('Tile', tileDataList);
       const createdDocs = Array.isArray(created) ? created : [created];
+      recordPlacement('asset', history, { placed: placedAssets });
       const dropShadowEnabled = this._isGlobalDropShadowEnabled() && this.isDropShadowEnabled();
       if (dropShadowEnabled) {
         try {
@@ -4980,6 +5005,13 @@ export class AssetPlacementManager {
     }
   }
 
+  /** Pool assets drawn by merged scatter instances, matched by texture source; one per instance */
+  _scatterInstanceAssets(instances) {
+    const pool = (this.isRandomMode ? this.randomAssets : [this.currentAsset]).filter(Boolean);
+    const bySrc = new Map(pool.map((asset) => [this._encodeAssetPath(asset.path || asset.url || ''), asset]));
+    return (instances || []).map((instance) => bySrc.get(instance?.src)).filter(Boolean);
+  }
+
   _pickScatterAsset() {
     if (this.isRandomMode && Array.isArray(this.randomAssets) && this.randomAssets.length) {
       return this._pickRandomAsset() || this.currentAsset;
@@ -5113,6 +5145,15 @@ export class AssetPlacementManager {
       if (this._scatterMode === ASSET_SCATTER_MODE_BRUSH && displayCoords) {
         this._updateScatterCursor(displayCoords.x, displayCoords.y);
       }
+      if (displayCoords && !this._previewFrozen) {
+        const scatter = this._scatterMode === ASSET_SCATTER_MODE_BRUSH;
+        nexusCollaboration.broadcastPreview({
+          x: displayCoords.x,
+          y: displayCoords.y,
+          radius: scatter ? this._getScatterBrushRadius() : 0,
+          label: scatter ? 'Scatter' : 'Placing asset'
+        });
+      }
 
       if (this._suppressDragSelect && (event.buttons & 1) === 1 && pointer?.overCanvas && pointer?.zOk) {
         try {
@@ -5136,7 +5177,7 @@ export class AssetPlacementManager {
       const screen = pointer?.screen;
       if (!pointer?.overCanvas || !pointer.zOk || !screen) return;
 
-      if (event.altKey) {
+      if (isKeybindingHeld(event, NEXUS_KEYBINDINGS.ELEVATION_WHEEL)) {
         try {
           event.preventDefault();
           event.stopPropagation();
@@ -5323,7 +5364,7 @@ export class AssetPlacementManager {
 
     const keyDownHandler = (event) => {
       if (!this.isPlacementActive) return;
-      if (event.key === 'Escape') {
+      if (matchesKeybinding(event, NEXUS_KEYBINDINGS.PLACEMENT_CANCEL)) {
         event.preventDefault();
         event.stopPropagation();
         event.stopImmediatePropagation?.();
@@ -5335,10 +5376,8 @@ export class AssetPlacementManager {
         return;
       }
       const keyName = typeof event?.key === 'string' ? event.key : '';
-      const keyLower = keyName.toLowerCase();
-      const hasModifier = !!(event.ctrlKey || event.metaKey);
-      const isUndo = hasModifier && keyLower === 'z' && !event.shiftKey;
-      const isRedo = hasModifier && (keyLower === 'y' || (keyLower === 'z' && event.shiftKey));
+      const isUndo = matchesKeybinding(event, NEXUS_KEYBINDINGS.PLACEMENT_UNDO);
+      const isRedo = !isUndo && matchesKeybinding(event, NEXUS_KEYBINDINGS.PLACEMENT_REDO);
       if ((isUndo || isRedo) && this._scatterMode === ASSET_SCATTER_MODE_BRUSH && this._scatterMergeEnabled) {
         if (this._shouldIgnorePlacementHotkey(event, keyName)) return;
         event.preventDefault();
@@ -5348,7 +5387,7 @@ export class AssetPlacementManager {
         return;
       }
       if (this._isEditingExistingTile) return;
-      if ((event.key === 's' || event.key === 'S') && this._scatterMode === ASSET_SCATTER_MODE_BRUSH && this._scatterMergeEnabled) {
+      if (matchesKeybinding(event, NEXUS_KEYBINDINGS.PLACEMENT_COMMIT) && this._scatterMode === ASSET_SCATTER_MODE_BRUSH && this._scatterMergeEnabled) {
         if (this._shouldIgnoreFreezeShortcut(event.target)) return;
         event.preventDefault();
         event.stopPropagation();
@@ -5356,8 +5395,7 @@ export class AssetPlacementManager {
         void this._handleEditorAction('scatter-commit');
         return;
       }
-      const isSpace = event.code === 'Space' || event.key === ' ';
-      if (!isSpace || event.repeat || event.altKey || event.ctrlKey || event.metaKey) return;
+      if (event.repeat || !matchesKeybinding(event, NEXUS_KEYBINDINGS.PLACEMENT_FREEZE)) return;
       if (this._shouldIgnoreFreezeShortcut(event.target)) return;
       event.preventDefault();
       event.stopPropagation();
@@ -5377,6 +5415,7 @@ export class AssetPlacementManager {
       onCanvasTearDown: () => this.cancelPlacement('canvas-teardown'),
       onStop: () => {
         this._gestureSession = null;
+        nexusCollaboration.broadcastPreview(null);
         this._stopZoomWatcher();
         this._suppressDragSelect = false;
       }
@@ -5386,6 +5425,7 @@ export class AssetPlacementManager {
   }
 
   _stopInteractionSession() {
+    nexusCollaboration.broadcastPreview(null);
     if (this._gestureSession) {
       try { this._gestureSession.stop('manual'); }
       catch (_) { /* no-op */ }
@@ -5600,6 +5640,7 @@ export class AssetPlacementManager {
       const createdDocs = Array.isArray(created) ? created : [created];
       const primaryCreated = createdDocs[0] || null;
       try { Logger.info('Placement.placed', { path: this.currentAsset?.path, w: placedWidth, h: placedHeight, x, y, rot: placementRotation }); } catch (_) {}
+      if (!replaceDoc) recordPlacement('asset', this._placementHistorySnapshot(), { placed: [this.currentAsset] });
 
       if (replaceDoc) {
         try {
@@ -6210,7 +6251,9 @@ export class AssetPlacementManager {
       this.app?.element?.classList?.add?.('placement-sticky');
       this._applyPlacementFreezeClass();
     } catch (_) {} 
-    const baseMessage = 'Click to place. Wheel zooms to cursor. Ctrl/Cmd+Wheel rotates (Shift=1°). Alt+Wheel adjusts elevation (Shift=coarse, Ctrl/Cmd=fine). Shift+Wheel scales preview. Right-click or ESC to cancel.';
+    const elevationKey = formatKeybinding(NEXUS_KEYBINDINGS.ELEVATION_WHEEL, 'Alt');
+    const cancelKey = formatKeybinding(NEXUS_KEYBINDINGS.PLACEMENT_CANCEL, '');
+    const baseMessage = `Click to place. Wheel zooms to cursor. Ctrl/Cmd+Wheel rotates (Shift=1°). ${elevationKey}+Wheel adjusts elevation (Shift=coarse, Ctrl/Cmd=fine). Shift+Wheel scales preview. Right-click${cancelKey ? ` or ${cancelKey}` : ''} to cancel.`;
     const scatterMessage = this._scatterMode === ASSET_SCATTER_MODE_BRUSH ? 'Scatter mode: drag to paint stamps. ' : '';
     const message = `${scatterMessage}${baseMessage}`;
     announceChange('asset-placement', message, { throttleMs: 800 });
@@ -6292,13 +6335,140 @@ export class AssetPlacementManager {
         try { Logger.info('Placement.random.pick', { source: 'queue', filename: picked?.filename || picked?.path }); } catch (_) {}
         return picked;
       }
-      const idx = Math.floor(Math.random() * this.randomAssets.length);
-      picked = this.randomAssets[idx];
-      try { Logger.info('Placement.random.pick', { source: 'fallback', index: idx, filename: picked?.filename || picked?.path }); } catch (_) {}
+      picked = pickWeightedItem(this.randomAssets, (asset) => this._assetPlacementWeight(asset))
+        || this.randomAssets[Math.floor(Math.random() * this.randomAssets.length)];
+      try { Logger.info('Placement.random.pick', { source: 'fallback', filename: picked?.filename || picked?.path }); } catch (_) {}
       return picked;
     } catch (_) { return null; }
   }
 
+  /** Relative pick weight for random placement; palette items carry `placementWeight`. */
+  _assetPlacementWeight(asset) {
+    const weight = Number(asset?.placementWeight);
+    return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+  }
+
+  /**
+   * Apply a palette's scale/rotation ranges, flips and placement mode to the session.
+   * None of them is saved, so the regular placement defaults come back on the next
+   * non-palette placement.
+   * @param {object} palette - Normalized palette (see asset-palettes.js)
+   */
+  _applyPaletteTransforms(palette) {
+    const scale = palette?.scale;
+    if (scale && Number.isFinite(scale.min) && Number.isFinite(scale.max)) {
+      const min = this._clampScale(Math.min(scale.min, scale.max));
+      const max = this._clampScale(Math.max(scale.min, scale.max));
+      const base = (min + max) / 2;
+      this.currentScale = base;
+      this._scaleRandomEnabled = max > min;
+      this._scaleRandomStrength = base > 0 ? Math.min(100, ((max - min) / 2 / base) * 100) : 0;
+      this._currentScaleOffset = 0;
+      this._pendingScale = base;
+      this._updateScalePreview({ regenerateOffset: this._scaleRandomEnabled, clampOffset: true });
+    }
+    const rotation = palette?.rotation;
+    if (rotation && Number.isFinite(rotation.min) && Number.isFinite(rotation.max)) {
+      const min = Math.min(rotation.min, rotation.max);
+      const max = Math.max(rotation.min, rotation.max);
+      this.currentRotation = this._normalizeRotation((min + max) / 2);
+      this._rotationRandomEnabled = max > min;
+      this._rotationRandomStrength = Math.min(180, (max - min) / 2);
+      this._currentRandomOffset = 0;
+      this._pendingRotation = this.currentRotation;
+      this._updateRotationPreview({ regenerateOffset: this._rotationRandomEnabled, clampOffset: true });
+    }
+    const flip = palette?.flip;
+    if (flip) {
+      this._flipHorizontal = flip.horizontal === 'on';
+      this._flipVertical = flip.vertical === 'on';
+      this._flipRandomHorizontalEnabled = flip.horizontal === 'random';
+      this._flipRandomVerticalEnabled = flip.vertical === 'random';
+      this._flipRandomHorizontalOffset = this._flipRandomHorizontalEnabled ? null : false;
+      this._flipRandomVerticalOffset = this._flipRandomVerticalEnabled ? null : false;
+      this._pendingFlipHorizontal = this._flipHorizontal;
+      this._pendingFlipVertical = this._flipVertical;
+      this._updateFlipPreview({ regenerateOffsets: this._hasRandomFlipEnabled() });
+    }
+    if (palette?.mode === 'brush') this._setScatterMode(ASSET_SCATTER_MODE_BRUSH, { persist: false });
+    else if (palette?.mode === 'single') this._setScatterMode(ASSET_SCATTER_MODE_SINGLE, { persist: false });
+  }
+
+  /**
+   * Apply a palette's drop shadow toggle and shadow preset to the session. Neither is saved
+   * and existing tiles keep their shadow; the saved shadow settings come back when the
+   * placement ends (`_restorePaletteShadow`).
+   * @param {object} palette
+   */
+  _applyPaletteShadow(palette) {
+    const shadow = palette?.shadow;
+    if (!shadow) return;
+    if (shadow.enabled === true || shadow.enabled === false) {
+      this._dropShadowPreference = shadow.enabled;
+      this._notifyDropShadowChanged();
+    }
+    const snapshot = this._normalizeShadowSnapshot(shadow.preset);
+    if (snapshot) {
+      this._paletteShadowActive = true;
+      this._applyShadowSettingsSnapshot(snapshot, { notify: true, sync: true, force: true });
+    }
+  }
+
+  /** Bring back the saved shadow settings a palette session replaced. */
+  _restorePaletteShadow() {
+    if (!this._paletteShadowActive) return;
+    this._paletteShadowActive = false;
+    this._applyShadowSettingsSnapshot({
+      alpha: this._readShadowSetting('assetDropShadowAlpha', 0.65, 0, 1),
+      dilation: this._readShadowSetting('assetDropShadowDilation', 1.6, 0, MAX_SHADOW_DILATION),
+      blur: this._readShadowSetting('assetDropShadowBlur', 1.8, 0, MAX_SHADOW_BLUR),
+      offsetDistance: this._readShadowSetting('assetDropShadowOffsetDistance', 0, 0, MAX_SHADOW_OFFSET),
+      offsetAngle: this._readShadowSetting('assetDropShadowOffsetAngle', 135, 0, 359, { wrapAngle: true })
+    }, { sync: false });
+  }
+
+  /** Elevation a placement session starts at: explicit option, controlled tile, then the last one used. */
+  _resolveInitialElevation(selectedElevation, options = {}) {
+    const requested = Number(options?.elevation);
+    if (options?.elevation !== undefined && options?.elevation !== null && Number.isFinite(requested)) return requested;
+    if (Number.isFinite(selectedElevation)) return selectedElevation;
+    return Number.isFinite(this._lastElevationUsed) ? this._lastElevationUsed : 0;
+  }
+
+  /**
+   * The session's asset pool and transform settings in palette form, for the placement history.
+   * @param {{mode?:'single'|'brush'}} [options]
+   * @returns {{items:Array<object>, params:object}|null}
+   */
+  _placementHistorySnapshot({ mode = 'single' } = {}) {
+    const items = (this.isRandomMode ? this.randomAssets : [this.currentAsset]).filter(Boolean);
+    if (!items.length) return null;
+    const scale = this._clampScale(this.currentScale);
+    const scaleSpread = this._hasRandomScaleEnabled() ? scale * Math.min(100, Number(this._scaleRandomStrength) || 0) / 100 : 0;
+    let rotation = this._normalizeRotation(this.currentRotation);
+    if (rotation > 180) rotation -= 360;
+    const rotationSpread = this._hasRandomRotationEnabled() ? Math.min(180, Number(this._rotationRandomStrength) || 0) : 0;
+    const flipMode = (fixed, random) => (random ? 'random' : (fixed ? 'on' : 'off'));
+    const shadowEnabled = this._isGlobalDropShadowEnabled() && this.isDropShadowEnabled();
+    return {
+      items,
+      params: {
+        scale: { min: scale - scaleSpread, max: scale + scaleSpread },
+        rotation: { min: rotation - rotationSpread, max: rotation + rotationSpread },
+        flip: {
+          horizontal: flipMode(this._flipHorizontal, this._flipRandomHorizontalEnabled),
+          vertical: flipMode(this._flipVertical, this._flipRandomVerticalEnabled)
+        },
+        elevation: this._previewElevation,
+        shadow: {
+          enabled: shadowEnabled,
+          preset: shadowEnabled ? this._normalizeShadowSnapshot(this._currentShadowSnapshot()) : null
+        },
+        mode
+      }
+    };
+  }
+
   _updateRandomPrefetchCount() {
     const hasRandomPool = !!(this.isRandomMode && Array.isArray(this.randomAssets) && this.randomAssets.length);
     if (!hasRandomPool) {
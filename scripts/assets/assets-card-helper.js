@@ -3,6 +3,7 @@ import { premiumFeatureBroker } from '../premium/premium-feature-broker.js';
 import { ensurePremiumFeaturesRegistered } from '../premium/premium-feature-registry.js';
 import { premiumEntitlementsService } from '../premium/premium-entitlements-service.js';
 import { PlacementOverlay, createPlacementSpinner } from '../core/placement/placement-overlay.js';
+import { decorateUserTagCard } from '../core/tags/user-tag-card.js';
 
 export class AssetsTabCardHelper {
   constructor(tab) {
@@ -556,6 +557,8 @@ export class AssetsTabCardHelper {
       const key = tab._keyFromCard(cardElement);
       const selected = key && tab._selection.selectedKeys.has(key);
       tab._setCardSelectionUI(cardElement, !!selected);
+      decorateUserTagCard(cardElement, item);
+      tab._decorateFindSimilar(cardElement);
       cardElement.addEventListener('click', (ev) => this.handleAssetCardClick(ev, cardElement, item));
     } catch (e) {
       Logger.warn('AssetsTab.mount.error', { error: String(e?.message || e) });
@@ -1,6 +1,7 @@
 import { localToAssetInventoryRecord } from '../content/inventory-utils.js';
 import { NexusIndexDB } from '../content/cache-index.js';
 import { forgeIntegration } from '../core/forge-integration.js';
+import { VisualSignatureStore } from '../core/visual/visual-signature-store.js';
 
 export class AssetsDataService {
   /** Create a new assets data service */
@@ -200,6 +201,8 @@ export class AssetsDataService {
         loader.src = url;
       } else {
         loader.onload = () => {
+          // The image is decoded anyway; hash it for "Find similar" while it is at hand
+          try { VisualSignatureStore.getInstance().capture(asset, { url, element: loader }); } catch (_) {}
           finish({ width: loader.naturalWidth || loader.width || 0, height: loader.naturalHeight || loader.height || 0 });
         };
         loader.onerror = onError;
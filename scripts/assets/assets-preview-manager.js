@@ -1,5 +1,6 @@
 import { HoverPreviewManager } from '../core/hover-preview-manager.js';
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { VisualSignatureStore } from '../core/visual/visual-signature-store.js';
 
 /**
  * AssetPreviewManager (FA Nexus)
@@ -95,6 +96,17 @@ export class AssetPreviewManager extends HoverPreviewManager {
     const mediaEl = context?.mediaEl || this._activeMediaEl || null;
     const loadToken = context?.loadToken || null;
     this._resolveActualDimensions(cardEl, meta, mediaEl, loadToken, metrics);
+    this._captureVisualSignature(cardEl, mediaEl);
+  }
+
+  /** Hash the preview for "Find similar" when the grid thumbnail was not (e.g. video cards) */
+  _captureVisualSignature(cardEl, mediaEl) {
+    if (!cardEl || !mediaEl) return;
+    const item = cardEl._assetItem || {
+      source: cardEl.getAttribute('data-source') || 'local',
+      file_path: cardEl.getAttribute('data-file-path') || ''
+    };
+    try { VisualSignatureStore.getInstance().captureElement(item, mediaEl); } catch (_) {}
   }
 
   _ensureContentService() {
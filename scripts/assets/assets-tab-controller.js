@@ -5,6 +5,7 @@ import { PathManager } from '../paths/path-manager.js';
 import { PathManagerV2 } from '../paths/path-manager-v2.js';
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
 import { collectLocalInventory, getEnabledFolders, mergeLocalAndCloudRecords, NexusContentService } from '../content/nexus-content-service.js';
+import { getDuplicateResolutions } from '../content/duplicate-report.js';
 import { NexusDownloadManager } from '../content/nexus-download-manager.js';
 import {
   normalizeFolderSelection,
@@ -23,7 +24,7 @@ const SHARED_ASSET_CATALOG = {
   folderStats: new Map()
 };
 
-const SETTINGS_TRIGGERING_RELOAD = new Set(['assetFolders', 'cloudAssetsEnabled']);
+const SETTINGS_TRIGGERING_RELOAD = new Set(['assetFolders', 'cloudAssetsEnabled', 'offlineContentMode', 'duplicateResolutions']);
 const ASSET_TAB_INSTANCES = new Set();
 let sharedSettingsHookInstalled = false;
 
@@ -658,6 +659,7 @@ async function loadAndMergeCloud(tab, includeLocal, options = {}) {
     kind,
     local: localItems,
     cloud: cloudItems,
+    resolutions: getDuplicateResolutions(kind),
     // Keep local/cloud filename matching, but don't collapse cloud-only items that differ by path.
     keySelector: (rec) => {
       const base = baseNameKey(rec);
@@ -711,9 +713,9 @@ async function loadAndMergeCloud(tab, includeLocal, options = {}) {
         };
       } catch (_) { return null; }
     },
-    onStats: ({ collisions, preferLocal, preferCloud, enhanced, localCount, cloudCount, mergedCount }) => {
+    onStats: ({ collisions, preferLocal, preferCloud, enhanced, hidden, unified, localCount, cloudCount, mergedCount }) => {
       try {
-        Logger.info('AssetsTab.merge', { collisions, preferLocal, preferCloud, enhanced, local: localCount, cloud: cloudCount, merged: mergedCount });
+        Logger.info('AssetsTab.merge', { collisions, preferLocal, preferCloud, enhanced, hidden, unified, local: localCount, cloud: cloudCount, merged: mergedCount });
       } catch (_) {}
     }
   });
@@ -789,7 +791,7 @@ async function loadCloudAssetsSafe(tab, onProgress, signal) {
       };
       try {
         const download = controller?.downloadManager || tab._download;
-        const local = download?.getLocalPath?.('assets', rec);
+        const local = download?.getLocalPath?.('assets', rec) || (svc.isOfflineMode?.() ? it.offline_path : null);
         if (local) rec.cachedLocalPath = local;
       } catch (_) {}
       out.push(rec);
@@ -91,6 +91,38 @@ export class AssetsTab extends GridBrowseTab {
 
   get asyncSearchThreshold() { return 50000; }
 
+  get searchIndexName() { return `assets/${this.id}`; }
+
+  get supportsUserTags() { return true; }
+
+  get supportsVisualSearch() { return true; }
+
+  visualThumbnailURL(item) {
+    if (!item || this._isSolidTextureItem(item)) return '';
+    if (item.source === 'cloud') {
+      try { return this.contentService?.getThumbnailURL?.('assets', item) || ''; } catch (_) { return ''; }
+    }
+    if (item.thumbnail_url) return item.thumbnail_url;
+    const path = this._resolveFilePath(item);
+    return /\.(webm|mp4)$/i.test(path) ? '' : path;
+  }
+
+  get placementHistoryKind() {
+    if (this.isTexturesMode) return 'texture';
+    if (this.isPathsMode) return 'path';
+    return 'asset';
+  }
+
+  get sortModes() {
+    // Textures and paths stretch to fit, so their grid footprint means nothing
+    if (this.isTexturesMode || this.isPathsMode) return ['relevance', 'name', 'date', 'size', 'used', 'downloaded'];
+    return ['relevance', 'name', 'date', 'size', 'footprint', 'used', 'downloaded'];
+  }
+
+  get groupModes() { return ['none', 'folder']; }
+
+  get downloadKind() { return 'assets'; }
+
   get placementManager() {
     return this._controller?.placementManager || this._placement || null;
   }
@@ -315,7 +347,7 @@ export class AssetsTab extends GridBrowseTab {
       this._boundSettingsChange = async (setting) => {
         if (!setting || setting.namespace !== 'fa-nexus') return;
         const isActive = appRef?._activeTab === this.id;
-        if (setting.key === 'assetFolders' || setting.key === 'cloudAssetsEnabled') {
+        if (setting.key === 'assetFolders' || setting.key === 'cloudAssetsEnabled' || setting.key === 'offlineContentMode' || setting.key === 'duplicateResolutions') {
           if (!isActive) return;
           if (!app.rendered || !app.element || !app._grid) return;
           this._needsReload = false;
@@ -670,6 +702,23 @@ export class AssetsTab extends GridBrowseTab {
         });
         actions.appendChild(btn);
       }
+      // Add palettes button (asset placement only)
+      if (actions && !this.isTexturesMode && !this.isPathsMode && !actions.querySelector('.fa-nexus-open-asset-palettes')) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'fa-nexus-icon-button fa-nexus-open-asset-palettes';
+        btn.title = 'Asset Palettes';
+        btn.innerHTML = '<i class="fas fa-palette"></i>';
+        btn.addEventListener('click', (ev) => {
+          ev.preventDefault();
+          import('./asset-palettes-dialog.js').then((m) => {
+            const open = foundry.applications.instances.get('fa-nexus-asset-palettes');
+            if (open) { open.bringToFront?.(); open.render(); return; }
+            new m.AssetPalettesDialog({ tab: this }).render(true);
+          }).catch((error) => Logger.warn('AssetsTab.palettes.open.failed', { error: String(error?.message || error) }));
+        });
+        actions.appendChild(btn);
+      }
       this._updateHideLockedVisibility();
       this._updateDropShadowControl();
     } catch (_) {}
@@ -691,6 +740,8 @@ export class AssetsTab extends GridBrowseTab {
       }
       const assetBtn = appEl?.querySelector('.fa-nexus-footer .actions .fa-nexus-open-asset-folder');
       if (assetBtn) assetBtn.remove();
+      const paletteBtn = appEl?.querySelector('.fa-nexus-footer .actions .fa-nexus-open-asset-palettes');
+      if (paletteBtn) paletteBtn.remove();
     } catch (_) {}
   }
 
@@ -856,6 +907,50 @@ export class AssetsTab extends GridBrowseTab {
     return this._cards.handlePathCardClick(cardElement, item);
   }
 
+  /**
+   * Restart placement (or the texture painter / path editor) with a recent placement's items and settings.
+   * Asset settings go through the palette path and last for this session only.
+   * @param {object} entry - From the placement history
+   */
+  async placeAgain(entry) {
+    if (!entry) return;
+    try { await this._controller.ensureServices(); }
+    catch (error) { Logger.warn('AssetsTab.placeAgain.ensure.failed', { error: String(error?.message || error) }); }
+    try { Logger.info('AssetsTab.placeAgain', { kind: entry.kind, items: entry.items.length, count: entry.count }); } catch (_) {}
+    if (entry.kind === 'texture' || entry.kind === 'path') {
+      await this._restartToolFromHistory(entry);
+      return;
+    }
+    const placement = this.placementManager;
+    if (!placement || !entry.items.length) return;
+    const assets = entry.items.map((item) => ({ ...item }));
+    const options = { palette: entry.params, elevation: entry.params.elevation };
+    try {
+      if (assets.length > 1) placement.startPlacementRandom(assets, true, options);
+      else placement.startPlacement(assets[0], true, options);
+    } catch (error) {
+      Logger.warn('AssetsTab.placeAgain.failed', { error: String(error?.message || error) });
+    }
+  }
+
+  async _restartToolFromHistory(entry) {
+    const isTexture = entry.kind === 'texture';
+    const featureId = isTexture ? 'texture.paint' : 'path.edit.v2';
+    const label = isTexture ? 'Texture Painting' : 'Path Editing';
+    if (!entry.start || !(await this._cards._requirePremiumFeature(featureId, { label }))) return;
+    const manager = isTexture ? this.texturePaintManager : this.pathManagerV2;
+    if (!manager) return;
+    try {
+      if (!manager.isActive) await Promise.resolve(manager.stop?.());
+      const options = entry.start.solidColor ? { solidColor: entry.start.solidColor } : {};
+      await manager.start(entry.start.path, entry.start.name, options);
+      manager.applyHistoryParams?.(entry.params);
+    } catch (error) {
+      Logger.warn('AssetsTab.placeAgain.tool.failed', { kind: entry.kind, error: String(error?.message || error) });
+      ui.notifications?.error?.(`Failed to start ${label}: ${error?.message || error}`);
+    }
+  }
+
   // ======== Multi-select helpers ========
   _computeItemKey(item) {
     return this._selection.computeItemKey(item);
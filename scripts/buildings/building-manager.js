@@ -3,7 +3,9 @@ import { premiumFeatureBroker } from '../premium/premium-feature-broker.js';
 import { premiumEntitlementsService } from '../premium/premium-entitlements-service.js';
 import { ensurePremiumFeaturesRegistered } from '../premium/premium-feature-registry.js';
 import { toolOptionsController } from '../core/tool-options-controller.js';
+import { nexusCollaboration } from '../core/collaboration-service.js';
 import { applyBuildingTile, applyDoorFrameTile } from './building-tiles.js';
+import { registerLineSnapTool } from '../core/grid-snap-utils.js';
 
 const MODULE_ID = 'fa-nexus';
 const BUILDING_SUBTOOL_SETTING_KEY = 'buildingToolActiveSubtool';
@@ -61,6 +63,7 @@ export class BuildingManager {
     this._lastPersistedSubtool = null;
     this._toolDefaultsPersistTimer = null;
     this._editingTileId = null;
+    registerLineSnapTool('buildings', () => this.isActive);
   }
 
   /**
@@ -453,6 +456,7 @@ export class BuildingManager {
       this._editingTileId = tileId;
       const set = getEditingTileSet();
       if (set) set.add(tileId);
+      nexusCollaboration.setEditLock('buildings', tileId, true);
       const tile = resolvePlaceableTile(targetTile, tileId);
       if (tile) {
         applyBuildingTile(tile);
@@ -468,6 +472,7 @@ export class BuildingManager {
       this._editingTileId = null;
       const set = getEditingTileSet();
       if (set) set.delete(tileId);
+      nexusCollaboration.setEditLock('buildings', tileId, false);
       const tile = resolvePlaceableTile(null, tileId);
       if (tile) {
         applyBuildingTile(tile);
@@ -3,6 +3,7 @@ import { NexusLogger as Logger } from '../core/nexus-logger.js';
 import { VirtualGridManager } from '../core/ui/virtual-grid-manager.js';
 import { BookmarkToolbar } from '../core/bookmarks/bookmark-toolbar.js';
 import { BuildingManager } from './building-manager.js';
+import { NEXUS_KEYBINDINGS, matchesKeybinding } from '../core/keybindings.js';
 import './building-tiles.js';
 
 const MODULE_ID = 'fa-nexus';
@@ -128,6 +129,9 @@ export class BuildingsTab extends AssetsTab {
 
   get id() { return this._tabId; }
 
+  // Subtab searches restore selections right after filtering, so they stay synchronous
+  get searchIndexName() { return null; }
+
   get buildingManager() {
     return this._getBuildingManager();
   }
@@ -2746,7 +2750,7 @@ export class BuildingsTab extends AssetsTab {
   }
 
   _handleGlobalKeydown(event) {
-    if (!event || event.key !== 'Escape') return;
+    if (!event || !matchesKeybinding(event, NEXUS_KEYBINDINGS.PLACEMENT_CANCEL)) return;
     if (!this._buildingManager?.isActive) return;
     event.preventDefault();
     event.stopPropagation();
@@ -1,6 +1,7 @@
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
 import { TileFlattenCanvasPreview } from './tile-flatten-canvas-preview.js';
 import { resolveAutoChunking } from './tile-flatten-chunking.js';
+import { FLATTEN_IMAGE_FORMATS, resolveFlattenFormat } from './tile-flatten-formats.js';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -70,7 +71,15 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
     const defaultExportSplitLayers = !!stored.exportSplitLayers;
     const defaultExportChunked = !!stored.exportChunked;
     const storedExportAction = stored.exportAction;
-    const defaultExportAction = storedExportAction === 'export' ? 'export' : 'flatten';
+    const defaultExportAction = ['export', 'layered', 'uvtt'].includes(storedExportAction)
+      ? storedExportAction
+      : 'flatten';
+    const defaultFormat = resolveFlattenFormat(stored.format).id;
+    const formatOptions = Object.values(FLATTEN_IMAGE_FORMATS).map((format) => ({
+      id: format.id,
+      label: format.label,
+      selected: format.id === defaultFormat
+    }));
     const exportActionStrings = this._getExportActionStrings(defaultExportAction);
     this._exportDefaults = {
       action: defaultExportAction,
@@ -85,14 +94,16 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
       : `Flatten ${tileCount} tile${pluralSuffix ? 's' : ''}`;
     const dialogDescription = isExport
       ? exportActionStrings.description
-      : 'Flatten the selected tiles into a WebP image while preserving FA Nexus metadata for future restoration.';
+      : 'Flatten the selected tiles into an image while preserving FA Nexus metadata for future restoration.';
     const submitLabel = isExport ? exportActionStrings.submitLabel : 'Flatten Tiles';
     const submitIcon = isExport ? exportActionStrings.submitIcon : 'fa-compress-arrows-alt';
     const exportChunkHint = defaultExportChunked
       ? 'Auto-chunks large output.'
       : 'Creates a single image by default.';
     const exportActionIsExport = defaultExportAction === 'export';
-    const exportActionIsFlatten = !exportActionIsExport;
+    const exportActionIsLayered = defaultExportAction === 'layered';
+    const exportActionIsUvtt = defaultExportAction === 'uvtt';
+    const exportActionIsFlatten = defaultExportAction === 'flatten';
 
     return {
       tileCount,
@@ -103,12 +114,16 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
       submitIcon,
       defaultPPI,
       defaultQuality,
+      defaultFormat,
+      formatOptions,
       defaultPaddingSnap,
       defaultPaddingExtra,
       defaultExportSplitLayers,
       defaultExportChunked,
       defaultExportAction,
       exportActionIsExport,
+      exportActionIsLayered,
+      exportActionIsUvtt,
       exportActionIsFlatten,
       exportActionHint: exportActionStrings.actionHint,
       exportSplitHint: exportActionStrings.splitHint,
@@ -136,6 +151,7 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
     // Set default values
     const ppiInput = this.element.querySelector('#flatten-ppi');
     const qualityInput = this.element.querySelector('#flatten-quality');
+    const formatInput = this.element.querySelector('#flatten-format');
     const paddingSnapInput = this.element.querySelector('#flatten-padding-snap');
     const paddingExtraInput = this.element.querySelector('#flatten-padding-extra');
     const exportActionInputs = Array.from(this.element.querySelectorAll('input[name="flatten-export-action"]'));
@@ -144,6 +160,7 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
     this._inputRefs = {
       ppiInput,
       qualityInput,
+      formatInput,
       paddingSnapInput,
       paddingExtraInput,
       exportActionInputs,
@@ -152,6 +169,7 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
     };
     if (ppiInput) ppiInput.value = context.defaultPPI;
     if (qualityInput) qualityInput.value = context.defaultQuality;
+    if (formatInput) formatInput.value = context.defaultFormat || 'webp';
     if (paddingSnapInput) paddingSnapInput.value = context.defaultPaddingSnap || 'none';
     if (paddingExtraInput) paddingExtraInput.value = context.defaultPaddingExtra ?? 0;
     if (exportActionInputs.length) {
@@ -171,6 +189,7 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
     if (exportSplitInput) exportSplitInput.checked = !!context.defaultExportSplitLayers;
     if (exportChunkInput) exportChunkInput.checked = !!context.defaultExportChunked;
     this._updateExportActionUI(exportActionInputs);
+    this._updateFormatUI(formatInput, qualityInput, exportActionInputs);
     this._updateExportChunkHint(exportChunkInput, context.exportChunkHint);
     this._updatePreview(ppiInput, paddingSnapInput, paddingExtraInput, exportChunkInput);
 
@@ -182,6 +201,7 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
         event.preventDefault();
         const ppi = parseFloat(ppiInput?.value) || 200;
         const quality = parseFloat(qualityInput?.value) || 0.85;
+        const format = this._readFormat(formatInput, exportActionInputs);
         const paddingSnap = this._normalizePaddingSnap(paddingSnapInput?.value);
         const rawPaddingExtra = parseFloat(paddingExtraInput?.value);
         const paddingExtra = Number.isFinite(rawPaddingExtra) ? rawPaddingExtra : 0;
@@ -211,6 +231,7 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
         this._persistOptions({
           ppi,
           quality,
+          format,
           paddingSnap,
           paddingExtra,
           exportAction,
@@ -220,6 +241,7 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
         this._resolve({
           ppi,
           quality,
+          format,
           paddingSnap,
           paddingExtra,
           exportSplitLayers,
@@ -258,9 +280,13 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
       for (const input of exportActionInputs) {
         input.addEventListener('change', () => {
           this._updateExportActionUI(exportActionInputs);
+          this._updateFormatUI(formatInput, qualityInput, exportActionInputs);
         });
       }
     }
+    if (formatInput) {
+      formatInput.addEventListener('change', () => this._updateFormatUI(formatInput, qualityInput, exportActionInputs));
+    }
     if (exportChunkInput) {
       exportChunkInput.addEventListener('change', () => {
         this._updateExportChunkHint(exportChunkInput);
@@ -870,15 +896,33 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
   }
 
   _getExportActionStrings(action) {
+    if (action === 'uvtt') {
+      return {
+        description: 'Export the scene as a Universal VTT (.dd2vtt) file with walls, doors and lights for use in other VTTs.',
+        submitLabel: 'Export .dd2vtt',
+        submitIcon: 'fa-map',
+        actionHint: 'Embeds a single scene image; walls, building-tool doors and ambient lights are converted. Density is lowered if the image would exceed the GPU limit.',
+        splitHint: 'Not used: Universal VTT files hold one image.'
+      };
+    }
+    if (action === 'layered') {
+      return {
+        description: 'Export every elevation band of the scene as its own image, bundled with a JSON manifest in a ZIP download.',
+        submitLabel: 'Export Layers',
+        submitIcon: 'fa-layer-group',
+        actionHint: 'Background, each tile elevation, doors and foreground become separate images for other VTTs or editors.',
+        splitHint: 'Not used: every elevation is exported as its own layer.'
+      };
+    }
     const isExport = action === 'export';
     return {
       description: isExport
-        ? 'Export the scene background/foreground images and tiles to a WebP image cropped to the scene borders.'
-        : 'Flatten the scene tiles into WebP tile(s) cropped to the scene borders.',
+        ? 'Export the scene background/foreground images and tiles to an image cropped to the scene borders.'
+        : 'Flatten the scene tiles into tile image(s) cropped to the scene borders.',
       submitLabel: isExport ? 'Export Scene' : 'Flatten Scene',
       submitIcon: isExport ? 'fa-file-export' : 'fa-compress-arrows-alt',
       actionHint: isExport
-        ? 'Exports a WebP image of the scene.'
+        ? 'Exports an image of the scene.'
         : 'Creates tiles without scene background/foreground images. Originals can be deconstructed.',
       splitHint: isExport
         ? 'Background image + tiles below, foreground image + tiles above.'
@@ -887,11 +931,35 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
   }
 
   _readExportAction(exportActionInputs) {
+    const normalize = (value) => (['export', 'layered', 'uvtt'].includes(value) ? value : 'flatten');
     if (!Array.isArray(exportActionInputs) || exportActionInputs.length === 0) {
-      return this._exportDefaults?.action === 'export' ? 'export' : 'flatten';
+      return normalize(this._exportDefaults?.action);
     }
     const selected = exportActionInputs.find((input) => input?.checked);
-    return selected?.value === 'export' ? 'export' : 'flatten';
+    return normalize(selected?.value);
+  }
+
+  /** Flattened tiles need alpha, so JPEG is only offered for scene exports */
+  _readFormat(formatInput, exportActionInputs) {
+    const flattening = this._mode !== 'export' || this._readExportAction(exportActionInputs) === 'flatten';
+    return resolveFlattenFormat(formatInput?.value, { requireTransparency: flattening }).id;
+  }
+
+  _updateFormatUI(formatInput, qualityInput, exportActionInputs) {
+    if (!formatInput) return;
+    const flattening = this._mode !== 'export' || this._readExportAction(exportActionInputs) === 'flatten';
+    for (const option of Array.from(formatInput.options || [])) {
+      option.disabled = flattening && !FLATTEN_IMAGE_FORMATS[option.value]?.transparent;
+    }
+    const format = resolveFlattenFormat(formatInput.value, { requireTransparency: flattening });
+    if (formatInput.value !== format.id) formatInput.value = format.id;
+    if (qualityInput) qualityInput.disabled = !format.lossy;
+    const hintEl = this.element?.querySelector?.('[data-format-hint]');
+    if (hintEl) {
+      hintEl.textContent = format.lossy
+        ? 'Higher quality increases file size.'
+        : 'Lossless; quality is ignored.';
+    }
   }
 
   _updateExportActionUI(exportActionInputs) {
@@ -910,13 +978,17 @@ export class TileFlattenDialog extends HandlebarsApplicationMixin(ApplicationV2)
     if (splitHintEl && strings.splitHint) {
       splitHintEl.textContent = strings.splitHint;
     }
+    const splitInput = this._inputRefs?.exportSplitInput;
+    if (splitInput) splitInput.disabled = action === 'layered' || action === 'uvtt';
+    const chunkInput = this._inputRefs?.exportChunkInput;
+    if (chunkInput) chunkInput.disabled = action === 'uvtt';
     const submitLabelEl = this.element?.querySelector?.('[data-submit-label]');
     if (submitLabelEl && strings.submitLabel) {
       submitLabelEl.textContent = strings.submitLabel;
     }
     const submitIconEl = this.element?.querySelector?.('[data-submit-icon]');
     if (submitIconEl && strings.submitIcon) {
-      submitIconEl.classList.remove('fa-file-export', 'fa-compress-arrows-alt');
+      submitIconEl.classList.remove('fa-file-export', 'fa-compress-arrows-alt', 'fa-layer-group', 'fa-map');
       submitIconEl.classList.add(strings.submitIcon);
     }
   }
@@ -0,0 +1,43 @@
+export const FLATTEN_IMAGE_FORMATS = Object.freeze({
+  webp: Object.freeze({ id: 'webp', label: 'WebP', mime: 'image/webp', extension: 'webp', lossy: true, transparent: true }),
+  png: Object.freeze({ id: 'png', label: 'PNG (lossless)', mime: 'image/png', extension: 'png', lossy: false, transparent: true }),
+  jpeg: Object.freeze({ id: 'jpeg', label: 'JPEG', mime: 'image/jpeg', extension: 'jpg', lossy: true, transparent: false }),
+  avif: Object.freeze({ id: 'avif', label: 'AVIF', mime: 'image/avif', extension: 'avif', lossy: true, transparent: true })
+});
+
+export const DEFAULT_FLATTEN_FORMAT = 'webp';
+
+/**
+ * Resolve a format id to its descriptor. Formats without transparency are
+ * rejected when `requireTransparency` is set (flattened tiles must keep alpha).
+ * @param {string} value
+ * @param {{requireTransparency?:boolean}} [options]
+ * @returns {{id:string,label:string,mime:string,extension:string,lossy:boolean,transparent:boolean}}
+ */
+export function resolveFlattenFormat(value, { requireTransparency = false } = {}) {
+  const id = String(value || '').toLowerCase() === 'jpg' ? 'jpeg' : String(value || '').toLowerCase();
+  const format = FLATTEN_IMAGE_FORMATS[id] || FLATTEN_IMAGE_FORMATS[DEFAULT_FLATTEN_FORMAT];
+  if (requireTransparency && !format.transparent) return FLATTEN_IMAGE_FORMATS[DEFAULT_FLATTEN_FORMAT];
+  return format;
+}
+
+/**
+ * Find the format matching an encoded blob's MIME type.
+ * @param {string} mime
+ * @returns {object|null}
+ */
+export function formatFromMime(mime) {
+  const type = String(mime || '').toLowerCase();
+  return Object.values(FLATTEN_IMAGE_FORMATS).find((format) => format.mime === type) || null;
+}
+
+/**
+ * Replace or append the extension of a filename for the given format.
+ * @param {string} filename
+ * @param {{extension:string}} format
+ * @returns {string}
+ */
+export function withFormatExtension(filename, format) {
+  const base = String(filename || '').replace(/\.(webp|png|jpe?g|avif)$/i, '');
+  return `${base}.${format.extension}`;
+}
@@ -1,6 +1,9 @@
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
 import { forgeIntegration } from '../core/forge-integration.js';
 import { TileFlattenDialog } from './tile-flatten-dialog.js';
+import { formatFromMime, resolveFlattenFormat, withFormatExtension } from './tile-flatten-formats.js';
+import { createZip } from '../core/zip-utils.js';
+import { blobToBase64, buildUvttDocument } from './uvtt-format.js';
 import { TileFlattenOverlay } from './tile-flatten-overlay.js';
 import { resolveAutoChunking } from './tile-flatten-chunking.js';
 import { AssetShadowManager } from '../assets/asset-shadow-manager.js';
@@ -169,13 +172,16 @@ export class TileFlattenManager {
         paddingExtra = 0,
         exportSplitLayers = false,
         exportChunked = false,
-        exportAction
+        exportAction,
+        format
       } = options || {};
-      resolvedAction = exportAction === 'export' || exportAction === 'flatten'
+      resolvedAction = ['export', 'flatten', 'layered', 'uvtt'].includes(exportAction)
         ? exportAction
         : (options?.exportFlattenScene ? 'flatten' : 'export');
-      shouldExport = resolvedAction === 'export';
+      shouldExport = resolvedAction !== 'flatten';
       shouldFlatten = resolvedAction === 'flatten';
+      const exportFormat = resolveFlattenFormat(format);
+      const flattenFormat = resolveFlattenFormat(format, { requireTransparency: true });
       const normalizedPaddingSnap = this._normalizePaddingSnap(paddingSnap);
       const sceneBounds = this._getSceneBounds();
       if (!sceneBounds) {
@@ -202,7 +208,8 @@ export class TileFlattenManager {
       await this._nextFrame();
 
       const tiles = this._collectSceneTiles();
-      if (exceedsMaxTexture && !exportChunked) {
+      // Universal VTT exports always render one image and lower the PPI to fit instead
+      if (exceedsMaxTexture && !exportChunked && resolvedAction !== 'uvtt') {
         ui?.notifications?.info?.('Scene exceeds GPU texture size; generating multiple images.');
       }
       let backgroundTiles = tiles;
@@ -213,7 +220,34 @@ export class TileFlattenManager {
         foregroundTiles = tiles.filter((doc) => this._getTileElevation(doc) >= fgElevation);
       }
       const savedFiles = [];
-      if (shouldExport) {
+      if (resolvedAction === 'layered') {
+        const zipName = await this._exportLayeredScene(tiles, {
+          sceneBounds,
+          ppi,
+          quality,
+          format: exportFormat,
+          paddingSnap: normalizedPaddingSnap,
+          paddingExtra,
+          useChunking,
+          chunkAuto,
+          chunkWidth: autoChunkWidth,
+          chunkHeight: autoChunkHeight,
+          overlay
+        });
+        savedFiles.push(zipName);
+      } else if (resolvedAction === 'uvtt') {
+        const uvttName = await this._exportUniversalVtt(tiles, {
+          sceneBounds,
+          ppi,
+          quality,
+          format: exportFormat,
+          paddingSnap: normalizedPaddingSnap,
+          paddingExtra,
+          maxTextureSize,
+          overlay
+        });
+        savedFiles.push(uvttName);
+      } else if (shouldExport) {
         const exportContext = await this._resolveExportUploadContext();
         const baseName = this._buildExportFilenameBase();
         const tasks = exportSplitLayers
@@ -296,10 +330,10 @@ export class TileFlattenManager {
                   if (rowLabel && colLabel) chunkSuffix = `-r${rowLabel}-c${colLabel}`;
                   else chunkSuffix = `-${index + 1}`;
                 }
-                const filename = `${baseName}${layerSuffix}${chunkSuffix}.webp`;
+                const filename = `${baseName}${layerSuffix}${chunkSuffix}`;
                 let src = null;
                 try {
-                  src = await this._saveAsWebP(entry?.canvas, quality, { uploadContext: exportContext, filename });
+                  src = await this._saveCanvasImage(entry?.canvas, quality, { uploadContext: exportContext, filename, format: exportFormat });
                 } finally {
                   try {
                     if (entry?.canvas) {
@@ -339,8 +373,8 @@ export class TileFlattenManager {
             }
 
             overlay.setStatus(`Saving ${layerLabel.toLowerCase()}...`);
-            const filename = `${baseName}${layerSuffix}.webp`;
-            const filePath = await this._saveAsWebP(canvasData.canvas, quality, { uploadContext: exportContext, filename });
+            const filename = `${baseName}${layerSuffix}`;
+            const filePath = await this._saveCanvasImage(canvasData.canvas, quality, { uploadContext: exportContext, filename, format: exportFormat });
             if (!filePath) {
               throw new Error(`Failed to save ${layerLabel.toLowerCase()} export`);
             }
@@ -425,10 +459,10 @@ export class TileFlattenManager {
                     const rowLabel = Number.isFinite(entry?.row) ? entry.row + 1 : null;
                     const colLabel = Number.isFinite(entry?.col) ? entry.col + 1 : null;
                     const suffix = rowLabel && colLabel ? `-r${rowLabel}-c${colLabel}` : `-${index + 1}`;
-                    const filename = `${flattenBaseName}${layerSuffix}${suffix}.webp`;
+                    const filename = `${flattenBaseName}${layerSuffix}${suffix}`;
                     let src = null;
                     try {
-                      src = await this._saveAsWebP(entry?.canvas, quality, { uploadContext: flattenContext, filename });
+                      src = await this._saveCanvasImage(entry?.canvas, quality, { uploadContext: flattenContext, filename, format: flattenFormat });
                     } finally {
                       try {
                         if (entry?.canvas) {
@@ -489,8 +523,8 @@ export class TileFlattenManager {
                 pixelHeight = canvasData.pixelHeight;
                 resolutionOut = canvasData.resolution;
 
-                const filename = `${flattenBaseName}${layerSuffix}.webp`;
-                filePath = await this._saveAsWebP(canvasData.canvas, quality, { uploadContext: flattenContext, filename });
+                const filename = `${flattenBaseName}${layerSuffix}`;
+                filePath = await this._saveCanvasImage(canvasData.canvas, quality, { uploadContext: flattenContext, filename, format: flattenFormat });
                 if (!filePath) {
                   throw new Error(`Failed to save ${layerLabel.toLowerCase()} tile image`);
                 }
@@ -509,6 +543,7 @@ export class TileFlattenManager {
                 pixelHeight,
                 ppi,
                 quality,
+                format: flattenFormat.id,
                 paddingSnap: normalizedPaddingSnap,
                 paddingExtra,
                 resolution: resolutionOut,
@@ -537,7 +572,10 @@ export class TileFlattenManager {
       overlay.setStatus(shouldExport ? 'Export complete.' : 'Flatten complete.');
       overlay.setProgress?.(1);
       const doneMessage = shouldExport
-        ? 'Scene export complete.'
+        ? ({
+          layered: 'Layered scene export downloaded.',
+          uvtt: 'Universal VTT export downloaded.'
+        }[resolvedAction] || 'Scene export complete.')
         : (flattenedCount > 0
           ? `Scene flatten complete. Flattened ${flattenedCount} tile${flattenedCount === 1 ? '' : 's'}.`
           : 'Scene flatten complete.');
@@ -545,6 +583,7 @@ export class TileFlattenManager {
       Logger.info('TileFlatten.exportScene.success', {
         action: resolvedAction,
         files: savedFiles,
+        format: shouldFlatten ? flattenFormat.id : exportFormat.id,
         split: !!exportSplitLayers,
         chunked: !!useChunking,
         flattenedCount
@@ -559,12 +598,293 @@ export class TileFlattenManager {
     }
   }
 
+  /**
+   * Group the scene into elevation bands for a layered export: the scene background,
+   * one band per distinct tile elevation, then doors and the foreground image.
+   */
+  _buildElevationBands(tiles) {
+    const hidden = { keepBackground: false, keepTiles: false, keepForeground: false, keepDoors: false };
+    const bands = [];
+    if (canvas?.scene?.background?.src) {
+      bands.push({ type: 'background', label: 'Background', slug: 'background', elevation: null, tiles: [], visibility: { ...hidden, keepBackground: true } });
+    }
+    const byElevation = new Map();
+    for (const doc of Array.isArray(tiles) ? tiles : []) {
+      const elevation = this._getTileElevation(doc);
+      if (!byElevation.has(elevation)) byElevation.set(elevation, []);
+      byElevation.get(elevation).push(doc);
+    }
+    for (const elevation of Array.from(byElevation.keys()).sort((a, b) => a - b)) {
+      bands.push({
+        type: 'tiles',
+        label: `Elevation ${elevation}`,
+        slug: `elevation-${String(elevation).replace(/[^0-9a-z-]+/gi, '_')}`,
+        elevation,
+        tiles: byElevation.get(elevation),
+        visibility: { ...hidden, keepTiles: true }
+      });
+    }
+    const walls = Array.isArray(canvas?.walls?.placeables) ? canvas.walls.placeables : [];
+    const hasDoors = walls.some((wall) => {
+      const doc = wall?.document || wall;
+      return Number(doc?.door ?? 0) > 0
+        || !!(doc?.getFlag?.('fa-nexus', 'buildingDoor') || doc?.getFlag?.('fa-nexus', 'buildingWindow'));
+    });
+    if (hasDoors) {
+      bands.push({ type: 'doors', label: 'Doors', slug: 'doors', elevation: null, tiles: [], visibility: { ...hidden, keepDoors: true } });
+    }
+    if (canvas?.scene?.foreground) {
+      bands.push({
+        type: 'foreground',
+        label: 'Foreground',
+        slug: 'foreground',
+        elevation: this._getForegroundElevation(),
+        tiles: [],
+        visibility: { ...hidden, keepForeground: true }
+      });
+    }
+    return bands;
+  }
+
+  /**
+   * Render each elevation band to its own image and download them, together with a
+   * `manifest.json` describing placement, as a single ZIP.
+   * @returns {Promise<string>} Downloaded ZIP filename
+   */
+  async _exportLayeredScene(tiles, options = {}) {
+    const {
+      sceneBounds,
+      ppi,
+      quality,
+      format,
+      paddingSnap,
+      paddingExtra,
+      useChunking,
+      chunkAuto,
+      chunkWidth,
+      chunkHeight,
+      overlay
+    } = options;
+    const bands = this._buildElevationBands(tiles);
+    if (!bands.length) throw new Error('Scene has nothing to export');
+
+    const baseName = this._buildExportFilenameBase();
+    const entries = [];
+    const layers = [];
+    let frame = null;
+    let imageFormat = format;
+    const span = 0.75 / bands.length;
+
+    for (let i = 0; i < bands.length; i += 1) {
+      const band = bands[i];
+      const bandLabel = band.label.toLowerCase();
+      const progressBase = 0.1 + (span * i);
+      overlay?.setStatus(`Capturing ${bandLabel} (${i + 1} of ${bands.length})...`);
+      overlay?.setProgress?.(progressBase);
+      await this._nextFrame();
+
+      const prefix = `layers/${String(i).padStart(2, '0')}-${band.slug}`;
+      const files = [];
+      const addImage = async (canvasEl, suffix, placement) => {
+        const encoded = await this._encodeCanvas(canvasEl, format, quality);
+        if (!encoded) throw new Error(`Failed to encode ${bandLabel}`);
+        imageFormat = encoded.format;
+        const file = withFormatExtension(`${prefix}${suffix}`, encoded.format);
+        entries.push({ name: file, data: encoded.blob });
+        files.push({
+          file,
+          x: Number(placement?.x) || 0,
+          y: Number(placement?.y) || 0,
+          width: Number(placement?.width) || 0,
+          height: Number(placement?.height) || 0,
+          pixelWidth: Number(placement?.pixelWidth) || null,
+          pixelHeight: Number(placement?.pixelHeight) || null
+        });
+      };
+
+      if (useChunking) {
+        const chunkData = await this._renderTilesToCanvasChunked(band.tiles, sceneBounds, ppi, {
+          paddingSnap,
+          paddingExtra,
+          chunkWidth,
+          chunkHeight,
+          chunkPad: false,
+          chunkAuto,
+          suspendRender: true,
+          visibility: band.visibility,
+          onChunk: async (entry, index, total) => {
+            if (Number.isFinite(total) && total > 0) {
+              overlay?.setStatus(`Encoding ${bandLabel} chunk ${index + 1} of ${total}...`);
+              overlay?.setProgress?.(Math.min(0.85, progressBase + (span * ((index + 1) / total))));
+            }
+            let suffix = '';
+            if (Number.isFinite(total) && total > 1) {
+              suffix = Number.isFinite(entry?.row) && Number.isFinite(entry?.col)
+                ? `-r${entry.row + 1}-c${entry.col + 1}`
+                : `-${index + 1}`;
+            }
+            try {
+              await addImage(entry?.canvas, suffix, entry);
+            } finally {
+              try {
+                if (entry?.canvas) {
+                  entry.canvas.width = 0;
+                  entry.canvas.height = 0;
+                }
+              } catch (_) {}
+            }
+          }
+        });
+        if (!chunkData || !files.length) throw new Error(`Failed to export ${bandLabel}`);
+        frame ||= chunkData;
+      } else {
+        const canvasData = await this._renderTilesToCanvas(band.tiles, sceneBounds, ppi, {
+          paddingSnap,
+          paddingExtra,
+          trimToContent: false,
+          suspendRender: true,
+          visibility: band.visibility
+        });
+        if (!canvasData?.canvas) throw new Error(`Failed to export ${bandLabel}`);
+        overlay?.setStatus(`Encoding ${bandLabel}...`);
+        try {
+          await addImage(canvasData.canvas, '', {
+            ...canvasData.renderBounds,
+            pixelWidth: canvasData.pixelWidth,
+            pixelHeight: canvasData.pixelHeight
+          });
+        } finally {
+          try {
+            canvasData.canvas.width = 0;
+            canvasData.canvas.height = 0;
+          } catch (_) {}
+        }
+        frame ||= canvasData;
+      }
+
+      layers.push({
+        index: i,
+        name: band.label,
+        type: band.type,
+        elevation: band.elevation,
+        tileIds: band.tiles.map((doc) => doc.id),
+        files
+      });
+    }
+
+    const scene = canvas?.scene;
+    const manifest = {
+      format: 'fa-nexus-layered-export',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      scene: {
+        id: scene?.id || null,
+        name: scene?.name || null,
+        gridSize: Number(scene?.grid?.size) || null,
+        gridType: scene?.grid?.type ?? null,
+        gridDistance: Number(scene?.grid?.distance) || null,
+        gridUnits: scene?.grid?.units || null,
+        foregroundElevation: this._getForegroundElevation()
+      },
+      imageFormat: imageFormat?.id || null,
+      quality: imageFormat?.lossy ? quality : null,
+      ppi,
+      resolution: frame?.resolution ?? null,
+      renderBounds: frame?.renderBounds || sceneBounds,
+      pixelWidth: frame?.pixelWidth ?? null,
+      pixelHeight: frame?.pixelHeight ?? null,
+      layers
+    };
+    entries.unshift({ name: 'manifest.json', data: manifest, compress: true });
+
+    overlay?.setStatus('Packing ZIP...');
+    overlay?.setProgress?.(0.9);
+    await this._nextFrame();
+    const zip = await createZip(entries);
+    const zipName = `${baseName}-layers.zip`;
+    foundry.utils.saveDataToFile(zip, 'application/zip', zipName);
+    Logger.info('TileFlatten.exportLayered.success', { layers: layers.length, files: entries.length - 1, size: zip.size });
+    return zipName;
+  }
+
+  /**
+   * Render the whole scene as one image and download it as a Universal VTT (.dd2vtt)
+   * file with the scene walls, doors and ambient lights converted alongside.
+   * UVTT holds a single image, so PPI is lowered when the scene would exceed the GPU texture cap.
+   * @returns {Promise<string>} Downloaded filename
+   */
+  async _exportUniversalVtt(tiles, options = {}) {
+    const { sceneBounds, quality, format, paddingSnap, paddingExtra, maxTextureSize, overlay } = options;
+    const scene = canvas?.scene;
+    const gridSize = Math.max(1, Number(scene?.grid?.size || 100));
+    let ppi = Number(options.ppi) || 200;
+    const planned = this._computeRenderBounds(sceneBounds, gridSize, paddingSnap, paddingExtra);
+    const plannedMax = Math.max(planned.width, planned.height) * this._computeResolution(ppi, gridSize);
+    if (Number.isFinite(maxTextureSize) && plannedMax > maxTextureSize) {
+      const fitted = Math.max(10, Math.floor(ppi * (maxTextureSize / plannedMax)));
+      Logger.warn('TileFlatten.exportUvtt.ppiReduced', { requested: ppi, fitted, maxTextureSize });
+      ui?.notifications?.warn?.(`Universal VTT holds a single image; lowering density to ${fitted} px per square to fit the GPU texture limit.`);
+      ppi = fitted;
+    }
+
+    overlay?.setStatus('Capturing scene...');
+    overlay?.setProgress?.(0.2);
+    await this._nextFrame();
+    const canvasData = await this._renderTilesToCanvas(tiles, sceneBounds, ppi, {
+      paddingSnap,
+      paddingExtra,
+      trimToContent: false,
+      suspendRender: true,
+      visibility: {
+        keepBackground: true,
+        keepTiles: true,
+        keepForeground: true,
+        keepDoors: true
+      }
+    });
+    if (!canvasData?.canvas) throw new Error('Failed to capture scene');
+
+    overlay?.setStatus('Encoding image...');
+    overlay?.setProgress?.(0.6);
+    let encoded = null;
+    try {
+      encoded = await this._encodeCanvas(canvasData.canvas, format, quality);
+    } finally {
+      try {
+        canvasData.canvas.width = 0;
+        canvasData.canvas.height = 0;
+      } catch (_) {}
+    }
+    if (!encoded) throw new Error('Failed to encode scene image');
+
+    overlay?.setStatus('Converting walls, doors and lights...');
+    overlay?.setProgress?.(0.8);
+    await this._nextFrame();
+    const renderBounds = canvasData.renderBounds;
+    const uvtt = buildUvttDocument(scene, {
+      bounds: renderBounds,
+      pixelsPerGrid: (canvasData.pixelWidth / renderBounds.width) * gridSize,
+      image: await blobToBase64(encoded.blob)
+    });
+    const filename = `${this._buildExportFilenameBase()}.dd2vtt`;
+    foundry.utils.saveDataToFile(JSON.stringify(uvtt), 'application/json', filename);
+    Logger.info('TileFlatten.exportUvtt.success', {
+      walls: uvtt.line_of_sight.length,
+      portals: uvtt.portals.length,
+      lights: uvtt.lights.length,
+      format: encoded.format.id,
+      ppi
+    });
+    return filename;
+  }
+
   /**
    * Flatten multiple tiles into a single image
    * @param {Array<import('foundry/applications/api').TileDocument>} tiles
    * @param {object} options
    * @param {number} options.ppi - Pixels per inch
-   * @param {number} options.quality - WebP quality (0-1)
+   * @param {number} options.quality - Encoder quality (0-1) for lossy formats
+   * @param {string} options.format - Image format id: 'webp' | 'png' | 'avif' (JPEG has no alpha and falls back to WebP)
    * @param {string} options.paddingSnap - 'none' | 'half' | 'full'
    * @param {number} options.paddingExtra - Padding adjustment in grid squares (can be negative)
    * @param {number} options.chunkWidth - Chunk width in grid squares (0 disables chunking)
@@ -589,8 +909,10 @@ export class TileFlattenManager {
       chunkWidth = 0,
       chunkHeight = 0,
       chunkPad = false,
-      chunkSize = 0
+      chunkSize = 0,
+      format
     } = options || {};
+    const imageFormat = resolveFlattenFormat(format, { requireTransparency: true });
     const normalizedPaddingSnap = this._normalizePaddingSnap(paddingSnap);
     const normalizedChunkSquares = this._normalizeChunkSquares(chunkWidth, chunkHeight);
     const normalizedChunkPad = normalizedChunkSquares.enabled ? !!chunkPad : false;
@@ -675,10 +997,10 @@ export class TileFlattenManager {
             const rowLabel = Number.isFinite(entry?.row) ? entry.row + 1 : null;
             const colLabel = Number.isFinite(entry?.col) ? entry.col + 1 : null;
             const suffix = rowLabel && colLabel ? `-r${rowLabel}-c${colLabel}` : `-${index + 1}`;
-            const filename = `${baseName}${suffix}.webp`;
+            const filename = `${baseName}${suffix}`;
             let src = null;
             try {
-              src = await this._saveAsWebP(entry?.canvas, quality, { uploadContext, filename });
+              src = await this._saveCanvasImage(entry?.canvas, quality, { uploadContext, filename, format: imageFormat });
             } finally {
               try {
                 if (entry?.canvas) {
@@ -734,8 +1056,7 @@ export class TileFlattenManager {
         overlay.setProgress?.(0.6);
         await this._nextFrame();
 
-        // Save as WebP
-        filePath = await this._saveAsWebP(canvasData.canvas, quality);
+        filePath = await this._saveCanvasImage(canvasData.canvas, quality, { format: imageFormat });
         if (!filePath) {
           throw new Error('Failed to save flattened image');
         }
@@ -763,6 +1084,7 @@ export class TileFlattenManager {
         pixelHeight: useChunking ? chunkData?.pixelHeight : canvasData?.pixelHeight,
         ppi,
         quality,
+        format: imageFormat.id,
         paddingSnap: normalizedPaddingSnap,
         paddingExtra,
         resolution: useChunking ? chunkData?.resolution : canvasData?.resolution,
@@ -3079,33 +3401,90 @@ export class TileFlattenManager {
     return this._resolveFlattenUploadContext('exports');
   }
 
-  async _saveAsWebP(canvasEl, quality, options = {}) {
+  /**
+   * Encode a canvas as an image blob. Browsers fall back to PNG for formats they
+   * cannot encode (AVIF in most), so the format is read back from the blob type.
+   * @returns {Promise<{blob: Blob, format: object}|null>}
+   */
+  async _encodeCanvas(canvasEl, format, quality) {
     if (!canvasEl) return null;
+    const requested = resolveFlattenFormat(format?.id || format);
+    const source = requested.transparent ? canvasEl : this._composeOpaqueCanvas(canvasEl);
+    const encodeQuality = requested.lossy ? quality : undefined;
 
     const blob = await new Promise((resolve) => {
-      if (canvasEl.toBlob) {
-        canvasEl.toBlob(resolve, 'image/webp', quality);
+      if (source.toBlob) {
+        source.toBlob(resolve, requested.mime, encodeQuality);
       } else {
         try {
-          const dataUrl = canvasEl.toDataURL('image/webp', quality);
-          const bin = atob(dataUrl.split(',')[1] || '');
+          const dataUrl = source.toDataURL(requested.mime, encodeQuality);
+          const [header, payload] = dataUrl.split(',');
+          const mime = /^data:([^;,]+)/.exec(header || '')?.[1] || requested.mime;
+          const bin = atob(payload || '');
           const arr = new Uint8Array(bin.length);
           for (let i = 0; i < arr.length; i++) arr[i] = bin.charCodeAt(i);
-          resolve(new Blob([arr], { type: 'image/webp' }));
+          resolve(new Blob([arr], { type: mime }));
         } catch (err) {
           resolve(null);
         }
       }
     });
+    if (source !== canvasEl) {
+      try {
+        source.width = 0;
+        source.height = 0;
+      } catch (_) {}
+    }
 
     if (!blob) return null;
+    const actual = formatFromMime(blob.type) || requested;
+    if (actual.id !== requested.id) {
+      Logger.warn('TileFlatten.encode.formatUnsupported', { requested: requested.id, actual: actual.id });
+      if (!this._formatFallbackWarned) this._formatFallbackWarned = new Set();
+      if (!this._formatFallbackWarned.has(requested.id)) {
+        this._formatFallbackWarned.add(requested.id);
+        ui?.notifications?.warn?.(`This browser cannot encode ${requested.label}; images were saved as ${actual.label} instead.`);
+      }
+    }
+    return { blob, format: actual };
+  }
+
+  /** Copy a canvas onto the scene background colour for formats without alpha (JPEG) */
+  _composeOpaqueCanvas(canvasEl) {
+    const out = document.createElement('canvas');
+    out.width = canvasEl.width;
+    out.height = canvasEl.height;
+    const ctx = out.getContext('2d');
+    let fill = '#000000';
+    try {
+      const color = canvas?.scene?.backgroundColor;
+      if (color) fill = String(color.css ?? color);
+    } catch (_) {}
+    ctx.fillStyle = fill;
+    ctx.fillRect(0, 0, out.width, out.height);
+    ctx.drawImage(canvasEl, 0, 0);
+    return out;
+  }
+
+  async _saveCanvasImage(canvasEl, quality, options = {}) {
+    const encoded = await this._encodeCanvas(canvasEl, options.format, quality);
+    if (!encoded) return null;
+    const { blob, format } = encoded;
 
     const baseName = options.baseName || this._buildFlattenFilenameBase();
-    let filename = options.filename || `${baseName}.webp`;
-    if (!String(filename).toLowerCase().endsWith('.webp')) {
-      filename = `${filename}.webp`;
-    }
-    const file = new File([blob], filename, { type: 'image/webp' });
+    const filename = withFormatExtension(options.filename || baseName, format);
+    return this._uploadImageBlob(blob, filename, { uploadContext: options.uploadContext, mime: format.mime });
+  }
+
+  /**
+   * Upload an encoded image into the FA Nexus assets folder and return a path usable as a texture src.
+   * @param {Blob} blob
+   * @param {string} filename
+   * @param {{uploadContext?: object, mime?: string}} [options]
+   * @returns {Promise<string>}
+   */
+  async _uploadImageBlob(blob, filename, options = {}) {
+    const file = new File([blob], filename, { type: options.mime || blob.type });
 
     const uploadContext = options.uploadContext || await this._resolveFlattenUploadContext();
     const source = uploadContext?.source || 'data';
@@ -3155,6 +3534,7 @@ export class TileFlattenManager {
       pixelHeight,
       ppi,
       quality,
+      format,
       paddingSnap,
       paddingExtra,
       resolution,
@@ -3233,6 +3613,7 @@ export class TileFlattenManager {
       pixelHeight: Number(pixelHeight) || null,
       ppi,
       quality,
+      format: format || 'webp',
       paddingSnap: this._normalizePaddingSnap(paddingSnap),
       paddingExtra: Number.isFinite(Number(paddingExtra)) ? Number(paddingExtra) : 0,
       resolution,
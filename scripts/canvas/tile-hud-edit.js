@@ -1,5 +1,6 @@
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
 import { TileFlattenManager } from './tile-flatten-manager.js';
+import { nexusCollaboration } from '../core/collaboration-service.js';
 
 const BUTTON_ACTION = 'fa-nexus-edit';
 const FLATTEN_ACTION = 'fa-nexus-flatten';
@@ -52,7 +53,7 @@ function resolveHudElement(hud, payload) {
   return null;
 }
 
-function ensureButton(root, mode) {
+function ensureButton(root, mode, lock = null) {
   if (!root) return null;
   const column = root.querySelector('.col.right');
   if (!column) return null;
@@ -65,13 +66,15 @@ function ensureButton(root, mode) {
     button.innerHTML = '<i class="fas fa-pen"></i>';
     column.appendChild(button);
   }
-  const label = mode === 'paths'
+  const baseLabel = mode === 'paths'
     ? 'Edit Path in FA Nexus'
     : mode === 'buildings'
       ? 'Edit Building in FA Nexus'
     : mode === 'textures'
       ? 'Edit Mask in FA Nexus'
       : 'Edit Asset in FA Nexus';
+  const label = lock ? `${baseLabel} (being edited by ${lock.userName})` : baseLabel;
+  button.classList.toggle('fa-nexus-edit-locked', !!lock);
   button.dataset.mode = mode;
   button.dataset.tooltip = label;
   button.setAttribute('aria-label', label);
@@ -231,8 +234,35 @@ function isPathV2Tile(doc) {
   return false;
 }
 
+/**
+ * Ask before opening a tile another GM is currently editing.
+ * @param {TileDocument} doc
+ * @returns {Promise<boolean>} True when editing may proceed
+ */
+async function confirmEditDespiteLock(doc) {
+  const lock = nexusCollaboration.getRemoteLock(doc?.id);
+  if (!lock) return true;
+  try {
+    const DialogV2 = foundry?.applications?.api?.DialogV2;
+    if (!DialogV2?.confirm) return true;
+    const result = await DialogV2.confirm({
+      window: { title: 'Tile Being Edited' },
+      modal: true,
+      content: `<p>${Handlebars.escapeExpression(lock.userName)} is editing this tile right now. Changes made at the same time may overwrite each other. Edit anyway?</p>`,
+      yes: { label: 'Edit Anyway', icon: 'fas fa-pen' },
+      no: { label: 'Cancel' },
+      defaultYes: false
+    });
+    return !!result;
+  } catch (error) {
+    Logger.warn('TileHud.lockConfirm.failed', { error: String(error?.message || error) });
+    return false;
+  }
+}
+
 async function launchEditor(doc, mode) {
   if (!doc) throw new Error('Tile document not available');
+  if (!(await confirmEditDespiteLock(doc))) return;
   const pointerPayload = buildPointerPayload(doc) || {};
   const appFactory = window.faNexus?.open;
   if (typeof appFactory !== 'function') throw new Error('FA Nexus open helper missing');
@@ -362,7 +392,7 @@ Hooks.on('renderTileHUD', (hud, html) => {
       if (existing) existing.remove();
       return;
     }
-    const button = ensureButton(root, mode);
+    const button = ensureButton(root, mode, nexusCollaboration.getRemoteLock(doc?.id));
     if (!button) return;
     if (button._faNexusHandler) {
       button.removeEventListener('click', button._faNexusHandler);
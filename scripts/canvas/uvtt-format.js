@@ -0,0 +1,248 @@
+// Universal VTT (.dd2vtt / .uvtt) conversion helpers.
+// UVTT coordinates are in grid squares from the image's top-left corner
+// (offset by `resolution.map_origin`); colours are ARGB hex without '#'.
+
+export const UVTT_FORMAT_VERSION = 0.3;
+
+const DOOR_TYPE_NONE = 0;
+const DOOR_TYPE_SECRET = 2;
+const DOOR_STATE_OPEN = 1;
+const SENSE_NONE = 0;
+
+function round(value) {
+  return Math.round(Number(value) * 10000) / 10000;
+}
+
+function wallCoords(doc) {
+  const c = doc?.c || doc?._source?.c;
+  if (!Array.isArray(c) || c.length < 4) return null;
+  const coords = c.slice(0, 4).map(Number);
+  return coords.every(Number.isFinite) ? coords : null;
+}
+
+/**
+ * Convert a Foundry colour (Color, number or '#rrggbb') into UVTT ARGB hex.
+ * @param {*} color
+ * @param {string} [fallback='ffffffff']
+ * @returns {string}
+ */
+export function colorToArgb(color, fallback = 'ffffffff') {
+  if (color === null || color === undefined || color === '') return fallback;
+  let hex = null;
+  try {
+    if (typeof color === 'number' || color instanceof Number) hex = Number(color).toString(16).padStart(6, '0');
+    else hex = String(color?.css ?? color).replace(/^#/, '');
+  } catch (_) {
+    return fallback;
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) return fallback;
+  return `ff${hex.toLowerCase()}`;
+}
+
+/**
+ * Join wall segments that share endpoints into polylines so the UVTT file stays compact.
+ * @param {Array<[number,number,number,number]>} segments
+ * @returns {Array<Array<{x:number,y:number}>>}
+ */
+export function chainWallSegments(segments) {
+  const key = (x, y) => `${round(x)},${round(y)}`;
+  const lines = [];
+  for (const [x1, y1, x2, y2] of segments) {
+    const last = lines[lines.length - 1];
+    const tail = last?.[last.length - 1];
+    if (tail && key(tail.x, tail.y) === key(x1, y1)) {
+      last.push({ x: x2, y: y2 });
+    } else {
+      lines.push([{ x: x1, y: y1 }, { x: x2, y: y2 }]);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Build a UVTT document for the current scene.
+ * Sight-blocking walls become `line_of_sight`; regular doors (including building-tool
+ * door portals) become `portals`. Secret doors stay walls so they are not revealed.
+ * Walls that do not block sight (e.g. building-tool windows) have no UVTT equivalent
+ * and are skipped.
+ * @param {Scene} scene
+ * @param {object} options
+ * @param {{x:number,y:number,width:number,height:number}} options.bounds - Scene-space area covered by the image
+ * @param {number} options.pixelsPerGrid
+ * @param {string} options.image - Base64 image payload (no data: prefix)
+ * @returns {object}
+ */
+export function buildUvttDocument(scene, { bounds, pixelsPerGrid, image }) {
+  const gridSize = Math.max(1, Number(scene?.grid?.size) || 100);
+  const gridDistance = Math.max(0.0001, Number(scene?.grid?.distance) || 5);
+  const toGrid = (x, y) => ({
+    x: round((x - bounds.x) / gridSize),
+    y: round((y - bounds.y) / gridSize)
+  });
+
+  const segments = [];
+  const portals = [];
+  for (const doc of scene?.walls ?? []) {
+    const coords = wallCoords(doc);
+    if (!coords) continue;
+    const [x1, y1, x2, y2] = coords;
+    const doorType = Number(doc?.door ?? DOOR_TYPE_NONE);
+    if (doorType !== DOOR_TYPE_NONE && doorType !== DOOR_TYPE_SECRET) {
+      const a = toGrid(x1, y1);
+      const b = toGrid(x2, y2);
+      portals.push({
+        position: { x: round((a.x + b.x) / 2), y: round((a.y + b.y) / 2) },
+        bounds: [a, b],
+        rotation: round(Math.atan2(b.y - a.y, b.x - a.x)),
+        closed: Number(doc?.ds ?? 0) !== DOOR_STATE_OPEN,
+        freestanding: false
+      });
+      continue;
+    }
+    if (Number(doc?.sight ?? SENSE_NONE) === SENSE_NONE) continue;
+    const a = toGrid(x1, y1);
+    const b = toGrid(x2, y2);
+    segments.push([a.x, a.y, b.x, b.y]);
+  }
+
+  const lights = [];
+  for (const doc of scene?.lights ?? []) {
+    if (doc?.hidden) continue;
+    const config = doc?.config || {};
+    const radius = Math.max(Number(config.dim) || 0, Number(config.bright) || 0);
+    if (!(radius > 0)) continue;
+    lights.push({
+      position: toGrid(Number(doc.x) || 0, Number(doc.y) || 0),
+      range: round(radius / gridDistance),
+      intensity: 1,
+      color: colorToArgb(config.color),
+      shadows: doc?.walls !== false
+    });
+  }
+
+  const darkness = Number(scene?.environment?.darknessLevel ?? scene?.darkness ?? 0);
+  return {
+    format: UVTT_FORMAT_VERSION,
+    resolution: {
+      map_origin: { x: 0, y: 0 },
+      map_size: { x: round(bounds.width / gridSize), y: round(bounds.height / gridSize) },
+      pixels_per_grid: Math.round(pixelsPerGrid)
+    },
+    line_of_sight: chainWallSegments(segments),
+    objects_line_of_sight: [],
+    portals,
+    environment: {
+      baked_lighting: false,
+      ambient_light: darkness > 0.5 ? 'ff202020' : 'ffffffff'
+    },
+    lights,
+    image
+  };
+}
+
+/**
+ * Read a Blob as a base64 string without the data URL prefix.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || '').replace(/^data:[^,]*,/, ''));
+    reader.onerror = () => reject(reader.error || new Error('Failed to read image'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+const IMAGE_SIGNATURES = [
+  { mime: 'image/png', extension: 'png', test: (b) => b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47 },
+  { mime: 'image/jpeg', extension: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 },
+  { mime: 'image/webp', extension: 'webp', test: (b) => b[8] === 0x57 && b[9] === 0x45 && b[10] === 0x42 && b[11] === 0x50 },
+  { mime: 'image/avif', extension: 'avif', test: (b) => String.fromCharCode(...b.slice(4, 12)) === 'ftypavif' }
+];
+
+/**
+ * Decode the embedded base64 image of a UVTT file, sniffing its real type.
+ * @param {string} image
+ * @returns {Promise<{blob: Blob, mime: string, extension: string}>}
+ */
+export async function decodeUvttImage(image) {
+  const payload = String(image || '').replace(/^data:[^,]*,/, '').replace(/\s+/g, '');
+  if (!payload) throw new Error('The Universal VTT file has no embedded image');
+  const raw = await (await fetch(`data:application/octet-stream;base64,${payload}`)).blob();
+  const head = new Uint8Array(await raw.slice(0, 12).arrayBuffer());
+  const match = IMAGE_SIGNATURES.find((sig) => sig.test(head)) || IMAGE_SIGNATURES[0];
+  return { blob: new Blob([raw], { type: match.mime }), mime: match.mime, extension: match.extension };
+}
+
+/**
+ * Validate a parsed UVTT document and convert its geometry to image pixels.
+ * Wall and door coordinates are returned as `[x1, y1, x2, y2]` relative to the image's top-left corner.
+ * @param {object} data - Parsed `.dd2vtt` / `.uvtt` JSON
+ * @returns {{pixelsPerGrid:number, width:number, height:number, walls:Array<number[]>,
+ *   doors:Array<{c:number[], closed:boolean}>, lights:Array<{x:number,y:number,range:number,color:string|null,walls:boolean}>}}
+ */
+export function parseUvttDocument(data) {
+  const resolution = data?.resolution;
+  const pixelsPerGrid = Number(resolution?.pixels_per_grid);
+  const sizeX = Number(resolution?.map_size?.x);
+  const sizeY = Number(resolution?.map_size?.y);
+  if (!(pixelsPerGrid > 0) || !(sizeX > 0) || !(sizeY > 0)) {
+    throw new Error('Not a Universal VTT file (missing resolution)');
+  }
+  const originX = Number(resolution?.map_origin?.x) || 0;
+  const originY = Number(resolution?.map_origin?.y) || 0;
+  const toPixels = (point) => {
+    const x = Number(point?.x);
+    const y = Number(point?.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+    return [Math.round((x - originX) * pixelsPerGrid), Math.round((y - originY) * pixelsPerGrid)];
+  };
+
+  const walls = [];
+  const lines = [
+    ...(Array.isArray(data.line_of_sight) ? data.line_of_sight : []),
+    ...(Array.isArray(data.objects_line_of_sight) ? data.objects_line_of_sight : [])
+  ];
+  for (const line of lines) {
+    const points = (Array.isArray(line) ? line : []).map(toPixels).filter(Boolean);
+    for (let i = 1; i < points.length; i += 1) {
+      const [x1, y1] = points[i - 1];
+      const [x2, y2] = points[i];
+      if (x1 === x2 && y1 === y2) continue;
+      walls.push([x1, y1, x2, y2]);
+    }
+  }
+
+  const doors = [];
+  for (const portal of Array.isArray(data.portals) ? data.portals : []) {
+    const [a, b] = (Array.isArray(portal?.bounds) ? portal.bounds : []).map(toPixels);
+    if (!a || !b || (a[0] === b[0] && a[1] === b[1])) continue;
+    doors.push({ c: [...a, ...b], closed: portal.closed !== false });
+  }
+
+  const lights = [];
+  for (const light of Array.isArray(data.lights) ? data.lights : []) {
+    const position = toPixels(light?.position);
+    const range = Number(light?.range);
+    if (!position || !(range > 0)) continue;
+    const argb = String(light?.color || '').replace(/^#/, '');
+    const rgb = /^[0-9a-f]{8}$/i.test(argb) ? argb.slice(2) : (/^[0-9a-f]{6}$/i.test(argb) ? argb : null);
+    lights.push({
+      x: position[0],
+      y: position[1],
+      range,
+      color: rgb && rgb.toLowerCase() !== 'ffffff' ? `#${rgb.toLowerCase()}` : null,
+      walls: light?.shadows !== false
+    });
+  }
+
+  return {
+    pixelsPerGrid,
+    width: Math.round(sizeX * pixelsPerGrid),
+    height: Math.round(sizeY * pixelsPerGrid),
+    walls,
+    doors,
+    lights
+  };
+}
@@ -0,0 +1,129 @@
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { TileFlattenManager } from './tile-flatten-manager.js';
+import { importUniversalVtt } from './uvtt-import.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * UvttImportDialog
+ * Settings menu for turning Universal VTT (.dd2vtt) maps into scenes with walls, doors and lights.
+ */
+export class UvttImportDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'fa-nexus-uvtt-import',
+    tag: 'form',
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: false,
+      title: 'Import Universal VTT Map'
+    },
+    position: { width: 460, height: 'auto' }
+  };
+
+  static PARTS = {
+    form: { template: 'modules/fa-nexus/templates/canvas/uvtt-import-dialog.hbs' }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this._busy = false;
+    this._status = '';
+  }
+
+  _readPersistedOptions() {
+    try {
+      const stored = game?.settings?.get?.('fa-nexus', 'uvttImportOptions');
+      if (stored && typeof stored === 'object') return stored;
+    } catch (_) {}
+    return {};
+  }
+
+  async _prepareContext() {
+    const stored = this._readPersistedOptions();
+    const selectedAnimation = stored.doorAnimation || 'swing';
+    const animationTypes = Object.entries(CONFIG?.Wall?.animationTypes || {}).map(([id, config]) => ({
+      id,
+      label: game.i18n.localize(config?.label || id),
+      selected: id === selectedAnimation
+    }));
+    return {
+      imageIsTile: stored.imageMode === 'tile',
+      doorTexture: stored.doorTexture || '',
+      animationTypes,
+      doorShadows: stored.doorShadows !== false,
+      activate: !!stored.activate,
+      busy: this._busy,
+      status: this._status
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const root = this.element;
+    if (!root) return;
+    root.addEventListener('submit', (event) => event.preventDefault());
+    root.querySelector('[data-action="pick-door-texture"]')?.addEventListener('click', () => this._pickDoorTexture());
+    root.querySelector('[data-action="import"]')?.addEventListener('click', () => this._handleImport());
+  }
+
+  _pickDoorTexture() {
+    const input = this.element?.querySelector('[data-door-texture]');
+    const FP = foundry.applications.apps.FilePicker.implementation;
+    new FP({
+      type: 'image',
+      current: input?.value || '',
+      callback: (path) => {
+        if (input) input.value = path;
+      }
+    }).render(true);
+  }
+
+  _setStatus(text) {
+    this._status = text;
+    const el = this.element?.querySelector('[data-status]');
+    if (el) el.textContent = text;
+  }
+
+  async _handleImport() {
+    if (this._busy) return;
+    const root = this.element;
+    const file = root?.querySelector('[data-import-file]')?.files?.[0];
+    if (!file) {
+      ui.notifications?.warn?.('Choose a Universal VTT file (.dd2vtt, .df2vtt or .uvtt) to import.');
+      return;
+    }
+    const options = {
+      imageMode: root.querySelector('input[name="uvtt-image-mode"]:checked')?.value === 'tile' ? 'tile' : 'background',
+      doorTexture: String(root.querySelector('[data-door-texture]')?.value || '').trim(),
+      doorAnimation: root.querySelector('[data-door-animation]')?.value || 'swing',
+      doorShadows: !!root.querySelector('[data-door-shadows]')?.checked,
+      activate: !!root.querySelector('[data-activate]')?.checked
+    };
+    const name = String(root.querySelector('[data-scene-name]')?.value || '').trim();
+    try {
+      await game.settings.set('fa-nexus', 'uvttImportOptions', options);
+    } catch (_) {}
+
+    this._busy = true;
+    await this.render();
+    try {
+      const scene = await importUniversalVtt(file, {
+        ...options,
+        name,
+        manager: new TileFlattenManager(),
+        onProgress: (status) => this._setStatus(status)
+      });
+      ui.notifications?.info?.(`FA Nexus: Imported "${scene.name}".`);
+      this._busy = false;
+      this.close();
+      return;
+    } catch (error) {
+      Logger.error('UvttImport.failed', error);
+      this._status = `Failed: ${error?.message || error}`;
+      ui.notifications?.error?.(`FA Nexus: ${error?.message || error}`);
+    }
+    this._busy = false;
+    this.render();
+  }
+}
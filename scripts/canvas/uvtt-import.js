@@ -0,0 +1,157 @@
+// Universal VTT (.dd2vtt / .uvtt) import — builds a Foundry scene with walls, doors and lights
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { decodeUvttImage, parseUvttDocument } from './uvtt-format.js';
+
+// Foundry rejects grid sizes below this, so low-resolution maps are scaled up
+const MIN_GRID_SIZE = 50;
+
+function sceneNameFromFile(file) {
+  return String(file?.name || 'Imported Map').replace(/\.(dd2vtt|df2vtt|uvtt|json)$/i, '').trim() || 'Imported Map';
+}
+
+function slugify(value) {
+  return String(value || 'map').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'map';
+}
+
+/**
+ * Create a scene from a Universal VTT file.
+ * Doors are flagged as FA Nexus building doors so `DoorShadowManager` gives them drop
+ * shadows once a door texture animates them.
+ * @param {File|Blob} file - `.dd2vtt`, `.df2vtt` or `.uvtt` file
+ * @param {object} options
+ * @param {import('./tile-flatten-manager.js').TileFlattenManager} options.manager - Used to upload the map image
+ * @param {string} [options.name] - Scene name (defaults to the file name)
+ * @param {'background'|'tile'} [options.imageMode='background'] - Use the image as scene background or as a locked tile
+ * @param {string} [options.doorTexture] - Door texture for animated doors
+ * @param {string} [options.doorAnimation='swing'] - Foundry door animation type
+ * @param {boolean} [options.doorShadows=true]
+ * @param {boolean} [options.activate=false] - Activate the scene for all players instead of just viewing it
+ * @param {(status:string)=>void} [options.onProgress]
+ * @returns {Promise<Scene>}
+ */
+export async function importUniversalVtt(file, {
+  manager,
+  name,
+  imageMode = 'background',
+  doorTexture = '',
+  doorAnimation = 'swing',
+  doorShadows = true,
+  activate = false,
+  onProgress
+} = {}) {
+  if (!manager) throw new Error('Tile manager unavailable');
+  const progress = (status) => {
+    try { onProgress?.(status); } catch (_) {}
+  };
+
+  progress('Reading file...');
+  let data = null;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (_) {
+    throw new Error('Not a Universal VTT file (invalid JSON)');
+  }
+  const parsed = parseUvttDocument(data);
+  const sceneName = String(name || '').trim() || sceneNameFromFile(file);
+  const scale = parsed.pixelsPerGrid < MIN_GRID_SIZE ? MIN_GRID_SIZE / parsed.pixelsPerGrid : 1;
+  const gridSize = Math.round(parsed.pixelsPerGrid * scale);
+  const width = Math.round(parsed.width * scale);
+  const height = Math.round(parsed.height * scale);
+
+  progress('Uploading map image...');
+  const image = await decodeUvttImage(data.image);
+  const uploadContext = await manager._resolveFlattenUploadContext('imports');
+  const timestamp = new Date().toISOString().replace(/[-:TZ.]/g, '').slice(0, 14);
+  const src = await manager._uploadImageBlob(image.blob, `${slugify(sceneName)}-${timestamp}.${image.extension}`, {
+    uploadContext,
+    mime: image.mime
+  });
+
+  progress('Creating scene...');
+  const useBackground = imageMode !== 'tile';
+  const scene = await Scene.create({
+    name: sceneName,
+    width,
+    height,
+    background: useBackground ? { src } : {},
+    grid: { size: gridSize, type: CONST.GRID_TYPES.SQUARE },
+    tokenVision: true,
+    flags: { 'fa-nexus': { uvttImport: { file: file?.name || null, importedAt: Date.now(), format: data.format ?? null } } }
+  });
+  if (!scene) throw new Error('Scene creation was cancelled');
+
+  const offsetX = Number(scene.dimensions?.sceneX) || 0;
+  const offsetY = Number(scene.dimensions?.sceneY) || 0;
+  const place = ([x1, y1, x2, y2]) => [
+    Math.round(x1 * scale) + offsetX,
+    Math.round(y1 * scale) + offsetY,
+    Math.round(x2 * scale) + offsetX,
+    Math.round(y2 * scale) + offsetY
+  ];
+
+  if (!useBackground) {
+    await scene.createEmbeddedDocuments('Tile', [{
+      texture: { src },
+      x: offsetX,
+      y: offsetY,
+      width,
+      height,
+      elevation: 0,
+      locked: true,
+      flags: { 'fa-nexus': { uvttImport: true } }
+    }]);
+  }
+
+  progress(`Creating ${parsed.walls.length} walls and ${parsed.doors.length} doors...`);
+  const walls = parsed.walls.map((c) => ({ c: place(c) }));
+  const texture = String(doorTexture || '').trim();
+  const doors = parsed.doors.map((door) => ({
+    c: place(door.c),
+    door: CONST.WALL_DOOR_TYPES.DOOR,
+    ds: door.closed ? CONST.WALL_DOOR_STATES.CLOSED : CONST.WALL_DOOR_STATES.OPEN,
+    ...(texture ? { animation: { type: doorAnimation || 'swing', texture } } : {}),
+    flags: {
+      'fa-nexus': {
+        buildingDoor: { source: 'uvtt' },
+        doorShadow: { enabled: !!doorShadows }
+      }
+    }
+  }));
+  if (walls.length || doors.length) {
+    await scene.createEmbeddedDocuments('Wall', [...walls, ...doors]);
+  }
+
+  const gridDistance = Number(scene.grid?.distance) || 5;
+  const lights = parsed.lights.map((light) => ({
+    x: Math.round(light.x * scale) + offsetX,
+    y: Math.round(light.y * scale) + offsetY,
+    walls: light.walls,
+    config: {
+      dim: light.range * gridDistance,
+      bright: (light.range * gridDistance) / 2,
+      color: light.color,
+      alpha: 0.5
+    }
+  }));
+  if (lights.length) await scene.createEmbeddedDocuments('AmbientLight', lights);
+
+  progress('Opening scene...');
+  if (activate) await scene.activate();
+  else await scene.view();
+  try {
+    const thumb = await scene.createThumbnail();
+    if (thumb?.thumb) await scene.update({ thumb: thumb.thumb });
+  } catch (error) {
+    Logger.debug?.('UvttImport.thumbnail.failed', { error: String(error?.message || error) });
+  }
+
+  Logger.info('UvttImport.done', {
+    scene: scene.id,
+    walls: walls.length,
+    doors: doors.length,
+    lights: lights.length,
+    imageMode: useBackground ? 'background' : 'tile',
+    scale
+  });
+  return scene;
+}
@@ -3,7 +3,8 @@ import { NexusLogger as Logger } from '../core/nexus-logger.js';
 export class NexusIndexDB {
   /**
    * IndexedDB wrapper for caching large, folder-scoped indexes.
-   * Provides both legacy single-record and chunked multi-record storage.
+   * Provides both legacy single-record and chunked multi-record storage, plus the
+   * visual signatures used by "Find similar".
    * @param {string} [dbName='fa-nexus-index']
    */
   constructor(dbName = 'fa-nexus-index') {
@@ -21,7 +22,7 @@ export class NexusIndexDB {
   async _open() {
     if (this.db) return this.db;
     return new Promise((resolve, reject) => {
-      const req = indexedDB.open(this.dbName, 2);
+      const req = indexedDB.open(this.dbName, 3);
       req.onupgradeneeded = () => {
         const db = req.result;
         // Legacy single-record store
@@ -37,6 +38,10 @@ export class NexusIndexDB {
           s2.createIndex('folder', 'folder', { unique: false });
           s2.createIndex('tf', ['type', 'folder'], { unique: false });
         }
+        // Perceptual hashes and dominant colours keyed by `<source>:<file path>`
+        if (!db.objectStoreNames.contains('visual')) {
+          db.createObjectStore('visual', { keyPath: 'key' });
+        }
       };
       req.onsuccess = () => resolve((this.db = req.result));
       req.onerror = () => reject(req.error);
@@ -254,4 +259,45 @@ export class NexusIndexDB {
       return true;
     } catch (_) { return false; }
   }
+
+  /**
+   * Load every cached visual signature
+   * @returns {Promise<Array<{key:string,hash:string,colors:Array,version:number}>>}
+   */
+  async loadVisualSignatures() {
+    try {
+      const db = await this._open();
+      const records = await new Promise((resolve, reject) => {
+        const tx = db.transaction('visual', 'readonly');
+        const req = tx.objectStore('visual').getAll();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+      });
+      Logger.info('IndexDB.visual:load', { count: records.length });
+      return records;
+    } catch (_) { return []; }
+  }
+
+  /**
+   * Store or replace visual signatures
+   * @param {Array<{key:string,hash:string,colors:Array,version:number}>} records
+   * @returns {Promise<boolean>}
+   */
+  async saveVisualSignatures(records) {
+    try {
+      const recs = Array.isArray(records) ? records : [];
+      if (!recs.length) return true;
+      const db = await this._open();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction('visual', 'readwrite');
+        const store = tx.objectStore('visual');
+        for (const record of recs) store.put(record);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+      Logger.info('IndexDB.visual:save', { count: recs.length });
+      return true;
+    } catch (_) { return false; }
+  }
 }
@@ -2,6 +2,7 @@
 // Stores: items_<kind> (key: file_path), meta_<kind> (single key 'meta')
 
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { SearchIndexClient } from '../core/search/search-index-client.js';
 
 function abortError() {
   return new DOMException('Operation aborted', 'AbortError');
@@ -248,17 +249,23 @@ export class CloudDB {
         if (!op || typeof op !== 'object') { resolve(false); return; }
         if (op.op === 'add' || op.op === 'up') {
           const req = items.put(op.item);
-          req.onsuccess = () => resolve(true);
+          req.onsuccess = () => { this._indexDelta(kind, op); resolve(true); };
           req.onerror = () => reject(req.error);
         } else if (op.op === 'del') {
           const req = items.delete(op.file_path);
-          req.onsuccess = () => resolve(true);
+          req.onsuccess = () => { this._indexDelta(kind, op); resolve(true); };
           req.onerror = () => reject(req.error);
         } else resolve(false);
       } catch (e) { reject(e); }
     });
   }
 
+  /** Keep the persistent search index in step with an applied delta */
+  _indexDelta(kind, op) {
+    try { SearchIndexClient.getInstance().applyDelta(kind, op); }
+    catch (e) { Logger.warn('CloudDB.applyDelta.searchIndex', { kind, error: String(e?.message || e) }); }
+  }
+
   /**
    * Rebuild chunked store from per-item store (used if chunks missing)
    * @param {'tokens'|'assets'} kind
@@ -347,6 +354,25 @@ export class CloudDB {
     return meta?.latest || null;
   }
 
+  /**
+   * Read a single item by its file_path key
+   * @param {'tokens'|'assets'} kind
+   * @param {string} filePath
+   * @returns {Promise<object|null>}
+   */
+  async get(kind, filePath) {
+    if (!filePath) return null;
+    const db = await this._open();
+    const s = db.transaction([`items_${kind}`], 'readonly').objectStore(`items_${kind}`);
+    return new Promise((resolve) => {
+      try {
+        const req = s.get(String(filePath));
+        req.onsuccess = () => resolve(req.result || null);
+        req.onerror = () => resolve(null);
+      } catch (_) { resolve(null); }
+    });
+  }
+
   /**
    * Count items stored for a kind
    * @param {'tokens'|'assets'} kind
@@ -2,6 +2,7 @@ const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 import { NexusLogger as Logger } from '../../core/nexus-logger.js';
 import { forgeIntegration } from '../../core/forge-integration.js';
 import { ContentSourcesIndexer } from './content-sources-indexer.js';
+import { DuplicateReportDialog } from '../duplicate-report-dialog.js';
 import {
   normalizeContentSourcePath,
   contentSourceKey,
@@ -278,6 +279,16 @@ export class BaseContentSourcesDialog extends HandlebarsApplicationMixin(Applica
         this._handlers.clears[idx] = onClearCacheClick;
         btn.addEventListener('click', onClearCacheClick);
       });
+      const findDuplicates = root.querySelector('#fa-nexus-find-duplicates-btn');
+      if (findDuplicates) {
+        this._handlers.findDuplicates = (ev) => {
+          ev.preventDefault(); ev.stopPropagation();
+          const open = foundry.applications.instances.get(`fa-nexus-duplicate-report-${this._cacheType}`);
+          if (open) { open.bringToFront(); return; }
+          new DuplicateReportDialog({ kind: this._cacheType, settingsKey: this._settingsKey, cloudSetting: this._cloudEnabledSetting }).render(true);
+        };
+        findDuplicates.addEventListener('click', this._handlers.findDuplicates);
+      }
       const clearAll = root.querySelector('#fa-nexus-clear-all-cache-btn');
       if (clearAll) {
         this._handlers.clearAll = async (ev) => {
@@ -353,6 +364,7 @@ export class BaseContentSourcesDialog extends HandlebarsApplicationMixin(Applica
     root.querySelectorAll('.fa-nexus-edit-folder-btn').forEach((el, idx) => { try { el.removeEventListener('click', this._handlers.edits?.[idx]); } catch(_) {} });
     if (this._cacheType) {
       root.querySelectorAll('.fa-nexus-clear-cache-btn').forEach((el, idx) => { try { el.removeEventListener('click', this._handlers.clears?.[idx]); } catch(_) {} });
+      try { root.querySelector('#fa-nexus-find-duplicates-btn')?.removeEventListener('click', this._handlers.findDuplicates); } catch(_) {}
       try { root.querySelector('#fa-nexus-clear-all-cache-btn')?.removeEventListener('click', this._handlers.clearAll); } catch(_) {}
       try { root.querySelector('#fa-nexus-clear-orphan-cache-btn')?.removeEventListener('click', this._handlers.clearOrphan); } catch(_) {}
       root.querySelectorAll('[data-action="clear-orphan-cache"]').forEach((el, idx) => { try { el.removeEventListener('click', this._handlers.orphanClears?.[idx]); } catch(_) {} });
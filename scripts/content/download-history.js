@@ -0,0 +1,76 @@
+// When cloud files were downloaded, for the "Recently downloaded" sort
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+
+const MODULE_ID = 'fa-nexus';
+// Per client, like the download inventory the times belong to
+const SETTING_KEY = 'downloadHistory';
+// Newest downloads kept per content kind
+const MAX_ENTRIES = 2000;
+// Batch downloads finish in bursts; write the setting once they pause
+const SAVE_DELAY_MS = 1500;
+
+let _history = null;
+let _saveTimer = null;
+
+/**
+ * Key of a downloaded file: its cloud-relative path, lowercased.
+ * @param {object|string} itemOrPath - Cloud record (`file_path`, or `path` + `filename`) or a relative path
+ * @returns {string}
+ */
+export function downloadHistoryKey(itemOrPath) {
+  const raw = typeof itemOrPath === 'string'
+    ? itemOrPath
+    : String(itemOrPath?.file_path || [itemOrPath?.path, itemOrPath?.filename].filter(Boolean).join('/') || '');
+  return raw.replace(/\\/g, '/').replace(/^\/+/, '').toLowerCase();
+}
+
+function load() {
+  if (_history) return _history;
+  let stored = {};
+  try { stored = game.settings.get(MODULE_ID, SETTING_KEY) || {}; }
+  catch (_) { stored = {}; }
+  _history = {};
+  for (const [kind, entries] of Object.entries(stored && typeof stored === 'object' ? stored : {})) {
+    _history[kind] = new Map(Object.entries(entries || {}).filter(([, at]) => Number.isFinite(at)));
+  }
+  return _history;
+}
+
+function scheduleSave() {
+  if (_saveTimer) clearTimeout(_saveTimer);
+  _saveTimer = setTimeout(() => {
+    _saveTimer = null;
+    const out = {};
+    for (const [kind, entries] of Object.entries(load())) out[kind] = Object.fromEntries(entries);
+    game.settings.set(MODULE_ID, SETTING_KEY, out).catch?.((error) => {
+      Logger.warn('DownloadHistory.save.failed', { error: String(error?.message || error) });
+    });
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * Remember that a cloud file was just downloaded.
+ * @param {'tokens'|'assets'} kind
+ * @param {object|string} itemOrPath
+ */
+export function recordDownload(kind, itemOrPath) {
+  const key = downloadHistoryKey(itemOrPath);
+  if (!kind || !key) return;
+  const history = load();
+  const entries = history[kind] || (history[kind] = new Map());
+  // Re-inserting keeps the Map in download order, oldest first
+  entries.delete(key);
+  entries.set(key, Date.now());
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  scheduleSave();
+}
+
+/**
+ * When an item was downloaded, if that was recorded.
+ * @param {'tokens'|'assets'} kind
+ * @param {object} item
+ * @returns {number} Epoch milliseconds; 0 when unknown
+ */
+export function downloadedAt(kind, item) {
+  return load()[kind]?.get(downloadHistoryKey(item)) || 0;
+}
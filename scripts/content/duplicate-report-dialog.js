@@ -0,0 +1,264 @@
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { NexusIndexDB } from './cache-index.js';
+import { NexusContentService, getEnabledFolders } from './nexus-content-service.js';
+import { NexusDownloadManager } from './nexus-download-manager.js';
+import {
+  buildDuplicateReport,
+  duplicateRecordKey,
+  listDuplicateResolutions,
+  setDuplicateResolution
+} from './duplicate-report.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const KIND_LABELS = { tokens: 'Tokens', assets: 'Assets' };
+const ACTION_LABELS = {
+  'hide-local': 'Local copy hidden',
+  'hide-cloud': 'Cloud copy hidden',
+  unify: 'Unified (local file)'
+};
+
+function formatSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * DuplicateReportDialog
+ * Lists local files that duplicate cloud items under another name or size, and lets the
+ * user hide either copy or unify them into one card that uses the local file.
+ */
+export class DuplicateReportDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    tag: 'form',
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: true,
+      title: 'Duplicate Report',
+      icon: 'fas fa-clone'
+    },
+    position: { width: 640, height: 620 },
+    classes: ['fa-nexus-duplicate-report']
+  };
+
+  static PARTS = {
+    form: { template: 'modules/fa-nexus/templates/duplicate-report-dialog.hbs' }
+  };
+
+  /**
+   * @param {object} options
+   * @param {'assets'|'tokens'} options.kind
+   * @param {string} options.settingsKey - Local folder list setting (`assetFolders` / `tokenFolders`)
+   * @param {string} [options.cloudSetting] - Setting that enables the cloud catalog for this kind
+   */
+  constructor(options = {}) {
+    const kind = options.kind === 'tokens' ? 'tokens' : 'assets';
+    super({ ...options, id: `fa-nexus-duplicate-report-${kind}`, window: { title: `Duplicate Report — ${KIND_LABELS[kind]}` } });
+    this._kind = kind;
+    this._settingsKey = options.settingsKey;
+    this._cloudSetting = options.cloudSetting || null;
+    this._groups = null;
+    this._busy = false;
+    this._status = '';
+    this._controller = null;
+  }
+
+  /** Reuse the open Nexus window's services so inventory and URL caches stay shared */
+  _getServices() {
+    const app = foundry?.applications?.instances?.get?.('fa-nexus-app') || null;
+    if (!this._contentService) {
+      const authProvider = (app && typeof app._getAuthService === 'function') ? () => app._getAuthService() : undefined;
+      this._contentService = app?._contentService || new NexusContentService({ app, authService: authProvider });
+    }
+    if (!this._downloadManager) {
+      this._downloadManager = app?._downloadManager || new NexusDownloadManager();
+    }
+    return { contentService: this._contentService, downloadManager: this._downloadManager };
+  }
+
+  _cloudEnabled() {
+    if (!this._cloudSetting) return true;
+    try { return game.settings.get('fa-nexus', this._cloudSetting) !== false; } catch (_) { return true; }
+  }
+
+  _describeRecord(record, sizes) {
+    const { contentService } = this._getServices();
+    const isCloud = String(record?.source || '').toLowerCase() === 'cloud';
+    const path = String(record?.file_path || '');
+    const isVideo = /\.(webm|mp4)$/i.test(path);
+    let thumb = '';
+    if (!isVideo) {
+      if (isCloud) {
+        try { thumb = contentService.getThumbnailURL(this._kind, record) || ''; } catch (_) { thumb = ''; }
+      } else {
+        thumb = record?.thumbnail_url || path;
+      }
+    }
+    return {
+      name: record?.filename || path.split('/').pop() || path,
+      path,
+      thumb,
+      isCloud,
+      tier: isCloud ? String(record?.tier || '') : '',
+      size: formatSize(sizes?.[duplicateRecordKey(record)])
+    };
+  }
+
+  async _prepareContext() {
+    const resolutions = listDuplicateResolutions(this._kind);
+    const groups = (this._groups || []).map((group) => {
+      const action = resolutions[group.id]?.action || null;
+      return {
+        id: group.id,
+        label: group.label,
+        reason: group.reason,
+        local: group.local.map((record) => this._describeRecord(record, group.sizes)),
+        cloud: group.cloud.map((record) => this._describeRecord(record, group.sizes)),
+        action,
+        actionLabel: action ? ACTION_LABELS[action] : ''
+      };
+    });
+    const unresolved = groups.filter((group) => !group.action).length;
+    return {
+      kindLabel: KIND_LABELS[this._kind],
+      scanned: !!this._groups,
+      groups,
+      hasGroups: groups.length > 0,
+      unresolved,
+      resolvedCount: Object.keys(resolutions).length,
+      cloudEnabled: this._cloudEnabled(),
+      busy: this._busy,
+      status: this._status
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const root = this.element;
+    if (!root) return;
+    root.querySelector('[data-action="scan"]')?.addEventListener('click', () => this._handleScan());
+    root.querySelector('[data-action="cancel"]')?.addEventListener('click', () => this._controller?.abort());
+    root.querySelector('[data-action="apply-all"]')?.addEventListener('click', () => {
+      const action = root.querySelector('[data-bulk-action]')?.value || '';
+      this._handleBulk(action);
+    });
+    root.querySelector('[data-action="reset"]')?.addEventListener('click', () => this._handleReset());
+    root.querySelectorAll('[data-resolve]').forEach((button) => {
+      button.addEventListener('click', () => this._handleResolve(button.dataset.group, button.dataset.resolve));
+    });
+  }
+
+  _setStatus(text) {
+    this._status = text;
+    const el = this.element?.querySelector('[data-status]');
+    if (el) el.textContent = text;
+  }
+
+  async _loadLocalRecords(signal) {
+    const db = new NexusIndexDB('fa-nexus-index');
+    const records = [];
+    let missing = 0;
+    for (const folder of getEnabledFolders(this._settingsKey)) {
+      if (signal.aborted) throw new DOMException('Operation aborted', 'AbortError');
+      const cached = await db.load(this._kind, folder);
+      if (Array.isArray(cached) && cached.length) records.push(...cached);
+      else missing++;
+    }
+    return { records, missing };
+  }
+
+  async _handleScan() {
+    if (this._busy) return;
+    if (!this._cloudEnabled()) {
+      ui.notifications?.warn?.(`FA Nexus: Enable the cloud ${KIND_LABELS[this._kind].toLowerCase()} to compare your local folders with it.`);
+      return;
+    }
+    this._busy = true;
+    this._controller = new AbortController();
+    const { signal } = this._controller;
+    this._status = 'Reading local folder indexes…';
+    await this.render();
+    try {
+      const { records: local, missing } = await this._loadLocalRecords(signal);
+      this._setStatus('Reading the cloud catalog…');
+      const { contentService, downloadManager } = this._getServices();
+      const { items } = await contentService.list(this._kind);
+      this._setStatus('Checking downloaded cloud files…');
+      try { await downloadManager.scanAll?.(this._kind); } catch (_) {}
+      this._groups = await buildDuplicateReport({
+        kind: this._kind,
+        local,
+        cloud: Array.isArray(items) ? items : [],
+        downloadManager,
+        signal,
+        onProgress: ({ phase, count, total }) => {
+          if (phase === 'size') this._setStatus(`Checking local file sizes… ${count}/${total}`);
+          else if (phase === 'hash') this._setStatus(`Comparing file contents… ${count}/${total}`);
+          else this._setStatus('Comparing names…');
+        }
+      });
+      const note = missing ? ` ${missing} enabled folder(s) have no index yet and were skipped.` : '';
+      this._status = `${this._groups.length} duplicate group(s) in ${local.length} local file(s).${note}`;
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        this._status = 'Cancelled.';
+      } else {
+        Logger.error('Duplicates.scan.failed', error);
+        this._status = `Failed: ${error?.message || error}`;
+      }
+    } finally {
+      this._busy = false;
+      this._controller = null;
+      this.render();
+    }
+  }
+
+  async _applyResolution(groups, action) {
+    try {
+      await setDuplicateResolution(this._kind, groups, action);
+    } catch (error) {
+      Logger.warn('Duplicates.resolve.failed', { error: String(error?.message || error) });
+      ui.notifications?.error?.(`FA Nexus: ${error?.message || error}`);
+    }
+    this.render();
+  }
+
+  _handleResolve(groupId, action) {
+    const group = this._groups?.find((entry) => entry.id === groupId);
+    if (!group) return;
+    this._applyResolution(group, action === 'clear' ? null : action);
+  }
+
+  _handleBulk(action) {
+    if (!action || !this._groups?.length) return;
+    const resolutions = listDuplicateResolutions(this._kind);
+    const pending = this._groups.filter((group) => !resolutions[group.id]);
+    if (!pending.length) return;
+    this._applyResolution(pending, action);
+  }
+
+  async _handleReset() {
+    const count = Object.keys(listDuplicateResolutions(this._kind)).length;
+    if (!count) return;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Show All Duplicates Again' },
+      content: `<p>Forget ${count} duplicate choice(s) for ${KIND_LABELS[this._kind].toLowerCase()}? Hidden copies will show again.</p>`
+    });
+    if (!confirmed) return;
+    try {
+      const all = foundry.utils.deepClone(game.settings.get('fa-nexus', 'duplicateResolutions') || {});
+      delete all[this._kind];
+      await game.settings.set('fa-nexus', 'duplicateResolutions', all);
+    } catch (error) {
+      Logger.warn('Duplicates.reset.failed', { error: String(error?.message || error) });
+    }
+    this.render();
+  }
+
+  async close(options) {
+    try { this._controller?.abort(); } catch (_) {}
+    return super.close(options);
+  }
+}
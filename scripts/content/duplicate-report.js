@@ -0,0 +1,353 @@
+// Duplicate report — local files that are also in the FA cloud under another name or size
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { VisualSignatureStore } from '../core/visual/visual-signature-store.js';
+import { hammingDistance, visualDistance, visualSignatureKey } from '../core/visual/visual-signature.js';
+
+const MODULE_ID = 'fa-nexus';
+// Per client, like the local folder lists the resolutions refer to
+const SETTING_KEY = 'duplicateResolutions';
+export const DUPLICATE_ACTIONS = ['hide-local', 'hide-cloud', 'unify'];
+export const DUPLICATE_REASONS = {
+  hash: { rank: 4, label: 'Identical file' },
+  size: { rank: 3, label: 'Same file size' },
+  visual: { rank: 2, label: 'Looks the same' },
+  name: { rank: 1, label: 'Similar name' }
+};
+const HEAD_CONCURRENCY = 6;
+// Pairs whose file contents are compared; the rest keep their cheaper reason
+const HASH_LIMIT = 300;
+// Near-identical thumbnails only: a few differing hash bits and matching colours
+const VISUAL_MAX_BITS = 4;
+const VISUAL_MAX_DISTANCE = 0.05;
+
+function abortError() {
+  return new DOMException('Operation aborted', 'AbortError');
+}
+
+/**
+ * Identity of a record in stored resolutions and in `mergeLocalAndCloudRecords`.
+ * @param {object} record
+ * @returns {string}
+ */
+export function duplicateRecordKey(record) {
+  const path = String(record?.file_path || [record?.path, record?.filename].filter(Boolean).join('/'))
+    .replace(/\\/g, '/')
+    .replace(/^\/+/, '')
+    .toLowerCase();
+  if (!path) return '';
+  return `${String(record?.source || 'local').toLowerCase()}:${path}`;
+}
+
+function baseName(record) {
+  const raw = String(record?.filename || String(record?.file_path || '').split('/').pop() || '');
+  return raw.replace(/\.[^/.]+$/, '').toLowerCase();
+}
+
+function extensionOf(record) {
+  const match = String(record?.filename || record?.file_path || '').toLowerCase().match(/\.([^/.]+)$/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Name key that ignores case, separators and copy markers ("Rock (1)", "rock_copy", "Rock-A").
+ * @param {object} record
+ * @returns {string}
+ */
+export function looseDuplicateName(record) {
+  return baseName(record)
+    .replace(/\s*\(\d+\)$/, '')
+    .replace(/[\s_-]*copy(?:[\s_-]*\d+)?$/, '')
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+function readAll() {
+  try {
+    const stored = game.settings.get(MODULE_ID, SETTING_KEY);
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Stored resolutions of one content kind, by group id.
+ * @param {'assets'|'tokens'} kind
+ * @returns {Record<string, {action:string, local:Array<string>, cloud:Array<string>}>}
+ */
+export function listDuplicateResolutions(kind) {
+  const entries = readAll()[kind];
+  return entries && typeof entries === 'object' ? entries : {};
+}
+
+/**
+ * Resolutions in the form `mergeLocalAndCloudRecords` applies them.
+ * @param {'assets'|'tokens'} kind
+ * @returns {{hidden:Set<string>, unify:Map<string,string>}} Hidden record keys; cloud key -> local key it is folded into
+ */
+export function getDuplicateResolutions(kind) {
+  const hidden = new Set();
+  const unify = new Map();
+  for (const resolution of Object.values(listDuplicateResolutions(kind))) {
+    const local = Array.isArray(resolution?.local) ? resolution.local : [];
+    const cloud = Array.isArray(resolution?.cloud) ? resolution.cloud : [];
+    if (resolution?.action === 'hide-local') local.forEach((key) => hidden.add(key));
+    else if (resolution?.action === 'hide-cloud') cloud.forEach((key) => hidden.add(key));
+    else if (resolution?.action === 'unify' && local.length) cloud.forEach((key) => unify.set(key, local[0]));
+  }
+  return { hidden, unify };
+}
+
+/**
+ * Remember what to do with one or more duplicate groups; null clears their choice.
+ * @param {'assets'|'tokens'} kind
+ * @param {object|Array<object>} groups - From `buildDuplicateReport`
+ * @param {'hide-local'|'hide-cloud'|'unify'|null} action
+ */
+export async function setDuplicateResolution(kind, groups, action) {
+  const list = (Array.isArray(groups) ? groups : [groups]).filter((group) => group?.id);
+  if (!list.length) return;
+  const all = foundry.utils.deepClone(readAll());
+  const entries = { ...(all[kind] || {}) };
+  for (const group of list) {
+    if (action && DUPLICATE_ACTIONS.includes(action)) {
+      entries[group.id] = {
+        action,
+        local: group.local.map(duplicateRecordKey),
+        cloud: group.cloud.map(duplicateRecordKey),
+        resolvedAt: Date.now()
+      };
+    } else {
+      delete entries[group.id];
+    }
+  }
+  all[kind] = entries;
+  await game.settings.set(MODULE_ID, SETTING_KEY, all);
+  Logger.info('Duplicates.resolve', { kind, groups: list.length, action });
+}
+
+/** Union-find over record keys */
+class PairGroups {
+  constructor() {
+    this._parent = new Map();
+    this._reasons = new Map();
+  }
+
+  _find(key) {
+    let root = key;
+    while (this._parent.has(root) && this._parent.get(root) !== root) root = this._parent.get(root);
+    this._parent.set(key, root);
+    return root;
+  }
+
+  link(a, b, reason) {
+    if (!this._parent.has(a)) this._parent.set(a, a);
+    if (!this._parent.has(b)) this._parent.set(b, b);
+    const ra = this._find(a);
+    const rb = this._find(b);
+    const best = [this._reasons.get(ra), this._reasons.get(rb), reason]
+      .filter(Boolean)
+      .sort((x, y) => DUPLICATE_REASONS[y].rank - DUPLICATE_REASONS[x].rank)[0];
+    if (ra !== rb) {
+      this._parent.set(rb, ra);
+      this._reasons.delete(rb);
+    }
+    this._reasons.set(ra, best);
+  }
+
+  groups() {
+    const out = new Map();
+    for (const key of this._parent.keys()) {
+      const root = this._find(key);
+      if (!out.has(root)) out.set(root, { keys: [], reason: this._reasons.get(root) });
+      out.get(root).keys.push(key);
+    }
+    return Array.from(out.values());
+  }
+}
+
+function groupId(keys) {
+  const text = keys.slice().sort().join('\n');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+async function mapLimit(list, limit, task, signal) {
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      if (signal?.aborted) throw abortError();
+      const index = next++;
+      await task(list[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+}
+
+async function fileSize(url, signal) {
+  try {
+    const res = await fetch(url, { method: 'HEAD', signal });
+    if (!res.ok) return 0;
+    return Number(res.headers.get('content-length')) || 0;
+  } catch (error) {
+    if (error?.name === 'AbortError') throw error;
+    return 0;
+  }
+}
+
+async function fileDigest(url, signal) {
+  try {
+    const res = await fetch(url, { signal });
+    if (!res.ok) return null;
+    const digest = await crypto.subtle.digest('SHA-256', await res.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  } catch (error) {
+    if (error?.name === 'AbortError') throw error;
+    return null;
+  }
+}
+
+/** Local/cloud pairs whose cached thumbnails are near-identical (hash bands as buckets) */
+function visualPairs(local, cloud) {
+  const store = VisualSignatureStore.getInstance();
+  const bands = new Map();
+  for (const record of cloud) {
+    const signature = store.get(record);
+    if (!signature) continue;
+    for (let band = 0; band < 4; band++) {
+      const bucket = `${band}:${signature.hash.slice(band * 4, band * 4 + 4)}`;
+      if (!bands.has(bucket)) bands.set(bucket, []);
+      bands.get(bucket).push({ record, signature });
+    }
+  }
+  const pairs = [];
+  for (const record of local) {
+    const signature = store.get(record);
+    if (!signature) continue;
+    const seen = new Set();
+    for (let band = 0; band < 4; band++) {
+      for (const other of bands.get(`${band}:${signature.hash.slice(band * 4, band * 4 + 4)}`) || []) {
+        const key = visualSignatureKey(other.record);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (hammingDistance(signature.hash, other.signature.hash) > VISUAL_MAX_BITS) continue;
+        if (visualDistance(signature, other.signature) > VISUAL_MAX_DISTANCE) continue;
+        pairs.push([record, other.record]);
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Group local records with the cloud records they duplicate. Records the grid already merges
+ * (same file name) are left out. Candidates come from similar names and near-identical
+ * thumbnails ("Find similar" signatures); equal file sizes confirm them, and candidates whose
+ * cloud copy is downloaded are confirmed by comparing file contents.
+ * @param {object} options
+ * @param {'assets'|'tokens'} options.kind
+ * @param {Array<object>} options.local - Records from the local folder indexes
+ * @param {Array<object>} options.cloud - Cloud catalog records
+ * @param {import('./nexus-download-manager.js').NexusDownloadManager|null} [options.downloadManager]
+ * @param {(info:{phase:string,count:number,total:number})=>void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{id:string, reason:string, label:string, local:Array<object>, cloud:Array<object>, sizes:Record<string,number>}>>}
+ */
+export async function buildDuplicateReport({ kind, local = [], cloud = [], downloadManager = null, onProgress, signal } = {}) {
+  const progress = (phase, count, total) => {
+    try { onProgress?.({ phase, count, total }); } catch (_) {}
+  };
+  const records = new Map();
+  for (const record of [...local, ...cloud]) {
+    const key = duplicateRecordKey(record);
+    if (key && !records.has(key)) records.set(key, record);
+  }
+  const localRecords = local.filter((record) => duplicateRecordKey(record));
+  const cloudRecords = cloud.filter((record) => duplicateRecordKey(record));
+  const pairs = new Map();
+  const addPair = (a, b, reason) => {
+    // Same file name: the grid merges these already
+    if (baseName(a) === baseName(b)) return;
+    const id = `${duplicateRecordKey(a)}\n${duplicateRecordKey(b)}`;
+    const existing = pairs.get(id);
+    if (!existing || DUPLICATE_REASONS[reason].rank > DUPLICATE_REASONS[existing.reason].rank) pairs.set(id, { local: a, cloud: b, reason });
+  };
+
+  progress('names', 0, localRecords.length);
+  const cloudByName = new Map();
+  for (const record of cloudRecords) {
+    const name = looseDuplicateName(record);
+    if (!name) continue;
+    if (!cloudByName.has(name)) cloudByName.set(name, []);
+    cloudByName.get(name).push(record);
+  }
+  for (const record of localRecords) {
+    for (const other of cloudByName.get(looseDuplicateName(record)) || []) addPair(record, other, 'name');
+  }
+
+  const sizes = {};
+  const cloudBySize = new Map();
+  for (const record of cloudRecords) {
+    const size = Number(record?.file_size) || 0;
+    if (!size) continue;
+    sizes[duplicateRecordKey(record)] = size;
+    const bucket = `${extensionOf(record)}:${size}`;
+    if (!cloudBySize.has(bucket)) cloudBySize.set(bucket, []);
+    cloudBySize.get(bucket).push(record);
+  }
+  if (signal?.aborted) throw abortError();
+  await VisualSignatureStore.getInstance().load();
+  for (const [a, b] of visualPairs(localRecords, cloudRecords)) addPair(a, b, 'visual');
+
+  // Local indexes do not record file sizes; ask the server only for local records that are
+  // already candidates, and only when the catalog has sizes to compare
+  if (cloudBySize.size) {
+    const candidates = [...new Set(Array.from(pairs.values(), (pair) => pair.local))];
+    let done = 0;
+    await mapLimit(candidates, HEAD_CONCURRENCY, async (record) => {
+      const size = await fileSize(record.file_path, signal);
+      if (size) {
+        sizes[duplicateRecordKey(record)] = size;
+        for (const other of cloudBySize.get(`${extensionOf(record)}:${size}`) || []) addPair(record, other, 'size');
+      }
+      progress('size', ++done, candidates.length);
+    }, signal);
+  }
+
+  const toHash = [];
+  for (const pair of pairs.values()) {
+    if (toHash.length >= HASH_LIMIT) break;
+    const cloudPath = downloadManager?.getLocalPath?.(kind, pair.cloud);
+    if (cloudPath) toHash.push({ pair, cloudPath });
+  }
+  const digests = new Map();
+  const digestOf = async (url) => {
+    if (!digests.has(url)) digests.set(url, fileDigest(url, signal));
+    return digests.get(url);
+  };
+  let hashed = 0;
+  await mapLimit(toHash, 2, async ({ pair, cloudPath }) => {
+    const [a, b] = await Promise.all([digestOf(pair.local.file_path), digestOf(cloudPath)]);
+    if (a && a === b) pair.reason = 'hash';
+    progress('hash', ++hashed, toHash.length);
+  }, signal);
+
+  const union = new PairGroups();
+  for (const pair of pairs.values()) union.link(duplicateRecordKey(pair.local), duplicateRecordKey(pair.cloud), pair.reason);
+  const groups = [];
+  for (const { keys, reason } of union.groups()) {
+    const members = keys.map((key) => records.get(key)).filter(Boolean);
+    const groupLocal = members.filter((record) => String(record.source || 'local').toLowerCase() !== 'cloud');
+    const groupCloud = members.filter((record) => String(record.source || '').toLowerCase() === 'cloud');
+    if (!groupLocal.length || !groupCloud.length) continue;
+    const groupSizes = {};
+    for (const key of keys) if (sizes[key]) groupSizes[key] = sizes[key];
+    groups.push({ id: groupId(keys), reason, label: DUPLICATE_REASONS[reason].label, local: groupLocal, cloud: groupCloud, sizes: groupSizes });
+  }
+  groups.sort((a, b) => (DUPLICATE_REASONS[b.reason].rank - DUPLICATE_REASONS[a.reason].rank) || baseName(a.local[0]).localeCompare(baseName(b.local[0])));
+  Logger.info('Duplicates.report', { kind, local: localRecords.length, cloud: cloudRecords.length, pairs: pairs.size, hashed: toHash.length, groups: groups.length });
+  return groups;
+}
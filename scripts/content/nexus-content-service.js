@@ -1,6 +1,7 @@
 // NexusContentService — unified cloud content service for tokens/assets
 import { CloudDB } from './cloud-db.js';
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { duplicateRecordKey } from './duplicate-report.js';
 
 /**
  * Lightweight event emitter for progress tracking
@@ -135,6 +136,51 @@ async function retryWithBackoff(fn, {
   throw lastError;
 }
 
+export const DEFAULT_CONTENT_ENDPOINT = 'https://n8n.forgotten-adventures.net/webhook';
+
+/**
+ * Normalise an endpoint base URL (http/https only, no trailing slash)
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeEndpointBase(value) {
+  const raw = String(value ?? '').trim().replace(/\/+$/, '');
+  if (!raw) return null;
+  try {
+    const url = new URL(raw);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return raw;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Read the ordered list of content endpoint bases from the world settings:
+ * the primary endpoint (default FA webhook) followed by configured mirrors.
+ * @param {string} [namespace]
+ * @returns {string[]}
+ */
+export function getContentEndpointBases(namespace = 'fa-nexus') {
+  const read = (key) => {
+    try { return game?.settings?.get?.(namespace, key) ?? ''; } catch (_) { return ''; }
+  };
+  const bases = [];
+  const push = (value) => {
+    const base = normalizeEndpointBase(value);
+    if (!base) {
+      if (String(value ?? '').trim()) Logger.warn('ContentService.endpoint.invalid', { value });
+      return;
+    }
+    if (!bases.includes(base)) bases.push(base);
+  };
+  push(read('contentEndpointBase') || DEFAULT_CONTENT_ENDPOINT);
+  for (const mirror of String(read('contentEndpointMirrors') || '').split(/[\s,;]+/)) {
+    if (mirror) push(mirror);
+  }
+  return bases;
+}
+
 export class UrlCache {
   /**
    * Simple in-memory URL cache with TTL
@@ -165,7 +211,10 @@ export class NexusContentService {
    */
   constructor(options = {}) {
     this.settingsNamespace = options.settingsNamespace || 'fa-nexus';
-    this.base = options.base || 'https://n8n.forgotten-adventures.net/webhook';
+    // An explicit base pins the service to one endpoint; otherwise the world settings
+    // provide a primary endpoint plus ordered mirrors and `base` tracks the last one that answered.
+    this._fixedBase = normalizeEndpointBase(options.base);
+    this.base = this._fixedBase || this._endpointBases()[0];
     // Separate DBs per kind
     this._dbTokens = options.dbTokens || new CloudDB('fa-nexus-cloud-tokens-v1');
     this._dbAssets = options.dbAssets || new CloudDB('fa-nexus-cloud-assets-v1');
@@ -190,17 +239,70 @@ export class NexusContentService {
    */
   _dbFor(kind) { return kind === 'assets' ? this._dbAssets : this._dbTokens; }
 
+  /**
+   * Whether the client is in offline content mode: manifests come only from an
+   * imported offline snapshot and files resolve to their local copies.
+   * @returns {boolean}
+   */
+  isOfflineMode() {
+    try { return game?.settings?.get?.(this.settingsNamespace, 'offlineContentMode') === true; }
+    catch (_) { return false; }
+  }
+
+  /** Ordered endpoint bases to try: fixed base, or primary + mirrors from settings */
+  _endpointBases() {
+    if (this._fixedBase) return [this._fixedBase];
+    const bases = getContentEndpointBases(this.settingsNamespace);
+    return bases.length ? bases : [DEFAULT_CONTENT_ENDPOINT];
+  }
+
   /** Build update endpoint URL for kind */
-  _updateEndpoint(kind) {
-    return `${this.base}/foundry-nexus-${kind}-update`;
+  _updateEndpoint(kind, base = this.base) {
+    return `${base}/foundry-nexus-${kind}-update`;
   }
 
   /** Build download endpoint URL for kind and file */
-  _downloadEndpoint(kind, file_path, state) {
+  _downloadEndpoint(kind, file_path, state, base = this.base) {
     const q = new URLSearchParams({ state });
     if (kind === 'tokens') q.set('token_path', file_path);
     else q.set('asset_path', file_path);
-    return `${this.base}/foundry-nexus-download?${q}`;
+    return `${base}/foundry-nexus-download?${q}`;
+  }
+
+  /**
+   * Run a request against each endpoint base in turn, retrying each with
+   * `retryWithBackoff` before failing over to the next mirror. The last base that
+   * answered is tried first on subsequent calls.
+   * @param {(base:string)=>Promise<any>} fn
+   * @param {{label:string,kind?:string,shouldFailover?:(error:Error)=>boolean,signal?:AbortSignal}&object} options - Also passed to retryWithBackoff
+   * @returns {Promise<any>}
+   * @private
+   */
+  async _withEndpointFailover(fn, { label, kind = null, shouldFailover, ...retryOptions } = {}) {
+    const bases = this._endpointBases();
+    const start = Math.max(0, bases.indexOf(this.base));
+    const ordered = bases.slice(start).concat(bases.slice(0, start));
+    let lastError;
+    for (const [index, base] of ordered.entries()) {
+      try {
+        const result = await retryWithBackoff(() => fn(base), retryOptions);
+        if (base !== this.base) {
+          Logger.info('ContentService.endpoint.switched', { label, kind, from: this.base, to: base });
+          this.progressEmitter.emit('endpoint:switched', { kind, from: this.base, to: base });
+          this.base = base;
+        }
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (error?.name === 'AbortError' || retryOptions.signal?.aborted) throw error;
+        if (typeof shouldFailover === 'function' && !shouldFailover(error)) throw error;
+        const next = ordered[index + 1];
+        if (!next) break;
+        Logger.warn('ContentService.endpoint.failover', { label, kind, failed: base, next, error: String(error?.message || error) });
+        this.progressEmitter.emit('endpoint:failover', { kind, failed: base, next });
+      }
+    }
+    throw lastError;
   }
 
   /**
@@ -245,19 +347,29 @@ export class NexusContentService {
     this.progressEmitter.emit('sync:start', { kind });
 
     try {
-      const latestLocal = await db.getLatest(kind);
+      const localMeta = await db.getMeta(kind);
+      if (this.isOfflineMode()) {
+        if (!localMeta?.latest) throw new Error('Offline mode is enabled but no offline content snapshot has been imported');
+        Logger.info('ContentService.sync:offline', { kind, latest: localMeta.latest, count: localMeta.count });
+        this.progressEmitter.emit('sync:complete', { kind, mode: 'offline', latest: localMeta.latest, upToDate: true });
+        return localMeta.latest;
+      }
+      // A partial offline snapshot only holds downloaded items; fetch the full manifest once back online
+      const latestLocal = localMeta?.offlineSnapshot?.partial ? null : (localMeta?.latest || null);
       Logger.info('ContentService.sync:start', { kind, from: latestLocal || null });
-      const url = latestLocal ? `${this._updateEndpoint(kind)}?from=${encodeURIComponent(latestLocal)}` : this._updateEndpoint(kind);
-
-      // Use retry logic for the initial manifest fetch
-      const plan = await retryWithBackoff(
-        async () => {
+      // Use retry logic for the initial manifest fetch, failing over through the configured mirrors
+      const plan = await this._withEndpointFailover(
+        async (base) => {
+          const endpoint = this._updateEndpoint(kind, base);
+          const url = latestLocal ? `${endpoint}?from=${encodeURIComponent(latestLocal)}` : endpoint;
           this.progressEmitter.emit('sync:fetch', { kind, url });
           const res = await fetch(url, { headers: { 'Accept': 'application/json' }, signal });
           if (!res.ok) throw new Error(`Update request failed (${res.status})`);
           return res.json();
         },
         {
+          label: 'sync',
+          kind,
           maxRetries: 3,
           initialDelay: 1000,
           maxDelay: 10000,
@@ -403,6 +515,7 @@ export class NexusContentService {
    * @returns {string}
    */
   getThumbnailURL(kind, item) {
+    if (item?.offline_path && this.isOfflineMode()) return item.offline_path;
     const p = item?.file_path || '';
     const enc = String(p).split('/').map(encodeURIComponent).join('/');
     if (kind === 'tokens') return `https://r2-public.forgotten-adventures.net/tokens/thumbnails/${enc}`;
@@ -411,7 +524,8 @@ export class NexusContentService {
 
   /**
    * Resolve a full download URL for an item, using signed URLs for premium content.
-   * Results are cached in-memory by `urlCache`.
+   * Results are cached in-memory by `urlCache`. In offline mode the local copy
+   * recorded by the imported snapshot is returned instead.
    * @param {'tokens'|'assets'} kind
    * @param {{file_path:string,filename?:string,tier?:'free'|'premium'}} item
    * @param {string} [state] - OAuth state used for premium signed URLs
@@ -424,6 +538,19 @@ export class NexusContentService {
 
     this.progressEmitter.emit('url:resolve', { kind, file_path: pRaw, tier: item.tier });
 
+    if (this.isOfflineMode()) {
+      let offlinePath = item.offline_path || null;
+      if (!offlinePath) {
+        try { offlinePath = (await this._dbFor(kind).get(kind, pRaw))?.offline_path || null; } catch (_) {}
+      }
+      if (offlinePath) {
+        this.progressEmitter.emit('url:resolved', { kind, file_path: pRaw, tier: item.tier, offline: true, url: offlinePath });
+        return offlinePath;
+      }
+      this.progressEmitter.emit('url:error', { kind, file_path: pRaw, error: 'OFFLINE' });
+      throw new Error(`Not available offline: ${pRaw}`);
+    }
+
     if (item.tier === 'free') {
       const url = kind === 'tokens'
         ? `https://r2-public.forgotten-adventures.net/tokens/free_tokens/${p}`
@@ -471,9 +598,9 @@ export class NexusContentService {
         const message = String(error?.message || error);
         return message === 'AUTH' || /auth/i.test(message);
       };
-      const dl = this._downloadEndpoint(kind, p, state);
-      const body = await retryWithBackoff(
-        async () => {
+      const body = await this._withEndpointFailover(
+        async (base) => {
+          const dl = this._downloadEndpoint(kind, p, state, base);
           this.progressEmitter.emit('url:fetch', { kind, file_path: pRaw, url: dl });
           const res = await fetch(dl, { headers: { 'Accept': 'application/json' } });
           const rawText = await res.text();
@@ -486,10 +613,13 @@ export class NexusContentService {
           return payload;
         },
         {
+          label: 'signedUrl',
+          kind,
           maxRetries: 2,
           initialDelay: 1000,
           maxDelay: 8000,
           shouldRetry: (error) => !isAuthError(error),
+          shouldFailover: (error) => !isAuthError(error),
           onRetry: ({ attempt, maxRetries, delay }) => {
             this.progressEmitter.emit('url:retry', { kind, file_path: pRaw, attempt, maxRetries, delay });
             Logger.info('ContentService.url.retry', { kind, file_path: pRaw, attempt, maxRetries, delay });
@@ -811,7 +941,8 @@ const defaultMergeLogger = (kind, detail) => {
  * @param {Function} [options.keySelector] - build dedupe key per record
  * @param {Function} [options.choosePreferred] - (localRecord, cloudRecord) => preferredRecord
  * @param {Function} [options.onEnhanceLocal] - ({ localRecord, cloudRecord }) => enhancedLocal
- * @param {Function} [options.onStats] - ({ kind, collisions, preferLocal, preferCloud, enhanced, localCount, cloudCount, mergedCount })
+ * @param {Function} [options.onStats] - ({ kind, collisions, preferLocal, preferCloud, enhanced, hidden, unified, localCount, cloudCount, mergedCount })
+ * @param {{hidden:Set<string>, unify:Map<string,string>}|null} [options.resolutions] - Duplicate report choices (see `getDuplicateResolutions`)
  * @param {string} [options.kind='items']
  * @returns {Array<object>}
  */
@@ -822,6 +953,7 @@ export function mergeLocalAndCloudRecords({
   choosePreferred,
   onEnhanceLocal,
   onStats = defaultMergeLogger,
+  resolutions = null,
   kind = 'items'
 } = {}) {
   const map = new Map();
@@ -831,6 +963,28 @@ export function mergeLocalAndCloudRecords({
   let preferLocal = 0;
   let preferCloud = 0;
   let enhanced = 0;
+  let hidden = 0;
+  let unified = 0;
+
+  // Duplicate report: hidden copies are dropped; unified cloud copies fold into their local file
+  const hiddenKeys = resolutions?.hidden?.size ? resolutions.hidden : null;
+  const unifyKeys = resolutions?.unify?.size ? resolutions.unify : null;
+  const localKeys = unifyKeys ? new Set(safeLocal.map(duplicateRecordKey)) : null;
+  const unifiedCloud = new Map();
+  const resolved = (record) => {
+    if (!record || (!hiddenKeys && !unifyKeys)) return false;
+    const key = duplicateRecordKey(record);
+    if (hiddenKeys?.has(key)) {
+      hidden++;
+      return true;
+    }
+    const target = unifyKeys?.get(key);
+    // Without its local file (folder removed or disabled) the cloud copy stays visible
+    if (!target || !localKeys.has(target)) return false;
+    if (!unifiedCloud.has(target)) unifiedCloud.set(target, record);
+    unified++;
+    return true;
+  };
 
   const put = (record) => {
     if (!record) return;
@@ -883,8 +1037,20 @@ export function mergeLocalAndCloudRecords({
     }
   };
 
-  for (const rec of safeLocal) put(rec);
-  for (const rec of safeCloud) put(rec);
+  for (const rec of safeLocal) if (!resolved(rec)) put(rec);
+  for (const rec of safeCloud) if (!resolved(rec)) put(rec);
+
+  if (unifiedCloud.size) {
+    for (const [key, record] of map) {
+      const cloudRecord = unifiedCloud.get(duplicateRecordKey(record));
+      if (!cloudRecord || String(record?.source || '').toLowerCase() !== 'local') continue;
+      let next = null;
+      if (typeof onEnhanceLocal === 'function') {
+        try { next = onEnhanceLocal({ localRecord: record, cloudRecord, key }); } catch (_) {}
+      }
+      map.set(key, { ...(next || record), unified_cloud_path: cloudRecord.file_path });
+    }
+  }
 
   const merged = Array.from(map.values());
   try {
@@ -894,6 +1060,8 @@ export function mergeLocalAndCloudRecords({
       preferLocal,
       preferCloud,
       enhanced,
+      hidden,
+      unified,
       localCount: safeLocal.length,
       cloudCount: safeCloud.length,
       mergedCount: merged.length
@@ -2,6 +2,7 @@
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
 import { forgeIntegration } from '../core/forge-integration.js';
 import { ProgressEmitter } from './nexus-content-service.js';
+import { recordDownload } from './download-history.js';
 
 // Import retry utility
 async function retryWithBackoff(fn, {
@@ -435,18 +436,8 @@ export class NexusDownloadManager {
         }
       );
 
-      const file = new File([blob], filename, { type: blob.type || 'application/octet-stream' });
-      const FilePickerImpl = foundry.applications.apps.FilePicker.implementation;
-
-      // Ensure nested directory structure exists before uploading
-      this.progressEmitter.emit('download:prepare', { kind, filename, targetDir });
-      await this._ensureNestedDir(targetDir, storage);
-
-      this.progressEmitter.emit('download:upload', { kind, filename, targetDir });
-      const uploadResult = await FilePickerImpl.upload(storage.source, targetDir, file, { ...storage.options }, { notify: false, filename });
-
-      const path = this._resolveStoredFilePath(storage, targetDir, filename, uploadResult);
-      this._registerInventoryEntry([filename, relSanitized], path);
+      const path = await this._upload(kind, filename, blob, relSanitized, storage);
+      recordDownload(kind, relSanitized);
       Logger.info('DownloadManager.download:done', { path });
       this.progressEmitter.emit('download:complete', { kind, filename, path });
       return forgeIntegration.optimizeCacheURL(path);
@@ -458,6 +449,70 @@ export class NexusDownloadManager {
     }
   }
 
+  /**
+   * Upload a file body into the download folder and register it in the inventory
+   * @param {'tokens'|'assets'} kind
+   * @param {string} filename
+   * @param {Blob} blob
+   * @param {string} relSanitized - Sanitized relative path including the filename
+   * @param {object} storage - Storage context from `_getStorage`
+   * @returns {Promise<string>} Stored path (not cache-optimized)
+   * @private
+   */
+  async _upload(kind, filename, blob, relSanitized, storage) {
+    const subdir = this._dirName(relSanitized);
+    const targetDir = [storage.target, subdir].filter(Boolean).join('/');
+    const file = new File([blob], filename, { type: blob.type || 'application/octet-stream' });
+    const FilePickerImpl = foundry.applications.apps.FilePicker.implementation;
+
+    // Ensure nested directory structure exists before uploading
+    this.progressEmitter.emit('download:prepare', { kind, filename, targetDir });
+    await this._ensureNestedDir(targetDir, storage);
+
+    this.progressEmitter.emit('download:upload', { kind, filename, targetDir });
+    const uploadResult = await FilePickerImpl.upload(storage.source, targetDir, file, { ...storage.options }, { notify: false, filename });
+
+    const path = this._resolveStoredFilePath(storage, targetDir, filename, uploadResult);
+    this._registerInventoryEntry([filename, relSanitized], path);
+    return path;
+  }
+
+  /**
+   * Store a file body obtained without the network (e.g. from an offline snapshot)
+   * at the same location a cloud download of the item would use.
+   * Existing files are kept and their path returned.
+   * @param {'tokens'|'assets'} kind
+   * @param {{filename:string, file_path?:string, path?:string}} item
+   * @param {Blob} blob
+   * @returns {Promise<string>} Local path
+   */
+  async storeLocalFile(kind, item, blob) {
+    if (!item || !blob) throw new Error('storeLocalFile requires item and blob');
+    await this.initialize();
+    const filename = String(item.filename || '').trim();
+    if (!filename) throw new Error('Missing filename');
+    const existing = await this.probeLocal(kind, item);
+    if (existing) return existing;
+    const storage = this._getStorage(kind);
+    const relSanitized = this._sanitizeRelativePath(this._normalizeRelativePathFromItem(item, filename));
+    const path = await this._upload(kind, filename, blob, relSanitized, storage);
+    Logger.info('DownloadManager.store:done', { kind, path });
+    return forgeIntegration.optimizeCacheURL(path);
+  }
+
+  /**
+   * Scan the whole download folder of a kind and wait for it to finish, so the
+   * inventory reflects every file already on disk.
+   * @param {'tokens'|'assets'} kind
+   * @returns {Promise<void>}
+   */
+  async scanAll(kind) {
+    await this.initialize();
+    const storage = this._getStorage(kind);
+    if (!storage.target) return;
+    await this._scanDirRecursive(storage.target, storage.target, storage);
+  }
+
   /**
    * Probe local storage for a specific item without downloading it.
    * Checks only the expected parent directory and updates inventory if found.
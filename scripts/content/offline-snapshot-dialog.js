@@ -0,0 +1,186 @@
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { NexusContentService } from './nexus-content-service.js';
+import { NexusDownloadManager } from './nexus-download-manager.js';
+import { exportOfflineSnapshot, importOfflineSnapshot } from './offline-snapshot.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const KIND_LABELS = { tokens: 'Cloud Tokens', assets: 'Cloud Assets' };
+
+/**
+ * OfflineSnapshotDialog
+ * Settings menu for exporting/importing offline content snapshots and toggling offline mode.
+ */
+export class OfflineSnapshotDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'fa-nexus-offline-snapshot',
+    tag: 'form',
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: false,
+      title: 'Offline Content Snapshot'
+    },
+    position: { width: 480, height: 'auto' }
+  };
+
+  static PARTS = {
+    form: { template: 'modules/fa-nexus/templates/offline-snapshot-dialog.hbs' }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this._busy = false;
+    this._status = '';
+    this._controller = null;
+  }
+
+  /** Reuse the open Nexus window's services so inventory and URL caches stay shared */
+  _getServices() {
+    const app = foundry?.applications?.instances?.get?.('fa-nexus-app') || null;
+    if (!this._contentService) {
+      const authProvider = (app && typeof app._getAuthService === 'function') ? () => app._getAuthService() : undefined;
+      this._contentService = app?._contentService || new NexusContentService({ app, authService: authProvider });
+    }
+    if (!this._downloadManager) {
+      this._downloadManager = app?._downloadManager || new NexusDownloadManager();
+    }
+    return { contentService: this._contentService, downloadManager: this._downloadManager };
+  }
+
+  async _prepareContext() {
+    const { contentService } = this._getServices();
+    const kinds = [];
+    for (const kind of Object.keys(KIND_LABELS)) {
+      let meta = null;
+      try { meta = await contentService.getMeta(kind); } catch (_) {}
+      const snapshot = meta?.offlineSnapshot || null;
+      kinds.push({
+        kind,
+        label: KIND_LABELS[kind],
+        count: Number(meta?.count) || 0,
+        hasManifest: !!meta?.latest,
+        snapshotDate: snapshot?.createdAt ? new Date(snapshot.createdAt).toLocaleString() : null,
+        partial: !!snapshot?.partial
+      });
+    }
+    return {
+      kinds,
+      offlineMode: contentService.isOfflineMode(),
+      busy: this._busy,
+      status: this._status
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const root = this.element;
+    if (!root) return;
+    root.querySelector('[data-offline-mode]')?.addEventListener('change', (event) => this._handleOfflineToggle(event));
+    root.querySelector('[data-action="export"]')?.addEventListener('click', () => this._handleExport());
+    root.querySelector('[data-action="import"]')?.addEventListener('click', () => this._handleImport());
+    root.querySelector('[data-action="cancel"]')?.addEventListener('click', () => this._controller?.abort());
+  }
+
+  async _handleOfflineToggle(event) {
+    const enabled = !!event?.target?.checked;
+    try {
+      await game.settings.set('fa-nexus', 'offlineContentMode', enabled);
+    } catch (error) {
+      Logger.warn('OfflineSnapshot.toggle.failed', { error: String(error?.message || error) });
+    }
+    this.render();
+  }
+
+  _setStatus(text) {
+    this._status = text;
+    const el = this.element?.querySelector('[data-status]');
+    if (el) el.textContent = text;
+  }
+
+  _progressHandler(verb) {
+    return ({ phase, kind, count, total }) => {
+      const label = kind ? KIND_LABELS[kind] : 'bundle';
+      if (phase === 'scan') this._setStatus(`Scanning downloaded ${label}…`);
+      else if (phase === 'zip') this._setStatus(`Packing bundle… ${count}/${total}`);
+      else if (phase === 'manifest') this._setStatus(`Writing ${label} manifest… ${count}/${total}`);
+      else this._setStatus(`${verb} ${label}… ${count}/${total}`);
+    };
+  }
+
+  async _runBusy(task) {
+    if (this._busy) return;
+    this._busy = true;
+    this._controller = new AbortController();
+    await this.render();
+    try {
+      await task(this._controller.signal);
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        this._status = 'Cancelled.';
+      } else {
+        Logger.error('OfflineSnapshot.failed', error);
+        this._status = `Failed: ${error?.message || error}`;
+        ui.notifications?.error?.(`FA Nexus: ${error?.message || error}`);
+      }
+    } finally {
+      this._busy = false;
+      this._controller = null;
+      this.render();
+    }
+  }
+
+  async _handleExport() {
+    const root = this.element;
+    const kinds = Array.from(root?.querySelectorAll('[data-export-kind]:checked') || []).map((el) => el.dataset.exportKind);
+    if (!kinds.length) {
+      ui.notifications?.warn?.('Select at least one content type to export.');
+      return;
+    }
+    const includeUndownloaded = !!root?.querySelector('[data-include-undownloaded]')?.checked;
+    await this._runBusy(async (signal) => {
+      const { blob, summary } = await exportOfflineSnapshot({
+        ...this._getServices(),
+        kinds,
+        includeUndownloaded,
+        signal,
+        onProgress: this._progressHandler('Reading')
+      });
+      const stamp = summary.createdAt.slice(0, 10);
+      foundry.utils.saveDataToFile(blob, 'application/zip', `fa-nexus-offline-${stamp}.zip`);
+      const parts = Object.entries(summary.kinds).map(([kind, info]) => `${info.count} ${kind} (${info.files} files)`);
+      this._status = `Exported ${parts.join(', ')}${summary.missing ? `; ${summary.missing} file(s) could not be read` : ''}.`;
+    });
+  }
+
+  async _handleImport() {
+    const root = this.element;
+    const file = root?.querySelector('[data-import-file]')?.files?.[0];
+    if (!file) {
+      ui.notifications?.warn?.('Choose an offline snapshot (.zip) to import.');
+      return;
+    }
+    const enableOffline = !!root?.querySelector('[data-enable-offline]')?.checked;
+    await this._runBusy(async (signal) => {
+      const summary = await importOfflineSnapshot(file, {
+        ...this._getServices(),
+        signal,
+        onProgress: this._progressHandler('Importing')
+      });
+      const parts = Object.entries(summary.kinds).map(([kind, info]) => `${info.count} ${kind} (${info.files} files)`);
+      this._status = `Imported ${parts.join(', ')}${summary.failed ? `; ${summary.failed} file(s) failed` : ''}.`;
+      if (enableOffline && !this._getServices().contentService.isOfflineMode()) {
+        await game.settings.set('fa-nexus', 'offlineContentMode', true);
+      } else {
+        // Reload the cloud grids from the imported manifests
+        Hooks.callAll('updateSetting', { namespace: 'fa-nexus', key: 'offlineContentMode', value: this._getServices().contentService.isOfflineMode() });
+      }
+      ui.notifications?.info?.(`FA Nexus: ${this._status}`);
+    });
+  }
+
+  async close(options) {
+    try { this._controller?.abort(); } catch (_) {}
+    return super.close(options);
+  }
+}
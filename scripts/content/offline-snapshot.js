@@ -0,0 +1,199 @@
+// Offline content snapshots — portable bundles of cloud manifests and downloaded files
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { createZip, readZip } from '../core/zip-utils.js';
+
+export const OFFLINE_SNAPSHOT_FORMAT = 'fa-nexus-offline-snapshot';
+export const OFFLINE_SNAPSHOT_VERSION = 1;
+const HEADER_ENTRY = 'fa-nexus-offline.json';
+const KINDS = ['tokens', 'assets'];
+
+function abortError() {
+  return new DOMException('Operation aborted', 'AbortError');
+}
+
+function moduleVersion() {
+  try { return game.modules.get('fa-nexus')?.version || null; } catch (_) { return null; }
+}
+
+/** Strip per-client fields so records can be re-imported on another machine */
+function portableRecord(record) {
+  const { offline_path, cachedLocalPath, cached, isCached, ...rest } = record || {};
+  return rest;
+}
+
+/**
+ * Export the cloud manifests and the files already downloaded for them as a ZIP bundle.
+ * Layout: `fa-nexus-offline.json` (header), `manifests/<kind>.json` and
+ * `files/<kind>/<relative path>` mirroring the cloud download folders.
+ * @param {object} options
+ * @param {import('./nexus-content-service.js').NexusContentService} options.contentService
+ * @param {import('./nexus-download-manager.js').NexusDownloadManager} options.downloadManager
+ * @param {Array<'tokens'|'assets'>} [options.kinds]
+ * @param {boolean} [options.includeUndownloaded=false] - Keep manifest records whose files are not downloaded
+ * @param {(info:{phase:string,kind?:string,count:number,total:number})=>void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{blob:Blob, summary:object}>}
+ */
+export async function exportOfflineSnapshot({
+  contentService,
+  downloadManager,
+  kinds = KINDS,
+  includeUndownloaded = false,
+  onProgress,
+  signal
+} = {}) {
+  if (!contentService || !downloadManager) throw new Error('Content services unavailable');
+  const progress = (phase, kind, count, total) => {
+    try { onProgress?.({ phase, kind, count, total }); } catch (_) {}
+  };
+  const header = {
+    format: OFFLINE_SNAPSHOT_FORMAT,
+    version: OFFLINE_SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    moduleVersion: moduleVersion(),
+    kinds: {}
+  };
+  const entries = [];
+  let missing = 0;
+
+  for (const kind of kinds.filter((k) => KINDS.includes(k))) {
+    if (signal?.aborted) throw abortError();
+    const meta = await contentService.getMeta(kind);
+    const { items } = await contentService.list(kind);
+    const records = Array.isArray(items) ? items : [];
+    if (!records.length) continue;
+
+    progress('scan', kind, 0, records.length);
+    await downloadManager.scanAll(kind);
+
+    const manifest = [];
+    let files = 0;
+    for (const [index, record] of records.entries()) {
+      if (signal?.aborted) throw abortError();
+      const localPath = downloadManager.getLocalPath(kind, record);
+      let relative = null;
+      if (localPath) {
+        try {
+          const res = await fetch(localPath, { signal });
+          if (!res.ok) throw new Error(`Read failed (${res.status})`);
+          relative = downloadManager._sanitizeRelativePath(
+            downloadManager._normalizeRelativePathFromItem(record, record.filename)
+          );
+          entries.push({ name: `files/${kind}/${relative}`, data: await res.blob() });
+          files++;
+        } catch (e) {
+          if (e?.name === 'AbortError') throw e;
+          missing++;
+          relative = null;
+          Logger.warn('OfflineSnapshot.export.fileFailed', { kind, path: localPath, error: String(e?.message || e) });
+        }
+      }
+      if (relative) manifest.push({ ...portableRecord(record), offline_file: relative });
+      else if (includeUndownloaded) manifest.push(portableRecord(record));
+      progress('files', kind, index + 1, records.length);
+    }
+
+    if (!manifest.length) continue;
+    entries.push({ name: `manifests/${kind}.json`, data: manifest, compress: true });
+    header.kinds[kind] = {
+      latest: meta?.latest || null,
+      builtAt: meta?.builtAt || null,
+      count: manifest.length,
+      files,
+      partial: manifest.length < records.length
+    };
+    Logger.info('OfflineSnapshot.export.kind', { kind, records: records.length, exported: manifest.length, files });
+  }
+
+  if (!Object.keys(header.kinds).length) throw new Error('Nothing to export: no cloud manifest has been indexed yet');
+  entries.unshift({ name: HEADER_ENTRY, data: header, compress: true });
+  const blob = await createZip(entries, {
+    signal,
+    onProgress: (count, total) => progress('zip', null, count, total)
+  });
+  const summary = { ...header, missing, size: blob.size };
+  Logger.info('OfflineSnapshot.export.done', { kinds: Object.keys(header.kinds), missing, size: blob.size });
+  return { blob, summary };
+}
+
+/**
+ * Import an offline snapshot: stores bundled files in the cloud download folders
+ * and replaces the cloud manifests so browsing and placement work without network.
+ * @param {Blob} file - ZIP produced by `exportOfflineSnapshot`
+ * @param {object} options
+ * @param {import('./nexus-content-service.js').NexusContentService} options.contentService
+ * @param {import('./nexus-download-manager.js').NexusDownloadManager} options.downloadManager
+ * @param {(info:{phase:string,kind?:string,count:number,total:number})=>void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object>} Summary with per-kind counts
+ */
+export async function importOfflineSnapshot(file, {
+  contentService,
+  downloadManager,
+  onProgress,
+  signal
+} = {}) {
+  if (!contentService || !downloadManager) throw new Error('Content services unavailable');
+  const progress = (phase, kind, count, total) => {
+    try { onProgress?.({ phase, kind, count, total }); } catch (_) {}
+  };
+  const zip = await readZip(file);
+  const headerEntry = zip.get(HEADER_ENTRY);
+  if (!headerEntry) throw new Error('Not an FA Nexus offline snapshot');
+  const header = await headerEntry.json();
+  if (header?.format !== OFFLINE_SNAPSHOT_FORMAT) throw new Error('Not an FA Nexus offline snapshot');
+  if (Number(header.version) > OFFLINE_SNAPSHOT_VERSION) {
+    throw new Error('This offline snapshot was created by a newer FA Nexus version');
+  }
+
+  const summary = { createdAt: header.createdAt, kinds: {}, failed: 0 };
+  for (const [kind, info] of Object.entries(header.kinds || {})) {
+    if (!KINDS.includes(kind)) continue;
+    if (signal?.aborted) throw abortError();
+    const manifestEntry = zip.get(`manifests/${kind}.json`);
+    if (!manifestEntry) continue;
+    const manifest = await manifestEntry.json();
+    const records = [];
+    let files = 0;
+    for (const [index, record] of (Array.isArray(manifest) ? manifest : []).entries()) {
+      if (signal?.aborted) throw abortError();
+      if (!record?.file_path) continue;
+      const { offline_file: relative, ...rest } = record;
+      const entry = relative ? zip.get(`files/${kind}/${relative}`) : null;
+      if (entry) {
+        try {
+          rest.offline_path = await downloadManager.storeLocalFile(kind, rest, await entry.blob());
+          files++;
+        } catch (e) {
+          summary.failed++;
+          Logger.warn('OfflineSnapshot.import.fileFailed', { kind, file: relative, error: String(e?.message || e) });
+        }
+      }
+      records.push(rest);
+      progress('files', kind, index + 1, manifest.length);
+    }
+
+    const db = contentService._dbFor(kind);
+    await db.replaceAll(kind, records, {
+      signal,
+      onProgress: (count, total) => progress('manifest', kind, count, total)
+    });
+    const builtAt = new Date().toISOString();
+    const latest = info?.latest || `offline-snapshot:${header.createdAt}`;
+    await db.setMeta(kind, {
+      id: 'meta',
+      latest,
+      count: records.length,
+      builtAt,
+      chunksLatest: latest,
+      chunksBuiltAt: builtAt,
+      offlineSnapshot: { createdAt: header.createdAt, partial: !!info?.partial || !info?.latest }
+    });
+    summary.kinds[kind] = { count: records.length, files };
+    Logger.info('OfflineSnapshot.import.kind', { kind, count: records.length, files });
+  }
+
+  if (!Object.keys(summary.kinds).length) throw new Error('The offline snapshot contains no manifests');
+  Logger.info('OfflineSnapshot.import.done', summary);
+  return summary;
+}
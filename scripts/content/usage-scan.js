@@ -0,0 +1,123 @@
+// Scene scan for the usage panel: which downloaded FA cloud files the world's scenes show
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+
+const KINDS = ['tokens', 'assets'];
+// Catalog records checked against the download inventory between yields
+const YIELD_EVERY = 2000;
+
+function abortError() {
+  return new DOMException('Operation aborted', 'AbortError');
+}
+
+/**
+ * Comparable form of a texture source or stored path: decoded, without origin, query or
+ * leading slash, lowercased.
+ * @param {string} src
+ * @returns {string}
+ */
+export function normalizeTextureSrc(src) {
+  let value = String(src || '').trim();
+  if (!value) return '';
+  try { value = decodeURIComponent(value); } catch (_) {}
+  return value
+    .replace(/^https?:\/\/[^/]+\//i, '')
+    .replace(/[?#].*$/, '')
+    .replace(/^\/+/, '')
+    .toLowerCase();
+}
+
+function displayName(item, path) {
+  return String(item?.display_name || item?.filename || path.split('/').pop() || path);
+}
+
+/**
+ * Map the downloaded copies of cloud catalog items to their records.
+ * @returns {Promise<Map<string, {kind:string, item:object, path:string}>>} Normalized local path -> download
+ */
+async function collectDownloads({ contentService, downloadManager, signal, onProgress }) {
+  const downloads = new Map();
+  for (const kind of KINDS) {
+    if (signal?.aborted) throw abortError();
+    onProgress?.({ phase: 'downloads', kind });
+    try { await downloadManager.scanAll?.(kind); } catch (_) {}
+    let items = [];
+    try {
+      ({ items } = await contentService.list(kind));
+    } catch (error) {
+      Logger.warn('UsageScan.catalog.failed', { kind, error: String(error?.message || error) });
+      continue;
+    }
+    for (let i = 0; i < items.length; i++) {
+      if (i && i % YIELD_EVERY === 0) {
+        if (signal?.aborted) throw abortError();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+      const path = downloadManager.getLocalPath(kind, items[i]);
+      const key = normalizeTextureSrc(path);
+      if (key && !downloads.has(key)) downloads.set(key, { kind, item: items[i], path });
+    }
+  }
+  return downloads;
+}
+
+/**
+ * Count the tiles and tokens on every scene whose texture is a downloaded FA cloud file.
+ * @param {object} options
+ * @param {import('./nexus-content-service.js').NexusContentService} options.contentService
+ * @param {import('./nexus-download-manager.js').NexusDownloadManager} options.downloadManager
+ * @param {AbortSignal} [options.signal]
+ * @param {(info:{phase:string, kind?:string, scene?:string})=>void} [options.onProgress]
+ * @returns {Promise<{
+ *   downloads:number,
+ *   scenes:Array<{id:string, name:string, active:boolean, tiles:number, tokens:number, items:number}>,
+ *   used:Array<{kind:string, name:string, path:string, instances:number, scenes:Array<string>}>,
+ *   unused:Array<{kind:string, name:string, path:string}>
+ * }>}
+ */
+export async function scanSceneUsage({ contentService, downloadManager, signal, onProgress } = {}) {
+  const downloads = await collectDownloads({ contentService, downloadManager, signal, onProgress });
+  const byPath = new Map();
+  const scenes = [];
+  for (const scene of game.scenes?.contents || []) {
+    if (signal?.aborted) throw abortError();
+    onProgress?.({ phase: 'scenes', scene: scene.name });
+    const row = { id: scene.id, name: scene.name, active: !!scene.active, tiles: 0, tokens: 0, items: 0 };
+    const seen = new Set();
+    const visit = (doc, field) => {
+      const key = normalizeTextureSrc(doc?.texture?.src);
+      const download = key ? downloads.get(key) : null;
+      if (!download) return;
+      row[field]++;
+      seen.add(key);
+      let usage = byPath.get(key);
+      if (!usage) {
+        usage = { download, instances: 0, scenes: new Set() };
+        byPath.set(key, usage);
+      }
+      usage.instances++;
+      usage.scenes.add(scene.name);
+    };
+    for (const tile of scene.tiles || []) visit(tile, 'tiles');
+    for (const token of scene.tokens || []) visit(token, 'tokens');
+    row.items = seen.size;
+    scenes.push(row);
+  }
+  const used = Array.from(byPath.values())
+    .map(({ download, instances, scenes: names }) => ({
+      kind: download.kind,
+      name: displayName(download.item, download.path),
+      path: download.path,
+      instances,
+      scenes: Array.from(names).sort()
+    }))
+    .sort((a, b) => (b.instances - a.instances) || a.name.localeCompare(b.name));
+  const unused = [];
+  for (const [key, download] of downloads) {
+    if (byPath.has(key)) continue;
+    unused.push({ kind: download.kind, name: displayName(download.item, download.path), path: download.path });
+  }
+  unused.sort((a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name));
+  scenes.sort((a, b) => (b.tiles + b.tokens) - (a.tiles + a.tokens) || a.name.localeCompare(b.name));
+  Logger.info('UsageScan.done', { downloads: downloads.size, used: used.length, unused: unused.length, scenes: scenes.length });
+  return { downloads: downloads.size, scenes, used, unused };
+}
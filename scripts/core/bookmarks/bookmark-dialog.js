@@ -8,11 +8,15 @@ const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 export class BookmarkDialog extends HandlebarsApplicationMixin(ApplicationV2) {
   constructor(options = {}) {
     super(options);
-    this.mode = options.mode || 'save'; // 'save' | 'edit'
+    this.mode = options.mode || 'save'; // 'save' | 'edit' | 'shared'
     this.titleValue = options.titleValue || '';
     this.bookmarkId = options.bookmarkId || null;
     this.searchQuery = options.searchQuery || '';
     this.folderSelection = options.folderSelection || null;
+    // Personal bookmarks: offer publishing to the shared set; shared bookmarks: allow editing them
+    this.canShare = !!options.canShare;
+    this.canEditShared = !!options.canEditShared;
+    this.publishedBy = options.publishedBy || '';
     this._resolver = null;
   }
 
@@ -44,6 +48,11 @@ export class BookmarkDialog extends HandlebarsApplicationMixin(ApplicationV2) {
 
     return {
       dialogMode: this.mode,
+      isShared: this.mode === 'shared',
+      canShare: this.canShare && isEdit,
+      canEditShared: this.canEditShared,
+      titleLocked: this.mode === 'shared' && !this.canEditShared,
+      publishedBy: this.publishedBy,
       title: this.titleValue,
       searchQuery: this.searchQuery,
       hasSearch,
@@ -85,6 +94,8 @@ export class BookmarkDialog extends HandlebarsApplicationMixin(ApplicationV2) {
     const input = root.querySelector('#bookmark-title');
     const save = root.querySelector('button.save');
     const remove = root.querySelector('button.remove');
+    const share = root.querySelector('button.share');
+    const copy = root.querySelector('button.copy');
     const cancel = root.querySelector('button.cancel');
 
     if (input) input.focus();
@@ -98,16 +109,20 @@ export class BookmarkDialog extends HandlebarsApplicationMixin(ApplicationV2) {
       });
     }
 
-    if (remove && this.mode === 'edit') {
+    if (remove && this.mode !== 'save') {
       remove.addEventListener('click', () => this._resolveAndClose({ action: 'remove' }));
     }
 
+    if (share) share.addEventListener('click', () => this._resolveAndClose({ action: 'publish' }));
+    if (copy) copy.addEventListener('click', () => this._resolveAndClose({ action: 'copy' }));
+
     if (cancel) {
       cancel.addEventListener('click', () => this._resolveAndClose(null));
     }
 
     root.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
+      // Shared bookmarks are read-only for players, so there is no save to trigger
+      if (e.key === 'Enter' && save) {
         const title = (input?.value || '').trim();
         if (title) {
           this._resolveAndClose(this.mode === 'save' ? title : { action: 'save', title });
@@ -124,7 +139,7 @@ export class BookmarkDialog extends HandlebarsApplicationMixin(ApplicationV2) {
 
   /**
    * Show the dialog and return a promise that resolves with the result
-   * @returns {Promise<string|null|{action: string, title?: string}>}
+   * @returns {Promise<string|null|{action: 'save'|'remove'|'publish'|'copy', title?: string}>}
    */
   prompt() {
     return new Promise((resolve) => {
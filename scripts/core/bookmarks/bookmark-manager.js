@@ -1,14 +1,33 @@
 /**
  * Bookmark Manager for FA Nexus
- * Handles saving, loading, and managing search bookmarks per tab
+ * Handles saving, loading, and managing search bookmarks per tab, the world-shared
+ * bookmarks GMs publish for everyone, and JSON export/import of both
  */
 
 import { cloneFolderSelection } from '../../content/content-sources/content-sources-utils.js';
 
+// Identifies FA Nexus bookmark files on import
+export const BOOKMARK_EXPORT_FORMAT = 'fa-nexus-bookmarks';
+const BOOKMARK_EXPORT_VERSION = 1;
+
+function createBookmarkId(prefix = 'bookmark') {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function bookmarkSignature(bookmark) {
+  return JSON.stringify([
+    String(bookmark?.title || '').trim().toLowerCase(),
+    String(bookmark?.searchQuery || '').trim(),
+    bookmark?.folderSelection || null
+  ]);
+}
+
 export class BookmarkManager {
   constructor() {
     this._bookmarks = {};
+    this._shared = {};
     this._loadBookmarks();
+    this._loadSharedBookmarks();
   }
 
   /**
@@ -25,6 +44,25 @@ export class BookmarkManager {
     }
   }
 
+  /**
+   * Load the world-shared bookmarks
+   * @private
+   */
+  _loadSharedBookmarks() {
+    try {
+      const stored = game.settings.get('fa-nexus', 'sharedBookmarks') || {};
+      this._shared = { ...stored };
+    } catch (e) {
+      console.warn('fa-nexus | Failed to load shared bookmarks:', e);
+      this._shared = {};
+    }
+  }
+
+  /** Re-read the shared bookmarks after a GM changed them */
+  reloadSharedBookmarks() {
+    this._loadSharedBookmarks();
+  }
+
   /**
    * Save bookmarks to game settings
    * @private
@@ -66,7 +104,7 @@ export class BookmarkManager {
    */
   createBookmark(tabId, title, searchQuery, folderSelection) {
     const bookmark = {
-      id: `bookmark_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      id: createBookmarkId(),
       title: title.trim(),
       searchQuery: (searchQuery || '').trim(),
       folderSelection: folderSelection ? cloneFolderSelection(folderSelection) : null,
@@ -191,4 +229,217 @@ export class BookmarkManager {
   getAllBookmarks() {
     return { ...this._bookmarks };
   }
+
+  /**
+   * Whether the current user may publish, edit and remove shared bookmarks
+   * @returns {boolean}
+   */
+  canEditShared() {
+    return !!game.user?.isGM;
+  }
+
+  /**
+   * Get the world-shared bookmarks for a tab
+   * @param {string} tabId
+   * @returns {Array<Object>}
+   */
+  getSharedBookmarksForTab(tabId) {
+    return this._shared[tabId] || [];
+  }
+
+  /**
+   * Get a specific shared bookmark
+   * @param {string} tabId
+   * @param {string} bookmarkId
+   * @returns {Object|null}
+   */
+  getSharedBookmark(tabId, bookmarkId) {
+    return this.getSharedBookmarksForTab(tabId).find(b => b.id === bookmarkId) || null;
+  }
+
+  /**
+   * Replace the shared bookmark array for a tab and persist (GM only).
+   * @param {string} tabId
+   * @param {Array<Object>} bookmarks
+   * @private
+   */
+  async _setSharedBookmarksForTab(tabId, bookmarks) {
+    if (!this.canEditShared()) throw new Error('Only a GM can change shared bookmarks');
+    const next = { ...this._shared, [tabId]: Array.isArray(bookmarks) ? bookmarks : [] };
+    if (!next[tabId].length) delete next[tabId];
+    this._shared = next;
+    await game.settings.set('fa-nexus', 'sharedBookmarks', { ...next });
+  }
+
+  /**
+   * Publish a copy of a personal bookmark to the shared set (GM only)
+   * @param {string} tabId
+   * @param {string} bookmarkId
+   * @returns {Promise<Object|null>} The shared bookmark
+   */
+  async publishBookmark(tabId, bookmarkId) {
+    const bookmark = this.getBookmark(tabId, bookmarkId);
+    if (!bookmark) return null;
+    const shared = this.getSharedBookmarksForTab(tabId).slice();
+    const signature = bookmarkSignature(bookmark);
+    const existing = shared.find(b => bookmarkSignature(b) === signature);
+    if (existing) return existing;
+    const published = {
+      ...this._normalizeBookmark(bookmark, tabId, 'shared'),
+      publishedBy: game.user?.name || ''
+    };
+    shared.push(published);
+    await this._setSharedBookmarksForTab(tabId, shared);
+    return published;
+  }
+
+  /**
+   * Update a shared bookmark (GM only)
+   * @param {string} tabId
+   * @param {string} bookmarkId
+   * @param {Object} updates
+   * @returns {Promise<boolean>} Success
+   */
+  async updateSharedBookmark(tabId, bookmarkId, updates) {
+    const shared = this.getSharedBookmarksForTab(tabId).slice();
+    const index = shared.findIndex(b => b.id === bookmarkId);
+    if (index === -1) return false;
+    const updated = { ...shared[index], ...updates, updated: Date.now() };
+    if (updates.title !== undefined) updated.title = updates.title.trim();
+    shared[index] = updated;
+    await this._setSharedBookmarksForTab(tabId, shared);
+    return true;
+  }
+
+  /**
+   * Remove a shared bookmark (GM only)
+   * @param {string} tabId
+   * @param {string} bookmarkId
+   * @returns {Promise<boolean>} Success
+   */
+  async deleteSharedBookmark(tabId, bookmarkId) {
+    const shared = this.getSharedBookmarksForTab(tabId);
+    const filtered = shared.filter(b => b.id !== bookmarkId);
+    if (filtered.length === shared.length) return false;
+    await this._setSharedBookmarksForTab(tabId, filtered);
+    return true;
+  }
+
+  /**
+   * Copy a shared bookmark into the personal bookmarks of the current user
+   * @param {string} tabId
+   * @param {string} bookmarkId
+   * @returns {Object|null} The personal copy
+   */
+  copySharedBookmark(tabId, bookmarkId) {
+    const bookmark = this.getSharedBookmark(tabId, bookmarkId);
+    if (!bookmark) return null;
+    const signature = bookmarkSignature(bookmark);
+    const existing = this.getBookmarksForTab(tabId).find(b => bookmarkSignature(b) === signature);
+    if (existing) return existing;
+    return this.createBookmark(tabId, bookmark.title, bookmark.searchQuery, bookmark.folderSelection);
+  }
+
+  /**
+   * Clean up a bookmark from a file or another set, giving it a fresh id
+   * @param {Object} raw
+   * @param {string} tabId
+   * @param {string} [idPrefix]
+   * @returns {Object|null}
+   * @private
+   */
+  _normalizeBookmark(raw, tabId, idPrefix = 'bookmark') {
+    if (!raw || typeof raw !== 'object') return null;
+    const title = String(raw.title || '').trim();
+    if (!title) return null;
+    const folderSelection = raw.folderSelection && typeof raw.folderSelection === 'object'
+      ? cloneFolderSelection(raw.folderSelection)
+      : null;
+    return {
+      id: createBookmarkId(idPrefix),
+      title,
+      searchQuery: String(raw.searchQuery || '').trim(),
+      folderSelection,
+      tab: tabId,
+      created: Number.isFinite(raw.created) ? raw.created : Date.now()
+    };
+  }
+
+  /**
+   * Build the JSON export of the personal or shared bookmarks
+   * @param {Object} [options]
+   * @param {string|null} [options.tabId] - Only this tab; null for every tab
+   * @param {boolean} [options.shared] - Export the shared set instead of the personal one
+   * @returns {{format:string, version:number, exported:number, shared:boolean, bookmarks:Object}}
+   */
+  exportBookmarks({ tabId = null, shared = false } = {}) {
+    const source = shared ? this._shared : this._bookmarks;
+    const bookmarks = {};
+    for (const [id, list] of Object.entries(source)) {
+      if (tabId && id !== tabId) continue;
+      if (!Array.isArray(list) || !list.length) continue;
+      bookmarks[id] = list.map(bookmark => ({
+        title: bookmark.title,
+        searchQuery: bookmark.searchQuery || '',
+        folderSelection: bookmark.folderSelection ? cloneFolderSelection(bookmark.folderSelection) : null,
+        created: bookmark.created
+      }));
+    }
+    return {
+      format: BOOKMARK_EXPORT_FORMAT,
+      version: BOOKMARK_EXPORT_VERSION,
+      exported: Date.now(),
+      shared: !!shared,
+      bookmarks
+    };
+  }
+
+  /**
+   * Add the bookmarks of an export to the personal or (GM only) shared set.
+   * Bookmarks matching an existing one by title, search and folders are skipped.
+   * @param {Object} data - Parsed export file
+   * @param {Object} [options]
+   * @param {string|null} [options.tabId] - Only import this tab's bookmarks; null for every tab
+   * @param {boolean} [options.shared] - Import into the shared set
+   * @returns {Promise<{added:number, skipped:number}>}
+   */
+  async importBookmarks(data, { tabId = null, shared = false } = {}) {
+    if (!data || data.format !== BOOKMARK_EXPORT_FORMAT || typeof data.bookmarks !== 'object' || !data.bookmarks) {
+      throw new Error('Not an FA Nexus bookmarks file');
+    }
+    if (Number(data.version) > BOOKMARK_EXPORT_VERSION) {
+      throw new Error('This bookmarks file was made by a newer version of FA Nexus');
+    }
+    if (shared && !this.canEditShared()) throw new Error('Only a GM can change shared bookmarks');
+    const result = { added: 0, skipped: 0 };
+    const changed = {};
+    for (const [id, list] of Object.entries(data.bookmarks)) {
+      if (tabId && id !== tabId) continue;
+      if (!Array.isArray(list)) continue;
+      const existing = (shared ? this.getSharedBookmarksForTab(id) : this.getBookmarksForTab(id)).slice();
+      const seen = new Set(existing.map(bookmarkSignature));
+      for (const raw of list) {
+        const bookmark = this._normalizeBookmark(raw, id, shared ? 'shared' : 'bookmark');
+        const signature = bookmark ? bookmarkSignature(bookmark) : null;
+        if (!bookmark || seen.has(signature)) {
+          result.skipped += 1;
+          continue;
+        }
+        seen.add(signature);
+        existing.push(shared ? { ...bookmark, publishedBy: game.user?.name || '' } : bookmark);
+        result.added += 1;
+      }
+      changed[id] = existing;
+    }
+    if (!result.added) return result;
+    if (shared) {
+      const next = { ...this._shared, ...changed };
+      this._shared = next;
+      await game.settings.set('fa-nexus', 'sharedBookmarks', next);
+    } else {
+      Object.assign(this._bookmarks, changed);
+      this._saveBookmarks();
+    }
+    return result;
+  }
 }
@@ -1,4 +1,5 @@
 import { BookmarkDialog } from './bookmark-dialog.js';
+import { BookmarkTransferDialog } from './bookmark-transfer-dialog.js';
 import { NexusLogger as Logger } from '../nexus-logger.js';
 
 /**
@@ -24,6 +25,7 @@ export class BookmarkToolbar {
     this._lastDropInsertBefore = false;
     this._lastDragClientX = null;
     this._lastDragClientY = null;
+    this._lastLoadedBookmarkIds = new Map();
   }
 
   /**
@@ -33,6 +35,7 @@ export class BookmarkToolbar {
   initialize(events) {
     this._events = events;
     this._bindSaveButton();
+    this._bindTransferButton();
     this.refresh();
     this._setupBookmarkOverflowObserver();
   }
@@ -66,6 +69,22 @@ export class BookmarkToolbar {
     return this._bookmarkManager.getBookmarksForTab(this._getActiveTabId());
   }
 
+  /** Get the world-shared bookmarks for the active tab */
+  getCurrentTabSharedBookmarks() {
+    return this._bookmarkManager.getSharedBookmarksForTab(this._getActiveTabId());
+  }
+
+  /**
+   * Toolbar order: personal bookmarks, then the shared group
+   * @returns {Array<{bookmark: Object, shared: boolean}>}
+   */
+  _getToolbarEntries() {
+    return [
+      ...this.getCurrentTabBookmarks().map(bookmark => ({ bookmark, shared: false })),
+      ...this.getCurrentTabSharedBookmarks().map(bookmark => ({ bookmark, shared: true }))
+    ];
+  }
+
   /** Save current search/folder state as a bookmark */
   saveCurrentStateAsBookmark(title) {
     const tabId = this._getActiveTabId();
@@ -77,8 +96,10 @@ export class BookmarkToolbar {
   /** Load bookmark state into active tab */
   loadBookmark(bookmarkId) {
     const tabId = this._getActiveTabId();
-    const bookmark = this._bookmarkManager.getBookmark(tabId, bookmarkId);
+    const bookmark = this._bookmarkManager.getBookmark(tabId, bookmarkId)
+      || this._bookmarkManager.getSharedBookmark(tabId, bookmarkId);
     if (!bookmark) return false;
+    this._lastLoadedBookmarkIds.set(tabId, bookmark.id);
 
     const activeTab = this._tabManager.getActiveTab?.();
     const isBuildingTab = tabId === 'buildings';
@@ -107,6 +128,28 @@ export class BookmarkToolbar {
     return true;
   }
 
+  /**
+   * Load the next or previous bookmark of the active tab, relative to the last
+   * bookmark loaded there.
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {object|null} The loaded bookmark
+   */
+  cycleBookmark(direction = 1) {
+    const tabId = this._getActiveTabId();
+    const bookmarks = this.getCurrentTabBookmarks();
+    if (!bookmarks.length) return null;
+    const step = direction < 0 ? -1 : 1;
+    const lastId = this._lastLoadedBookmarkIds.get(tabId);
+    const currentIndex = bookmarks.findIndex((bookmark) => bookmark.id === lastId);
+    const nextIndex = currentIndex < 0
+      ? (step > 0 ? 0 : bookmarks.length - 1)
+      : (currentIndex + step + bookmarks.length) % bookmarks.length;
+    const bookmark = bookmarks[nextIndex];
+    if (!this.loadBookmark(bookmark.id)) return null;
+    Logger.info('Bookmark.cycle', { tabId, bookmarkId: bookmark.id, index: nextIndex });
+    return bookmark;
+  }
+
   /** Update a bookmark */
   updateBookmark(bookmarkId, updates) {
     return this._bookmarkManager.updateBookmark(this._getActiveTabId(), bookmarkId, updates);
@@ -156,9 +199,9 @@ export class BookmarkToolbar {
       if (!toolbar) return;
 
       toolbar.innerHTML = '';
-      const bookmarks = this.getCurrentTabBookmarks();
+      const entries = this._getToolbarEntries();
 
-      bookmarks.forEach((bookmark, index) => {
+      entries.forEach(({ bookmark, shared }, index) => {
         const wrapper = document.createElement('div');
         wrapper.className = 'fa-nexus-bookmark-wrapper';
         wrapper.setAttribute('data-bookmark-id', bookmark.id);
@@ -166,11 +209,28 @@ export class BookmarkToolbar {
 
         const item = document.createElement('div');
         item.className = 'fa-nexus-bookmark-item';
-        item.title = bookmark.title;
-        item.innerHTML = `<span>${bookmark.title}</span>`;
+        item.title = shared ? `${bookmark.title} (shared)` : bookmark.title;
+        const label = document.createElement('span');
+        label.textContent = bookmark.title;
+        item.appendChild(label);
 
         wrapper.appendChild(item);
 
+        if (shared) {
+          wrapper.classList.add('is-shared');
+          if (!entries[index - 1]?.shared) wrapper.classList.add('is-shared-first');
+          item.insertAdjacentHTML('afterbegin', '<i class="fas fa-users" aria-hidden="true"></i>');
+          wrapper.addEventListener('click', () => {
+            if (this._activeDragOperations === 0) this.loadBookmark(bookmark.id);
+          });
+          wrapper.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this._showSharedBookmarkContextMenu(e, bookmark);
+          });
+          toolbar.appendChild(wrapper);
+          return;
+        }
+
         wrapper.addEventListener('click', (e) => {
           if (this._activeDragOperations === 0) this.loadBookmark(bookmark.id);
         });
@@ -225,6 +285,27 @@ export class BookmarkToolbar {
     this._events.on(saveBtn, 'click', () => this.promptSaveCurrentState());
   }
 
+  /** Bind the export/import button */
+  _bindTransferButton() {
+    const transferBtn = this.app.element?.querySelector('.fa-nexus-bookmark-transfer-button');
+    if (!transferBtn || !this._events) return;
+    this._events.on(transferBtn, 'click', () => this.openTransferDialog());
+  }
+
+  /** Open the bookmark export/import dialog for the active tab */
+  openTransferDialog() {
+    const tabId = this._getActiveTabId();
+    const tabButton = this.app.element?.querySelector(`[data-nexus-tab="${tabId}"]`);
+    const dialog = new BookmarkTransferDialog({
+      bookmarkManager: this._bookmarkManager,
+      tabId,
+      tabLabel: tabButton?.textContent?.trim() || tabId,
+      onChange: () => this.refresh()
+    });
+    dialog.render({ force: true });
+    return dialog;
+  }
+
   async _showBookmarkContextMenu(event, bookmark) {
     try {
       const dialog = new BookmarkDialog({
@@ -232,13 +313,20 @@ export class BookmarkToolbar {
         titleValue: bookmark.title,
         bookmarkId: bookmark.id,
         searchQuery: bookmark.searchQuery,
-        folderSelection: bookmark.folderSelection
+        folderSelection: bookmark.folderSelection,
+        canShare: this._bookmarkManager.canEditShared()
       });
 
       const result = await dialog.prompt();
 
       if (result && typeof result === 'object') {
-        if (result.action === 'save') {
+        if (result.action === 'publish') {
+          const published = await this._bookmarkManager.publishBookmark(this._getActiveTabId(), bookmark.id);
+          if (published) {
+            ui.notifications?.info?.(`Bookmark "${published.title}" is now shared with everyone.`);
+            this.refresh();
+          }
+        } else if (result.action === 'save') {
           if (result.title !== undefined) {
             this.updateBookmark(bookmark.id, { title: result.title });
           }
@@ -260,6 +348,35 @@ export class BookmarkToolbar {
     }
   }
 
+  async _showSharedBookmarkContextMenu(event, bookmark) {
+    try {
+      const tabId = this._getActiveTabId();
+      const dialog = new BookmarkDialog({
+        mode: 'shared',
+        titleValue: bookmark.title,
+        bookmarkId: bookmark.id,
+        searchQuery: bookmark.searchQuery,
+        folderSelection: bookmark.folderSelection,
+        canEditShared: this._bookmarkManager.canEditShared(),
+        publishedBy: bookmark.publishedBy
+      });
+
+      const result = await dialog.prompt();
+      if (!result || typeof result !== 'object') return;
+      if (result.action === 'copy') {
+        this._bookmarkManager.copySharedBookmark(tabId, bookmark.id);
+      } else if (result.action === 'save' && result.title !== undefined) {
+        await this._bookmarkManager.updateSharedBookmark(tabId, bookmark.id, { title: result.title });
+      } else if (result.action === 'remove') {
+        await this._bookmarkManager.deleteSharedBookmark(tabId, bookmark.id);
+      }
+      this.refresh();
+    } catch (error) {
+      Logger.error('Shared bookmark context menu failed', error);
+      ui.notifications?.error?.(`FA Nexus: ${error?.message || error}`);
+    }
+  }
+
   _updateBookmarkOverflow() {
     try {
       const toolbar = this.app.element?.querySelector('.fa-nexus-bookmark-toolbar');
@@ -267,7 +384,7 @@ export class BookmarkToolbar {
       const overflowBtn = this.app.element?.querySelector('.fa-nexus-bookmark-overflow');
       if (!toolbar || !itemsContainer || !overflowBtn) return;
 
-      const bookmarks = this.getCurrentTabBookmarks();
+      const bookmarks = this._getToolbarEntries();
 
       if (bookmarks.length === 0) {
         itemsContainer.querySelectorAll('.fa-nexus-bookmark-wrapper').forEach(wrapper => {
@@ -362,11 +479,13 @@ export class BookmarkToolbar {
       const menu = document.createElement('div');
       menu.className = 'fa-nexus-bookmark-overflow-menu';
 
-      overflowBookmarks.forEach(bookmark => {
+      overflowBookmarks.forEach(({ bookmark, shared }) => {
         const item = document.createElement('div');
         item.className = 'fa-nexus-bookmark-overflow-item';
+        if (shared) item.classList.add('is-shared');
         item.textContent = bookmark.title;
         item.title = bookmark.title;
+        if (shared) item.insertAdjacentHTML('afterbegin', '<i class="fas fa-users" aria-hidden="true"></i> ');
         item.setAttribute('data-bookmark-id', bookmark.id);
 
         let isDragging = false;
@@ -384,7 +503,8 @@ export class BookmarkToolbar {
         });
 
         item.addEventListener('mousemove', (e) => {
-          if (!mouseDown || this._activeDragOperations > 0) return;
+          // Shared bookmarks keep the order the GM published them in
+          if (!mouseDown || shared || this._activeDragOperations > 0) return;
           const deltaX = Math.abs(e.clientX - dragStartX);
           const deltaY = Math.abs(e.clientY - dragStartY);
           if (!isDragging && (deltaX > 5 || deltaY > 5)) {
@@ -409,7 +529,8 @@ export class BookmarkToolbar {
           mouseDown = false;
           isDragging = false;
           menu.remove();
-          setTimeout(() => this._showBookmarkContextMenu(e, bookmark), 10);
+          if (shared) setTimeout(() => this._showSharedBookmarkContextMenu(e, bookmark), 10);
+          else setTimeout(() => this._showBookmarkContextMenu(e, bookmark), 10);
         });
 
         menu.appendChild(item);
@@ -515,7 +636,7 @@ export class BookmarkToolbar {
 
     wrappers.forEach(wrapper => wrapper.classList.remove('fa-nexus-bookmark-drop-left', 'fa-nexus-bookmark-drop-right'));
 
-    const candidates = wrappers.filter(wrapper => wrapper !== draggingWrapper && this._isWrapperVisible(wrapper));
+    const candidates = wrappers.filter(wrapper => wrapper !== draggingWrapper && !wrapper.classList.contains('is-shared') && this._isWrapperVisible(wrapper));
     if (!candidates.length) {
       this._lastDropTarget = null;
       this._lastDropInsertBefore = false;
@@ -523,7 +644,7 @@ export class BookmarkToolbar {
     }
 
     let targetWrapper = document.elementFromPoint(clientX, clientY)?.closest('.fa-nexus-bookmark-wrapper') || null;
-    if (targetWrapper === draggingWrapper || !this._isWrapperVisible(targetWrapper)) {
+    if (targetWrapper === draggingWrapper || targetWrapper?.classList.contains('is-shared') || !this._isWrapperVisible(targetWrapper)) {
       targetWrapper = null;
     }
 
@@ -0,0 +1,117 @@
+import { NexusLogger as Logger } from '../nexus-logger.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * BookmarkTransferDialog
+ * Exports bookmarks to JSON, imports them into the personal or (for GMs) the world-shared set.
+ */
+export class BookmarkTransferDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'fa-nexus-bookmark-transfer',
+    tag: 'form',
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: false,
+      title: 'Export & Import Bookmarks',
+      icon: 'fas fa-right-left'
+    },
+    position: { width: 420, height: 'auto' },
+    classes: ['fa-nexus-bookmark-dialog']
+  };
+
+  static PARTS = {
+    form: { template: 'modules/fa-nexus/templates/bookmark-transfer-dialog.hbs' }
+  };
+
+  /**
+   * @param {object} options
+   * @param {import('./bookmark-manager.js').BookmarkManager} options.bookmarkManager
+   * @param {string} options.tabId - Active tab
+   * @param {string} [options.tabLabel]
+   * @param {Function} [options.onChange] - Called after bookmarks were imported
+   */
+  constructor(options = {}) {
+    super(options);
+    this._manager = options.bookmarkManager;
+    this._tabId = options.tabId;
+    this._tabLabel = options.tabLabel || options.tabId;
+    this._onChange = typeof options.onChange === 'function' ? options.onChange : null;
+    this._busy = false;
+  }
+
+  async _prepareContext() {
+    const manager = this._manager;
+    return {
+      tabLabel: this._tabLabel,
+      tabCount: manager?.getBookmarksForTab(this._tabId).length || 0,
+      sharedTabCount: manager?.getSharedBookmarksForTab(this._tabId).length || 0,
+      canEditShared: !!manager?.canEditShared(),
+      busy: this._busy
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const root = this.element;
+    if (!root) return;
+    root.addEventListener('submit', (event) => event.preventDefault());
+    root.querySelector('[data-action="export"]')?.addEventListener('click', () => this._handleExport());
+    root.querySelector('[data-action="import"]')?.addEventListener('click', () => this._handleImport());
+  }
+
+  _readScope(name) {
+    return this.element?.querySelector(`input[name="${name}"]:checked`)?.value === 'all' ? null : this._tabId;
+  }
+
+  _handleExport() {
+    const root = this.element;
+    if (!root || !this._manager) return;
+    const tabId = this._readScope('bookmark-export-scope');
+    const shared = root.querySelector('[data-export-source]')?.value === 'shared';
+    const data = this._manager.exportBookmarks({ tabId, shared });
+    const count = Object.values(data.bookmarks).reduce((sum, list) => sum + list.length, 0);
+    if (!count) {
+      ui.notifications?.warn?.('There are no bookmarks to export.');
+      return;
+    }
+    const stamp = new Date().toISOString().slice(0, 10);
+    const name = `fa-nexus-${shared ? 'shared-' : ''}bookmarks-${tabId || 'all'}-${stamp}.json`;
+    foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), 'application/json', name);
+    Logger.info('Bookmarks.export', { tabId, shared, count });
+  }
+
+  async _handleImport() {
+    if (this._busy || !this._manager) return;
+    const root = this.element;
+    const file = root?.querySelector('[data-import-file]')?.files?.[0];
+    if (!file) {
+      ui.notifications?.warn?.('Choose a bookmarks file (.json) to import.');
+      return;
+    }
+    const tabId = this._readScope('bookmark-import-scope');
+    const shared = root.querySelector('[data-import-target]')?.value === 'shared';
+    this._busy = true;
+    try {
+      const data = JSON.parse(await foundry.utils.readTextFromFile(file));
+      const { added, skipped } = await this._manager.importBookmarks(data, { tabId, shared });
+      Logger.info('Bookmarks.import', { tabId, shared, added, skipped });
+      if (added) {
+        const target = shared ? 'shared bookmarks' : 'your bookmarks';
+        const note = skipped ? ` (${skipped} already present)` : '';
+        ui.notifications?.info?.(`FA Nexus: Added ${added} bookmark${added === 1 ? '' : 's'} to ${target}${note}.`);
+        try { this._onChange?.(); } catch (_) {}
+        this._busy = false;
+        this.close();
+        return;
+      }
+      const scope = tabId ? ` for ${this._tabLabel}` : '';
+      ui.notifications?.warn?.(skipped ? 'FA Nexus: Every bookmark in the file is already present.' : `FA Nexus: The file has no bookmarks${scope}.`);
+    } catch (error) {
+      Logger.warn('Bookmarks.import.failed', { error: String(error?.message || error) });
+      ui.notifications?.error?.(`FA Nexus: ${error instanceof SyntaxError ? 'The file is not valid JSON' : (error?.message || error)}`);
+    }
+    this._busy = false;
+  }
+}
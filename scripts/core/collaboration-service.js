@@ -0,0 +1,370 @@
+import { NexusLogger as Logger } from './nexus-logger.js';
+
+const MODULE_ID = 'fa-nexus';
+const SOCKET_NAME = `module.${MODULE_ID}`;
+const LIVE_PREVIEW_SETTING = 'collaborationLivePreviews';
+const PREVIEW_THROTTLE_MS = 80;
+const PREVIEW_STALE_MS = 10000;
+// An idle cursor re-sends its preview so receivers don't expire a session that is still running
+const PREVIEW_HEARTBEAT_MS = 4000;
+const OVERLAY_NAME = 'faNexusCollaborationOverlay';
+
+function currentSceneId() {
+  try { return canvas?.scene?.id || null; } catch (_) { return null; }
+}
+
+function resolveUser(userId) {
+  try { return game.users?.get?.(userId) || null; } catch (_) { return null; }
+}
+
+function userColor(user) {
+  try {
+    const color = user?.color;
+    const numeric = Number(color);
+    if (Number.isFinite(numeric)) return numeric;
+    if (typeof color?.valueOf === 'function') return Number(color.valueOf()) || 0xff9829;
+  } catch (_) {}
+  return 0xff9829;
+}
+
+function readLivePreviewsEnabled() {
+  try { return game.settings.get(MODULE_ID, LIVE_PREVIEW_SETTING) !== false; } catch (_) { return true; }
+}
+
+/**
+ * NexusCollaborationService
+ * Shares FA Nexus editing state between connected GMs over the module socket:
+ * - edit locks for tiles open in the path, texture and building editors, so
+ *   other clients can show "being edited by X" and warn before editing the
+ *   same tile concurrently
+ * - optional live placement previews (cursor + scatter brush) for co-GMs
+ */
+export class NexusCollaborationService {
+  constructor() {
+    this._initialized = false;
+    this._localLocks = new Map();
+    this._remoteLocks = new Map();
+    this._remotePreviews = new Map();
+    this._previewExpiryTimers = new Map();
+    this._pendingPreview = undefined;
+    this._previewTimer = null;
+    this._lastPreviewSentAt = 0;
+    this._lastPreview = null;
+    this._previewHeartbeat = null;
+    this._previewActive = false;
+    this._overlay = null;
+    this._livePreviews = true;
+  }
+
+  /** Bind the socket and canvas hooks. Safe to call more than once. */
+  initialize() {
+    if (this._initialized) return;
+    if (!game?.socket) return;
+    this._initialized = true;
+    this._livePreviews = readLivePreviewsEnabled();
+    game.socket.on(SOCKET_NAME, (message) => this._onMessage(message));
+    Hooks.on('userConnected', (user, connected) => {
+      if (!connected) this._dropUser(user?.id);
+    });
+    Hooks.on('canvasReady', () => {
+      this._overlay = null;
+      this._render();
+    });
+    Hooks.on('updateTile', (doc) => {
+      if (this._hasRemoteLock(doc?.id)) this._render();
+    });
+    Hooks.on('deleteTile', (doc) => {
+      if (!doc?.id) return;
+      this._localLocks.delete(doc.id);
+      let changed = false;
+      for (const [key, lock] of this._remoteLocks) {
+        if (lock.tileId === doc.id) { this._remoteLocks.delete(key); changed = true; }
+      }
+      if (changed) this._render();
+    });
+    Hooks.on('updateSetting', (change) => {
+      if (change?.namespace !== MODULE_ID || change?.key !== LIVE_PREVIEW_SETTING) return;
+      this._livePreviews = change.value !== false;
+      if (!this._livePreviews) {
+        this.broadcastPreview(null);
+        this._remotePreviews.clear();
+        this._render();
+      }
+    });
+    if (game.user?.isGM) this._emit({ type: 'hello' });
+    Logger.info('Collaboration.initialized', { userId: game.user?.id });
+  }
+
+  /**
+   * Announce that this client started or stopped editing a tile.
+   * @param {'paths'|'textures'|'buildings'|string} kind
+   * @param {string} tileId
+   * @param {boolean} active
+   */
+  setEditLock(kind, tileId, active) {
+    if (!tileId) return;
+    const sceneId = currentSceneId();
+    if (active) {
+      this._localLocks.set(tileId, { kind: String(kind || ''), sceneId });
+    } else if (!this._localLocks.delete(tileId)) {
+      return;
+    }
+    this._emit({ type: 'lock', tileId, kind: String(kind || ''), sceneId, active: !!active });
+  }
+
+  /**
+   * Remote lock on a tile held by another user, if any.
+   * @param {string} tileId
+   * @returns {{userId:string, userName:string, kind:string, sceneId:string|null}|null}
+   */
+  getRemoteLock(tileId) {
+    if (!tileId) return null;
+    for (const lock of this._remoteLocks.values()) {
+      if (lock.tileId !== tileId) continue;
+      const user = resolveUser(lock.userId);
+      return { userId: lock.userId, userName: user?.name || 'another GM', kind: lock.kind, sceneId: lock.sceneId };
+    }
+    return null;
+  }
+
+  /** @returns {Array<{tileId:string,userId:string,kind:string,sceneId:string|null}>} Locks held by other users */
+  getRemoteLocks() {
+    return Array.from(this._remoteLocks.values()).map((lock) => ({ ...lock }));
+  }
+
+  /**
+   * Share the local placement preview with co-GMs. Pass null to clear it.
+   * Updates are throttled; the latest state always goes out.
+   * @param {{x:number,y:number,radius?:number,label?:string}|null} preview
+   */
+  broadcastPreview(preview) {
+    if (!this._initialized) return;
+    if (preview && !this._livePreviews) return;
+    if (!preview) {
+      this._pendingPreview = undefined;
+      if (this._previewTimer) { clearTimeout(this._previewTimer); this._previewTimer = null; }
+      this._stopPreviewHeartbeat();
+      if (this._previewActive) {
+        this._previewActive = false;
+        this._emit({ type: 'preview', preview: null });
+      }
+      return;
+    }
+    const x = Number(preview.x);
+    const y = Number(preview.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+    this._pendingPreview = {
+      sceneId: currentSceneId(),
+      x: Math.round(x),
+      y: Math.round(y),
+      radius: Math.max(0, Number(preview.radius) || 0),
+      label: String(preview.label || '')
+    };
+    const wait = PREVIEW_THROTTLE_MS - (Date.now() - this._lastPreviewSentAt);
+    if (wait <= 0) {
+      this._flushPreview();
+    } else if (!this._previewTimer) {
+      this._previewTimer = setTimeout(() => this._flushPreview(), wait);
+    }
+  }
+
+  _flushPreview() {
+    if (this._previewTimer) { clearTimeout(this._previewTimer); this._previewTimer = null; }
+    const preview = this._pendingPreview;
+    this._pendingPreview = undefined;
+    if (!preview) return;
+    this._lastPreviewSentAt = Date.now();
+    this._lastPreview = preview;
+    this._previewActive = true;
+    this._emit({ type: 'preview', preview });
+    this._startPreviewHeartbeat();
+  }
+
+  _startPreviewHeartbeat() {
+    if (this._previewHeartbeat) return;
+    this._previewHeartbeat = setInterval(() => {
+      if (!this._previewActive || !this._lastPreview) {
+        this._stopPreviewHeartbeat();
+        return;
+      }
+      if (Date.now() - this._lastPreviewSentAt < PREVIEW_HEARTBEAT_MS) return;
+      this._lastPreviewSentAt = Date.now();
+      this._emit({ type: 'preview', preview: this._lastPreview });
+    }, PREVIEW_HEARTBEAT_MS / 2);
+  }
+
+  _stopPreviewHeartbeat() {
+    if (this._previewHeartbeat) { clearInterval(this._previewHeartbeat); this._previewHeartbeat = null; }
+    this._lastPreview = null;
+  }
+
+  _emit(payload) {
+    try {
+      game.socket.emit(SOCKET_NAME, { ...payload, userId: game.user?.id });
+    } catch (error) {
+      Logger.warn('Collaboration.emit.failed', { type: payload?.type, error: String(error?.message || error) });
+    }
+  }
+
+  _onMessage(message) {
+    if (!message || typeof message !== 'object') return;
+    const { type, userId } = message;
+    if (!userId || userId === game.user?.id) return;
+    if (!game.user?.isGM) return;
+    if (!resolveUser(userId)?.isGM) return;
+    try {
+      switch (type) {
+        case 'hello':
+          this._emit({
+            type: 'locks',
+            to: userId,
+            locks: Array.from(this._localLocks.entries()).map(([tileId, lock]) => ({ tileId, ...lock }))
+          });
+          break;
+        case 'locks':
+          if (message.to !== game.user.id) return;
+          for (const lock of Array.isArray(message.locks) ? message.locks : []) {
+            this._applyRemoteLock(userId, { ...lock, active: true });
+          }
+          this._render();
+          break;
+        case 'lock':
+          this._applyRemoteLock(userId, message);
+          this._render();
+          Hooks.callAll('fa-nexus-edit-lock-changed', {
+            tileId: message.tileId,
+            userId,
+            kind: message.kind,
+            active: !!message.active
+          });
+          break;
+        case 'preview':
+          if (!message.preview) this._remotePreviews.delete(userId);
+          else if (this._livePreviews) {
+            this._remotePreviews.set(userId, { ...message.preview, receivedAt: Date.now() });
+            this._schedulePreviewExpiry(userId);
+          }
+          this._render();
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      Logger.warn('Collaboration.message.failed', { type, error: String(error?.message || error) });
+    }
+  }
+
+  _schedulePreviewExpiry(userId) {
+    const existing = this._previewExpiryTimers.get(userId);
+    if (existing) clearTimeout(existing);
+    const timer = setTimeout(() => {
+      this._previewExpiryTimers.delete(userId);
+      if (this._remotePreviews.has(userId)) this._render();
+    }, PREVIEW_STALE_MS + 100);
+    this._previewExpiryTimers.set(userId, timer);
+  }
+
+  _applyRemoteLock(userId, { tileId, kind, sceneId, active }) {
+    if (!tileId) return;
+    const key = `${userId}:${tileId}`;
+    if (active) this._remoteLocks.set(key, { userId, tileId, kind: String(kind || ''), sceneId: sceneId || null });
+    else this._remoteLocks.delete(key);
+  }
+
+  _hasRemoteLock(tileId) {
+    if (!tileId) return false;
+    for (const lock of this._remoteLocks.values()) {
+      if (lock.tileId === tileId) return true;
+    }
+    return false;
+  }
+
+  _dropUser(userId) {
+    if (!userId) return;
+    let changed = this._remotePreviews.delete(userId);
+    for (const [key, lock] of this._remoteLocks) {
+      if (lock.userId === userId) { this._remoteLocks.delete(key); changed = true; }
+    }
+    if (changed) this._render();
+  }
+
+  _ensureOverlay() {
+    const layer = canvas?.controls;
+    if (!layer || !canvas?.ready) return null;
+    if (this._overlay && !this._overlay.destroyed && this._overlay.parent === layer) return this._overlay;
+    const existing = layer.getChildByName?.(OVERLAY_NAME);
+    if (existing) {
+      this._overlay = existing;
+      return existing;
+    }
+    const overlay = new PIXI.Container();
+    overlay.name = OVERLAY_NAME;
+    overlay.eventMode = 'none';
+    layer.addChild(overlay);
+    this._overlay = overlay;
+    return overlay;
+  }
+
+  _createLabel(text, color) {
+    const style = CONFIG.canvasTextStyle.clone();
+    const gridSize = Number(canvas?.scene?.grid?.size || 100) || 100;
+    style.fontSize = Math.max(14, Math.round(gridSize * 0.22));
+    style.fill = color;
+    const label = new PIXI.Text(text, style);
+    label.anchor.set(0, 1);
+    return label;
+  }
+
+  _render() {
+    try {
+      const overlay = this._ensureOverlay();
+      if (!overlay) return;
+      for (const child of overlay.removeChildren()) child.destroy({ children: true });
+      const sceneId = currentSceneId();
+
+      for (const lock of this._remoteLocks.values()) {
+        if (lock.sceneId && lock.sceneId !== sceneId) continue;
+        const doc = canvas.scene?.tiles?.get?.(lock.tileId);
+        if (!doc) continue;
+        const user = resolveUser(lock.userId);
+        const color = userColor(user);
+        const frame = new PIXI.Graphics();
+        frame.lineStyle(4, color, 0.9).drawRect(doc.x, doc.y, doc.width, doc.height);
+        overlay.addChild(frame);
+        const label = this._createLabel(`Being edited by ${user?.name || 'another GM'}`, color);
+        label.position.set(doc.x, doc.y - 4);
+        overlay.addChild(label);
+      }
+
+      const now = Date.now();
+      const gridSize = Number(canvas?.scene?.grid?.size || 100) || 100;
+      for (const [userId, preview] of this._remotePreviews) {
+        if (now - (preview.receivedAt || 0) > PREVIEW_STALE_MS) {
+          this._remotePreviews.delete(userId);
+          continue;
+        }
+        if (preview.sceneId && preview.sceneId !== sceneId) continue;
+        const user = resolveUser(userId);
+        const color = userColor(user);
+        const radius = preview.radius > 0 ? preview.radius : gridSize * 0.25;
+        const ring = new PIXI.Graphics();
+        ring.lineStyle(3, color, 0.85).drawCircle(preview.x, preview.y, radius);
+        ring.beginFill(color, 0.85).drawCircle(preview.x, preview.y, 4).endFill();
+        overlay.addChild(ring);
+        const text = preview.label ? `${user?.name || 'GM'} · ${preview.label}` : (user?.name || 'GM');
+        const label = this._createLabel(text, color);
+        label.position.set(preview.x + radius + 6, preview.y);
+        overlay.addChild(label);
+      }
+    } catch (error) {
+      Logger.warn('Collaboration.render.failed', { error: String(error?.message || error) });
+    }
+  }
+}
+
+export const nexusCollaboration = new NexusCollaborationService();
+
+Hooks.once('ready', () => {
+  try { nexusCollaboration.initialize(); }
+  catch (error) { Logger.warn('Collaboration.init.failed', { error: String(error?.message || error) }); }
+});
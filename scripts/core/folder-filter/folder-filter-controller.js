@@ -2,6 +2,7 @@ import { FolderFilter } from './folder-filter.js';
 import { FolderFilterWindow } from './folder-filter-window.js';
 import { cloneFolderSelection, summarizeFolderSelection } from '../../content/content-sources/content-sources-utils.js';
 import { NexusLogger as Logger } from '../nexus-logger.js';
+import { toggleQueryTerm } from '../tags/user-tags.js';
 
 /**
  * FolderFilterController
@@ -17,6 +18,7 @@ export class FolderFilterController {
     this._folderFilterCollapsed = true;
     this._folderFilterData = new Map();
     this._folderFilterSelections = new Map();
+    this._virtualFolders = new Map();
     this._suppressFolderFilterCollapse = false;
     this._suppressSelectionStore = false;
 
@@ -24,6 +26,7 @@ export class FolderFilterController {
 
     this._folderFilter.setSelectionHandler((selection) => this._handleFolderSelection(selection));
     this._folderFilter.setCollapseHandler(this._handleFolderFilterCollapse);
+    this._folderFilter.setVirtualFolderHandler((key) => this._handleVirtualFolder(key));
   }
 
   /**
@@ -110,6 +113,30 @@ export class FolderFilterController {
     this._storeActiveSelection();
   }
 
+  /**
+   * Store one virtual folder group for a tab: "My Tags" (favorites and personal tags) by default,
+   * or e.g. "Recent" placements. Entries with a `term` toggle it in the search; entries with an
+   * `onSelect` callback run it instead.
+   * @param {string} tabId
+   * @param {Array<{key:string,label:string,icon?:string,title?:string,count?:number,term?:string,onSelect?:Function,active?:boolean}>} list
+   * @param {{key?:string,label?:string,icon?:string}} [group]
+   */
+  setVirtualFolders(tabId, list, { key = 'tags', label = 'My Tags', icon = 'fas fa-tags' } = {}) {
+    if (!tabId) return;
+    let groups = this._virtualFolders.get(tabId);
+    if (!groups) {
+      groups = new Map();
+      this._virtualFolders.set(tabId, groups);
+    }
+    groups.set(key, { key, label, icon, entries: Array.isArray(list) ? list : [] });
+    if (this._getActiveTabId() !== tabId) return;
+    this._folderFilter?.setVirtualFolders(this._virtualFolderGroups(tabId));
+  }
+
+  _virtualFolderGroups(tabId) {
+    return Array.from(this._virtualFolders.get(tabId)?.values() || []);
+  }
+
   /**
    * Update selection for a tab. By default this mirrors updates initiated by the tab
    * itself, so we avoid feeding the change back into the tab unless explicitly asked.
@@ -295,6 +322,24 @@ export class FolderFilterController {
     this._updateSearchIndicator();
   }
 
+  _handleVirtualFolder(key) {
+    const tabId = this._getActiveTabId();
+    const entry = this._virtualFolderGroups(tabId).flatMap((group) => group.entries).find((candidate) => candidate.key === key);
+    if (typeof entry?.onSelect === 'function') {
+      try { entry.onSelect(); } catch (error) {
+        Logger.warn('FolderSelection.virtual.failed', { key, error: String(error?.message || error) });
+      }
+      return;
+    }
+    const search = this.app._searchController;
+    if (!entry?.term || !search) return;
+    // Tag folders are search terms, so they combine with text, field qualifiers and real folders
+    const query = toggleQueryTerm(search.getSearchQuery?.(tabId) || '', entry.term);
+    try { search.applySearchToTab(tabId, query); } catch (error) {
+      Logger.warn('FolderSelection.virtual.failed', { key, error: String(error?.message || error) });
+    }
+  }
+
   _handleFolderFilterCollapse(collapsed) {
     this._folderFilterCollapsed = collapsed;
     if (this._suppressFolderFilterCollapse) return;
@@ -345,6 +390,7 @@ export class FolderFilterController {
     const activeTabId = this._getActiveTabId();
     if (!activeTabId) return;
 
+    this._folderFilter.setVirtualFolders(this._virtualFolderGroups(activeTabId));
     const storedSelection = cloneFolderSelection(this._folderFilterSelections.get(activeTabId));
     const rawData = this._folderFilterData.get(activeTabId);
     let selectionToApply = storedSelection || (rawData?.selection ? cloneFolderSelection(rawData.selection) : null);
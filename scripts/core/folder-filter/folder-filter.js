@@ -32,6 +32,8 @@ export class FolderFilter {
     this._nodeMap = new Map();
     this._allNodeEl = null;
     this._unassignedNodeEl = null;
+    this._virtualFolders = [];
+    this._virtualGroupEl = null;
     this._treeVersion = null;
     this._selection = { type: 'all' };
     this._selectionKey = 'all';
@@ -50,6 +52,7 @@ export class FolderFilter {
     this._boundTreeContextMenu = (event) => this._handleTreeContextMenu(event);
     this._selectionHandler = null;
     this._collapseHandler = null;
+    this._virtualFolderHandler = null;
   }
 
   /** Attach the browser to current DOM nodes (call on each render) */
@@ -109,6 +112,7 @@ export class FolderFilter {
     this._headerLabel = null;
     this._allNodeEl = null;
     this._unassignedNodeEl = null;
+    this._virtualGroupEl = null;
     this._nodeMap.clear();
     this._includeSelection.clear();
     this._excludeSelection.clear();
@@ -119,6 +123,22 @@ export class FolderFilter {
     this._selectionHandler = typeof fn === 'function' ? fn : null;
   }
 
+  /** Provide a callback when a virtual folder (e.g. a personal tag or recent placement) is clicked; receives its key */
+  setVirtualFolderHandler(fn) {
+    this._virtualFolderHandler = typeof fn === 'function' ? fn : null;
+  }
+
+  /**
+   * Replace the virtual folder groups ("My Tags", "Recent") shown above the folder tree
+   * @param {Array<{key:string,label:string,icon?:string,entries:Array<{key:string,label:string,icon?:string,title?:string,count?:number,active?:boolean}>}>} groups
+   */
+  setVirtualFolders(groups) {
+    this._virtualFolders = (Array.isArray(groups) ? groups : [])
+      .map((group) => ({ ...group, entries: (group?.entries || []).filter((entry) => entry && entry.key) }))
+      .filter((group) => group.entries.length);
+    this._renderVirtualFolders();
+  }
+
   /** Provide a callback when collapsed/expanded */
   setCollapseHandler(fn) {
     this._collapseHandler = typeof fn === 'function' ? fn : null;
@@ -523,6 +543,11 @@ export class FolderFilter {
         list.appendChild(unsortedItem);
       }
 
+      this._virtualGroupEl = document.createElement('li');
+      this._virtualGroupEl.className = 'fa-nexus-folder-node fa-nexus-folder-virtual-group';
+      list.appendChild(this._virtualGroupEl);
+      this._renderVirtualFolders();
+
       const treeFragment = document.createDocumentFragment();
       for (const node of this._structure) {
         treeFragment.appendChild(this._renderNode(node));
@@ -544,6 +569,39 @@ export class FolderFilter {
     this._applyDescendantIndicators();
   }
 
+  _renderVirtualFolders() {
+    const group = this._virtualGroupEl;
+    if (!group) return;
+    group.textContent = '';
+    group.hidden = !this._virtualFolders.length;
+    for (const section of this._virtualFolders) {
+      const header = document.createElement('div');
+      header.className = 'fa-nexus-folder-row fa-nexus-folder-virtual-header';
+      header.dataset.virtualGroup = section.key;
+      header.innerHTML = '<span class="toggle-spacer" aria-hidden="true"></span><span class="label"><i></i> </span>';
+      header.querySelector('i').className = section.icon || 'fas fa-folder';
+      header.querySelector('.label').append(section.label || '');
+      group.appendChild(header);
+
+      const children = document.createElement('ul');
+      children.className = 'children';
+      for (const entry of section.entries) {
+        const li = this._createListItem({ nodeType: 'virtual', label: entry.label, count: entry.count, level: 1, expandable: false });
+        li.dataset.virtualKey = entry.key;
+        li.classList.toggle('is-active', !!entry.active);
+        li.setAttribute('aria-selected', entry.active ? 'true' : 'false');
+        if (entry.title) li.querySelector('.fa-nexus-folder-row')?.setAttribute('title', entry.title);
+        if (entry.icon) {
+          const icon = document.createElement('i');
+          icon.className = `${entry.icon} fa-nexus-folder-virtual-icon`;
+          li.querySelector('.label')?.prepend(icon);
+        }
+        children.appendChild(li);
+      }
+      group.appendChild(children);
+    }
+  }
+
   _updateDatasetUI() {
     if (this._headerLabel) this._headerLabel.textContent = this._dataset.label;
     if (this._allNodeEl) {
@@ -869,6 +927,11 @@ export class FolderFilter {
       const hostNode = select.closest('.fa-nexus-folder-node');
       if (!hostNode) return;
       const type = hostNode.dataset.nodeType || 'folder';
+      if (type === 'virtual') {
+        // Virtual folders act through the search box or a callback rather than the folder selection
+        try { this._virtualFolderHandler?.(hostNode.dataset.virtualKey); } catch (_) {}
+        return;
+      }
       const wantsExclude = event.altKey && type === 'folder';
       const wantsMulti = !wantsExclude && (event.ctrlKey || event.metaKey) && type === 'folder';
       if (type === 'all') {
@@ -1,5 +1,6 @@
 import { NexusLogger as Logger } from './nexus-logger.js';
 import { toolOptionsController } from './tool-options-controller.js';
+import { UsageStatsDialog } from './placement/usage-stats-dialog.js';
 
 /**
  * Manages shared footer controls for the Nexus application shell.
@@ -11,6 +12,8 @@ export class FooterController {
     this._toolOptionsButton = null;
     this._boundToolOptionsClick = null;
     this._unregisterToolOptionsListener = null;
+    this._usageStatsButton = null;
+    this._boundUsageStatsClick = null;
   }
 
   initialize(events) {
@@ -22,6 +25,7 @@ export class FooterController {
     try {
       const root = this.app?.element;
       if (!root) return;
+      this._bindUsageStatsButton(root);
       const button = root.querySelector('.fa-nexus-tool-options-button');
       if (this._toolOptionsButton && this._boundToolOptionsClick && this._toolOptionsButton !== button) {
         try { this._toolOptionsButton.removeEventListener('click', this._boundToolOptionsClick); } catch (_) {}
@@ -64,7 +68,44 @@ export class FooterController {
     }
   }
 
+  _bindUsageStatsButton(root) {
+    const button = root.querySelector('.fa-nexus-usage-stats-button');
+    if (this._usageStatsButton === button) return;
+    if (this._usageStatsButton && this._boundUsageStatsClick) {
+      try { this._usageStatsButton.removeEventListener('click', this._boundUsageStatsClick); } catch (_) {}
+    }
+    this._usageStatsButton = button || null;
+    if (!button) return;
+    if (!this._boundUsageStatsClick) {
+      this._boundUsageStatsClick = (event) => this._handleUsageStatsClick(event);
+    }
+    button.addEventListener('click', this._boundUsageStatsClick);
+  }
+
+  _handleUsageStatsClick(event) {
+    try {
+      event?.preventDefault?.();
+      event?.stopPropagation?.();
+    } catch (_) {}
+    try {
+      const existing = foundry?.applications?.instances?.get?.('fa-nexus-usage-stats');
+      if (existing) {
+        existing.render({ force: true });
+        existing.bringToFront?.();
+        return;
+      }
+      new UsageStatsDialog().render(true);
+    } catch (error) {
+      Logger.warn('FooterController.usageStats.openFailed', error);
+    }
+  }
+
   destroy() {
+    if (this._usageStatsButton && this._boundUsageStatsClick) {
+      try { this._usageStatsButton.removeEventListener('click', this._boundUsageStatsClick); } catch (_) {}
+    }
+    this._usageStatsButton = null;
+    this._boundUsageStatsClick = null;
     if (this._toolOptionsButton && this._boundToolOptionsClick) {
       try { this._toolOptionsButton.removeEventListener('click', this._boundToolOptionsClick); } catch (_) {}
     }
@@ -4,6 +4,28 @@ export const GRID_SNAP_SUBDIV_MIN = 0;
 export const GRID_SNAP_SUBDIV_MAX = GRID_SNAP_DIVISORS.length - 1;
 export const GRID_SNAP_SUBDIV_DEFAULT = 1;
 
+// Line tools (paths, building walls) by id -> whether a session is running. Their premium
+// bundles snap through `snapPointToSubgrid`, which follows hex edges while one is active.
+const _lineSnapTools = new Map();
+
+/**
+ * Register a line-style tool whose snapping should follow hex edges while it is active.
+ * Registering the same id again replaces the previous check.
+ * @param {string} id
+ * @param {() => boolean} isActive
+ */
+export function registerLineSnapTool(id, isActive) {
+  if (!id || typeof isActive !== 'function') return;
+  _lineSnapTools.set(String(id), isActive);
+}
+
+function isLineSnapToolActive() {
+  for (const isActive of _lineSnapTools.values()) {
+    try { if (isActive()) return true; } catch (_) {}
+  }
+  return false;
+}
+
 export function normalizeGridSnapSubdivision(value) {
   const numeric = Number(value);
   if (!Number.isFinite(numeric)) return GRID_SNAP_SUBDIV_DEFAULT;
@@ -39,12 +61,154 @@ export function getGridSnapStep(gridSize, subdivisions = undefined) {
 
 export function formatGridSnapSubdivisionLabel(value) {
   const divisor = getGridSnapDivisor(value);
+  if (isHexGrid()) {
+    if (divisor <= 1) return 'Hex centers';
+    if (divisor === 2) return 'Centers + vertices';
+    return 'Centers, vertices + edges';
+  }
   if (divisor <= 1) return 'Full grid';
   return `1/${divisor} grid`;
 }
 
-export function snapPointToSubgrid(point, gridSize, subdivisions = undefined) {
+/**
+ * Whether the given (or active canvas) grid is hexagonal (row or column layout).
+ * @param {BaseGrid} [grid]
+ * @returns {boolean}
+ */
+export function isHexGrid(grid = globalThis?.canvas?.grid) {
+  return !!grid?.isHexagonal;
+}
+
+/**
+ * Pixel size of a single grid cell. Hex cells are not square: `sizeX`/`sizeY`
+ * hold the bounding box of one hex, which is what token footprints use.
+ * @param {BaseGrid} [grid]
+ * @param {number} [fallbackSize]
+ * @returns {{width:number,height:number}}
+ */
+export function getGridCellSize(grid = globalThis?.canvas?.grid, fallbackSize = 100) {
+  const size = Number(grid?.size ?? globalThis?.canvas?.scene?.grid?.size) || fallbackSize;
+  if (!isHexGrid(grid)) return { width: size, height: size };
+  const width = Number(grid.sizeX) || size;
+  const height = Number(grid.sizeY) || size;
+  return { width, height };
+}
+
+/**
+ * Foundry snapping mode for the current subgrid density on hex grids:
+ * full grid snaps to hex centers, 1/2 adds vertices, finer adds edge midpoints.
+ * @param {number} [subdivisions]
+ * @returns {number}
+ */
+export function getHexSnappingMode(subdivisions = undefined) {
+  const modes = globalThis?.CONST?.GRID_SNAPPING_MODES;
+  if (!modes) return 0;
+  const divisor = getGridSnapDivisor(subdivisions);
+  if (divisor <= 1) return modes.CENTER;
+  if (divisor === 2) return modes.CENTER | modes.VERTEX;
+  return modes.CENTER | modes.VERTEX | modes.EDGE_MIDPOINT;
+}
+
+/**
+ * Snap a point onto a hex grid using Foundry's grid snapping.
+ * @param {{x:number,y:number}} point
+ * @param {{grid?:BaseGrid,subdivisions?:number,mode?:number}} [options]
+ * @returns {{x:number,y:number}}
+ */
+export function snapPointToHexGrid(point, { grid = globalThis?.canvas?.grid, subdivisions = undefined, mode = undefined } = {}) {
+  const x = Number(point?.x) || 0;
+  const y = Number(point?.y) || 0;
+  if (!isHexGrid(grid) || typeof grid.getSnappedPoint !== 'function') return { x, y };
+  const snapMode = Number.isFinite(mode) ? mode : getHexSnappingMode(subdivisions);
+  if (!snapMode) return { x, y };
+  const snapped = grid.getSnappedPoint({ x, y }, { mode: snapMode });
+  return { x: Number(snapped?.x ?? x), y: Number(snapped?.y ?? y) };
+}
+
+/**
+ * Snap a token center for a footprint of `gridWidth` x `gridHeight` cells.
+ * Square grids: odd sizes land on cell centers, even sizes on intersections.
+ * Hex grids: odd sizes land on hex centers, even sizes on hex vertices (the
+ * center of Foundry's 2-hex/4-hex token shapes).
+ * @param {{x:number,y:number}} point
+ * @param {{gridWidth?:number,gridHeight?:number}} [footprint]
+ * @param {BaseGrid} [grid]
+ * @returns {{x:number,y:number}}
+ */
+export function snapTokenCenterToGrid(point, { gridWidth = 1 } = {}, grid = globalThis?.canvas?.grid) {
+  const x = Number(point?.x) || 0;
+  const y = Number(point?.y) || 0;
+  const evenFootprint = Math.round(Number(gridWidth) || 1) % 2 === 0;
+  if (isHexGrid(grid)) {
+    const modes = globalThis?.CONST?.GRID_SNAPPING_MODES;
+    if (!modes) return { x, y };
+    return snapPointToHexGrid({ x, y }, { grid, mode: evenFootprint ? modes.VERTEX : modes.CENTER });
+  }
+  const gridSize = Number(grid?.size ?? globalThis?.canvas?.scene?.grid?.size) || 0;
+  if (!gridSize) return { x, y };
+  if (evenFootprint) {
+    return {
+      x: Math.round(x / gridSize) * gridSize,
+      y: Math.round(y / gridSize) * gridSize
+    };
+  }
+  return {
+    x: Math.floor(x / gridSize) * gridSize + (gridSize / 2),
+    y: Math.floor(y / gridSize) * gridSize + (gridSize / 2)
+  };
+}
+
+/**
+ * Map a token footprint (from `parseTokenSize`) onto the grid in use. Hex
+ * token shapes are symmetric, so non-square footprints collapse to their
+ * larger side on hex scenes.
+ * @param {{gridWidth:number,gridHeight:number,scale?:number}} size
+ * @param {BaseGrid} [grid]
+ * @returns {{gridWidth:number,gridHeight:number,scale?:number}}
+ */
+export function mapTokenFootprintToGrid(size, grid = globalThis?.canvas?.grid) {
+  const gridWidth = Math.max(1, Number(size?.gridWidth) || 1);
+  const gridHeight = Math.max(1, Number(size?.gridHeight) || 1);
+  if (!isHexGrid(grid) || gridWidth === gridHeight) return { ...size, gridWidth, gridHeight };
+  const side = Math.max(gridWidth, gridHeight);
+  return { ...size, gridWidth: side, gridHeight: side };
+}
+
+/**
+ * Snap a point for line-style tools (paths, building walls). Square grids use
+ * the subgrid step; hex grids snap to hex vertices and edge midpoints so lines
+ * follow hex edges.
+ * @param {{x:number,y:number}} point
+ * @param {{grid?:BaseGrid,subdivisions?:number}} [options]
+ * @returns {{x:number,y:number}}
+ */
+export function snapPointToGridEdge(point, { grid = globalThis?.canvas?.grid, subdivisions = undefined } = {}) {
+  if (isHexGrid(grid)) {
+    const modes = globalThis?.CONST?.GRID_SNAPPING_MODES;
+    if (!modes) return { x: Number(point?.x) || 0, y: Number(point?.y) || 0 };
+    const divisor = getGridSnapDivisor(subdivisions);
+    const mode = divisor <= 1 ? modes.VERTEX : (modes.VERTEX | modes.EDGE_MIDPOINT);
+    return snapPointToHexGrid(point, { grid, mode });
+  }
+  const gridSize = Number(grid?.size ?? globalThis?.canvas?.scene?.grid?.size) || 0;
+  return snapPointToSubgrid(point, gridSize, subdivisions, { grid });
+}
+
+/**
+ * Snap a point to the subgrid step. Hex grids snap to hex centers (and vertices or edges
+ * with denser subgrids), or to hex edges while a line tool is active.
+ * @param {{x:number,y:number}} point
+ * @param {number} gridSize
+ * @param {number} [subdivisions]
+ * @param {{grid?:BaseGrid}} [options]
+ * @returns {{x:number,y:number}}
+ */
+export function snapPointToSubgrid(point, gridSize, subdivisions = undefined, { grid = globalThis?.canvas?.grid } = {}) {
   if (!point) return { x: 0, y: 0 };
+  if (isHexGrid(grid)) {
+    if (isLineSnapToolActive()) return snapPointToGridEdge(point, { grid, subdivisions });
+    return snapPointToHexGrid(point, { grid, subdivisions });
+  }
   const step = getGridSnapStep(gridSize, subdivisions);
   if (!step || !Number.isFinite(step) || step <= 0) {
     return { x: Number(point.x) || 0, y: Number(point.y) || 0 };
@@ -0,0 +1,281 @@
+import { NexusLogger as Logger } from './nexus-logger.js';
+
+const MODULE_ID = 'fa-nexus';
+const MODIFIERS = ['Control', 'Shift', 'Alt'];
+const MODIFIER_CODES = {
+  ControlLeft: 'Control',
+  ControlRight: 'Control',
+  MetaLeft: 'Control',
+  MetaRight: 'Control',
+  ShiftLeft: 'Shift',
+  ShiftRight: 'Shift',
+  AltLeft: 'Alt',
+  AltRight: 'Alt'
+};
+const TAB_ORDER = ['tokens', 'assets', 'textures', 'paths', 'buildings'];
+const TAB_LABELS = {
+  tokens: 'Tokens',
+  assets: 'Assets',
+  textures: 'Textures',
+  paths: 'Paths',
+  buildings: 'Building Tool'
+};
+
+/**
+ * Action ids registered with Foundry's keybinding registry. Placement actions
+ * have no Foundry handler: the placement sessions match them against their own
+ * capture-phase key/wheel listeners so they can pre-empt core bindings while a
+ * placement is active, exactly like the previous hardcoded keys did.
+ */
+export const NEXUS_KEYBINDINGS = {
+  OPEN: 'openNexus',
+  NEXT_TAB: 'nextTab',
+  PREVIOUS_TAB: 'previousTab',
+  NEXT_BOOKMARK: 'nextBookmark',
+  PREVIOUS_BOOKMARK: 'previousBookmark',
+  PLACEMENT_CANCEL: 'placementCancel',
+  PLACEMENT_FREEZE: 'placementFreeze',
+  PLACEMENT_STICKY: 'placementSticky',
+  PLACEMENT_UNDO: 'placementUndo',
+  PLACEMENT_REDO: 'placementRedo',
+  PLACEMENT_COMMIT: 'placementCommit',
+  ELEVATION_WHEEL: 'elevationWheel'
+};
+
+const tabActionId = (tabId) => `switchTab.${tabId}`;
+
+function getOpenApp() {
+  try { return foundry.applications.instances.get('fa-nexus-app') || null; }
+  catch (_) { return null; }
+}
+
+function eventModifiers(event) {
+  return {
+    Control: !!(event?.ctrlKey || event?.metaKey),
+    Shift: !!event?.shiftKey,
+    Alt: !!event?.altKey
+  };
+}
+
+function modifiersMatch(binding, event, ignore = null) {
+  const wanted = new Set(Array.isArray(binding?.modifiers) ? binding.modifiers : []);
+  const active = eventModifiers(event);
+  return MODIFIERS.every((mod) => mod === ignore || active[mod] === wanted.has(mod));
+}
+
+/**
+ * Read the current bindings for an action, falling back to nothing when the
+ * registry is unavailable (e.g. before init).
+ * @param {string} action
+ * @returns {Array<{key:string, modifiers?:string[]}>}
+ */
+export function getKeybindings(action) {
+  try {
+    const bindings = game?.keybindings?.get?.(MODULE_ID, action);
+    return Array.isArray(bindings) ? bindings.filter((b) => b?.key) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Whether a keydown event triggers the given action.
+ * @param {KeyboardEvent} event
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function matchesKeybinding(event, action) {
+  const code = event?.code;
+  if (!code) return false;
+  for (const binding of getKeybindings(action)) {
+    if (binding.key !== code) continue;
+    if (modifiersMatch(binding, event, MODIFIER_CODES[code] || null)) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a held-key binding is active for a pointer or wheel event. Modifier
+ * bindings (Alt, Shift, Ctrl) read the event flags; other keys consult
+ * Foundry's set of currently pressed keys.
+ * @param {Event} event
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isKeybindingHeld(event, action) {
+  const active = eventModifiers(event);
+  for (const binding of getKeybindings(action)) {
+    const modifier = MODIFIER_CODES[binding.key];
+    if (modifier) {
+      if (active[modifier] && (binding.modifiers || []).every((mod) => active[mod])) return true;
+      continue;
+    }
+    let down = false;
+    try { down = !!game?.keyboard?.downKeys?.has?.(binding.key); } catch (_) {}
+    if (down && (binding.modifiers || []).every((mod) => active[mod])) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether the key that fired a keydown/keyup belongs to a held-key binding.
+ * @param {KeyboardEvent} event
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isKeybindingKey(event, action) {
+  const code = event?.code;
+  if (!code) return false;
+  return getKeybindings(action).some((binding) => binding.key === code);
+}
+
+/**
+ * Human readable label of the first binding for an action, e.g. "Ctrl + Z".
+ * @param {string} action
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+export function formatKeybinding(action, fallback = 'unbound') {
+  const binding = getKeybindings(action)[0];
+  if (!binding) return fallback;
+  const key = String(binding.key)
+    .replace(/^Key/, '')
+    .replace(/^Digit/, '')
+    .replace(/(Left|Right)$/, '')
+    .replace(/^Control$/, 'Ctrl');
+  const mods = (binding.modifiers || []).map((mod) => (mod === 'Control' ? 'Ctrl' : mod));
+  return [...mods, key].join(' + ');
+}
+
+function switchTab(tabId, open) {
+  const app = getOpenApp();
+  if (!app?.rendered) {
+    Promise.resolve(game.settings.set(MODULE_ID, 'activeTab', tabId))
+      .catch(() => {})
+      .then(() => open?.());
+    return true;
+  }
+  const tabs = app._tabManager;
+  if (!tabs || tabs.areTabsLocked?.()) return false;
+  tabs.switchToTab(tabId);
+  return true;
+}
+
+function cycleTab(direction) {
+  const tabs = getOpenApp()?._tabManager;
+  if (!tabs || tabs.areTabsLocked?.()) return false;
+  const current = TAB_ORDER.indexOf(tabs.getActiveTabId?.() || 'tokens');
+  const next = TAB_ORDER[(current + direction + TAB_ORDER.length) % TAB_ORDER.length];
+  tabs.switchToTab(next);
+  return true;
+}
+
+function cycleBookmark(direction) {
+  const app = getOpenApp();
+  if (!app?.rendered) return false;
+  return !!app.cycleBookmark?.(direction);
+}
+
+/**
+ * Register all FA Nexus keybindings. Must run during `init`.
+ * @param {{open?:Function}} [options]
+ */
+export function registerNexusKeybindings({ open = null } = {}) {
+  const register = (action, data) => {
+    try {
+      game.keybindings.register(MODULE_ID, action, {
+        restricted: true,
+        precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL,
+        ...data
+      });
+    } catch (e) {
+      Logger.warn('Keybindings.register.failed', { action, error: e });
+    }
+  };
+
+  register(NEXUS_KEYBINDINGS.OPEN, {
+    name: 'Open FA Nexus',
+    hint: 'Open the FA Nexus window, or bring it to the front if it is already open.',
+    editable: [],
+    onDown: () => { open?.(); return true; }
+  });
+
+  for (const tabId of TAB_ORDER) {
+    register(tabActionId(tabId), {
+      name: `Switch to ${TAB_LABELS[tabId]} Tab`,
+      hint: `Open FA Nexus on the ${TAB_LABELS[tabId]} tab.`,
+      editable: [],
+      onDown: () => switchTab(tabId, open)
+    });
+  }
+
+  register(NEXUS_KEYBINDINGS.NEXT_TAB, {
+    name: 'Next Tab',
+    hint: 'Switch the open FA Nexus window to the next tab.',
+    editable: [],
+    onDown: () => cycleTab(1)
+  });
+
+  register(NEXUS_KEYBINDINGS.PREVIOUS_TAB, {
+    name: 'Previous Tab',
+    hint: 'Switch the open FA Nexus window to the previous tab.',
+    editable: [],
+    onDown: () => cycleTab(-1)
+  });
+
+  register(NEXUS_KEYBINDINGS.NEXT_BOOKMARK, {
+    name: 'Next Bookmark',
+    hint: 'Load the next bookmark of the active FA Nexus tab.',
+    editable: [],
+    onDown: () => cycleBookmark(1)
+  });
+
+  register(NEXUS_KEYBINDINGS.PREVIOUS_BOOKMARK, {
+    name: 'Previous Bookmark',
+    hint: 'Load the previous bookmark of the active FA Nexus tab.',
+    editable: [],
+    onDown: () => cycleBookmark(-1)
+  });
+
+  register(NEXUS_KEYBINDINGS.PLACEMENT_CANCEL, {
+    name: 'Cancel Placement',
+    hint: 'Stop the active asset or token placement (or cancel an unsaved scatter session).',
+    editable: [{ key: 'Escape' }]
+  });
+
+  register(NEXUS_KEYBINDINGS.PLACEMENT_FREEZE, {
+    name: 'Freeze Placement Preview',
+    hint: 'Lock the asset placement preview in place so it can be adjusted without following the cursor. Press again to unlock.',
+    editable: [{ key: 'Space' }]
+  });
+
+  register(NEXUS_KEYBINDINGS.PLACEMENT_STICKY, {
+    name: 'Keep Placing (Hold)',
+    hint: 'Hold while clicking to keep placing after a drop, or while clicking a card to start sticky placement.',
+    editable: [{ key: 'ShiftLeft' }, { key: 'ShiftRight' }]
+  });
+
+  register(NEXUS_KEYBINDINGS.PLACEMENT_UNDO, {
+    name: 'Undo Scatter Stroke',
+    hint: 'Undo the last stroke of an unsaved scatter brush session.',
+    editable: [{ key: 'KeyZ', modifiers: ['Control'] }]
+  });
+
+  register(NEXUS_KEYBINDINGS.PLACEMENT_REDO, {
+    name: 'Redo Scatter Stroke',
+    hint: 'Redo the last undone stroke of an unsaved scatter brush session.',
+    editable: [{ key: 'KeyY', modifiers: ['Control'] }, { key: 'KeyZ', modifiers: ['Control', 'Shift'] }]
+  });
+
+  register(NEXUS_KEYBINDINGS.PLACEMENT_COMMIT, {
+    name: 'Save Scatter Session',
+    hint: 'Save the active scatter brush session to the scene.',
+    editable: [{ key: 'KeyS' }]
+  });
+
+  register(NEXUS_KEYBINDINGS.ELEVATION_WHEEL, {
+    name: 'Elevation Scroll (Hold)',
+    hint: 'Hold while scrolling to change the elevation of the placement preview or selected tiles. Add Ctrl for fine steps and Shift for coarse steps.',
+    editable: [{ key: 'AltLeft' }, { key: 'AltRight' }]
+  });
+}
@@ -0,0 +1,489 @@
+import { NexusLogger as Logger } from './nexus-logger.js';
+import { NexusContentService } from '../content/nexus-content-service.js';
+import { NexusDownloadManager } from '../content/nexus-download-manager.js';
+import { exportOfflineSnapshot, importOfflineSnapshot } from '../content/offline-snapshot.js';
+import { AssetPlacementManager } from '../assets/asset-placement-manager.js';
+import { listPalettes, getPalette, savePalette, deletePalette, startPalettePlacement } from '../assets/asset-palettes.js';
+import { TokenPlacementManager } from '../tokens/token-placement-manager.js';
+import { getSystemAdapter, registerSystemAdapter } from '../tokens/system-adapters.js';
+import { TileFlattenManager } from '../canvas/tile-flatten-manager.js';
+import { importUniversalVtt } from '../canvas/uvtt-import.js';
+import { AssetShadowManager } from '../assets/asset-shadow-manager.js';
+import { nexusCollaboration } from './collaboration-service.js';
+import { NEXUS_KEYBINDINGS, matchesKeybinding, isKeybindingHeld, formatKeybinding } from './keybindings.js';
+import { isHexGrid, snapPointToSubgrid, snapPointToGridEdge, snapTokenCenterToGrid } from './grid-snap-utils.js';
+
+const MODULE_ID = 'fa-nexus';
+const API_READY_HOOK = 'fa-nexus-api-ready';
+const CONTENT_KINDS = new Set(['tokens', 'assets']);
+
+/**
+ * Headless stand-in for the Nexus window used when the API is called while the
+ * app is closed. Placement managers only need the shared content/download
+ * services from it; `element` stays null so DOM feedback is skipped.
+ */
+const headlessHost = {
+  element: null,
+  _contentService: null,
+  _downloadManager: null,
+  _getAuthService() {
+    return null;
+  }
+};
+
+let _standaloneAssetPlacement = null;
+let _standaloneTokenPlacement = null;
+let _tileFlattenManager = null;
+
+function getOpenApp() {
+  try { return foundry.applications.instances.get('fa-nexus-app') || null; }
+  catch (_) { return null; }
+}
+
+function readAuthState() {
+  try {
+    const auth = game.settings.get(MODULE_ID, 'patreon_auth_data');
+    return auth && auth.authenticated && auth.state ? auth.state : undefined;
+  } catch (_) {
+    return undefined;
+  }
+}
+
+function assertKind(kind) {
+  if (!CONTENT_KINDS.has(kind)) throw new Error(`Unknown content kind "${kind}" (expected "tokens" or "assets")`);
+}
+
+function assertGM(action) {
+  if (!game?.user?.isGM) throw new Error(`FA Nexus: ${action} requires a GM user`);
+}
+
+/**
+ * Resolve the host that owns content/download services: the open Nexus window
+ * when available, otherwise the lazily initialised headless host.
+ * @returns {object}
+ */
+function resolveHost() {
+  const app = getOpenApp();
+  if (app?._contentService && app?._downloadManager) return app;
+  if (!headlessHost._contentService) {
+    headlessHost._contentService = new NexusContentService({ app: null });
+  }
+  if (!headlessHost._downloadManager) {
+    headlessHost._downloadManager = new NexusDownloadManager();
+    headlessHost._downloadManager.initialize().catch(() => {});
+  }
+  return headlessHost;
+}
+
+function getAssetPlacementManager() {
+  const app = getOpenApp();
+  const tab = app?._tabManager?.getTabs?.()?.assets || null;
+  const existing = tab?.placementManager;
+  if (existing instanceof AssetPlacementManager) return existing;
+  if (!_standaloneAssetPlacement) _standaloneAssetPlacement = new AssetPlacementManager(resolveHost());
+  else if (app && _standaloneAssetPlacement.app !== app && app._contentService) _standaloneAssetPlacement.app = app;
+  return _standaloneAssetPlacement;
+}
+
+function getTokenPlacementManager() {
+  const app = getOpenApp();
+  const existing = app?._tabManager?.getTabs?.()?.tokens?._placement;
+  if (existing instanceof TokenPlacementManager) return existing;
+  if (!_standaloneTokenPlacement) _standaloneTokenPlacement = new TokenPlacementManager(resolveHost());
+  else if (app && _standaloneTokenPlacement.app !== app && app._contentService) _standaloneTokenPlacement.app = app;
+  return _standaloneTokenPlacement;
+}
+
+function getTileFlattenManager() {
+  if (!_tileFlattenManager) _tileFlattenManager = new TileFlattenManager();
+  return _tileFlattenManager;
+}
+
+/**
+ * Normalise tile references (documents, placeables or ids) to TileDocuments on the active scene.
+ * @param {Array<TileDocument|Tile|string>} tiles
+ * @returns {TileDocument[]}
+ */
+function resolveTileDocuments(tiles) {
+  const list = Array.isArray(tiles) ? tiles : (tiles ? [tiles] : []);
+  const docs = [];
+  const seen = new Set();
+  for (const entry of list) {
+    let doc = null;
+    if (typeof entry === 'string') doc = canvas?.scene?.tiles?.get?.(entry) || null;
+    else doc = entry?.document ?? entry ?? null;
+    if (!doc || !(doc instanceof foundry.documents.TileDocument)) continue;
+    if (seen.has(doc.id)) continue;
+    seen.add(doc.id);
+    docs.push(doc);
+  }
+  return docs;
+}
+
+/**
+ * Build the public API object.
+ * @param {{open?:Function}} [options]
+ * @returns {object}
+ */
+export function createNexusApi({ open = null } = {}) {
+  const api = {
+    /** Module version from the manifest */
+    get version() {
+      try { return game.modules.get(MODULE_ID)?.version ?? null; } catch (_) { return null; }
+    },
+
+    /**
+     * Open or focus the FA Nexus window (GM only).
+     * @returns {object|null} The application instance
+     */
+    open() {
+      return typeof open === 'function' ? open() : null;
+    },
+
+    content: {
+      /**
+       * List cloud manifest items for a kind. Requires a prior sync (opening the
+       * matching Nexus tab performs one).
+       * @param {'tokens'|'assets'} kind
+       * @param {{text?:string,tier?:string,pathPrefix?:string,offset?:number,limit?:number}} [opts]
+       * @returns {Promise<{items:Array<object>, total:number}>}
+       */
+      async list(kind, opts = {}) {
+        assertKind(kind);
+        return resolveHost()._contentService.list(kind, opts);
+      },
+
+      /**
+       * Resolve the full-resolution URL for a cloud item. Premium items use the
+       * current Patreon session unless an explicit `state` is given.
+       * @param {'tokens'|'assets'} kind
+       * @param {{file_path:string,filename?:string,tier?:'free'|'premium'}} item
+       * @param {string} [state]
+       * @returns {Promise<string>}
+       */
+      async getFullURL(kind, item, state) {
+        assertKind(kind);
+        return resolveHost()._contentService.getFullURL(kind, item, state ?? readAuthState());
+      },
+
+      /** Whether offline content mode is enabled for this client */
+      isOffline() {
+        return resolveHost()._contentService.isOfflineMode();
+      },
+
+      /**
+       * Export cloud manifests and already downloaded files as an offline snapshot ZIP.
+       * @param {{kinds?:Array<'tokens'|'assets'>,includeUndownloaded?:boolean,onProgress?:Function,signal?:AbortSignal}} [options]
+       * @returns {Promise<{blob:Blob, summary:object}>}
+       */
+      async exportOfflineSnapshot(options = {}) {
+        assertGM('offline snapshot export');
+        const host = resolveHost();
+        return exportOfflineSnapshot({ ...options, contentService: host._contentService, downloadManager: host._downloadManager });
+      },
+
+      /**
+       * Import an offline snapshot ZIP, storing its files in the cloud download folders.
+       * @param {Blob} file
+       * @param {{onProgress?:Function,signal?:AbortSignal}} [options]
+       * @returns {Promise<object>} Import summary
+       */
+      async importOfflineSnapshot(file, options = {}) {
+        assertGM('offline snapshot import');
+        const host = resolveHost();
+        return importOfflineSnapshot(file, { ...options, contentService: host._contentService, downloadManager: host._downloadManager });
+      }
+    },
+
+    assets: {
+      /**
+       * Start interactive placement of a single asset on the canvas.
+       * @param {object} asset - Asset record (`path`/`url` for local files, or a cloud item with `source: 'cloud'`)
+       * @param {{sticky?:boolean,pointer?:{x:number,y:number}}} [options]
+       */
+      startPlacement(asset, { sticky = false, ...options } = {}) {
+        assertGM('asset placement');
+        if (!asset) throw new Error('FA Nexus: asset is required');
+        getAssetPlacementManager().startPlacement(asset, !!sticky, options);
+      },
+
+      /**
+       * Start placement that picks a random asset from the list for every drop.
+       * @param {Array<object>} assets
+       * @param {{sticky?:boolean,pointer?:{x:number,y:number}}} [options]
+       */
+      startPlacementRandom(assets, { sticky = true, ...options } = {}) {
+        assertGM('asset placement');
+        if (!Array.isArray(assets) || !assets.length) throw new Error('FA Nexus: at least one asset is required');
+        getAssetPlacementManager().startPlacementRandom(assets, sticky !== false, options);
+      },
+
+      /** Cancel any asset placement started through the API or the Assets tab */
+      cancelPlacement() {
+        try { getAssetPlacementManager().cancelPlacement('user'); } catch (_) {}
+      },
+
+      palettes: {
+        /** @returns {Array<object>} Saved placement palettes */
+        list() {
+          return listPalettes();
+        },
+
+        /**
+         * @param {string} id
+         * @returns {object|null}
+         */
+        get(id) {
+          return getPalette(id);
+        },
+
+        /**
+         * Create or update a palette: `{id?, name, items:[{asset, weight}], scale:{min,max},
+         * rotation:{min,max}, flip:{horizontal,vertical}, shadow:{enabled,preset}, mode}`.
+         * @param {object} palette
+         * @returns {Promise<object>}
+         */
+        save(palette) {
+          return savePalette(palette);
+        },
+
+        /**
+         * @param {string} id
+         * @returns {Promise<boolean>}
+         */
+        delete(id) {
+          return deletePalette(id);
+        },
+
+        /**
+         * Start weighted random (or scatter brush) placement from a saved palette.
+         * @param {string|object} palette - Palette id or palette object
+         * @param {{sticky?:boolean}} [options]
+         * @returns {boolean}
+         */
+        startPlacement(palette, options = {}) {
+          assertGM('asset placement');
+          return startPalettePlacement(getAssetPlacementManager(), palette, options);
+        }
+      }
+    },
+
+    tokens: {
+      /**
+       * Start token placement from one or more entries (token records with
+       * `file_path`/`filename`, `source`, `tier`, `grid_width`, ...).
+       * Multiple entries, or `forceRandom`, pick a random entry per drop.
+       * @param {Array<object>|object} entries
+       * @param {{sticky?:boolean,forceRandom?:boolean,pointerEvent?:PointerEvent}} [options]
+       * @returns {Promise<void>}
+       */
+      async startPlacement(entries, { sticky = true, forceRandom = false, pointerEvent = null } = {}) {
+        assertGM('token placement');
+        const list = Array.isArray(entries) ? entries.filter(Boolean) : (entries ? [entries] : []);
+        if (!list.length) throw new Error('FA Nexus: at least one token entry is required');
+        await getTokenPlacementManager().startPlacementFromEntries(list, { sticky, forceRandom, pointerEvent });
+      },
+
+      /** Cancel any token placement started through the API or the Tokens tab */
+      cancelPlacement() {
+        try { getTokenPlacementManager().cancelPlacement('user'); } catch (_) {}
+      }
+    },
+
+    flatten: {
+      /**
+       * Flatten tiles on the active scene into a single image tile.
+       * @param {Array<TileDocument|Tile|string>} tiles - Documents, placeables or tile ids
+       * @param {object} [options] - Same options as the Flatten dialog (ppi, quality, format, paddingSnap, ...)
+       * @returns {Promise<void>}
+       */
+      async flattenTiles(tiles, options = {}) {
+        assertGM('flattening');
+        const docs = resolveTileDocuments(tiles);
+        if (!docs.length) throw new Error('FA Nexus: no tiles found to flatten');
+        return getTileFlattenManager().flattenTiles(docs, options);
+      },
+
+      /**
+       * Export or flatten the whole active scene.
+       * @param {{exportAction?:'export'|'flatten'|'layered'|'uvtt',format?:'webp'|'png'|'jpeg'|'avif',ppi?:number,quality?:number,exportSplitLayers?:boolean,exportChunked?:boolean}} [options]
+       * @returns {Promise<void>}
+       */
+      async exportScene(options = {}) {
+        assertGM('scene export');
+        return getTileFlattenManager().exportScene(options);
+      },
+
+      /**
+       * Create a scene (image, walls, doors, lights) from a Universal VTT / .dd2vtt file.
+       * @param {File|Blob} file
+       * @param {{name?:string,imageMode?:'background'|'tile',doorTexture?:string,doorAnimation?:string,doorShadows?:boolean,activate?:boolean}} [options]
+       * @returns {Promise<Scene>}
+       */
+      async importUniversalVtt(file, options = {}) {
+        assertGM('Universal VTT import');
+        return importUniversalVtt(file, { ...options, manager: getTileFlattenManager() });
+      },
+
+      /** @returns {boolean} True while a flatten/export/deconstruct runs */
+      isBusy() {
+        return getTileFlattenManager().isBusy();
+      }
+    },
+
+    grid: {
+      /** @returns {boolean} True when the active scene uses a hex row or hex column grid */
+      isHex() {
+        return isHexGrid(canvas?.grid);
+      },
+
+      /**
+       * Snap a point the way asset placement does (subgrid steps, or hex
+       * centers/vertices/edges depending on the Subgrid Density setting).
+       * @param {{x:number,y:number}} point
+       * @returns {{x:number,y:number}}
+       */
+      snapPoint(point) {
+        return snapPointToSubgrid(point, canvas?.scene?.grid?.size, undefined, { grid: canvas?.grid });
+      },
+
+      /**
+       * Snap a point for line tools (paths, building walls): hex vertices and
+       * edge midpoints on hex grids, subgrid steps on square grids.
+       * @param {{x:number,y:number}} point
+       * @returns {{x:number,y:number}}
+       */
+      snapPointToEdge(point) {
+        return snapPointToGridEdge(point, { grid: canvas?.grid });
+      },
+
+      /**
+       * Snap a token center for a footprint of `gridWidth` cells.
+       * @param {{x:number,y:number}} point
+       * @param {{gridWidth?:number,gridHeight?:number}} [footprint]
+       * @returns {{x:number,y:number}}
+       */
+      snapTokenCenter(point, footprint = {}) {
+        return snapTokenCenterToGrid(point, footprint, canvas?.grid);
+      }
+    },
+
+    keybindings: {
+      /** Action ids registered under Configure Controls → FA Nexus */
+      actions: { ...NEXUS_KEYBINDINGS },
+
+      /**
+       * Whether a keydown event triggers a FA Nexus action, honouring the user's bindings.
+       * @param {KeyboardEvent} event
+       * @param {string} action
+       * @returns {boolean}
+       */
+      matches(event, action) {
+        return matchesKeybinding(event, action);
+      },
+
+      /**
+       * Whether a held-key action (e.g. elevation scroll) is active for a wheel or pointer event.
+       * @param {Event} event
+       * @param {string} action
+       * @returns {boolean}
+       */
+      isHeld(event, action) {
+        return isKeybindingHeld(event, action);
+      },
+
+      /**
+       * Label of the first binding for UI hints, e.g. "Ctrl + Z".
+       * @param {string} action
+       * @returns {string}
+       */
+      format(action) {
+        return formatKeybinding(action);
+      }
+    },
+
+    collaboration: {
+      /**
+       * Tiles other connected GMs currently have open in an FA Nexus editor.
+       * @returns {Array<{tileId:string,userId:string,kind:string,sceneId:string|null}>}
+       */
+      getEditLocks() {
+        return nexusCollaboration.getRemoteLocks();
+      },
+
+      /**
+       * Announce that this client started or stopped editing a tile, for editors
+       * living outside this module (premium bundles, macros).
+       * @param {string} kind
+       * @param {string} tileId
+       * @param {boolean} active
+       */
+      setEditLock(kind, tileId, active) {
+        nexusCollaboration.setEditLock(kind, tileId, active);
+      },
+
+      /**
+       * Share a live preview cursor with co-GMs; pass null to clear it.
+       * @param {{x:number,y:number,radius?:number,label?:string}|null} preview
+       */
+      broadcastPreview(preview) {
+        nexusCollaboration.broadcastPreview(preview);
+      }
+    },
+
+    shadows: {
+      /**
+       * Update drop-shadow settings for every Nexus shadow tile at an elevation.
+       * @param {number} elevation
+       * @param {{alpha?:number,blur?:number,dilation?:number,offsetDistance?:number,offsetAngle?:number,offsetX?:number,offsetY?:number}} settings
+       * @returns {Promise<boolean>} False when no shadow tiles exist at that elevation
+       */
+      async applyElevationSettings(elevation, settings = {}) {
+        assertGM('shadow updates');
+        const value = Number(elevation);
+        if (!Number.isFinite(value)) throw new Error('FA Nexus: elevation must be a number');
+        return AssetShadowManager.getInstance(getOpenApp()).applyElevationSettings(value, settings || {});
+      }
+    },
+
+    systems: {
+      /**
+       * Add or replace how tokens become actors in a game system: actor types, size fields,
+       * HP paths and token defaults. Same as answering the `fa-nexus.registerSystemAdapter` hook.
+       * @param {import('../tokens/system-adapters.js').SystemAdapter} adapter
+       * @returns {boolean} False when the adapter is invalid
+       */
+      registerAdapter(adapter) {
+        return registerSystemAdapter(adapter);
+      },
+
+      /**
+       * Adapter used for a system; the generic one when it has none.
+       * @param {string} [systemId] - Defaults to the current system
+       * @returns {import('../tokens/system-adapters.js').SystemAdapter}
+       */
+      getAdapter(systemId) {
+        return getSystemAdapter(systemId);
+      }
+    }
+  };
+  return api;
+}
+
+/**
+ * Install the API on `game.modules.get('fa-nexus').api` and `window.faNexus.api`,
+ * then announce it through the `fa-nexus-api-ready` hook.
+ * @param {{open?:Function}} [options]
+ * @returns {object|null}
+ */
+export function registerNexusApi(options = {}) {
+  const module = game?.modules?.get?.(MODULE_ID);
+  if (!module) return null;
+  if (module.api) return module.api;
+  const api = createNexusApi(options);
+  module.api = api;
+  try { globalThis.window.faNexus = Object.assign(globalThis.window.faNexus || {}, { api }); } catch (_) {}
+  Logger.info('NexusApi.registered');
+  try { Hooks.callAll(API_READY_HOOK, api); } catch (_) {}
+  return api;
+}
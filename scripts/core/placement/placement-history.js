@@ -0,0 +1,358 @@
+// Recently placed assets, tokens, textures and paths with the parameters they were placed with
+import { NexusLogger as Logger } from '../nexus-logger.js';
+import { recordUsage } from './usage-stats.js';
+
+const MODULE_ID = 'fa-nexus';
+// Stored per user inside the world, so every world keeps its own history
+const SETTING_KEY = 'placementHistory';
+const MAX_ENTRIES = 40;
+// Placements arrive one per click in sticky mode; the setting is written once they pause
+const SAVE_DELAY_MS = 1500;
+const KINDS = new Set(['asset', 'token', 'texture', 'path']);
+const FLIP_MODES = new Set(['off', 'on', 'random']);
+// Item fields needed to place an asset or token again without its card
+const ITEM_FIELDS = [
+  'source', 'tier', 'file_path', 'folder_path', 'path', 'cachedLocalPath', 'filename', 'url', 'display_name',
+  'grid_width', 'grid_height', 'width', 'height', 'actual_width', 'actual_height', 'scale',
+  'color_variant', 'base_name_no_variant', 'has_color_variant', 'variant_group', 'thumbnail_url'
+];
+
+let _entries = null;
+let _saveTimer = null;
+// Tile flag -> { kind, resolve } for tools that commit tiles inside their premium bundle
+const _tileSources = new Map();
+let _tileHookInstalled = false;
+
+function finite(value, fallback = null) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+function normalizeRange(range) {
+  if (!range || typeof range !== 'object') return null;
+  const min = finite(range.min);
+  const max = finite(range.max);
+  if (min === null || max === null) return null;
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+function normalizeShadow(shadow) {
+  if (!shadow || typeof shadow !== 'object') return null;
+  const keys = ['alpha', 'dilation', 'blur', 'offsetDistance', 'offsetAngle'];
+  const preset = shadow.preset && typeof shadow.preset === 'object' ? shadow.preset : null;
+  const values = preset ? keys.map((key) => Number(preset[key])) : [];
+  return {
+    enabled: shadow.enabled === true || shadow.enabled === false ? shadow.enabled : null,
+    preset: preset && values.every(Number.isFinite) ? Object.fromEntries(keys.map((key, index) => [key, values[index]])) : null
+  };
+}
+
+// Token sessions: hit point preset and formation
+function normalizeHp(hp) {
+  if (!hp || typeof hp !== 'object' || typeof hp.mode !== 'string') return null;
+  return {
+    mode: hp.mode,
+    percent: finite(hp.percent, 0),
+    static: typeof hp.static === 'string' ? hp.static.slice(0, 120) : ''
+  };
+}
+
+function normalizeFormation(formation) {
+  if (!formation || typeof formation !== 'object' || typeof formation.pattern !== 'string') return null;
+  const count = finite(formation.count);
+  const radius = finite(formation.radius);
+  if (count === null || radius === null) return null;
+  return { enabled: formation.enabled === true, pattern: formation.pattern, count, radius };
+}
+
+function pickItemFields(item) {
+  const out = {};
+  for (const field of ITEM_FIELDS) {
+    const value = item?.[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value === 'object') continue;
+    out[field] = value;
+  }
+  return out;
+}
+
+/**
+ * Key used to tell items apart (file path first, like the placement prefetch queue).
+ * @param {object} item
+ * @returns {string}
+ */
+export function placementItemKey(item) {
+  return String(item?.file_path || item?.path || item?.filename || '').toLowerCase();
+}
+
+function normalizeParams(params) {
+  const raw = params && typeof params === 'object' ? params : {};
+  const flip = raw.flip && typeof raw.flip === 'object' ? raw.flip : null;
+  const out = {};
+  const scale = normalizeRange(raw.scale);
+  if (scale) out.scale = scale;
+  const rotation = normalizeRange(raw.rotation);
+  if (rotation) out.rotation = rotation;
+  if (flip) {
+    out.flip = {
+      horizontal: FLIP_MODES.has(flip.horizontal) ? flip.horizontal : 'off',
+      vertical: FLIP_MODES.has(flip.vertical) ? flip.vertical : 'off'
+    };
+  }
+  const elevation = finite(raw.elevation);
+  if (elevation !== null) out.elevation = elevation;
+  const shadow = normalizeShadow(raw.shadow);
+  if (shadow) out.shadow = shadow;
+  const hp = normalizeHp(raw.hp);
+  if (hp) out.hp = hp;
+  const formation = normalizeFormation(raw.formation);
+  if (formation) out.formation = formation;
+  if (raw.mode === 'single' || raw.mode === 'brush') out.mode = raw.mode;
+  return out;
+}
+
+function normalizeStart(start) {
+  if (!start || typeof start !== 'object' || !start.path) return null;
+  const out = { path: String(start.path), name: String(start.name || '') };
+  if (start.solidColor) out.solidColor = String(start.solidColor);
+  return out;
+}
+
+function entrySignature(entry) {
+  return JSON.stringify([entry.kind, entry.items.map(placementItemKey), entry.params, entry.start?.path || null, entry.start?.solidColor || null]);
+}
+
+/**
+ * Fill defaults and drop unknown fields of a stored history entry.
+ * @param {object} raw
+ * @returns {object|null}
+ */
+export function normalizePlacementEntry(raw) {
+  if (!raw || typeof raw !== 'object' || !KINDS.has(raw.kind)) return null;
+  const seen = new Set();
+  const items = [];
+  for (const item of Array.isArray(raw.items) ? raw.items : []) {
+    const picked = pickItemFields(item);
+    const key = placementItemKey(picked);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    items.push(picked);
+  }
+  const start = normalizeStart(raw.start);
+  if (!items.length && !start) return null;
+  return {
+    id: String(raw.id || foundry.utils.randomID()),
+    kind: raw.kind,
+    items,
+    params: normalizeParams(raw.params),
+    start,
+    count: Math.max(1, Math.round(finite(raw.count, 1))),
+    placedAt: finite(raw.placedAt, Date.now())
+  };
+}
+
+function loadEntries() {
+  if (_entries) return _entries;
+  let stored = [];
+  try { stored = game.settings.get(MODULE_ID, SETTING_KEY) || []; }
+  catch (_) { stored = []; }
+  _entries = (Array.isArray(stored) ? stored : []).map(normalizePlacementEntry).filter(Boolean);
+  return _entries;
+}
+
+function notifyChanged() {
+  try { foundry.applications.instances.get('fa-nexus-app')?._activeTabObj?.onPlacementHistoryChanged?.(); } catch (_) {}
+}
+
+function scheduleSave() {
+  if (_saveTimer) clearTimeout(_saveTimer);
+  _saveTimer = setTimeout(() => {
+    _saveTimer = null;
+    const entries = loadEntries().slice();
+    game.settings.set(MODULE_ID, SETTING_KEY, entries).catch?.((error) => {
+      Logger.warn('PlacementHistory.save.failed', { error: String(error?.message || error) });
+    });
+  }, SAVE_DELAY_MS);
+}
+
+/** Drop the cached entries; called when the setting changes (e.g. from another client of this user). */
+export function invalidatePlacementHistory() {
+  // A pending local write is newer than what the setting holds
+  if (_saveTimer) return;
+  _entries = null;
+}
+
+/**
+ * Most recent first.
+ * @param {string|null} [kind] - 'asset' | 'token' | 'texture' | 'path'; null for every kind
+ * @returns {Array<object>}
+ */
+export function listPlacementHistory(kind = null) {
+  const entries = loadEntries();
+  return kind ? entries.filter((entry) => entry.kind === kind) : entries.slice();
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getPlacementEntry(id) {
+  return loadEntries().find((entry) => entry.id === id) || null;
+}
+
+/**
+ * Remember a placement. Placing the same items with the same parameters again moves the
+ * existing entry to the top instead of adding a new one.
+ * `items` is the session's pool, kept so "place again" restores it; the usage stats count
+ * `placed` instead, the item of every tile or token the placement created.
+ * @param {string} kind - 'asset' | 'token' | 'texture' | 'path'
+ * @param {{items?:Array<object>, params?:object, start?:{path:string,name?:string,solidColor?:string}}|null} data
+ * @param {{placed?:Array<object>}} [options] - Texture and path tiles count their start texture
+ * @returns {object|null} The stored entry
+ */
+export function recordPlacement(kind, data, { placed = null } = {}) {
+  try {
+    const { items = [], params = {}, start = null } = data || {};
+    recordUsage(kind, usageItems(placed, normalizeStart(start)));
+    const entry = normalizePlacementEntry({ kind, items, params, start, placedAt: Date.now() });
+    if (!entry) return null;
+    const entries = loadEntries();
+    const signature = entrySignature(entry);
+    const index = entries.findIndex((existing) => entrySignature(existing) === signature);
+    if (index >= 0) {
+      const [existing] = entries.splice(index, 1);
+      entry.id = existing.id;
+      entry.count = existing.count + 1;
+    }
+    entries.unshift(entry);
+    if (entries.length > MAX_ENTRIES) entries.length = MAX_ENTRIES;
+    scheduleSave();
+    notifyChanged();
+    return entry;
+  } catch (error) {
+    Logger.warn('PlacementHistory.record.failed', { kind, error: String(error?.message || error) });
+    return null;
+  }
+}
+
+/** Items counted by the usage stats, repeats included; texture and path tiles count the texture they started with */
+function usageItems(placed, start) {
+  const items = Array.isArray(placed)
+    ? placed.filter(Boolean).map(pickItemFields).filter((item) => placementItemKey(item))
+    : (start?.path ? [{ file_path: start.path, display_name: start.name }] : []);
+  return items.map((item) => ({
+    key: placementItemKey(item),
+    name: item.display_name || item.filename || '',
+    file_path: item.file_path || item.path || '',
+    source: item.source || ''
+  }));
+}
+
+function tileDocParams(doc) {
+  const read = (key) => {
+    try { return doc?.getFlag?.(MODULE_ID, key); }
+    catch (_) { return undefined; }
+  };
+  const params = {};
+  const elevation = finite(doc?.elevation);
+  if (elevation !== null) params.elevation = elevation;
+  const enabled = !!read('shadow');
+  params.shadow = {
+    enabled,
+    preset: enabled ? {
+      alpha: read('shadowAlpha'),
+      dilation: read('shadowDilation'),
+      blur: read('shadowBlur'),
+      offsetDistance: read('shadowOffsetDistance'),
+      offsetAngle: read('shadowOffsetAngle')
+    } : null
+  };
+  return params;
+}
+
+/**
+ * Record tiles committed by the texture painter or path editor. Both commit inside their
+ * premium bundle, so the created tile is the only signal; `resolve` returns the start arguments
+ * and tool parameters of the running session, or null while an existing tile is edited.
+ * @param {string} kind - 'texture' | 'path'
+ * @param {string} flag - Module flag that marks tiles made by the tool
+ * @param {(doc: TileDocument) => ({start:object, params?:object}|null)} resolve
+ */
+export function recordTileCommits(kind, flag, resolve) {
+  _tileSources.set(flag, { kind, resolve });
+  if (_tileHookInstalled || !globalThis.Hooks) return;
+  _tileHookInstalled = true;
+  Hooks.on('createTile', (doc, _options, userId) => {
+    if (userId !== game.user?.id) return;
+    for (const [key, source] of _tileSources) {
+      let flagged = false;
+      try { flagged = !!doc?.getFlag?.(MODULE_ID, key); }
+      catch (_) { flagged = false; }
+      if (!flagged) continue;
+      let session = null;
+      try { session = source.resolve(doc); }
+      catch (_) { session = null; }
+      if (session?.start) recordPlacement(source.kind, { start: session.start, params: { ...tileDocParams(doc), ...(session.params || {}) } });
+      return;
+    }
+  });
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} True when an entry was removed
+ */
+export function removePlacementEntry(id) {
+  const entries = loadEntries();
+  const index = entries.findIndex((entry) => entry.id === id);
+  if (index < 0) return false;
+  entries.splice(index, 1);
+  scheduleSave();
+  notifyChanged();
+  return true;
+}
+
+/**
+ * Display name of an entry: the item name, or the first name plus a count for random pools.
+ * @param {object} entry
+ * @returns {string}
+ */
+export function placementEntryLabel(entry) {
+  const first = entry?.items?.[0];
+  // Texture and path sessions are started with a generated `masked-…` / `path-…` tile name
+  const startName = String(entry?.start?.name || '').replace(/^(masked|path)-/, '');
+  const raw = first?.display_name || first?.filename || startName || first?.file_path || entry?.start?.path || 'Placement';
+  const name = String(raw).split('/').pop().replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+  const extra = (entry?.items?.length || 0) - 1;
+  return extra > 0 ? `${name} +${extra}` : name;
+}
+
+function formatRange(range, unit = '') {
+  const round = (value) => Math.round(value * 100) / 100;
+  if (range.min === range.max) return `${round(range.min)}${unit}`;
+  return `${round(range.min)}–${round(range.max)}${unit}`;
+}
+
+/**
+ * One-line summary of the parameters an entry restarts placement with.
+ * @param {object} entry
+ * @returns {string}
+ */
+export function placementEntrySummary(entry) {
+  const params = entry?.params || {};
+  const parts = [];
+  if (params.mode === 'brush') parts.push('Scatter brush');
+  if (params.scale) parts.push(`Scale ${formatRange(params.scale)}`);
+  if (params.rotation) parts.push(`Rotation ${formatRange(params.rotation, '°')}`);
+  const flips = [];
+  if (params.flip?.horizontal && params.flip.horizontal !== 'off') flips.push(params.flip.horizontal === 'random' ? 'H (random)' : 'H');
+  if (params.flip?.vertical && params.flip.vertical !== 'off') flips.push(params.flip.vertical === 'random' ? 'V (random)' : 'V');
+  if (flips.length) parts.push(`Flip ${flips.join(' ')}`);
+  if (Number.isFinite(params.elevation)) parts.push(`Elevation ${params.elevation}`);
+  if (params.shadow?.enabled === true) parts.push('Shadow');
+  else if (params.shadow?.enabled === false) parts.push('No shadow');
+  if (params.hp && params.hp.mode !== 'actor') parts.push(`HP ${params.hp.mode}`);
+  if (params.formation?.enabled) parts.push(`Formation ${params.formation.pattern} ×${params.formation.count}`);
+  if ((entry?.items?.length || 0) > 1) parts.push(`Random from ${entry.items.length}`);
+  return parts.join(' · ');
+}
@@ -1,5 +1,35 @@
 import { NexusLogger as Logger } from '../nexus-logger.js';
 
+/**
+ * Pick an item with probability proportional to its weight.
+ * Items with a missing, zero or negative weight are never picked.
+ * @param {Array<any>} list
+ * @param {(item:any)=>number} getWeight
+ * @returns {any|null}
+ */
+export function pickWeightedItem(list, getWeight) {
+  if (!Array.isArray(list) || !list.length) return null;
+  const weights = list.map((item) => {
+    try {
+      const value = Number(getWeight(item));
+      return Number.isFinite(value) && value > 0 ? value : 0;
+    } catch (_) {
+      return 0;
+    }
+  });
+  const total = weights.reduce((sum, value) => sum + value, 0);
+  if (!(total > 0)) return null;
+  let roll = Math.random() * total;
+  for (let i = 0; i < list.length; i += 1) {
+    roll -= weights[i];
+    if (roll < 0 && weights[i] > 0) return list[i];
+  }
+  for (let i = list.length - 1; i >= 0; i -= 1) {
+    if (weights[i] > 0) return list[i];
+  }
+  return null;
+}
+
 /**
  * Maintains a rolling queue of items to prefetch for random placement workflows.
  */
@@ -18,6 +48,10 @@ export class PlacementPrefetchQueue {
     this._needsPrefetch = typeof options.needsPrefetch === 'function'
       ? options.needsPrefetch
       : () => false;
+    this._getItemWeight = typeof options.getItemWeight === 'function'
+      ? options.getItemWeight
+      : null;
+    this._weighted = false;
     this._prefetchHandler = typeof options.prefetch === 'function'
       ? options.prefetch
       : async () => {};
@@ -28,6 +62,7 @@ export class PlacementPrefetchQueue {
   setPool(list = []) {
     try { this._pool = Array.isArray(list) ? list.slice() : []; }
     catch (_) { this._pool = []; }
+    this._weighted = this._poolHasWeights();
     this.reset();
   }
 
@@ -66,14 +101,44 @@ export class PlacementPrefetchQueue {
     return picked;
   }
 
+  /**
+   * Weighted pools only exist when some item's weight differs from the default of 1;
+   * otherwise the queue keeps its uniform, no-repeat behaviour.
+   */
+  _poolHasWeights() {
+    if (!this._getItemWeight) return false;
+    return this._pool.some((item) => this._weight(item) !== 1);
+  }
+
+  _weight(item) {
+    try {
+      const value = Number(this._getItemWeight(item));
+      return Number.isFinite(value) && value >= 0 ? value : 1;
+    } catch (_) {
+      return 1;
+    }
+  }
+
   _randomFromPool() {
     if (!this._pool.length) return null;
+    if (this._weighted) return pickWeightedItem(this._pool, (item) => this._weight(item));
     const idx = Math.floor(Math.random() * this._pool.length);
     return this._pool[idx] || null;
   }
 
   _ensurePrefetch(currentItem = null) {
     if (!this._prefetchCount) return;
+    if (this._weighted) {
+      // Weighted draws repeat items so the placed mix follows the weights
+      while (this._queue.length < this._prefetchCount) {
+        const picked = this._randomFromPool();
+        if (!picked) break;
+        this._queue.push(picked);
+        this._log('queue.push', { size: this._queue.length, key: this._key(picked), weighted: true });
+        this._prefetchItem(picked);
+      }
+      return;
+    }
     const used = new Set();
     if (currentItem) used.add(this._key(currentItem));
     for (const queued of this._queue) {
@@ -0,0 +1,179 @@
+import { NexusLogger as Logger } from '../nexus-logger.js';
+import { NexusContentService } from '../../content/nexus-content-service.js';
+import { NexusDownloadManager } from '../../content/nexus-download-manager.js';
+import { scanSceneUsage } from '../../content/usage-scan.js';
+import { listUsage, resetUsageStats } from './usage-stats.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const KIND_LABELS = { asset: 'Assets', token: 'Tokens', texture: 'Textures', path: 'Paths' };
+const KIND_ICONS = { asset: 'fas fa-image', token: 'fas fa-user', texture: 'fas fa-paint-roller', path: 'fas fa-route', assets: 'fas fa-image', tokens: 'fas fa-user' };
+const TOP_LIMIT = 25;
+// Unused downloads listed; the total is always shown
+const UNUSED_LIMIT = 200;
+
+/**
+ * UsageStatsDialog
+ * Footer panel with the user's most placed items and, after a scene scan, which downloaded
+ * FA cloud files each scene shows and which downloads no scene uses.
+ */
+export class UsageStatsDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'fa-nexus-usage-stats',
+    tag: 'form',
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: true,
+      title: 'Content Usage',
+      icon: 'fas fa-chart-simple'
+    },
+    position: { width: 560, height: 640 }
+  };
+
+  static PARTS = {
+    form: { template: 'modules/fa-nexus/templates/usage-stats-dialog.hbs' }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this._kind = '';
+    this._scan = null;
+    this._busy = false;
+    this._status = '';
+    this._controller = null;
+  }
+
+  /** Reuse the open Nexus window's services so inventory and URL caches stay shared */
+  _getServices() {
+    const app = foundry?.applications?.instances?.get?.('fa-nexus-app') || null;
+    if (!this._contentService) {
+      const authProvider = (app && typeof app._getAuthService === 'function') ? () => app._getAuthService() : undefined;
+      this._contentService = app?._contentService || new NexusContentService({ app, authService: authProvider });
+    }
+    if (!this._downloadManager) {
+      this._downloadManager = app?._downloadManager || new NexusDownloadManager();
+    }
+    return { contentService: this._contentService, downloadManager: this._downloadManager };
+  }
+
+  async _prepareContext() {
+    const all = listUsage();
+    const top = all
+      .filter((entry) => !this._kind || entry.kind === this._kind)
+      .slice(0, TOP_LIMIT)
+      .map((entry) => ({
+        name: entry.name || entry.file_path.split('/').pop() || entry.key,
+        path: entry.file_path,
+        count: entry.count,
+        icon: KIND_ICONS[entry.kind],
+        kindLabel: KIND_LABELS[entry.kind],
+        cloud: entry.source === 'cloud',
+        lastUsed: entry.lastUsed ? new Date(entry.lastUsed).toLocaleDateString() : ''
+      }));
+    const totals = Object.keys(KIND_LABELS).map((kind) => ({
+      kind,
+      label: KIND_LABELS[kind],
+      selected: this._kind === kind,
+      placements: all.filter((entry) => entry.kind === kind).reduce((sum, entry) => sum + entry.count, 0)
+    }));
+    const scan = this._scan;
+    let boost = false;
+    try { boost = game.settings.get('fa-nexus', 'usageSearchBoost') === true; } catch (_) {}
+    return {
+      top,
+      totals,
+      hasCounts: all.length > 0,
+      boost,
+      scanned: !!scan,
+      downloads: scan?.downloads || 0,
+      scenes: (scan?.scenes || []).map((scene) => ({ ...scene, total: scene.tiles + scene.tokens })),
+      used: (scan?.used || []).slice(0, TOP_LIMIT).map((entry) => ({
+        ...entry,
+        icon: KIND_ICONS[entry.kind],
+        sceneList: entry.scenes.join(', ')
+      })),
+      unused: (scan?.unused || []).slice(0, UNUSED_LIMIT).map((entry) => ({ ...entry, icon: KIND_ICONS[entry.kind] })),
+      unusedCount: scan?.unused?.length || 0,
+      unusedTruncated: (scan?.unused?.length || 0) > UNUSED_LIMIT,
+      unusedLimit: UNUSED_LIMIT,
+      busy: this._busy,
+      status: this._status
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const root = this.element;
+    if (!root) return;
+    root.querySelector('[data-usage-kind]')?.addEventListener('change', (event) => {
+      this._kind = event.currentTarget.value || '';
+      this.render();
+    });
+    root.querySelector('[data-usage-boost]')?.addEventListener('change', async (event) => {
+      try { await game.settings.set('fa-nexus', 'usageSearchBoost', !!event.currentTarget.checked); } catch (error) {
+        Logger.warn('UsageStats.boost.failed', { error: String(error?.message || error) });
+      }
+    });
+    root.querySelector('[data-action="scan"]')?.addEventListener('click', () => this._handleScan());
+    root.querySelector('[data-action="cancel"]')?.addEventListener('click', () => this._controller?.abort());
+    root.querySelector('[data-action="reset"]')?.addEventListener('click', () => this._handleReset());
+  }
+
+  _setStatus(text) {
+    this._status = text;
+    const el = this.element?.querySelector('[data-status]');
+    if (el) el.textContent = text;
+  }
+
+  async _handleScan() {
+    if (this._busy) return;
+    this._busy = true;
+    this._controller = new AbortController();
+    this._status = 'Reading downloads…';
+    await this.render();
+    try {
+      const { contentService, downloadManager } = this._getServices();
+      this._scan = await scanSceneUsage({
+        contentService,
+        downloadManager,
+        signal: this._controller.signal,
+        onProgress: ({ phase, kind, scene }) => {
+          if (phase === 'downloads') this._setStatus(`Reading downloaded ${kind}…`);
+          else this._setStatus(`Scanning scene ${scene}…`);
+        }
+      });
+      this._status = `${this._scan.downloads} downloaded file(s); ${this._scan.used.length} in use on ${this._scan.scenes.filter((scene) => scene.items).length} scene(s).`;
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        this._status = 'Cancelled.';
+      } else {
+        Logger.error('UsageStats.scan.failed', error);
+        this._status = `Failed: ${error?.message || error}`;
+      }
+    } finally {
+      this._busy = false;
+      this._controller = null;
+      this.render();
+    }
+  }
+
+  async _handleReset() {
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Reset Usage Counts' },
+      content: '<p>Forget how often you placed each item in this world? Scene usage is not affected.</p>'
+    });
+    if (!confirmed) return;
+    try {
+      await resetUsageStats();
+    } catch (error) {
+      Logger.warn('UsageStats.reset.failed', { error: String(error?.message || error) });
+    }
+    this.render();
+  }
+
+  async close(options) {
+    try { this._controller?.abort(); } catch (_) {}
+    return super.close(options);
+  }
+}
@@ -0,0 +1,137 @@
+// How often each asset, token, texture and path was placed, for the usage panel and "Most used"
+import { NexusLogger as Logger } from '../nexus-logger.js';
+
+const MODULE_ID = 'fa-nexus';
+// Stored per user inside the world, like the placement history
+const SETTING_KEY = 'usageStats';
+// Items kept per kind; the least used (then oldest) are dropped first
+const MAX_ITEMS = 3000;
+const SAVE_DELAY_MS = 1500;
+const KINDS = new Set(['asset', 'token', 'texture', 'path']);
+
+let _stats = null;
+let _saveTimer = null;
+
+function finite(value, fallback = 0) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+function normalizeRecord(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const count = Math.max(0, Math.round(finite(raw.count)));
+  if (!count) return null;
+  return {
+    count,
+    lastUsed: finite(raw.lastUsed, 0),
+    name: String(raw.name || ''),
+    file_path: String(raw.file_path || ''),
+    source: String(raw.source || '')
+  };
+}
+
+function load() {
+  if (_stats) return _stats;
+  let stored = {};
+  try { stored = game.settings.get(MODULE_ID, SETTING_KEY) || {}; }
+  catch (_) { stored = {}; }
+  _stats = {};
+  for (const kind of KINDS) {
+    const entries = new Map();
+    for (const [key, raw] of Object.entries(stored?.[kind] || {})) {
+      const record = normalizeRecord(raw);
+      if (record) entries.set(key, record);
+    }
+    _stats[kind] = entries;
+  }
+  return _stats;
+}
+
+function prune(entries) {
+  if (entries.size <= MAX_ITEMS) return;
+  const ordered = Array.from(entries.entries()).sort(([, a], [, b]) => (a.count - b.count) || (a.lastUsed - b.lastUsed));
+  for (const [key] of ordered.slice(0, entries.size - MAX_ITEMS)) entries.delete(key);
+}
+
+function scheduleSave() {
+  if (_saveTimer) clearTimeout(_saveTimer);
+  _saveTimer = setTimeout(() => {
+    _saveTimer = null;
+    const out = {};
+    for (const [kind, entries] of Object.entries(load())) out[kind] = Object.fromEntries(entries);
+    game.settings.set(MODULE_ID, SETTING_KEY, out).catch?.((error) => {
+      Logger.warn('UsageStats.save.failed', { error: String(error?.message || error) });
+    });
+  }, SAVE_DELAY_MS);
+}
+
+/** Drop the cached counts; called when the setting changes (e.g. from another client of this user). */
+export function invalidateUsageStats() {
+  // A pending local write is newer than what the setting holds
+  if (_saveTimer) return;
+  _stats = null;
+}
+
+/**
+ * Count placed items, one use per created tile or token; an item listed twice counts twice.
+ * @param {string} kind - 'asset' | 'token' | 'texture' | 'path'
+ * @param {Array<{key:string, name?:string, file_path?:string, source?:string}>} items - Keyed by `placementItemKey`
+ */
+export function recordUsage(kind, items) {
+  if (!KINDS.has(kind) || !Array.isArray(items) || !items.length) return;
+  try {
+    const entries = load()[kind];
+    const now = Date.now();
+    for (const item of items) {
+      const key = item?.key;
+      if (!key) continue;
+      const previous = entries.get(key);
+      const filePath = String(item.file_path || previous?.file_path || '');
+      entries.set(key, {
+        count: (previous?.count || 0) + 1,
+        lastUsed: now,
+        name: String(item.name || previous?.name || filePath.split('/').pop() || ''),
+        file_path: filePath,
+        source: String(item.source || previous?.source || '')
+      });
+    }
+    prune(entries);
+    scheduleSave();
+  } catch (error) {
+    Logger.warn('UsageStats.record.failed', { kind, error: String(error?.message || error) });
+  }
+}
+
+/**
+ * Placements per item key (`placementItemKey`) of one kind.
+ * @param {string} kind
+ * @returns {Map<string, number>}
+ */
+export function usageCounts(kind) {
+  const counts = new Map();
+  for (const [key, record] of load()[kind] || []) counts.set(key, record.count);
+  return counts;
+}
+
+/**
+ * Counted items, most used first.
+ * @param {string|null} [kind] - null for every kind
+ * @returns {Array<{kind:string, key:string, count:number, lastUsed:number, name:string, file_path:string, source:string}>}
+ */
+export function listUsage(kind = null) {
+  const out = [];
+  for (const [entryKind, entries] of Object.entries(load())) {
+    if (kind && entryKind !== kind) continue;
+    for (const [key, record] of entries) out.push({ kind: entryKind, key, ...record });
+  }
+  return out.sort((a, b) => (b.count - a.count) || (b.lastUsed - a.lastUsed));
+}
+
+/** Forget every count of this user. */
+export async function resetUsageStats() {
+  if (_saveTimer) clearTimeout(_saveTimer);
+  _saveTimer = null;
+  _stats = null;
+  await game.settings.set(MODULE_ID, SETTING_KEY, {});
+  Logger.info('UsageStats.reset');
+}
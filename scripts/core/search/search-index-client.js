@@ -0,0 +1,211 @@
+import { NexusLogger as Logger } from '../nexus-logger.js';
+import { searchDocKey, searchDocHash, searchDocFields } from './search-index.js';
+import { readSearchSynonyms } from './search-synonyms.js';
+
+let _singleton = null;
+// Cloud delta operations arriving within this window are sent to the worker together
+const DELTA_FLUSH_MS = 250;
+
+/**
+ * SearchIndexClient
+ * Main-thread side of the search worker. Keeps each tab's persistent worker index in step
+ * with the tab's items (sending only added, changed and removed records), forwards cloud
+ * catalog deltas and maps ranked document ids back to the tab's own item objects.
+ */
+export class SearchIndexClient {
+  constructor() {
+    if (_singleton) return _singleton;
+    this._worker = null;
+    this._failed = false;
+    this._nextRequestId = 1;
+    this._pending = new Map();
+    /** @type {Map<string, {known: Map<string,{hash:number,id:number}>, items: Map<number,object>, source: Array|null, length: number, chain: Promise}>} */
+    this._indexes = new Map();
+    this._deltaBatches = new Map();
+    _singleton = this;
+  }
+
+  static getInstance() {
+    return _singleton ?? new SearchIndexClient();
+  }
+
+  /** False when module workers are unsupported or the worker failed to start. */
+  get available() {
+    return !this._failed && typeof Worker === 'function';
+  }
+
+  _ensureWorker() {
+    if (this._worker) return this._worker;
+    this._worker = new Worker(new URL('./search-index-worker.js', import.meta.url), { type: 'module', name: 'fa-nexus-search' });
+    this._worker.onmessage = (event) => {
+      const { id, ok, result, error } = event.data || {};
+      const pending = this._pending.get(id);
+      if (!pending) return;
+      this._pending.delete(id);
+      if (ok) pending.resolve(result);
+      else pending.reject(new Error(error || 'Search worker request failed'));
+    };
+    this._worker.onerror = (event) => {
+      Logger.warn('SearchIndex.worker.failed', { error: String(event?.message || event) });
+      this._failed = true;
+      for (const pending of this._pending.values()) pending.reject(new Error('Search worker unavailable'));
+      this._pending.clear();
+      this._indexes.clear();
+      try { this._worker.terminate(); } catch (_) {}
+      this._worker = null;
+    };
+    return this._worker;
+  }
+
+  _request(type, payload = {}) {
+    if (!this.available) return Promise.reject(new Error('Search worker unavailable'));
+    const worker = this._ensureWorker();
+    const id = this._nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject });
+      worker.postMessage({ id, type, ...payload });
+    });
+  }
+
+  /** Serialize work per index so overlapping keystrokes never sync the same index twice. */
+  _queue(name, task) {
+    const state = this._state(name);
+    const run = state.chain.then(() => task(state), () => task(state));
+    state.chain = run.catch(() => {});
+    return run;
+  }
+
+  _state(name) {
+    let state = this._indexes.get(name);
+    if (!state) {
+      state = { known: null, items: new Map(), source: null, length: 0, chain: Promise.resolve() };
+      this._indexes.set(name, state);
+    }
+    return state;
+  }
+
+  async _sync(name, state, items) {
+    if (!state.known) {
+      const { entries } = await this._request('open', { name });
+      state.known = new Map(entries.map(([key, hash, id]) => [key, { hash, id }]));
+      Logger.info('SearchIndex.open', { name, restored: state.known.size });
+    }
+    if (state.source === items && state.length === items.length) return;
+
+    const started = performance.now();
+    const seen = new Set();
+    const nextItems = new Map();
+    const changed = new Map();
+    const upserts = [];
+    for (const item of items) {
+      const key = searchDocKey(item);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const hash = searchDocHash(item);
+      const known = state.known.get(key);
+      if (known && known.hash === hash) {
+        nextItems.set(known.id, item);
+        continue;
+      }
+      changed.set(key, { item, hash });
+      upserts.push([key, searchDocFields(item)]);
+    }
+    const removes = [];
+    for (const key of state.known.keys()) if (!seen.has(key)) removes.push(key);
+
+    if (upserts.length || removes.length) {
+      const { ids } = await this._request('sync', { name, upserts, removes });
+      for (const key of removes) state.known.delete(key);
+      for (const [key, id] of ids) {
+        const entry = changed.get(key);
+        state.known.set(key, { hash: entry.hash, id });
+        nextItems.set(id, entry.item);
+      }
+    }
+    state.items = nextItems;
+    state.source = items;
+    state.length = items.length;
+    Logger.info('SearchIndex.sync', { name, items: items.length, upserts: upserts.length, removes: removes.length, ms: Math.round(performance.now() - started) });
+  }
+
+  /** Re-check every item on the next search (after searchable fields were changed in place). */
+  markStale() {
+    for (const state of this._indexes.values()) state.source = null;
+  }
+
+  /**
+   * Filter and rank items in the worker.
+   * @param {string} name - Index name, `<cloud kind>/<tab id>`
+   * @param {Array<object>} items - The tab's full item list (synced to the index first)
+   * @param {string} query
+   * @returns {Promise<Array<object>>} Matching items in rank order
+   */
+  search(name, items, query) {
+    return this._queue(name, async (state) => {
+      await this._sync(name, state, items);
+      const result = await this._request('query', { name, query, synonyms: readSearchSynonyms() });
+      if (result.all) return items;
+      const out = [];
+      for (const id of result.ids) {
+        const item = state.items.get(id);
+        if (item) out.push(item);
+      }
+      return out;
+    });
+  }
+
+  /**
+   * Forward a `CloudDB.applyDelta` operation to every index built from that kind.
+   * Operations are batched so a long delta file becomes a single worker update.
+   * @param {string} kind - 'assets' | 'tokens'
+   * @param {{op:string, item?:object, file_path?:string}} op
+   */
+  applyDelta(kind, op) {
+    if (!this.available || !op) return;
+    let key = null;
+    let fields = null;
+    if (op.op === 'del') {
+      const filePath = op.file_path || op.item?.file_path;
+      if (!filePath) return;
+      key = searchDocKey({ source: 'cloud', file_path: filePath });
+    } else if (op.item?.file_path) {
+      const item = { ...op.item, source: 'cloud' };
+      key = searchDocKey(item);
+      fields = searchDocFields(item);
+    } else {
+      return;
+    }
+
+    // Open indexes re-send these records from the tab on their next search, so results always map to the tab's items
+    for (const [name, state] of this._indexes) {
+      if (!name.startsWith(`${kind}/`) || !state.known) continue;
+      state.known.delete(key);
+      state.source = null;
+    }
+
+    let batch = this._deltaBatches.get(kind);
+    if (!batch) {
+      batch = new Map();
+      this._deltaBatches.set(kind, batch);
+      setTimeout(() => this._flushDeltas(kind), DELTA_FLUSH_MS);
+    }
+    batch.set(key, fields);
+  }
+
+  _flushDeltas(kind) {
+    const batch = this._deltaBatches.get(kind);
+    this._deltaBatches.delete(kind);
+    if (!batch?.size) return;
+    const upserts = [];
+    const removes = [];
+    for (const [key, fields] of batch) {
+      if (fields) upserts.push([key, fields]);
+      else removes.push(key);
+    }
+    this._request('delta', { kind, upserts, removes }).then(({ indexes }) => {
+      Logger.info('SearchIndex.delta', { kind, upserts: upserts.length, removes: removes.length, indexes });
+    }).catch((error) => {
+      Logger.warn('SearchIndex.delta.failed', { kind, error: String(error?.message || error) });
+    });
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Search index worker (module worker)
+ * Holds one SearchIndex per browser tab, named `<cloud kind>/<tab id>` (e.g. `assets/textures`),
+ * persists them to IndexedDB next to the cloud and local inventory caches and answers queries
+ * off the main thread.
+ *
+ * Requests are `{ id, type, ...payload }`; replies are `{ id, ok, result }` or `{ id, ok:false, error }`.
+ */
+
+import { SearchIndex, SEARCH_INDEX_VERSION } from './search-index.js';
+import { compileQuery } from './search-manager.js';
+
+const DB_NAME = 'fa-nexus-search-v1';
+const STORE = 'indexes';
+const SAVE_DELAY_MS = 2000;
+
+const indexes = new Map();
+const loading = new Map();
+const saveTimers = new Map();
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'name' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function storeRequest(mode, run) {
+  return openDB().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = run(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+/** Load (or create) an index; a missing IndexedDB only costs persistence. */
+function loadIndex(name) {
+  if (indexes.has(name)) return Promise.resolve(indexes.get(name));
+  if (loading.has(name)) return loading.get(name);
+  const promise = storeRequest('readonly', (store) => store.get(name))
+    .then((record) => SearchIndex.deserialize(record?.data), () => null)
+    .then((restored) => {
+      const index = restored || new SearchIndex();
+      indexes.set(name, index);
+      loading.delete(name);
+      return index;
+    });
+  loading.set(name, promise);
+  return promise;
+}
+
+/** Persisted index names for a cloud kind, loaded or not. */
+async function namesForKind(kind) {
+  const names = new Set([...indexes.keys()].filter((name) => name.startsWith(`${kind}/`)));
+  try {
+    const keys = await storeRequest('readonly', (store) => store.getAllKeys());
+    for (const name of keys || []) if (String(name).startsWith(`${kind}/`)) names.add(name);
+  } catch (_) {}
+  return [...names];
+}
+
+function scheduleSave(name) {
+  clearTimeout(saveTimers.get(name));
+  saveTimers.set(name, setTimeout(() => {
+    saveTimers.delete(name);
+    const index = indexes.get(name);
+    if (!index) return;
+    const record = { name, version: SEARCH_INDEX_VERSION, savedAt: Date.now(), size: index.size, data: index.serialize() };
+    storeRequest('readwrite', (store) => store.put(record)).catch(() => {});
+  }, SAVE_DELAY_MS));
+}
+
+function applyChanges(index, upserts = [], removes = []) {
+  let changed = false;
+  for (const key of removes) changed = index.remove(key) || changed;
+  const ids = [];
+  for (const [key, item] of upserts) {
+    const hash = index.hashOf(key);
+    const id = index.upsert(key, item);
+    if (index.hashOf(key) !== hash) changed = true;
+    ids.push([key, id]);
+  }
+  return { ids, changed };
+}
+
+const handlers = {
+  async open({ name }) {
+    const index = await loadIndex(name);
+    return { entries: index.entries() };
+  },
+
+  async sync({ name, upserts, removes }) {
+    const index = await loadIndex(name);
+    const { ids, changed } = applyChanges(index, upserts, removes);
+    if (changed) scheduleSave(name);
+    return { ids, size: index.size };
+  },
+
+  /** Incremental cloud catalog update; applied to every index built from that kind. */
+  async delta({ kind, upserts, removes }) {
+    const names = await namesForKind(kind);
+    for (const name of names) {
+      const index = await loadIndex(name);
+      if (applyChanges(index, upserts, removes).changed) scheduleSave(name);
+    }
+    return { indexes: names.length };
+  },
+
+  async query({ name, query, synonyms }) {
+    const index = await loadIndex(name);
+    const ast = compileQuery(query, synonyms || {});
+    if (!ast) return { all: true, ids: new Uint32Array(0) };
+    return { all: false, ids: Uint32Array.from(index.search(ast)) };
+  },
+
+  async drop({ name }) {
+    indexes.delete(name);
+    clearTimeout(saveTimers.get(name));
+    saveTimers.delete(name);
+    await storeRequest('readwrite', (store) => store.delete(name)).catch(() => {});
+    return { dropped: true };
+  }
+};
+
+self.onmessage = async (event) => {
+  const { id, type, ...payload } = event.data || {};
+  const handler = handlers[type];
+  if (!handler) {
+    self.postMessage({ id, ok: false, error: `Unknown request "${type}"` });
+    return;
+  }
+  try {
+    const result = await handler(payload);
+    const transfer = result?.ids instanceof Uint32Array ? [result.ids.buffer] : [];
+    self.postMessage({ id, ok: true, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, ok: false, error: String(error?.message || error) });
+  }
+};
@@ -0,0 +1,326 @@
+/**
+ * Search Index
+ * Inverted word index with a trigram index over its vocabulary, so a query only evaluates
+ * documents that can contain its terms. Matching and ranking still go through
+ * search-manager.js, so indexed and unindexed searches return the same results.
+ * Runs inside the search worker; the main thread only uses the key/hash helpers.
+ */
+
+import { buildHaystack, rankRows } from './search-manager.js';
+
+export const SEARCH_INDEX_VERSION = 1;
+
+const WORD_SPLIT_RE = /[^a-z0-9]+/;
+const GRAM = 3;
+// Item fields read by the haystack, scoring and field qualifiers; nothing else is sent to the worker
+const DOC_FIELDS = [
+  'display_name', 'displayName', 'filename', 'name', 'path', 'file_path', 'type', 'tags',
+  'user_tags', 'favorite', 'scale', 'grid_width', 'grid_height', 'size', 'creature_type', 'variant',
+  'source', 'tier', 'color_variant', 'is_main_color_variant'
+];
+
+const HASHES = new WeakMap();
+
+/**
+ * Stable identity of an item inside an index.
+ * @param {object} item
+ * @returns {string}
+ */
+export function searchDocKey(item) {
+  const source = String(item?.source || 'local').toLowerCase();
+  const path = item?.file_path || [item?.path, item?.filename].filter(Boolean).join('/');
+  return `${source}:${path}`;
+}
+
+/**
+ * FNV-1a hash of the item's haystack (and favorite flag); a changed hash means the document must be re-indexed.
+ * @param {object} item
+ * @returns {number}
+ */
+export function searchDocHash(item) {
+  if (item && typeof item === 'object' && HASHES.has(item)) return HASHES.get(item);
+  // The favorite flag is not part of the haystack but is matched by `is:favorite`
+  const haystack = item?.favorite ? `${buildHaystack(item)}\u0000favorite` : buildHaystack(item);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < haystack.length; i++) {
+    hash ^= haystack.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash >>>= 0;
+  if (item && typeof item === 'object') HASHES.set(item, hash);
+  return hash;
+}
+
+/**
+ * Forget the cached hash of an item whose searchable fields were changed in place.
+ * @param {object} item
+ */
+export function invalidateSearchDoc(item) {
+  if (item && typeof item === 'object') HASHES.delete(item);
+}
+
+/**
+ * Copy only the searchable fields of an item.
+ * @param {object} item
+ * @returns {object}
+ */
+export function searchDocFields(item) {
+  const out = {};
+  for (const field of DOC_FIELDS) {
+    if (item?.[field] !== undefined && item?.[field] !== null) out[field] = item[field];
+  }
+  return out;
+}
+
+function wordsOf(haystack) {
+  return new Set(haystack.split(WORD_SPLIT_RE).filter(Boolean));
+}
+
+function gramsOf(word) {
+  const grams = new Set();
+  for (let i = 0; i + GRAM <= word.length; i++) grams.add(word.slice(i, i + GRAM));
+  return grams;
+}
+
+function intersect(a, b) {
+  if (a === null) return b;
+  if (b === null) return a;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  const out = new Set();
+  for (const id of small) if (large.has(id)) out.add(id);
+  return out;
+}
+
+function union(a, b) {
+  if (a === null || b === null) return null;
+  const out = new Set(a);
+  for (const id of b) out.add(id);
+  return out;
+}
+
+export class SearchIndex {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    /** @type {Array<{id:number,key:string,hash:number,item:object,haystack:string}|null>} */
+    this._docs = [];
+    this._ids = new Map();
+    this._free = [];
+    /** @type {Map<string, Set<number>>} word -> document ids */
+    this._postings = new Map();
+    /** @type {Map<string, Set<string>>} trigram -> words */
+    this._grams = new Map();
+  }
+
+  get size() {
+    return this._ids.size;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {number|undefined} Haystack hash of the indexed document
+   */
+  hashOf(key) {
+    const id = this._ids.get(key);
+    return id === undefined ? undefined : this._docs[id].hash;
+  }
+
+  /** @returns {Array<[string, number, number]>} `[key, hash, id]` for every document */
+  entries() {
+    const out = [];
+    for (const doc of this._docs) if (doc) out.push([doc.key, doc.hash, doc.id]);
+    return out;
+  }
+
+  /**
+   * Add or replace a document. Unchanged documents keep their postings.
+   * @param {string} key
+   * @param {object} item - Searchable fields (see `searchDocFields`)
+   * @returns {number} Document id
+   */
+  upsert(key, item) {
+    const hash = searchDocHash(item);
+    const existingId = this._ids.get(key);
+    if (existingId !== undefined) {
+      const doc = this._docs[existingId];
+      if (doc.hash === hash) {
+        doc.item = item;
+        return existingId;
+      }
+      this._unindex(doc);
+      doc.hash = hash;
+      doc.item = item;
+      doc.haystack = buildHaystack(item);
+      this._index(doc);
+      return existingId;
+    }
+    const id = this._free.length ? this._free.pop() : this._docs.length;
+    const doc = { id, key, hash, item, haystack: buildHaystack(item) };
+    this._docs[id] = doc;
+    this._ids.set(key, id);
+    this._index(doc);
+    return id;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean} True when a document was removed
+   */
+  remove(key) {
+    const id = this._ids.get(key);
+    if (id === undefined) return false;
+    this._unindex(this._docs[id]);
+    this._docs[id] = null;
+    this._ids.delete(key);
+    this._free.push(id);
+    return true;
+  }
+
+  _index(doc) {
+    for (const word of wordsOf(doc.haystack)) {
+      let ids = this._postings.get(word);
+      if (!ids) {
+        ids = new Set();
+        this._postings.set(word, ids);
+        this._addWordGrams(word);
+      }
+      ids.add(doc.id);
+    }
+  }
+
+  _unindex(doc) {
+    for (const word of wordsOf(doc.haystack)) {
+      const ids = this._postings.get(word);
+      if (!ids) continue;
+      ids.delete(doc.id);
+      if (ids.size) continue;
+      this._postings.delete(word);
+      for (const gram of gramsOf(word)) {
+        const words = this._grams.get(gram);
+        words?.delete(word);
+        if (words && !words.size) this._grams.delete(gram);
+      }
+    }
+  }
+
+  _addWordGrams(word) {
+    for (const gram of gramsOf(word)) {
+      let words = this._grams.get(gram);
+      if (!words) {
+        words = new Set();
+        this._grams.set(gram, words);
+      }
+      words.add(word);
+    }
+  }
+
+  /** Vocabulary words containing `part` (short parts scan the whole vocabulary). */
+  _wordsContaining(part) {
+    if (part.length < GRAM) return Array.from(this._postings.keys()).filter((word) => word.includes(part));
+    let smallest = null;
+    for (const gram of gramsOf(part)) {
+      const words = this._grams.get(gram);
+      if (!words) return [];
+      if (!smallest || words.size < smallest.size) smallest = words;
+    }
+    return Array.from(smallest).filter((word) => word.includes(part));
+  }
+
+  /** Documents that may contain `value` as a substring of their haystack; null means all. */
+  _idsForValue(value) {
+    const parts = String(value || '').split(WORD_SPLIT_RE).filter(Boolean);
+    if (!parts.length) return null;
+    let result = null;
+    for (const part of parts) {
+      const ids = new Set();
+      for (const word of this._wordsContaining(part)) {
+        for (const id of this._postings.get(word)) ids.add(id);
+      }
+      result = intersect(result, ids);
+      if (!result.size) break;
+    }
+    return result;
+  }
+
+  /**
+   * Superset of the documents matching an AST; null when the query cannot be narrowed
+   * (negations and field qualifiers are checked against every document).
+   * @param {object} node
+   * @returns {Set<number>|null}
+   */
+  candidates(node) {
+    if (!node) return null;
+    switch (node.kind) {
+      case 'TERM': {
+        const values = [node.token?.value, ...(Array.isArray(node.token?.synonyms) ? node.token.synonyms : [])];
+        let result = new Set();
+        for (const value of values) {
+          result = union(result, this._idsForValue(value));
+          if (result === null) return null;
+        }
+        return result;
+      }
+      case 'FIELD':
+        // Tags are part of the haystack, so `tag:` narrows like a plain term
+        return node.token?.field === 'tag' && node.token.value ? this._idsForValue(node.token.value) : null;
+      case 'AND':
+        return intersect(this.candidates(node.left), this.candidates(node.right));
+      case 'OR':
+        return union(this.candidates(node.left), this.candidates(node.right));
+      default:
+        return null;
+    }
+  }
+
+  _allDocs() {
+    return this._docs.filter(Boolean);
+  }
+
+  /**
+   * Ranked document ids for a compiled query.
+   * @param {object} ast - From `compileQuery`
+   * @returns {Array<number>}
+   */
+  search(ast) {
+    const ids = this.candidates(ast);
+    const rows = ids ? Array.from(ids, (id) => this._docs[id]) : this._allDocs();
+    return rankRows(rows, ast, { allRows: () => this._allDocs() }).map((doc) => doc.id);
+  }
+
+  /** @returns {object} Structured-clone friendly snapshot (documents and postings) */
+  serialize() {
+    const postings = [];
+    for (const [word, ids] of this._postings) postings.push([word, Uint32Array.from(ids)]);
+    return {
+      version: SEARCH_INDEX_VERSION,
+      docs: this._docs.map((doc) => (doc ? [doc.key, doc.hash, doc.item] : null)),
+      postings
+    };
+  }
+
+  /**
+   * @param {object} data - From `serialize`
+   * @returns {SearchIndex|null} Null when the snapshot is missing or from another version
+   */
+  static deserialize(data) {
+    if (!data || data.version !== SEARCH_INDEX_VERSION || !Array.isArray(data.docs)) return null;
+    const index = new SearchIndex();
+    data.docs.forEach((entry, id) => {
+      if (!entry) {
+        index._docs[id] = null;
+        index._free.push(id);
+        return;
+      }
+      const [key, hash, item] = entry;
+      index._docs[id] = { id, key, hash, item, haystack: buildHaystack(item) };
+      index._ids.set(key, id);
+    });
+    for (const [word, ids] of data.postings || []) {
+      index._postings.set(word, new Set(ids));
+      index._addWordGrams(word);
+    }
+    return index;
+  }
+}
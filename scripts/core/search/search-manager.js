@@ -1,10 +1,40 @@
 /**
  * Nexus Search Manager
  * Windows-like semantics: implicit AND, explicit OR/NOT/AND, plus relevance scoring.
+ * Field qualifiers (`size:huge`, `grid:>=2x2`, `color:03`, `folder:"Trees"`, `tag:boss`,
+ * `is:favorite`, ...) match structured item fields instead of the free-text haystack.
  */
 
-const TOKEN_PATTERN = /\(|\)|'[^']*'|"[^"]*"|[^\s()]+/g;
+import { parseTokenSize, parseAssetGrid, detectColorVariant } from '../../content/inventory-utils.js';
+import { readSearchSynonyms } from './search-synonyms.js';
+
+const TOKEN_PATTERN = /\(|\)|-*[a-z]+:(?:[<>]=?|=)?'[^']*'|-*[a-z]+:(?:[<>]=?|=)?"[^"]*"|'[^']*'|"[^"]*"|[^\s()]+/gi;
 const WORD_BOUNDARY_RE = /[^a-z0-9]/;
+const FIELD_TOKEN_RE = /^([a-z]+):(>=|<=|>|<|=)?(.*)$/i;
+const FIELD_ALIASES = {
+  size: 'size',
+  grid: 'grid',
+  color: 'color',
+  colour: 'color',
+  source: 'source',
+  tier: 'tier',
+  ext: 'ext',
+  folder: 'folder',
+  path: 'folder',
+  creature: 'creature',
+  type: 'creature',
+  tag: 'tag',
+  tags: 'tag',
+  is: 'is'
+};
+const SIZE_RANKS = { tiny: 0, small: 1, medium: 2, large: 3, huge: 4, gargantuan: 5 };
+const EXTENSION_ALIASES = { jpeg: 'jpg' };
+const FAVORITE_ALIASES = new Set(['favorite', 'favourite', 'fav', 'starred']);
+// Fuzzy (edit-distance) matching only kicks in when strict matching finds fewer results than this
+const FUZZY_MIN_RESULTS = 5;
+const FUZZY_MIN_TERM_LENGTH = 4;
+// Synonym hits rank below direct hits on the same field
+const SYNONYM_SCORE_FACTOR = 0.6;
 
 /**
  * Tokenize a free-text query into TERM/OR/NOT/AND tokens.
@@ -62,6 +92,14 @@ export function tokenizeQuery(query = '') {
       continue;
     }
 
+    const field = parseFieldToken(tok);
+    if (field) {
+      if (field.value) tokens.push({ ...field, negated });
+      else if (negated) pendingNegation = true;
+      for (let i = 0; i < trailingParens; i++) tokens.push({ type: 'RPAREN' });
+      continue;
+    }
+
     const singleQuoted = /^'[^']*'$/.test(tok);
     const doubleQuoted = /^"[^"]*"$/.test(tok);
     if (singleQuoted || doubleQuoted) {
@@ -112,6 +150,23 @@ export function tokenizeQuery(query = '') {
   return tokens;
 }
 
+/**
+ * Parse a `field:value` qualifier. Unknown field names return null so they stay plain terms.
+ * An empty value (still being typed) yields a FIELD token with an empty value, which is skipped.
+ * @param {string} tok
+ * @returns {{type:'FIELD',field:string,op:string,value:string,exact:boolean}|null}
+ */
+function parseFieldToken(tok) {
+  const m = FIELD_TOKEN_RE.exec(tok);
+  if (!m) return null;
+  const field = FIELD_ALIASES[m[1].toLowerCase()];
+  if (!field) return null;
+  let value = m[3].trim();
+  const exact = /^'[^']*'$/.test(value) || /^"[^"]*"$/.test(value);
+  if (exact) value = value.slice(1, -1).trim();
+  return { type: 'FIELD', field, op: m[2] || '=', value: value.toLowerCase(), exact };
+}
+
 function escapeRegExp(s) {
   return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
@@ -131,6 +186,101 @@ function haystackIncludesTerm(haystack, token) {
   return pattern.test(haystack);
 }
 
+/** Strict match of a term or any of its synonyms. */
+function termMatches(haystack, token) {
+  if (haystackIncludesTerm(haystack, token)) return true;
+  if (!Array.isArray(token?.synonyms)) return false;
+  return token.synonyms.some((value) => haystackIncludesTerm(haystack, { ...token, value }));
+}
+
+/**
+ * Attach synonym aliases to TERM tokens whose value is a key of the table.
+ * @param {Array<object>} tokens
+ * @param {Object<string,string[]>} table
+ * @returns {Array<object>}
+ */
+function applySynonyms(tokens, table) {
+  if (!table || !Object.keys(table).length) return tokens;
+  return tokens.map((tok) => {
+    if (tok.type !== 'TERM') return tok;
+    const aliases = table[tok.value];
+    return aliases?.length ? { ...tok, synonyms: aliases } : tok;
+  });
+}
+
+function maxEditDistance(length) {
+  return length <= 5 ? 1 : 2;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+ * Returns `max + 1` as soon as the distance is known to exceed `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charCodeAt(i - 1) === b.charCodeAt(j - 1) ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a.charCodeAt(i - 1) === b.charCodeAt(j - 2) && a.charCodeAt(i - 2) === b.charCodeAt(j - 1)) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      if (value < rowMin) rowMin = value;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Build a matcher returning the smallest edit distance between a term and any
+ * haystack word (or word prefix), or null when nothing is close enough.
+ * Distances are memoized per word since catalogues repeat the same words a lot.
+ * @returns {(haystack:string, token:object) => number|null}
+ */
+function createFuzzyMatcher() {
+  const memo = new Map();
+  return (haystack, token) => {
+    const value = token?.value;
+    if (!value || token.exact || value.length < FUZZY_MIN_TERM_LENGTH) return null;
+    const max = maxEditDistance(value.length);
+    let distances = memo.get(value);
+    if (!distances) {
+      distances = new Map();
+      memo.set(value, distances);
+    }
+    let best = null;
+    for (const word of haystack.split(/[^a-z0-9]+/)) {
+      if (!word || word.length < value.length - max) continue;
+      let distance = distances.get(word);
+      if (distance === undefined) {
+        distance = editDistance(value, word, max);
+        // Prefixes cover typos in the start of longer words ("barel" -> "barrels")
+        for (let len = value.length; len < word.length && len <= value.length + max; len++) {
+          distance = Math.min(distance, editDistance(value, word.slice(0, len), max));
+        }
+        distances.set(word, distance);
+      }
+      if (distance <= max && (best === null || distance < best)) {
+        best = distance;
+        if (best === 0) break;
+      }
+    }
+    return best;
+  };
+}
+
+function hasFuzzyTerms(node) {
+  return collectPositiveTerms(node).some((term) => !term.exact && String(term.value || '').length >= FUZZY_MIN_TERM_LENGTH);
+}
+
 function parseQueryAST(tokens) {
   let index = 0;
 
@@ -177,7 +327,7 @@ function parseQueryAST(tokens) {
         continue;
       }
       if (tok.type === 'OR' || tok.type === 'RPAREN') break;
-      if (tok.type === 'TERM' || tok.type === 'NOT' || tok.type === 'LPAREN') {
+      if (tok.type === 'TERM' || tok.type === 'FIELD' || tok.type === 'NOT' || tok.type === 'LPAREN') {
         const right = parseUnary();
         if (!right) break;
         node = combine(node, right, 'AND');
@@ -210,6 +360,12 @@ function parseQueryAST(tokens) {
       if (tok.negated) node = { kind: 'NOT', operand: node };
       return node;
     }
+    if (tok.type === 'FIELD') {
+      consume();
+      let node = { kind: 'FIELD', token: tok };
+      if (tok.negated) node = { kind: 'NOT', operand: node };
+      return node;
+    }
     if (tok.type === 'LPAREN') {
       consume();
       const expr = parseOr();
@@ -225,17 +381,138 @@ function parseQueryAST(tokens) {
   return ast;
 }
 
-function evaluateExpression(node, haystack) {
+function compareNumbers(actual, op, expected) {
+  if (!Number.isFinite(actual) || !Number.isFinite(expected)) return false;
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: return actual === expected;
+  }
+}
+
+function matchesText(actual, token) {
+  const text = String(actual || '').toLowerCase();
+  if (!text) return false;
+  return token.exact ? text === token.value : text.startsWith(token.value);
+}
+
+function sizeFromGrid(width) {
+  if (width >= 4) return 'gargantuan';
+  if (width === 3) return 'huge';
+  if (width === 2) return 'large';
+  return 'medium';
+}
+
+/**
+ * Structured fields used by qualifiers. Missing values fall back to the same
+ * filename parsers that build local inventory records.
+ * @param {object} item
+ * @returns {{gridWidth:number,gridHeight:number,size:string,color:string|null,isMainColor:boolean,
+ *   source:string,tier:string,ext:string,folder:string,creature:string,tags:string[],favorite:boolean,tagged:boolean}}
+ */
+export function buildSearchFields(item) {
+  const filename = String(item?.filename || '');
+  const isToken = item?.type === 'token' || !!item?.creature_type;
+  const parsedGrid = isToken ? parseTokenSize(filename) : parseAssetGrid(filename);
+  const gridWidth = Number(item?.grid_width) || parsedGrid.gridWidth;
+  const gridHeight = Number(item?.grid_height) || parsedGrid.gridHeight;
+  const variant = item?.color_variant !== undefined
+    ? { colorVariant: item.color_variant, isMainColorVariant: !!item.is_main_color_variant }
+    : detectColorVariant(filename);
+  const file = filename || String(item?.file_path || '').split('/').pop();
+  const ext = (/\.([a-z0-9]+)$/i.exec(file)?.[1] || '').toLowerCase();
+  const filePath = String(item?.file_path || '');
+  const folder = String(item?.path || (filePath.includes('/') ? filePath.split('/').slice(0, -1).join('/') : '')).toLowerCase();
+  return {
+    gridWidth,
+    gridHeight,
+    size: String(item?.size || sizeFromGrid(Math.max(gridWidth, gridHeight))).toLowerCase(),
+    color: variant.colorVariant ? String(variant.colorVariant) : null,
+    isMainColor: !!variant.isMainColorVariant,
+    source: String(item?.source || 'local').toLowerCase(),
+    tier: String(item?.tier || 'free').toLowerCase(),
+    ext: EXTENSION_ALIASES[ext] || ext,
+    folder,
+    creature: String(item?.creature_type || '').toLowerCase(),
+    // Manifest tags plus the user's personal and world-shared tags
+    tags: [...tagList(item?.tags), ...tagList(item?.user_tags)],
+    favorite: !!item?.favorite,
+    tagged: tagList(item?.user_tags).length > 0
+  };
+}
+
+function tagList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,\s]+/);
+  return list.map((tag) => String(tag || '').trim().toLowerCase()).filter(Boolean);
+}
+
+function evaluateField(token, fields) {
+  const { field, op, value } = token;
+  switch (field) {
+    case 'size': {
+      const expected = SIZE_RANKS[value] ?? Object.entries(SIZE_RANKS).find(([name]) => name.startsWith(value))?.[1];
+      if (expected === undefined) return false;
+      return compareNumbers(SIZE_RANKS[fields.size], op, expected);
+    }
+    case 'grid': {
+      const m = /^(\d+(?:\.\d+)?)(?:x(\d+(?:\.\d+)?))?$/.exec(value);
+      if (!m) return false;
+      const width = Number(m[1]);
+      const height = m[2] !== undefined ? Number(m[2]) : width;
+      return compareNumbers(fields.gridWidth, op, width) && compareNumbers(fields.gridHeight, op, height);
+    }
+    case 'color': {
+      if (value === 'main') return fields.isMainColor;
+      if (value === 'none') return !fields.color;
+      return compareNumbers(Number(fields.color ?? NaN), op, Number(value));
+    }
+    case 'ext':
+      return fields.ext === (EXTENSION_ALIASES[value.replace(/^\./, '')] || value.replace(/^\./, ''));
+    case 'folder': {
+      if (!fields.folder) return false;
+      if (!token.exact) return fields.folder.includes(value);
+      return fields.folder.split('/').includes(value) || fields.folder === value;
+    }
+    case 'source':
+      return matchesText(fields.source, token);
+    case 'tier':
+      return matchesText(fields.tier, token);
+    case 'creature':
+      return matchesText(fields.creature, token);
+    case 'tag':
+      return fields.tags.some((tag) => matchesText(tag, token));
+    case 'is':
+      if (FAVORITE_ALIASES.has(value)) return fields.favorite;
+      if (value === 'tagged') return fields.tagged;
+      return false;
+    default:
+      return true;
+  }
+}
+
+/**
+ * @param {object} node
+ * @param {string} haystack
+ * @param {object} item - Source record; structured fields are built only when a qualifier needs them
+ * @param {{fields?:object}} [cache]
+ */
+function evaluateExpression(node, haystack, item, cache = {}, fuzzy = null) {
   if (!node) return true;
   switch (node.kind) {
     case 'TERM':
-      return haystackIncludesTerm(haystack, node.token);
+      return termMatches(haystack, node.token) || (!!fuzzy && fuzzy(haystack, node.token) !== null);
+    case 'FIELD':
+      if (!cache.fields) cache.fields = buildSearchFields(item);
+      return evaluateField(node.token, cache.fields);
     case 'AND':
-      return evaluateExpression(node.left, haystack) && evaluateExpression(node.right, haystack);
+      return evaluateExpression(node.left, haystack, item, cache, fuzzy) && evaluateExpression(node.right, haystack, item, cache, fuzzy);
     case 'OR':
-      return evaluateExpression(node.left, haystack) || evaluateExpression(node.right, haystack);
+      return evaluateExpression(node.left, haystack, item, cache, fuzzy) || evaluateExpression(node.right, haystack, item, cache, fuzzy);
     case 'NOT':
-      return !evaluateExpression(node.operand, haystack);
+      // Exclusions stay strict so a typo-tolerant NOT never hides unrelated items
+      return !evaluateExpression(node.operand, haystack, item, cache, null);
     default:
       return true;
   }
@@ -261,8 +538,14 @@ function collectPositiveTerms(node, out = [], negated = false) {
   return out;
 }
 
-function buildHaystack(item) {
+/**
+ * Lower-cased free-text haystack a TERM is matched against.
+ * @param {object} item
+ * @returns {string}
+ */
+export function buildHaystack(item) {
   const tags = Array.isArray(item?.tags) ? item.tags.join(' ') : (item?.tags || '');
+  const userTags = Array.isArray(item?.user_tags) ? item.user_tags.join(' ') : '';
   const grid_size = item?.grid_width + 'x' + item?.grid_height;
   const scale = 's' + item?.scale + 'x';
   const fields = [
@@ -277,7 +560,8 @@ function buildHaystack(item) {
     item?.source || '',
     item?.tier || '',
     item?.color_variant || '',
-    tags
+    tags,
+    userTags
   ];
   return fields.join(' ').toLowerCase();
 }
@@ -286,90 +570,158 @@ function displayKey(item) {
   return String(item?.display_name || item?.displayName || item?.filename || item?.name || '');
 }
 
-function scoreMatch(item, ast) {
-  const filename = String(item?.filename || '').toLowerCase();
-  const nameRoot = filename.replace(/\.[^.]+$/, '');
-  const displayName = String(item?.display_name || item?.displayName || '').toLowerCase();
-  const path = String(item?.path || item?.file_path || '').toLowerCase();
-  const tags = Array.isArray(item?.tags) ? item.tags.join(' ').toLowerCase() : String(item?.tags || '').toLowerCase();
-  const terms = collectPositiveTerms(ast);
-  if (!terms.length) return 0;
+/** Relevance of a single positive term; the first (most specific) field hit wins. */
+function scoreTerm(term, { nameRoot, displayName, path, tags }) {
+  const value = term?.value;
+  if (!value) return 0;
 
+  const len = value.length;
   let score = 0;
 
-  for (const term of terms) {
-    const value = term?.value;
-    if (!value) continue;
-
-    const len = value.length;
-
-    if (nameRoot === value) {
-      score += 2000;
-      continue;
-    }
-
-    if (displayName === value) {
-      score += 1600;
-      continue;
+  if (nameRoot === value) return 2000;
+  if (displayName === value) return 1600;
+
+  const nameIdx = nameRoot.indexOf(value);
+  if (nameIdx !== -1) {
+    const boundary = hasWordBoundary(nameRoot, nameIdx, len);
+    if (nameIdx === 0) {
+      if (term.exact) {
+        if (boundary) score += 1200;
+      } else {
+        const nextCh = nameRoot.charAt(len);
+        const nextBoundary = !nextCh || WORD_BOUNDARY_RE.test(nextCh);
+        score += nextBoundary ? 1100 : 900;
+      }
+    } else if (boundary) {
+      score += term.exact ? 950 : 750;
+    } else if (!term.exact) {
+      score += 500;
     }
+    return score;
+  }
 
-    const nameIdx = nameRoot.indexOf(value);
-    if (nameIdx !== -1) {
-      const boundary = hasWordBoundary(nameRoot, nameIdx, len);
-      if (nameIdx === 0) {
-        if (term.exact) {
-          if (boundary) score += 1200;
-        } else {
-          const nextCh = nameRoot.charAt(len);
-          const nextBoundary = !nextCh || WORD_BOUNDARY_RE.test(nextCh);
-          score += nextBoundary ? 1100 : 900;
-        }
-      } else if (boundary) {
-        score += term.exact ? 950 : 750;
-      } else if (!term.exact) {
-        score += 500;
+  const displayIdx = displayName.indexOf(value);
+  if (displayIdx !== -1) {
+    const boundary = hasWordBoundary(displayName, displayIdx, len);
+    if (displayIdx === 0) {
+      if (term.exact) {
+        if (boundary) score += 560;
+      } else {
+        const nextCh = displayName.charAt(len);
+        const nextBoundary = !nextCh || WORD_BOUNDARY_RE.test(nextCh);
+        score += nextBoundary ? 520 : 450;
       }
-      continue;
+    } else if (boundary) {
+      score += term.exact ? 410 : 380;
+    } else if (!term.exact) {
+      score += 280;
     }
+    return score;
+  }
 
-    const displayIdx = displayName.indexOf(value);
-    if (displayIdx !== -1) {
-      const boundary = hasWordBoundary(displayName, displayIdx, len);
-      if (displayIdx === 0) {
-        if (term.exact) {
-          if (boundary) score += 560;
-        } else {
-          const nextCh = displayName.charAt(len);
-          const nextBoundary = !nextCh || WORD_BOUNDARY_RE.test(nextCh);
-          score += nextBoundary ? 520 : 450;
-        }
-      } else if (boundary) {
-        score += term.exact ? 410 : 380;
-      } else if (!term.exact) {
-        score += 280;
+  if (tags && haystackIncludesTerm(tags, term)) return term.exact ? 200 : 160;
+
+  if (path) {
+    const pathIdx = path.indexOf(value);
+    if (pathIdx !== -1) {
+      const boundary = hasWordBoundary(path, pathIdx, len);
+      if (boundary || !term.exact) {
+        score += term.exact ? 140 : 120;
       }
-      continue;
     }
+  }
 
-    if (tags && haystackIncludesTerm(tags, term)) {
-      score += term.exact ? 200 : 160;
-      continue;
-    }
+  return score;
+}
 
-    if (path) {
-      const pathIdx = path.indexOf(value);
-      if (pathIdx !== -1) {
-        const boundary = hasWordBoundary(path, pathIdx, len);
-        if (boundary || !term.exact) {
-          score += term.exact ? 140 : 120;
-        }
+function scoreMatch(item, ast) {
+  const filename = String(item?.filename || '').toLowerCase();
+  const fields = {
+    nameRoot: filename.replace(/\.[^.]+$/, ''),
+    displayName: String(item?.display_name || item?.displayName || '').toLowerCase(),
+    path: String(item?.path || item?.file_path || '').toLowerCase(),
+    tags: [
+      Array.isArray(item?.tags) ? item.tags.join(' ') : String(item?.tags || ''),
+      Array.isArray(item?.user_tags) ? item.user_tags.join(' ') : ''
+    ].join(' ').trim().toLowerCase()
+  };
+  const terms = collectPositiveTerms(ast);
+  if (!terms.length) return 0;
+
+  let score = 0;
+  for (const term of terms) {
+    let termScore = scoreTerm(term, fields);
+    if (!termScore && Array.isArray(term.synonyms)) {
+      for (const value of term.synonyms) {
+        termScore = Math.max(termScore, scoreTerm({ ...term, value }, fields) * SYNONYM_SCORE_FACTOR);
       }
     }
+    score += termScore;
   }
+  return score;
+}
 
+/**
+ * Score for items that only matched through edit-distance fuzzing; always ranked after strict hits.
+ */
+function scoreFuzzyMatch(haystack, ast, fuzzy) {
+  let score = 0;
+  for (const term of collectPositiveTerms(ast)) {
+    if (termMatches(haystack, term)) {
+      score += 100;
+      continue;
+    }
+    const distance = fuzzy(haystack, term);
+    if (distance !== null) score += 60 - distance * 20;
+  }
   return score;
 }
 
+/**
+ * Tokenize, expand synonyms and parse a query.
+ * @param {string} query
+ * @param {Object<string,string[]>} [synonyms] - Defaults to the world table
+ * @returns {object|null} AST, or null when the query matches everything
+ */
+export function compileQuery(query, synonyms = readSearchSynonyms()) {
+  const q = String(query || '').trim();
+  if (!q) return null;
+  const tokens = applySynonyms(tokenizeQuery(q), synonyms);
+  if (!tokens.length) return null;
+  return parseQueryAST(tokens);
+}
+
+function byScoreThenName(a, b) {
+  return (b.score - a.score) || displayKey(a.row.item).localeCompare(displayKey(b.row.item));
+}
+
+/**
+ * Filter and rank `{ item, haystack }` rows against a compiled query.
+ * Strict hits come first; when there are only a few, typo-tolerant hits from `allRows` follow.
+ * @param {Array<{item:object, haystack:string}>} rows - Rows to match strictly (may be a pre-filtered candidate set)
+ * @param {object} ast - From `compileQuery`
+ * @param {{allRows?: Array<object>|function(): Array<object>}} [options] - Rows scanned by the fuzzy pass (defaults to `rows`)
+ * @returns {Array<object>} Matching rows in rank order
+ */
+export function rankRows(rows, ast, { allRows = null } = {}) {
+  const filtered = rows.filter(({ item, haystack }) => evaluateExpression(ast, haystack, item));
+  const ranked = filtered
+    .map((row) => ({ row, score: scoreMatch(row.item, ast) }))
+    .sort(byScoreThenName)
+    .map(({ row }) => row);
+  if (filtered.length >= FUZZY_MIN_RESULTS || !hasFuzzyTerms(ast)) return ranked;
+
+  const fuzzy = createFuzzyMatcher();
+  const strict = new Set(ranked);
+  const pool = (typeof allRows === 'function' ? allRows() : allRows) || rows;
+  const fuzzyRanked = pool
+    .filter((row) => !strict.has(row) && evaluateExpression(ast, row.haystack, row.item, {}, fuzzy))
+    .map((row) => ({ row, score: scoreFuzzyMatch(row.haystack, ast, fuzzy) }))
+    .sort(byScoreThenName)
+    .map(({ row }) => row);
+  return fuzzyRanked.length ? ranked.concat(fuzzyRanked) : ranked;
+}
+
 /**
  * Return true if an item matches a query string
  * @param {object} item - Inventory record or similar
@@ -378,34 +730,24 @@ function scoreMatch(item, ast) {
  */
 export function matches(item, query) {
   if (!query) return true;
-  const tokens = tokenizeQuery(query);
-  if (!tokens.length) return true;
-  const ast = parseQueryAST(tokens);
+  const ast = compileQuery(query);
   if (!ast) return true;
-  return evaluateExpression(ast, buildHaystack(item));
+  return evaluateExpression(ast, buildHaystack(item), item);
 }
 
 export class NexusSearchManager {
   /**
-   * Filter items by query using Windows-like semantics
+   * Filter items by query using Windows-like semantics.
+   * Terms also match their synonyms; when strict matching finds only a few items,
+   * typo-tolerant matches are appended after them.
    * @param {Array<object>} items
    * @param {string} query
    * @returns {Array<object>}
    */
   filter(items, query) {
-    const q = (query || '').trim();
-    if (!q) return items;
-    const tokens = tokenizeQuery(q);
-    if (!tokens.length) return items;
-    const ast = parseQueryAST(tokens);
+    const ast = compileQuery(query);
     if (!ast) return items;
-    const filtered = (items || [])
-      .map((item) => ({ item, haystack: buildHaystack(item) }))
-      .filter(({ haystack }) => evaluateExpression(ast, haystack));
-    if (!filtered.length) return [];
-    return filtered
-      .map(({ item }) => ({ item, score: scoreMatch(item, ast) }))
-      .sort((a, b) => (b.score - a.score) || displayKey(a.item).localeCompare(displayKey(b.item)))
-      .map((row) => row.item);
+    const rows = (items || []).map((item) => ({ item, haystack: buildHaystack(item) }));
+    return rankRows(rows, ast).map((row) => row.item);
   }
 }
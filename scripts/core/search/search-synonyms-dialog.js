@@ -0,0 +1,55 @@
+import { NexusLogger as Logger } from '../nexus-logger.js';
+import { DEFAULT_SEARCH_SYNONYMS, formatSynonymText, parseSynonymText, readSearchSynonyms } from './search-synonyms.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * SearchSynonymsDialog
+ * Settings menu for editing the world's search synonym table.
+ */
+export class SearchSynonymsDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'fa-nexus-search-synonyms',
+    tag: 'form',
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: true,
+      title: 'Search Synonyms'
+    },
+    position: { width: 460, height: 'auto' }
+  };
+
+  static PARTS = {
+    form: { template: 'modules/fa-nexus/templates/search-synonyms-dialog.hbs' }
+  };
+
+  async _prepareContext() {
+    return { text: formatSynonymText(readSearchSynonyms()) };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const root = this.element;
+    if (!root) return;
+    root.addEventListener('submit', (event) => event.preventDefault());
+    root.querySelector('[data-action="save"]')?.addEventListener('click', () => this._save());
+    root.querySelector('[data-action="reset"]')?.addEventListener('click', () => {
+      const textarea = root.querySelector('[data-synonyms]');
+      if (textarea) textarea.value = formatSynonymText(DEFAULT_SEARCH_SYNONYMS);
+    });
+  }
+
+  async _save() {
+    const table = parseSynonymText(this.element?.querySelector('[data-synonyms]')?.value || '');
+    try {
+      await game.settings.set('fa-nexus', 'searchSynonyms', table);
+      Logger.info('SearchSynonyms.save', { terms: Object.keys(table).length });
+      ui.notifications?.info?.(`FA Nexus: Saved ${Object.keys(table).length} search synonym entries.`);
+      this.close();
+    } catch (error) {
+      Logger.warn('SearchSynonyms.save.failed', { error: String(error?.message || error) });
+      ui.notifications?.error?.(`FA Nexus: ${error?.message || error}`);
+    }
+  }
+}
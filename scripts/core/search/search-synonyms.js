@@ -0,0 +1,69 @@
+/**
+ * Search synonym table: a search term expands to its aliases (`tree` also finds `oak`, `pine`, `fir`).
+ * Stored as `{ term: [alias, ...] }` in the world setting `searchSynonyms`.
+ */
+
+export const DEFAULT_SEARCH_SYNONYMS = Object.freeze({
+  tree: ['oak', 'pine', 'fir', 'birch', 'willow'],
+  chest: ['coffer', 'trunk'],
+  rock: ['stone', 'boulder'],
+  table: ['desk'],
+  carpet: ['rug']
+});
+
+/**
+ * Lower-case, trim and de-duplicate a synonym table.
+ * @param {object} table
+ * @returns {Object<string,string[]>}
+ */
+export function normalizeSynonyms(table) {
+  const out = {};
+  if (!table || typeof table !== 'object') return out;
+  for (const [rawTerm, rawAliases] of Object.entries(table)) {
+    const term = String(rawTerm || '').trim().toLowerCase();
+    if (!term) continue;
+    const list = Array.isArray(rawAliases) ? rawAliases : String(rawAliases || '').split(',');
+    const aliases = [...new Set(list.map((alias) => String(alias || '').trim().toLowerCase()))]
+      .filter((alias) => alias && alias !== term);
+    if (aliases.length) out[term] = [...new Set([...(out[term] || []), ...aliases])];
+  }
+  return out;
+}
+
+/**
+ * Parse the editor format: one `term: alias, alias` line per entry (`=` or `->` also work).
+ * @param {string} text
+ * @returns {Object<string,string[]>}
+ */
+export function parseSynonymText(text) {
+  const table = {};
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const m = /^(.+?)\s*(?::|->|=)\s*(.*)$/.exec(trimmed);
+    if (!m) continue;
+    const term = m[1].trim().toLowerCase();
+    table[term] = [...(table[term] || []), ...m[2].split(',')];
+  }
+  return normalizeSynonyms(table);
+}
+
+/**
+ * @param {Object<string,string[]>} table
+ * @returns {string}
+ */
+export function formatSynonymText(table) {
+  return Object.entries(normalizeSynonyms(table))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([term, aliases]) => `${term}: ${aliases.join(', ')}`)
+    .join('\n');
+}
+
+/** @returns {Object<string,string[]>} The world's synonym table (empty outside Foundry) */
+export function readSearchSynonyms() {
+  try {
+    return normalizeSynonyms(game.settings.get('fa-nexus', 'searchSynonyms'));
+  } catch (_) {
+    return {};
+  }
+}
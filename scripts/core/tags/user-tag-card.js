@@ -0,0 +1,71 @@
+import { NexusLogger as Logger } from '../nexus-logger.js';
+import { getItemTags, setFavorite } from './user-tags.js';
+import { UserTagsDialog } from './user-tags-dialog.js';
+
+/**
+ * Reflect an item's favorite flag and tags on its card.
+ * @param {HTMLElement} cardElement
+ * @param {object} item
+ */
+export function refreshUserTagCard(cardElement, item) {
+  const actions = cardElement?.querySelector?.('.fa-nexus-user-tag-actions');
+  if (!actions) return;
+  const { favorite, tags, sharedTags } = getItemTags(item);
+  const all = [...tags, ...sharedTags.filter((tag) => !tags.includes(tag))];
+  cardElement.classList.toggle('is-favorite', favorite);
+  const star = actions.querySelector('[data-user-tag-action="favorite"]');
+  if (star) {
+    star.classList.toggle('is-active', favorite);
+    star.title = favorite ? 'Remove from favorites' : 'Add to favorites';
+  }
+  const tagButton = actions.querySelector('[data-user-tag-action="tags"]');
+  if (tagButton) {
+    tagButton.classList.toggle('is-active', all.length > 0);
+    tagButton.title = all.length ? `Tags: ${all.join(', ')}` : 'Add tags';
+  }
+}
+
+async function toggleFavorite(cardElement, item) {
+  const next = !getItemTags(item).favorite;
+  cardElement.classList.toggle('is-favorite', next);
+  cardElement.querySelector('[data-user-tag-action="favorite"]')?.classList.toggle('is-active', next);
+  try {
+    await setFavorite(item, next);
+  } catch (error) {
+    Logger.warn('UserTags.favorite.failed', { error: String(error?.message || error) });
+  }
+  refreshUserTagCard(cardElement, item);
+}
+
+/**
+ * Add the favorite star and tag button to a mounted token or asset card.
+ * @param {HTMLElement} cardElement
+ * @param {object} item
+ */
+export function decorateUserTagCard(cardElement, item) {
+  if (!cardElement || !item) return;
+  let actions = cardElement.querySelector('.fa-nexus-user-tag-actions');
+  if (!actions) {
+    actions = document.createElement('div');
+    actions.className = 'fa-nexus-user-tag-actions';
+    actions.innerHTML = `
+      <button type="button" class="fa-nexus-card-action" data-user-tag-action="favorite"><i class="fas fa-star"></i></button>
+      <button type="button" class="fa-nexus-card-action" data-user-tag-action="tags"><i class="fas fa-tag"></i></button>`;
+    const stop = (event) => event.stopPropagation();
+    actions.addEventListener('pointerdown', stop);
+    actions.addEventListener('mousedown', stop);
+    actions.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-user-tag-action]');
+      if (!button) return;
+      event.preventDefault();
+      event.stopPropagation();
+      const current = cardElement._userTagItem;
+      if (!current) return;
+      if (button.dataset.userTagAction === 'favorite') toggleFavorite(cardElement, current);
+      else UserTagsDialog.open(current);
+    });
+    (cardElement.querySelector('.thumb') || cardElement).appendChild(actions);
+  }
+  cardElement._userTagItem = item;
+  refreshUserTagCard(cardElement, item);
+}
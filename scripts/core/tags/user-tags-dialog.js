@@ -0,0 +1,101 @@
+import { NexusLogger as Logger } from '../nexus-logger.js';
+import {
+  canEditSharedTags,
+  getItemTags,
+  listKnownTags,
+  normalizeTagList,
+  setFavorite,
+  setItemTags,
+  userTagKey
+} from './user-tags.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * UserTagsDialog
+ * Edits the favorite flag, personal tags and (for GMs) world-shared tags of one card.
+ */
+export class UserTagsDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'fa-nexus-user-tags',
+    tag: 'form',
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: false,
+      title: 'Tags',
+      icon: 'fas fa-tags'
+    },
+    position: { width: 380, height: 'auto' }
+  };
+
+  static PARTS = {
+    form: { template: 'modules/fa-nexus/templates/tags/user-tags-dialog.hbs' }
+  };
+
+  /**
+   * Open the dialog for an item, reusing an already open one.
+   * @param {object} item
+   */
+  static open(item) {
+    const existing = foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+    if (existing) {
+      existing._item = item;
+      existing.render({ force: true });
+      return existing;
+    }
+    const dialog = new this({ item });
+    dialog.render({ force: true });
+    return dialog;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this._item = options.item || null;
+  }
+
+  async _prepareContext() {
+    const item = this._item || {};
+    const { favorite, tags, sharedTags } = getItemTags(item);
+    const path = item.file_path || userTagKey(item);
+    return {
+      label: item.display_name || String(item.filename || path.split('/').pop() || 'Item'),
+      path,
+      favorite,
+      tags: tags.join(', '),
+      sharedTags: sharedTags.join(', '),
+      canEditShared: canEditSharedTags(),
+      knownTags: listKnownTags()
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const root = this.element;
+    if (!root) return;
+    root.addEventListener('submit', (event) => event.preventDefault());
+    root.querySelector('[data-action="save"]')?.addEventListener('click', () => this._save());
+  }
+
+  async _save() {
+    const root = this.element;
+    const item = this._item;
+    if (!root || !item) return;
+    const current = getItemTags(item);
+    const favorite = !!root.querySelector('[data-favorite]')?.checked;
+    const tags = normalizeTagList(root.querySelector('[data-tags="personal"]')?.value || '');
+    const sharedInput = root.querySelector('[data-tags="shared"]');
+    try {
+      if (favorite !== current.favorite) await setFavorite(item, favorite);
+      if (tags.join(',') !== current.tags.join(',')) await setItemTags(item, tags);
+      if (sharedInput) {
+        const shared = normalizeTagList(sharedInput.value);
+        if (shared.join(',') !== current.sharedTags.join(',')) await setItemTags(item, shared, { shared: true });
+      }
+      this.close();
+    } catch (error) {
+      Logger.warn('UserTags.save.failed', { error: String(error?.message || error) });
+      ui.notifications?.error?.(`FA Nexus: ${error?.message || error}`);
+    }
+  }
+}
@@ -0,0 +1,222 @@
+// Personal tags and favorites for token and asset cards, plus an optional world-shared tag layer
+import { NexusLogger as Logger } from '../nexus-logger.js';
+import { invalidateSearchDoc } from '../search/search-index.js';
+import { SearchIndexClient } from '../search/search-index-client.js';
+
+const MODULE_ID = 'fa-nexus';
+// `{ [itemKey]: { favorite?: true, tags?: string[] } }`, stored per user
+const USER_SETTING = 'userTags';
+// `{ [itemKey]: string[] }`, written by GMs and visible to everyone who keeps shared tags enabled
+const SHARED_SETTING = 'sharedTags';
+const SHOW_SHARED_SETTING = 'showSharedTags';
+
+let _cache = null;
+let _version = 0;
+
+function readSetting(key, fallback) {
+  try { return game.settings.get(MODULE_ID, key) ?? fallback; }
+  catch (_) { return fallback; }
+}
+
+/**
+ * Lower-case, hyphenate and de-duplicate tags; accepts an array or a comma separated string.
+ * @param {Array<string>|string} value
+ * @returns {string[]}
+ */
+export function normalizeTagList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const out = [];
+  for (const raw of list) {
+    const tag = String(raw || '').trim().toLowerCase().replace(/["'()]/g, '').replace(/\s+/g, '-');
+    if (tag && !out.includes(tag)) out.push(tag);
+  }
+  return out;
+}
+
+/**
+ * Key tags are stored under: the item's file path, so a downloaded cloud file keeps its tags.
+ * @param {object} item
+ * @returns {string}
+ */
+export function userTagKey(item) {
+  const path = item?.file_path || [item?.path, item?.filename].filter(Boolean).join('/');
+  return String(path || '').replace(/^\/+/, '').toLowerCase();
+}
+
+/**
+ * Search term a tag (or `null` for favorites) is filtered by.
+ * @param {string|null} tag
+ * @returns {string}
+ */
+export function userTagQueryTerm(tag) {
+  return tag ? `tag:"${tag}"` : 'is:favorite';
+}
+
+function loadState() {
+  if (_cache) return _cache;
+  const user = {};
+  for (const [key, entry] of Object.entries(readSetting(USER_SETTING, {}) || {})) {
+    const tags = normalizeTagList(entry?.tags);
+    if (!entry?.favorite && !tags.length) continue;
+    user[key] = { ...(entry?.favorite ? { favorite: true } : {}), ...(tags.length ? { tags } : {}) };
+  }
+  const shared = {};
+  if (readSetting(SHOW_SHARED_SETTING, true) !== false) {
+    for (const [key, tags] of Object.entries(readSetting(SHARED_SETTING, {}) || {})) {
+      const list = normalizeTagList(tags);
+      if (list.length) shared[key] = list;
+    }
+  }
+  _cache = { user, shared };
+  return _cache;
+}
+
+/** Drop cached settings; called whenever one of the tag settings changes. */
+export function invalidateUserTags() {
+  _cache = null;
+  _version += 1;
+}
+
+/** @returns {number} Incremented on every change so tabs know to re-annotate their items */
+export function userTagsVersion() {
+  return _version;
+}
+
+/**
+ * @param {object} item
+ * @returns {{favorite:boolean, tags:string[], sharedTags:string[]}}
+ */
+export function getItemTags(item) {
+  const key = userTagKey(item);
+  const { user, shared } = loadState();
+  return {
+    favorite: !!user[key]?.favorite,
+    tags: (user[key]?.tags || []).slice(),
+    sharedTags: (shared[key] || []).slice()
+  };
+}
+
+/** @returns {boolean} True when the current user may edit world-shared tags */
+export function canEditSharedTags() {
+  return !!game.user?.isGM;
+}
+
+async function writeUserEntry(item, update) {
+  const key = userTagKey(item);
+  if (!key) return;
+  const stored = foundry.utils.deepClone(readSetting(USER_SETTING, {}) || {});
+  const next = { ...(stored[key] || {}), ...update };
+  const tags = normalizeTagList(next.tags);
+  if (!next.favorite && !tags.length) delete stored[key];
+  else stored[key] = { ...(next.favorite ? { favorite: true } : {}), ...(tags.length ? { tags } : {}) };
+  await game.settings.set(MODULE_ID, USER_SETTING, stored);
+}
+
+/**
+ * @param {object} item
+ * @param {boolean} favorite
+ */
+export async function setFavorite(item, favorite) {
+  await writeUserEntry(item, { favorite: !!favorite });
+  Logger.info('UserTags.favorite', { key: userTagKey(item), favorite: !!favorite });
+}
+
+/**
+ * Replace the personal (or, for GMs, world-shared) tags of an item.
+ * @param {object} item
+ * @param {Array<string>|string} tags
+ * @param {{shared?:boolean}} [options]
+ */
+export async function setItemTags(item, tags, { shared = false } = {}) {
+  const list = normalizeTagList(tags);
+  if (!shared) {
+    await writeUserEntry(item, { tags: list });
+  } else {
+    if (!canEditSharedTags()) throw new Error('Only a GM can change shared tags');
+    const key = userTagKey(item);
+    const stored = foundry.utils.deepClone(readSetting(SHARED_SETTING, {}) || {});
+    if (list.length) stored[key] = list;
+    else delete stored[key];
+    await game.settings.set(MODULE_ID, SHARED_SETTING, stored);
+  }
+  Logger.info('UserTags.set', { key: userTagKey(item), shared, tags: list });
+}
+
+/** @returns {string[]} Every personal and shared tag in use, sorted */
+export function listKnownTags() {
+  const { user, shared } = loadState();
+  const tags = new Set();
+  for (const entry of Object.values(user)) for (const tag of entry.tags || []) tags.add(tag);
+  for (const list of Object.values(shared)) for (const tag of list) tags.add(tag);
+  return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Copy tags onto items as `user_tags` / `favorite` so search and the worker index see them,
+ * and count them for the folder filter.
+ * @param {Array<object>} items
+ * @returns {{favorites:number, tags:Map<string,number>, changed:number}}
+ */
+export function annotateItems(items) {
+  const { user, shared } = loadState();
+  const hasTags = Object.keys(user).length > 0 || Object.keys(shared).length > 0;
+  const counts = { favorites: 0, tags: new Map(), changed: 0 };
+  for (const item of items || []) {
+    if (!item || typeof item !== 'object') continue;
+    if (!hasTags && !item.user_tags && !item.favorite) continue;
+    const key = userTagKey(item);
+    const entry = user[key];
+    const tags = [...(entry?.tags || [])];
+    for (const tag of shared[key] || []) if (!tags.includes(tag)) tags.push(tag);
+    const favorite = !!entry?.favorite;
+    const prevTags = Array.isArray(item.user_tags) ? item.user_tags.join(',') : '';
+    if (prevTags !== tags.join(',') || !!item.favorite !== favorite) {
+      if (tags.length) item.user_tags = tags;
+      else delete item.user_tags;
+      if (favorite) item.favorite = true;
+      else delete item.favorite;
+      invalidateSearchDoc(item);
+      counts.changed += 1;
+    }
+    if (favorite) counts.favorites += 1;
+    for (const tag of tags) counts.tags.set(tag, (counts.tags.get(tag) || 0) + 1);
+  }
+  if (counts.changed) {
+    try { SearchIndexClient.getInstance().markStale(); } catch (_) {}
+  }
+  return counts;
+}
+
+/**
+ * Entries for the "My Tags" virtual folder in the folder filter.
+ * @param {{favorites:number, tags:Map<string,number>}} counts - From `annotateItems`
+ * @param {string} [query] - Current search, used to mark active entries
+ * @returns {Array<{key:string,label:string,icon:string,count:number,term:string,active:boolean}>}
+ */
+export function buildTagFolders(counts, query = '') {
+  const lower = String(query || '').toLowerCase();
+  const entries = [];
+  if (counts?.favorites) {
+    const term = userTagQueryTerm(null);
+    entries.push({ key: 'favorites', label: 'Favorites', icon: 'fas fa-star', count: counts.favorites, term, active: lower.includes(term) });
+  }
+  const tags = [...(counts?.tags?.entries() || [])].sort(([a], [b]) => a.localeCompare(b));
+  for (const [tag, count] of tags) {
+    const term = userTagQueryTerm(tag);
+    entries.push({ key: `tag:${tag}`, label: tag, icon: 'fas fa-tag', count, term, active: lower.includes(term) });
+  }
+  return entries;
+}
+
+/**
+ * Add the term to a query, or remove it when already present.
+ * @param {string} query
+ * @param {string} term
+ * @returns {string}
+ */
+export function toggleQueryTerm(query, term) {
+  const current = String(query || '').trim();
+  const index = current.toLowerCase().indexOf(term);
+  if (index === -1) return current ? `${current} ${term}` : term;
+  return `${current.slice(0, index)} ${current.slice(index + term.length)}`.replace(/\s+/g, ' ').trim();
+}
@@ -8,6 +8,7 @@ import {
   formatGridSnapSubdivisionLabel,
   readGridSnapSubdivisionSetting
 } from './grid-snap-utils.js';
+import { NEXUS_KEYBINDINGS, isKeybindingHeld } from './keybindings.js';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -283,6 +284,10 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
     this._placeAsLinkedToggle = null;
     this._placeAsAppendNumberToggle = null;
     this._placeAsPrependAdjectiveToggle = null;
+    this._placeAsCombatToggles = [];
+    this._placeAsNameTemplateInput = null;
+    this._placeAsNameSourceSelect = null;
+    this._placeAsNameListButton = null;
     this._placeAsToggleButton = null;
     this._placeAsHpModeSelect = null;
     this._placeAsHpPercentInput = null;
@@ -298,6 +303,10 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
     this._boundPlaceAsLinkedChange = (event) => this._handlePlaceAsLinked(event);
     this._boundPlaceAsAppendNumberChange = (event) => this._handlePlaceAsAppendNumber(event);
     this._boundPlaceAsPrependAdjectiveChange = (event) => this._handlePlaceAsPrependAdjective(event);
+    this._boundPlaceAsCombatChange = (event) => this._handlePlaceAsCombat(event);
+    this._boundPlaceAsNameTemplateChange = (event) => this._handlePlaceAsNameTemplate(event);
+    this._boundPlaceAsNameSourceChange = (event) => this._handlePlaceAsNameSource(event);
+    this._boundPlaceAsNameListEdit = (event) => this._handlePlaceAsNameListEdit(event);
     this._boundPlaceAsToggle = (event) => this._handlePlaceAsToggle(event);
     this._boundPlaceAsFilter = (event) => this._handlePlaceAsFilter(event);
     this._placeAsFilterButton = null;
@@ -499,6 +508,8 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       ['dropShadowControls', 'available'],
       ['dropShadow', 'available'],
       ['flip', 'available'],
+      ['formation', 'available'],
+      ['tokenRing', 'available'],
       ['placeAs', 'naming', 'available'],
       ['doorControls', 'available'],
       ['doorControls', 'frameSettings'],
@@ -559,6 +570,8 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       this._syncPlaceAsControls();
       this._syncDoorControls();
       this._syncWindowControls();
+      this._syncFormationControls();
+      this._syncTokenRingControls();
     }
   }
 
@@ -719,7 +732,9 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       opacityFeather,
       shapeStacking,
       doorControls: options.doorControls || null,
-      windowControls: options.windowControls || null
+      windowControls: options.windowControls || null,
+      formation: options.formation || null,
+      tokenRing: options.tokenRing || null
     };
   }
 
@@ -1811,6 +1826,8 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       this._bindPlacementControls();
       this._syncDoorControls();
       this._syncWindowControls();
+      this._syncFormationControls();
+      this._syncTokenRingControls();
       this._bindShortcutsControls();
       const placeAsToggle = root.querySelector('[data-place-as-toggle]');
       if (placeAsToggle) {
@@ -1847,6 +1864,25 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
         placeAsPrependAdjective.addEventListener('change', this._boundPlaceAsPrependAdjectiveChange);
         this._placeAsPrependAdjectiveToggle = placeAsPrependAdjective;
       }
+      this._placeAsCombatToggles = Array.from(root.querySelectorAll('[data-place-as-combat]'));
+      for (const toggle of this._placeAsCombatToggles) {
+        toggle.addEventListener('change', this._boundPlaceAsCombatChange);
+      }
+      const nameTemplate = root.querySelector('[data-place-as-name-template]');
+      if (nameTemplate) {
+        nameTemplate.addEventListener('change', this._boundPlaceAsNameTemplateChange);
+        this._placeAsNameTemplateInput = nameTemplate;
+      }
+      const nameSource = root.querySelector('[data-place-as-name-source]');
+      if (nameSource) {
+        nameSource.addEventListener('change', this._boundPlaceAsNameSourceChange);
+        this._placeAsNameSourceSelect = nameSource;
+      }
+      const nameListEdit = root.querySelector('[data-place-as-name-list-edit]');
+      if (nameListEdit) {
+        nameListEdit.addEventListener('click', this._boundPlaceAsNameListEdit);
+        this._placeAsNameListButton = nameListEdit;
+      }
       const hpMode = root.querySelector('[data-place-as-hp-mode]');
       if (hpMode) {
         hpMode.addEventListener('change', this._boundPlaceAsHpMode);
@@ -1955,6 +1991,26 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       catch (_) {}
       this._placeAsPrependAdjectiveToggle = null;
     }
+    for (const toggle of this._placeAsCombatToggles) {
+      try { toggle.removeEventListener('change', this._boundPlaceAsCombatChange); }
+      catch (_) {}
+    }
+    this._placeAsCombatToggles = [];
+    if (this._placeAsNameTemplateInput) {
+      try { this._placeAsNameTemplateInput.removeEventListener('change', this._boundPlaceAsNameTemplateChange); }
+      catch (_) {}
+      this._placeAsNameTemplateInput = null;
+    }
+    if (this._placeAsNameSourceSelect) {
+      try { this._placeAsNameSourceSelect.removeEventListener('change', this._boundPlaceAsNameSourceChange); }
+      catch (_) {}
+      this._placeAsNameSourceSelect = null;
+    }
+    if (this._placeAsNameListButton) {
+      try { this._placeAsNameListButton.removeEventListener('click', this._boundPlaceAsNameListEdit); }
+      catch (_) {}
+      this._placeAsNameListButton = null;
+    }
     if (this._placeAsHpModeSelect) {
       try { this._placeAsHpModeSelect.removeEventListener('change', this._boundPlaceAsHpMode); }
       catch (_) {}
@@ -3974,7 +4030,7 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
 
   _handleFillElevationWheel(event) {
     if (!event) return;
-    if (!event.altKey) return;
+    if (!isKeybindingHeld(event, NEXUS_KEYBINDINGS.ELEVATION_WHEEL)) return;
     if (!this._fillElevationInput || this._fillElevationInput.disabled) return;
     event.preventDefault?.();
     event.stopPropagation?.();
@@ -5940,6 +5996,76 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
     }
   }
 
+  _syncFormationControls() {
+    if (!this.element) return;
+    const state = this._toolOptionState?.formation || null;
+    const root = this.element.querySelector('[data-fa-nexus-formation-root]');
+    if (!root) return;
+    if (!state?.available) {
+      root.style.display = 'none';
+      return;
+    }
+    root.style.display = '';
+    if (!root._faFormationBound) {
+      const enabled = root.querySelector('[data-fa-nexus-formation-enabled]');
+      if (enabled) enabled.addEventListener('change', (ev) => this._controller?.invokeToolHandler?.('setFormationEnabled', !!ev.target.checked));
+      const pattern = root.querySelector('[data-fa-nexus-formation-pattern]');
+      if (pattern) pattern.addEventListener('change', (ev) => this._controller?.invokeToolHandler?.('setFormationPattern', ev.target.value));
+      for (const [selector, handler] of [['count', 'setFormationCount'], ['radius', 'setFormationRadius']]) {
+        const slider = root.querySelector(`[data-fa-nexus-formation-${selector}]`);
+        const display = root.querySelector(`[data-fa-nexus-formation-${selector}-display]`);
+        if (slider) {
+          slider.addEventListener('input', (ev) => { if (display) display.value = ev.target.value; });
+          slider.addEventListener('change', (ev) => this._controller?.invokeToolHandler?.(handler, Number(ev.target.value)));
+        }
+        if (display) display.addEventListener('change', (ev) => this._controller?.invokeToolHandler?.(handler, Number(ev.target.value)));
+      }
+      root._faFormationBound = true;
+    }
+    const enabled = root.querySelector('[data-fa-nexus-formation-enabled]');
+    if (enabled) enabled.checked = !!state.enabled;
+    for (const key of ['count', 'radius']) {
+      const value = String(state[key] ?? '');
+      const slider = root.querySelector(`[data-fa-nexus-formation-${key}]`);
+      if (slider && slider.value !== value) slider.value = value;
+      const display = root.querySelector(`[data-fa-nexus-formation-${key}-display]`);
+      if (display && display !== document.activeElement) display.value = value;
+    }
+  }
+
+  _syncTokenRingControls() {
+    if (!this.element) return;
+    const state = this._toolOptionState?.tokenRing || null;
+    const root = this.element.querySelector('[data-fa-nexus-token-ring-root]');
+    if (!root) return;
+    if (!state?.available) {
+      root.style.display = 'none';
+      return;
+    }
+    root.style.display = '';
+    if (!root._faTokenRingBound) {
+      const enabled = root.querySelector('[data-fa-nexus-token-ring-enabled]');
+      if (enabled) enabled.addEventListener('change', (ev) => this._controller?.invokeToolHandler?.('setTokenRingEnabled', !!ev.target.checked));
+      const mode = root.querySelector('[data-fa-nexus-token-ring-mode]');
+      if (mode) mode.addEventListener('change', (ev) => this._controller?.invokeToolHandler?.('setTokenRingColorMode', ev.target.value));
+      const color = root.querySelector('[data-fa-nexus-token-ring-color]');
+      if (color) color.addEventListener('change', (ev) => this._controller?.invokeToolHandler?.('setTokenRingColor', ev.target.value));
+      const palette = root.querySelector('[data-fa-nexus-token-ring-palette]');
+      if (palette) palette.addEventListener('change', (ev) => this._controller?.invokeToolHandler?.('setTokenRingPalette', ev.target.value));
+      const convert = root.querySelector('[data-fa-nexus-token-ring-convert]');
+      if (convert) convert.addEventListener('click', () => this._controller?.invokeToolHandler?.('convertTokensToRing'));
+      root._faTokenRingBound = true;
+    }
+    const enabled = root.querySelector('[data-fa-nexus-token-ring-enabled]');
+    if (enabled) enabled.checked = !!state.enabled;
+    const color = root.querySelector('[data-fa-nexus-token-ring-color]');
+    if (color && color.value !== state.color) color.value = state.color;
+    const palette = root.querySelector('[data-fa-nexus-token-ring-palette]');
+    if (palette && palette !== document.activeElement) palette.value = state.palette || '';
+    const convert = root.querySelector('[data-fa-nexus-token-ring-convert]');
+    if (convert) convert.disabled = !!state.converting;
+  }
+
   _syncWindowControls() {
     if (!this.element) return;
     const state = this._toolOptionState?.windowControls || null;
@@ -6594,6 +6720,25 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       const label = this._placeAsPrependAdjectiveToggle.closest('label');
       if (label && namingState.prependAdjectiveTooltip) label.title = namingState.prependAdjectiveTooltip;
     }
+    const combatState = state.combat || {};
+    for (const toggle of this._placeAsCombatToggles) {
+      const key = toggle.getAttribute('data-place-as-combat');
+      toggle.checked = !!combatState[key];
+      if (key !== 'add') toggle.disabled = !!combatState.optionsDisabled;
+      const label = toggle.closest('label');
+      if (label && combatState[`${key}Tooltip`]) label.title = combatState[`${key}Tooltip`];
+    }
+    const nameTemplateState = state.nameTemplate || {};
+    if (this._placeAsNameTemplateInput && document.activeElement !== this._placeAsNameTemplateInput) {
+      this._placeAsNameTemplateInput.value = nameTemplateState.template || '';
+    }
+    if (this._placeAsNameSourceSelect) {
+      const systemOption = this._placeAsNameSourceSelect.querySelector(`option[value="${nameTemplateState.systemSource?.id}"]`);
+      if (systemOption && nameTemplateState.systemSource?.label) systemOption.textContent = nameTemplateState.systemSource.label;
+      const selected = [...nameTemplateState.worldTables || [], ...nameTemplateState.compendiumTables || [], nameTemplateState.systemSource]
+        .find((option) => option?.selected);
+      this._placeAsNameSourceSelect.value = selected?.id || '';
+    }
     if (this._placeAsList) {
       const selectedId = state.selectedId || '';
       const buttons = this._placeAsList.querySelectorAll('[data-place-as-option]');
@@ -6718,6 +6863,31 @@ class ToolOptionsWindow extends HandlebarsApplicationMixin(ApplicationV2) {
     }
   }
 
+  _handlePlaceAsCombat(event) {
+    const key = event?.currentTarget?.getAttribute?.('data-place-as-combat');
+    const checked = !!event?.currentTarget?.checked;
+    this._controller?.invokeToolHandler?.('setPlaceAsCombatOption', key, checked);
+    this._syncPlaceAsControls();
+  }
+
+  _handlePlaceAsNameTemplate(event) {
+    const value = event?.currentTarget?.value ?? '';
+    this._controller?.invokeToolHandler?.('setPlaceAsNameTemplate', value);
+    this._syncPlaceAsControls();
+  }
+
+  _handlePlaceAsNameSource(event) {
+    const value = event?.currentTarget?.value ?? '';
+    this._controller?.invokeToolHandler?.('setPlaceAsNameSource', value);
+    this._syncPlaceAsControls();
+  }
+
+  _handlePlaceAsNameListEdit(event) {
+    event?.preventDefault?.();
+    const result = this._controller?.invokeToolHandler?.('editSystemNameList');
+    if (result?.then) result.finally(() => this._syncPlaceAsControls());
+  }
+
   _handlePlaceAsPrependAdjective(event) {
     const checked = !!event?.currentTarget?.checked;
     const result = this._controller?.invokeToolHandler?.('setPlaceAsPrependAdjective', checked);
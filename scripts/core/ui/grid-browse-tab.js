@@ -2,6 +2,21 @@ import { BaseTab } from '../base-tab.js';
 import { VirtualGridManager } from './virtual-grid-manager.js';
 import { NexusLogger as Logger } from '../nexus-logger.js';
 import { NexusSearchManager } from '../search/search-manager.js';
+import { SearchIndexClient } from '../search/search-index-client.js';
+import { annotateItems, buildTagFolders, userTagsVersion } from '../tags/user-tags.js';
+import { refreshUserTagCard } from '../tags/user-tag-card.js';
+import { listPlacementHistory, placementEntryLabel, placementEntrySummary, placementItemKey } from '../placement/placement-history.js';
+import { usageCounts } from '../placement/usage-stats.js';
+import { VisualSignatureStore } from '../visual/visual-signature-store.js';
+import { visualDistance, visualSignatureKey } from '../visual/visual-signature.js';
+import { GROUP_MODES, SORT_MODES, boostByUsage, getGridSortState, groupGridItems, setGridSortState, sortGridItems } from './grid-sort.js';
+import { downloadedAt } from '../../content/download-history.js';
+
+// Recent placements listed in the folder filter; the stored history keeps more
+const RECENT_FOLDER_LIMIT = 10;
+const RECENT_ICONS = { asset: 'fas fa-image', token: 'fas fa-user', texture: 'fas fa-paint-roller', path: 'fas fa-route' };
+// Results without a cached signature that "Find similar" analyses in the background
+const SIMILAR_BACKFILL_LIMIT = 400;
 
 /**
  * GridBrowseTab: shared helpers for grid-based browser tabs (assets, tokens, etc.).
@@ -13,11 +28,16 @@ export class GridBrowseTab extends BaseTab {
     super(app);
     this._items = [];
     this._search = this._createSearchManager();
+    this._searchSeq = 0;
+    this._userTagStamp = null;
+    this._userTagCounts = null;
     this._loadId = 0;
     this._hoverHandlers = null;
     this._preview = null;
     this._imgLoader = null;
     this._thumbSizeAdjustDepth = 0;
+    this._similarTo = null;
+    this._sortHandlers = null;
   }
 
   /** @returns {string} label used in log messages */
@@ -40,6 +60,66 @@ export class GridBrowseTab extends BaseTab {
     return 20000;
   }
 
+  /**
+   * Persistent worker search index for this tab (`<cloud kind>/<tab id>`);
+   * null keeps every search on the main thread.
+   */
+  get searchIndexName() {
+    return null;
+  }
+
+  /** Item count from which non-empty searches run in the search worker */
+  get workerSearchThreshold() {
+    return 5000;
+  }
+
+  /** Whether cards carry the favorite star and tag button and the tab lists "My Tags" folders */
+  get supportsUserTags() {
+    return false;
+  }
+
+  /** Whether loaded thumbnails are hashed and cards offer "Find similar" */
+  get supportsVisualSearch() {
+    return false;
+  }
+
+  /**
+   * Image URL hashed for an item whose card was never shown; empty when it has none (e.g. videos).
+   * @param {object} _item
+   * @returns {string}
+   */
+  // eslint-disable-next-line class-methods-use-this
+  visualThumbnailURL(_item) {
+    return '';
+  }
+
+  /** Sort modes offered in the sort dropdown (keys of `SORT_MODES`); empty hides the dropdown */
+  get sortModes() {
+    return [];
+  }
+
+  /** Group modes offered next to the sort dropdown (keys of `GROUP_MODES`) */
+  get groupModes() {
+    return [];
+  }
+
+  /** Cloud content kind ('tokens' | 'assets') whose download times feed "Recently downloaded"; null for none */
+  get downloadKind() {
+    return null;
+  }
+
+  /** Placement history kind ('asset' | 'token' | 'texture' | 'path') listed as "Recent" folders; null for none */
+  get placementHistoryKind() {
+    return null;
+  }
+
+  /**
+   * Restart placement from a recent placement entry; implemented by tabs that place things.
+   * @param {object} _entry - From `listPlacementHistory`
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async placeAgain(_entry) {}
+
   /** Preferred card size for placeholder skeletons */
   getPlaceholderCardSize() {
     const options = this.getGridOptions?.();
@@ -149,6 +229,7 @@ export class GridBrowseTab extends BaseTab {
     } catch (_) {}
     try { this.bindFooter?.(); } catch (_) {}
     try { this._bindThumbSizeSlider?.(); } catch (_) {}
+    this._bindSortControls();
     this._installHoverPreview();
     Logger.info(`${this.logTag}.onActivate:complete`, { tab: this.id });
   }
@@ -162,6 +243,9 @@ export class GridBrowseTab extends BaseTab {
     try { this.app?.hideGridPlaceholder?.(this.id); } catch (_) {}
     try { this.app?.hideGridLoader?.(this.id); } catch (_) {}
     try { this.unbindFooter?.(); } catch (_) {}
+    this._similarTo = null;
+    this._renderSimilarBanner();
+    this._unbindSortControls();
     try { this._preview?.hidePreview?.(); } catch (_) {}
     this._uninstallHoverPreview();
     try { this._resetImageLoader(); } catch (_) {}
@@ -182,15 +266,300 @@ export class GridBrowseTab extends BaseTab {
     const app = this.app;
     if (!app?._grid) return;
     const q = query || '';
+    const seq = ++this._searchSeq;
     this.beforeApplySearch(q);
     try { Logger.info(`${this.logTag}.applySearch`, { query: q }); } catch (_) {}
-    const filtered = this.filterItems(this._items || [], q);
+    this._syncUserTags(q);
+    this._syncRecentPlacements();
+    const items = this._items || [];
+    if (this._shouldSearchInWorker(items, q)) return this._applyWorkerSearch(items, q, seq);
+    this._showSearchResults(this.filterItems(items, q), q);
+  }
+
+  _shouldSearchInWorker(items, query) {
+    if (!query.trim() || !this.searchIndexName || items.length < this.workerSearchThreshold) return false;
+    return SearchIndexClient.getInstance().available;
+  }
+
+  async _applyWorkerSearch(items, query, seq) {
+    let searched = null;
+    try {
+      searched = await SearchIndexClient.getInstance().search(this.searchIndexName, items, query);
+    } catch (error) {
+      Logger.warn(`${this.logTag}.applySearch.worker`, { error: String(error?.message || error) });
+    }
+    // A newer search superseded this one while the worker was busy
+    if (seq !== this._searchSeq || !this.app?._grid) return;
+    // The worker already matched the query; an empty query still runs the subclass post-filters
+    const filtered = searched ? this.filterItems(searched, '') : this.filterItems(items, query);
+    this._showSearchResults(filtered, query);
+  }
+
+  _showSearchResults(filtered, query) {
+    const app = this.app;
     try { this.app?.hideGridPlaceholder?.(this.id); } catch (_) {}
-    app._grid.setData(filtered);
+    let sections = null;
+    // "Find similar" replaces the chosen order and shows one ungrouped list
+    if (this._similarTo) filtered = this._sortBySimilarity(filtered);
+    else ({ items: filtered, sections } = this._arrangeResults(filtered, query));
+    app._grid.setData(filtered, { sections });
     try { app._grid._onResize?.(); } catch (_) {}
     try { app._grid.container.scrollTop = 0; app._grid._onScroll?.(); } catch (_) {}
     this._updateFooterStats();
-    this.afterApplySearch(filtered, q);
+    this.afterApplySearch(filtered, query);
+  }
+
+  /** Apply the tab's sort and group mode to search results */
+  _arrangeResults(items, query = '') {
+    if (!this.sortModes.length) return { items, sections: null };
+    const { sort, group } = getGridSortState(this.id);
+    const sortMode = this.sortModes.includes(sort) ? sort : 'relevance';
+    const groupMode = this.groupModes.includes(group) ? group : 'none';
+    let sorted = items;
+    if (sortMode === 'relevance') {
+      if (String(query || '').trim() && this._usageBoostEnabled()) sorted = boostByUsage(items, this._usageCountOf());
+    } else {
+      const context = {};
+      if (sortMode === 'used') context.usageCount = this._usageCountOf();
+      else if (sortMode === 'downloaded') context.downloadedAt = (item) => this._downloadedAt(item);
+      sorted = sortGridItems(items, sortMode, context);
+    }
+    return groupGridItems(sorted, groupMode);
+  }
+
+  /** Placement count lookup from the usage stats of this tab's placement kind */
+  _usageCountOf() {
+    const kind = this.placementHistoryKind;
+    const counts = kind ? usageCounts(kind) : new Map();
+    return (item) => counts.get(placementItemKey(item)) || 0;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  _usageBoostEnabled() {
+    try { return game.settings.get('fa-nexus', 'usageSearchBoost') === true; } catch (_) { return false; }
+  }
+
+  /** Download time of a cloud item; downloads made before times were recorded rank just above the rest */
+  _downloadedAt(item) {
+    const kind = this.downloadKind;
+    if (!kind || String(item?.source || '').toLowerCase() !== 'cloud') return 0;
+    const at = downloadedAt(kind, item);
+    if (at) return at;
+    const local = item?.cachedLocalPath || this.app?._downloadManager?.getLocalPath?.(kind, item);
+    return local ? 1 : 0;
+  }
+
+  _bindSortControls() {
+    this._unbindSortControls();
+    const root = this.app?.element;
+    const wrapper = root?.querySelector?.('.fa-nexus-sort-controls');
+    const sortSelect = wrapper?.querySelector?.('#fa-nexus-sort-mode');
+    const groupSelect = wrapper?.querySelector?.('#fa-nexus-group-mode');
+    if (!wrapper || !sortSelect || !groupSelect) return;
+    const sortModes = this.sortModes;
+    const groupModes = this.groupModes;
+    wrapper.hidden = !sortModes.length;
+    if (!sortModes.length) return;
+    const state = getGridSortState(this.id);
+    const fill = (select, modes, table, value) => {
+      select.replaceChildren(...modes.map((mode) => new Option(table[mode].label, mode)));
+      select.value = modes.includes(value) ? value : modes[0];
+    };
+    fill(sortSelect, sortModes, SORT_MODES, state.sort);
+    fill(groupSelect, groupModes, GROUP_MODES, state.group);
+    groupSelect.hidden = groupModes.length < 2;
+    const onChange = async () => {
+      const next = { sort: sortSelect.value, group: groupSelect.value };
+      Logger.info(`${this.logTag}.sortMode`, { tab: this.id, ...next });
+      try { await setGridSortState(this.id, next); } catch (error) {
+        Logger.warn(`${this.logTag}.sortMode.save`, { error: String(error?.message || error) });
+      }
+      this.applySearchAsync(this.getCurrentSearchValue());
+    };
+    sortSelect.addEventListener('change', onChange);
+    groupSelect.addEventListener('change', onChange);
+    this._sortHandlers = { sortSelect, groupSelect, onChange };
+  }
+
+  _unbindSortControls() {
+    const handlers = this._sortHandlers;
+    this._sortHandlers = null;
+    if (!handlers) return;
+    try { handlers.sortSelect.removeEventListener('change', handlers.onChange); } catch (_) {}
+    try { handlers.groupSelect.removeEventListener('change', handlers.onChange); } catch (_) {}
+  }
+
+  /** Copy personal tags onto the items (when they or the tags changed) and refresh the "My Tags" folders */
+  _syncUserTags(query) {
+    if (!this.supportsUserTags) return;
+    const items = this._items || [];
+    const version = userTagsVersion();
+    const stamp = this._userTagStamp;
+    if (!stamp || stamp.items !== items || stamp.length !== items.length || stamp.version !== version) {
+      this._userTagCounts = annotateItems(items);
+      this._userTagStamp = { items, length: items.length, version };
+    }
+    try { this.app?._folderFilterController?.setVirtualFolders?.(this.id, buildTagFolders(this._userTagCounts, query)); } catch (_) {}
+  }
+
+  /** Called when personal or shared tags change */
+  onUserTagsChanged() {
+    if (!this.supportsUserTags) return;
+    const query = this.getCurrentSearchValue();
+    // Only tag-filtered results can change; other searches keep their scroll position
+    if (/(^|\s)-?(tag|tags|is):/i.test(query)) {
+      this.applySearchAsync(query);
+      return;
+    }
+    this._syncUserTags(query);
+    const container = this.app?._grid?.container;
+    for (const card of container?.querySelectorAll?.('.fa-nexus-card') || []) {
+      if (card._userTagItem) refreshUserTagCard(card, card._userTagItem);
+    }
+  }
+
+  /** Refresh the "Recent" folders from the placement history */
+  _syncRecentPlacements() {
+    const kind = this.placementHistoryKind;
+    const controller = this.app?._folderFilterController;
+    if (!controller?.setVirtualFolders) return;
+    const entries = kind ? listPlacementHistory(kind).slice(0, RECENT_FOLDER_LIMIT) : [];
+    const folders = entries.map((entry) => {
+      const summary = placementEntrySummary(entry);
+      const times = entry.count === 1 ? 'Placed once' : `Placed ${entry.count} times`;
+      return {
+        key: `recent:${entry.id}`,
+        label: placementEntryLabel(entry),
+        icon: RECENT_ICONS[entry.kind],
+        title: `Place again${summary ? ` — ${summary}` : ''}\n${times}`,
+        count: entry.count,
+        onSelect: () => this.placeAgain(entry)
+      };
+    });
+    try { controller.setVirtualFolders(this.id, folders, { key: 'recent', label: 'Recent', icon: 'fas fa-clock-rotate-left' }); } catch (_) {}
+  }
+
+  /** Called when a placement is recorded or the stored history changes */
+  onPlacementHistoryChanged() {
+    this._syncRecentPlacements();
+  }
+
+  /**
+   * Sort the results by visual distance to an item ("Find similar"); the current search still applies.
+   * @param {object} item
+   * @param {HTMLElement} [cardEl] - Card of the item, whose loaded thumbnail is hashed when needed
+   */
+  async findSimilar(item, cardEl = null) {
+    if (!this.supportsVisualSearch || !item) return;
+    const element = cardEl?.querySelector?.('.thumb img, .thumb video') || null;
+    const url = element?.getAttribute?.('src') || this.visualThumbnailURL(item);
+    const signature = await VisualSignatureStore.getInstance().ensure(item, { url, element });
+    if (!signature) {
+      ui.notifications?.warn?.('FA Nexus: This image could not be analysed, so similar items cannot be found.');
+      return;
+    }
+    const label = String(item.display_name || item.displayName || item.filename || item.file_path || '').split('/').pop().replace(/\.[^.]+$/, '');
+    const session = { key: visualSignatureKey(item), signature, label, pending: 0, stale: false };
+    this._similarTo = session;
+    Logger.info(`${this.logTag}.findSimilar`, { key: session.key });
+    await this.applySearchAsync(this.getCurrentSearchValue());
+    this._backfillSimilar(session);
+  }
+
+  /** Leave "Find similar" and restore the normal result order */
+  clearSimilar() {
+    if (!this._similarTo) return;
+    this._similarTo = null;
+    this._renderSimilarBanner();
+    this.applySearchAsync(this.getCurrentSearchValue());
+  }
+
+  _sortBySimilarity(items) {
+    const session = this._similarTo;
+    const store = VisualSignatureStore.getInstance();
+    const rows = items.map((item, index) => {
+      const signature = store.get(item);
+      const distance = visualSignatureKey(item) === session.key ? -1 : (signature ? visualDistance(session.signature, signature) : Infinity);
+      return { item, index, distance };
+    });
+    // Stable, so items without a signature keep the search order at the end
+    rows.sort((a, b) => (a.distance - b.distance) || (a.index - b.index));
+    session.pending = rows.reduce((count, row) => count + (row.distance === Infinity ? 1 : 0), 0);
+    session.stale = false;
+    this._renderSimilarBanner();
+    return rows.map((row) => row.item);
+  }
+
+  /** Hash results that were never shown, then re-sort (or offer to, when the user scrolled away) */
+  async _backfillSimilar(session) {
+    const store = VisualSignatureStore.getInstance();
+    const missing = (this.app?._grid?.items || []).filter((item) => !store.get(item)).slice(0, SIMILAR_BACKFILL_LIMIT);
+    const jobs = missing.map((item) => store.capture(item, { url: this.visualThumbnailURL(item) }));
+    if (!jobs.length) return;
+    const results = await Promise.all(jobs);
+    if (this._similarTo !== session || !results.some(Boolean)) return;
+    const container = this.app?._grid?.container;
+    if (!container || container.scrollTop < 1) {
+      this.applySearchAsync(this.getCurrentSearchValue());
+      return;
+    }
+    session.stale = true;
+    this._renderSimilarBanner();
+  }
+
+  _renderSimilarBanner() {
+    const main = this.app?.element?.querySelector?.('.fa-nexus-main');
+    let banner = this.app?.element?.querySelector?.('.fa-nexus-similar-banner');
+    const session = this._similarTo;
+    if (!session) {
+      banner?.remove();
+      return;
+    }
+    if (!main) return;
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.className = 'fa-nexus-similar-banner';
+      banner.innerHTML = `
+        <i class="fas fa-images"></i>
+        <span class="fa-nexus-similar-label"></span>
+        <button type="button" class="fa-nexus-similar-refresh" title="Sort again with the newly analysed items"><i class="fas fa-rotate"></i></button>
+        <button type="button" class="fa-nexus-similar-clear" title="Back to the normal order"><i class="fas fa-times"></i></button>`;
+      banner.querySelector('.fa-nexus-similar-refresh').addEventListener('click', () => this.applySearchAsync(this.getCurrentSearchValue()));
+      banner.querySelector('.fa-nexus-similar-clear').addEventListener('click', () => this.clearSimilar());
+      main.parentElement?.insertBefore(banner, main);
+    }
+    const pending = session.pending ? ` · ${session.pending} not analysed yet` : '';
+    banner.querySelector('.fa-nexus-similar-label').textContent = `Similar to ${session.label}${pending}`;
+    banner.querySelector('.fa-nexus-similar-refresh').hidden = !session.stale;
+  }
+
+  /** Add the "Find similar" button to the card actions added by `decorateUserTagCard` */
+  _decorateFindSimilar(cardElement) {
+    if (!this.supportsVisualSearch) return;
+    const actions = cardElement?.querySelector?.('.fa-nexus-user-tag-actions');
+    if (!actions || actions.querySelector('[data-card-action="similar"]')) return;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'fa-nexus-card-action';
+    button.dataset.cardAction = 'similar';
+    button.title = 'Find similar';
+    button.innerHTML = '<i class="fas fa-images"></i>';
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      // Cards are recycled by the virtual grid; the tag actions track the card's current item
+      const item = cardElement._userTagItem;
+      if (item) this.findSimilar(item, cardElement);
+    });
+    actions.prepend(button);
+  }
+
+  /** Hash a thumbnail that just finished loading in the grid */
+  _captureVisualSignature(job) {
+    if (!this.supportsVisualSearch) return;
+    const card = job.cardEl;
+    const item = { source: card?.getAttribute?.('data-source') || 'local', file_path: card?.getAttribute?.('data-file-path') || '' };
+    try { VisualSignatureStore.getInstance().capture(item, { url: job.url, element: job.imgEl }); } catch (_) {}
   }
 
   async applySearchAsync(query) {
@@ -202,7 +571,7 @@ export class GridBrowseTab extends BaseTab {
       });
     }
     const q = (typeof query === 'string') ? query : this.getCurrentSearchValue();
-    this.applySearch(q);
+    await this.applySearch(q);
   }
 
   _updateFooterStats() {
@@ -345,6 +714,7 @@ export class GridBrowseTab extends BaseTab {
           try { await imgEl.decode?.(); } catch (_) {}
           imgEl.style.opacity = '1';
           try { job.onOk?.(); } catch (_) {}
+          this._captureVisualSignature(job);
         } finally {
           this._finalizeImageJob(job);
         }
@@ -0,0 +1,141 @@
+// Sort and group modes of the browse grids
+import { buildSearchFields } from '../search/search-manager.js';
+
+const MODULE_ID = 'fa-nexus';
+const SETTING_KEY = 'gridSortModes';
+
+/** Sort modes; `relevance` keeps the search ranking (the tab's own order without a query) */
+export const SORT_MODES = {
+  relevance: { label: 'Best match' },
+  name: { label: 'Name' },
+  date: { label: 'Date added' },
+  size: { label: 'File size' },
+  footprint: { label: 'Grid footprint' },
+  used: { label: 'Most used' },
+  downloaded: { label: 'Recently downloaded' }
+};
+
+export const GROUP_MODES = {
+  none: { label: 'No grouping' },
+  folder: { label: 'Group by folder', empty: 'No folder' },
+  creature: { label: 'Group by creature type', empty: 'Unknown type' }
+};
+
+// Result positions an item climbs per doubling of its placement count when usage boosts search
+const USAGE_BOOST_RANKS = 4;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+function displayName(item) {
+  return String(item?.display_name || item?.displayName || item?.filename || item?.name || '');
+}
+
+// Local records carry the scan time in `last_modified`, not an import date, so they sort by name after dated items
+function addedAt(item) {
+  if (String(item?.source || '').toLowerCase() === 'local') return 0;
+  return Date.parse(item?.last_modified || item?.lastModified || item?.created_at || '') || 0;
+}
+
+/**
+ * Stored sort and group mode of a tab.
+ * @param {string} tabId
+ * @returns {{sort:string, group:string}}
+ */
+export function getGridSortState(tabId) {
+  let stored = null;
+  try { stored = game.settings.get(MODULE_ID, SETTING_KEY)?.[tabId]; } catch (_) { stored = null; }
+  return {
+    sort: SORT_MODES[stored?.sort] ? stored.sort : 'relevance',
+    group: GROUP_MODES[stored?.group] ? stored.group : 'none'
+  };
+}
+
+/**
+ * @param {string} tabId
+ * @param {{sort?:string, group?:string}} state
+ */
+export async function setGridSortState(tabId, state) {
+  let all = {};
+  try { all = foundry.utils.deepClone(game.settings.get(MODULE_ID, SETTING_KEY) || {}); } catch (_) { all = {}; }
+  all[tabId] = { ...getGridSortState(tabId), ...state };
+  await game.settings.set(MODULE_ID, SETTING_KEY, all);
+}
+
+/**
+ * Sort items by a mode; ties and items without a value fall back to name order.
+ * @param {Array<object>} items
+ * @param {string} mode - Key of `SORT_MODES`
+ * @param {object} [context]
+ * @param {(item:object)=>number} [context.usageCount] - Placements of an item ("Most used")
+ * @param {(item:object)=>number} [context.downloadedAt] - Epoch ms; 0 when not downloaded ("Recently downloaded")
+ * @returns {Array<object>} A new array, or `items` for `relevance`
+ */
+export function sortGridItems(items, mode, { usageCount = () => 0, downloadedAt = () => 0 } = {}) {
+  if (!SORT_MODES[mode] || mode === 'relevance') return items;
+  const value = {
+    name: () => 0,
+    date: (item) => addedAt(item),
+    size: (item) => Number(item?.file_size) || 0,
+    footprint: (item) => {
+      const { gridWidth, gridHeight } = buildSearchFields(item);
+      // Smallest first, so the value is negated
+      return -(gridWidth * gridHeight + (parseFloat(item?.scale) || 1) / 1000);
+    },
+    used: (item) => usageCount(item),
+    downloaded: (item) => downloadedAt(item)
+  }[mode];
+  const rows = items.map((item) => ({ item, value: value(item), name: displayName(item) }));
+  rows.sort((a, b) => (b.value - a.value) || collator.compare(a.name, b.name));
+  return rows.map((row) => row.item);
+}
+
+function groupKey(item, mode) {
+  if (mode === 'creature') return String(item?.creature_type || '').trim();
+  const filePath = String(item?.file_path || '');
+  return String(item?.path || (filePath.includes('/') ? filePath.split('/').slice(0, -1).join('/') : '')).replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Partition sorted items into header sections, keeping their order inside each section.
+ * Sections are in name order; items without a folder or type come last.
+ * @param {Array<object>} items
+ * @param {string} mode - Key of `GROUP_MODES`
+ * @returns {{items:Array<object>, sections:Array<{label:string,count:number}>|null}}
+ */
+export function groupGridItems(items, mode) {
+  if (!GROUP_MODES[mode] || mode === 'none' || !items.length) return { items, sections: null };
+  const groups = new Map();
+  for (const item of items) {
+    const key = groupKey(item, mode);
+    const id = key.toLowerCase();
+    let group = groups.get(id);
+    if (!group) {
+      group = { key, items: [] };
+      groups.set(id, group);
+    }
+    group.items.push(item);
+  }
+  const ordered = Array.from(groups.values()).sort((a, b) => {
+    if (!a.key !== !b.key) return a.key ? -1 : 1;
+    return collator.compare(a.key, b.key);
+  });
+  return {
+    items: ordered.flatMap((group) => group.items),
+    sections: ordered.map((group) => ({ label: group.key || GROUP_MODES[mode].empty, count: group.items.length }))
+  };
+}
+
+/**
+ * Lift often placed items in ranked search results; unused items keep their relative order.
+ * @param {Array<object>} items - In relevance order
+ * @param {(item:object)=>number} usageCount
+ * @returns {Array<object>}
+ */
+export function boostByUsage(items, usageCount) {
+  const rows = items.map((item, index) => {
+    const count = usageCount(item);
+    return { item, index, rank: count ? index - USAGE_BOOST_RANKS * Math.log2(1 + count) : index };
+  });
+  rows.sort((a, b) => (a.rank - b.rank) || (a.index - b.index));
+  return rows.map((row) => row.item);
+}
@@ -18,8 +18,9 @@ export class VirtualGridManager {
    * @param {object} options.card - Card configuration {width, height, gap}
    * @param {function} [options.onMountItem] - Callback when item is mounted
    * @param {function} [options.onUnmountItem] - Callback when item is unmounted
+   * @param {number} [options.headerHeight=30] - Height of section headers (see `setData`)
    */
-  constructor(container, { rowHeight, overscan = 4, createRow, card, onMountItem = null, onUnmountItem = null }) {
+  constructor(container, { rowHeight, overscan = 4, createRow, card, headerHeight = 30, onMountItem = null, onUnmountItem = null }) {
     // Validate required card configuration
     if (!card || typeof card.width !== 'number' || typeof card.height !== 'number') {
       throw new Error('VirtualGridManager requires card configuration with width and height properties');
@@ -34,6 +35,9 @@ export class VirtualGridManager {
     this.onUnmountItem = onUnmountItem;
     this.items = [];
     this._mounted = new Map(); // index -> element
+    this.sections = null;
+    this.headerHeight = headerHeight;
+    this._headers = new Map(); // section index -> header element
     this._onScroll = this._onScroll.bind(this);
     this._onResize = this._onResize.bind(this);
     this._resizeRaf = null;
@@ -71,20 +75,19 @@ export class VirtualGridManager {
   /**
    * Set/replace data and re-render.
    * @param {T[]} items
+   * @param {{sections?: Array<{label:string, count:number}>|null}} [options] - Consecutive runs of
+   *   `items` shown under a header each; counts must add up to the item count
    */
-  setData(items) {
+  setData(items, { sections = null } = {}) {
     this.items = items || [];
-    try { Logger.debug('VGrid.setData', { count: this.items.length }); } catch (_) {}
+    this.sections = normalizeSections(sections, this.items.length);
+    try { Logger.debug('VGrid.setData', { count: this.items.length, sections: this.sections?.length || 0 }); } catch (_) {}
     // Clear currently mounted nodes to avoid stale content when dataset switches
     for (const [, el] of this._mounted) el.remove();
     this._mounted.clear();
+    for (const [, el] of this._headers) el.remove();
+    this._headers.clear();
     // Update scroll height and force a fresh render for current viewport
-    const viewportW = this.container.clientWidth;
-    const gap = this.card.gap ?? 12;
-    const cols = Math.max(1, Math.floor((viewportW + gap) / (this.card.width + gap)));
-    const rowH = this.card.height + gap;
-    const totalRows = Math.ceil(this.items.length / cols);
-    this._padding.style.height = `${Math.max(0, totalRows * rowH)}px`;
     this._render();
   }
 
@@ -97,12 +100,31 @@ export class VirtualGridManager {
     if (this._resizeRaf) cancelAnimationFrame(this._resizeRaf);
     this.container.innerHTML = '';
     this._mounted.clear();
+    this._headers.clear();
   }
 
   _onScroll() { this._render(); }
   _onResize() { this._render(); }
 
-  _render() {    
+  /**
+   * Vertical layout of the sections (one headerless section when the data is not grouped).
+   * @returns {{blocks:Array<{label:string|null,count:number,start:number,top:number,cardsTop:number,rows:number}>, height:number}}
+   */
+  _layout(cols, rowH) {
+    const headerH = this.sections ? this.headerHeight : 0;
+    const blocks = [];
+    let top = 0;
+    let start = 0;
+    for (const section of this.sections || [{ label: null, count: this.items.length }]) {
+      const rows = Math.ceil(section.count / cols);
+      blocks.push({ label: section.label, count: section.count, start, top, cardsTop: top + headerH, rows });
+      top += headerH + rows * rowH;
+      start += section.count;
+    }
+    return { blocks, height: top };
+  }
+
+  _render() {
     // Grid mode is required - card configuration must be provided
     if (!this.card || !this.card.width || !this.card.height) {
       const error = 'VirtualGridManager requires card configuration (width, height) for grid mode';
@@ -110,63 +132,127 @@ export class VirtualGridManager {
       console.error('[fa-nexus]', error, this.card);
       return;
     }
-      const gap = this.card.gap ?? 12;
-      const viewportW = this.container.clientWidth;
-      // Choose columns based on desired base width; then stretch cards to fill available width
-      const cols = Math.max(1, Math.floor((viewportW + gap) / (this.card.width + gap)));
-      const innerWidth = Math.max(0, viewportW - gap * (cols + 1));
-      const colWidth = Math.max(1, Math.floor(innerWidth / cols));
-      if (cols !== this._lastCols || colWidth !== this._lastColWidth) {
-        // Record new layout metrics but do not clear mounted nodes.
-        // We'll simply reposition existing nodes to avoid flicker during resize.
-        this._lastCols = cols;
-        this._lastColWidth = colWidth;
-      }
-      const rowH = this.card.height + gap;
-      const totalRows = Math.ceil(this.items.length / cols);
-      // Update padding height to full virtual content height
-      this._padding.style.height = `${Math.max(0, totalRows * rowH)}px`;
+    const gap = this.card.gap ?? 12;
+    const viewportW = this.container.clientWidth;
+    // Choose columns based on desired base width; then stretch cards to fill available width
+    const cols = Math.max(1, Math.floor((viewportW + gap) / (this.card.width + gap)));
+    const innerWidth = Math.max(0, viewportW - gap * (cols + 1));
+    const colWidth = Math.max(1, Math.floor(innerWidth / cols));
+    if (cols !== this._lastCols || colWidth !== this._lastColWidth) {
+      // Record new layout metrics but do not clear mounted nodes.
+      // We'll simply reposition existing nodes to avoid flicker during resize.
+      this._lastCols = cols;
+      this._lastColWidth = colWidth;
+    }
+    const rowH = this.card.height + gap;
+    const { blocks, height } = this._layout(cols, rowH);
+    // Update padding height to full virtual content height
+    this._padding.style.height = `${Math.max(0, height)}px`;
 
-      const scrollTop = this.container.scrollTop;
-      const viewportH = this.container.clientHeight;
-      const startRow = Math.max(0, Math.floor(scrollTop / rowH) - this.overscan);
-      const endRow = Math.min(totalRows - 1, Math.ceil((scrollTop + viewportH) / rowH) + this.overscan);
-      const startIndex = startRow * cols;
-      const endIndex = Math.min(this.items.length - 1, (endRow + 1) * cols - 1);
+    const scrollTop = this.container.scrollTop;
+    const viewportH = this.container.clientHeight;
+    const viewTop = scrollTop - this.overscan * rowH;
+    const viewBottom = scrollTop + viewportH + this.overscan * rowH;
 
-      // Unmount outside range
-      for (const [idx, el] of this._mounted) {
-        if (idx < startIndex || idx > endIndex) {
-          try { if (typeof this.onUnmountItem === 'function') this.onUnmountItem(el, this.items[idx], idx); } catch (_) {}
-          el.remove();
-          this._mounted.delete(idx);
-        }
+    // Visible index range of every section that intersects the viewport
+    const ranges = [];
+    const headers = new Map();
+    for (let b = 0; b < blocks.length; b++) {
+      const block = blocks[b];
+      if (block.top > viewBottom) break;
+      if (block.cardsTop + block.rows * rowH < viewTop) continue;
+      if (this.sections && block.cardsTop >= viewTop) headers.set(b, block);
+      const startRow = Math.max(0, Math.floor((viewTop - block.cardsTop) / rowH));
+      const endRow = Math.min(block.rows - 1, Math.ceil((viewBottom - block.cardsTop) / rowH));
+      if (endRow < startRow) continue;
+      ranges.push({
+        block,
+        startIndex: block.start + startRow * cols,
+        endIndex: Math.min(block.start + block.count - 1, block.start + (endRow + 1) * cols - 1)
+      });
+    }
+
+    // Unmount outside range
+    for (const [idx, el] of this._mounted) {
+      if (!ranges.some((range) => idx >= range.startIndex && idx <= range.endIndex)) {
+        try { if (typeof this.onUnmountItem === 'function') this.onUnmountItem(el, this.items[idx], idx); } catch (_) {}
+        el.remove();
+        this._mounted.delete(idx);
+      }
+    }
+    for (const [b, el] of this._headers) {
+      if (!headers.has(b)) {
+        el.remove();
+        this._headers.delete(b);
       }
+    }
 
-      // Mount visible range
+    // Section headers span the card columns
+    const rowWidth = cols * colWidth + (cols - 1) * gap;
+    for (const [b, block] of headers) {
+      let el = this._headers.get(b);
+      if (!el) {
+        el = createSectionHeader(block);
+        this.container.appendChild(el);
+        this._headers.set(b, el);
+      }
+      el.style.top = `${block.top + gap * 0.5}px`;
+      el.style.left = `${gap * 0.5}px`;
+      el.style.width = `${rowWidth}px`;
+      el.style.height = `${Math.max(0, this.headerHeight - gap * 0.5)}px`;
+    }
+
+    // Mount visible range
+    for (const { block, startIndex, endIndex } of ranges) {
       for (let i = startIndex; i <= endIndex; i++) {
-        const row = Math.floor(i / cols);
-        const col = i % cols;
-        const top = row * rowH + gap * 0.5;
+        const local = i - block.start;
+        const row = Math.floor(local / cols);
+        const col = local % cols;
+        const top = block.cardsTop + row * rowH + gap * 0.5;
         const left = col * (colWidth + gap) + gap * 0.5;
-        if (!this._mounted.has(i)) {
-          const el = this.createRow(this.items[i], i);
+        let el = this._mounted.get(i);
+        if (!el) {
+          el = this.createRow(this.items[i], i);
           el.classList.add('fa-nexus-card');
-          el.style.top = `${top}px`;
-          el.style.left = `${left}px`;
-          el.style.width = `${colWidth}px`;
-          el.style.height = `${this.card.height}px`;
+          this._positionCard(el, top, left, colWidth);
           this.container.appendChild(el);
           this._mounted.set(i, el);
           try { if (typeof this.onMountItem === 'function') this.onMountItem(el, this.items[i], i); } catch (_) {}
         } else {
-          const el = this._mounted.get(i);
-          el.style.top = `${top}px`;
-          el.style.left = `${left}px`;
-          el.style.width = `${colWidth}px`;
-          el.style.height = `${this.card.height}px`;
+          this._positionCard(el, top, left, colWidth);
         }
       }
+    }
+  }
+
+  _positionCard(el, top, left, width) {
+    el.style.top = `${top}px`;
+    el.style.left = `${left}px`;
+    el.style.width = `${width}px`;
+    el.style.height = `${this.card.height}px`;
   }
 }
 
+/** Drop empty sections; null when the sections do not cover the items exactly */
+function normalizeSections(sections, total) {
+  if (!Array.isArray(sections) || !sections.length) return null;
+  const out = sections
+    .map((section) => ({ label: String(section?.label ?? ''), count: Math.max(0, Math.floor(Number(section?.count) || 0)) }))
+    .filter((section) => section.count > 0);
+  const covered = out.reduce((sum, section) => sum + section.count, 0);
+  return covered === total && out.length ? out : null;
+}
+
+function createSectionHeader(block) {
+  const el = document.createElement('div');
+  el.className = 'fa-nexus-grid-section-header';
+  const label = document.createElement('span');
+  label.className = 'fa-nexus-grid-section-label';
+  label.textContent = block.label;
+  label.title = block.label;
+  const count = document.createElement('span');
+  count.className = 'fa-nexus-grid-section-count';
+  count.textContent = String(block.count);
+  el.append(label, count);
+  return el;
+}
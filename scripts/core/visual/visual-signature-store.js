@@ -0,0 +1,230 @@
+import { NexusLogger as Logger } from '../nexus-logger.js';
+import { NexusIndexDB } from '../../content/cache-index.js';
+import { VISUAL_SIGNATURE_VERSION, computeVisualSignature, visualSignatureKey } from './visual-signature.js';
+
+let _singleton = null;
+// New signatures are written to IndexedDB together once thumbnails stop arriving
+const SAVE_DELAY_MS = 2000;
+// Main-thread time spent hashing per idle slice
+const IDLE_BUDGET_MS = 8;
+// Cross-origin thumbnails are fetched again with CORS; keep those requests few
+const FETCH_CONCURRENCY = 2;
+// Oldest pending jobs are dropped past this (e.g. after scrolling through a huge cloud catalog)
+const MAX_QUEUE = 2000;
+
+/**
+ * VisualSignatureStore
+ * Caches perceptual hashes and dominant colours of thumbnails in NexusIndexDB. Signatures are
+ * computed in idle time from images that already finished loading (grid thumbnails, hover
+ * previews, the dimension probe); images that taint the canvas are fetched again with CORS.
+ */
+export class VisualSignatureStore {
+  constructor() {
+    if (_singleton) return _singleton;
+    this._db = new NexusIndexDB('fa-nexus-index');
+    /** @type {Map<string, {hash:string, colors:Array}>} */
+    this._signatures = new Map();
+    this._loaded = false;
+    this._loadPromise = null;
+    /** @type {Map<string, {key:string, url:string, element:HTMLElement|null, waiters:Array<Function>}>} */
+    this._queue = new Map();
+    this._failed = new Set();
+    this._dirty = new Map();
+    this._saveTimer = null;
+    this._pumpHandle = null;
+    this._fetching = 0;
+    _singleton = this;
+  }
+
+  static getInstance() {
+    return _singleton ?? new VisualSignatureStore();
+  }
+
+  /** Read cached signatures from IndexedDB (once). */
+  load() {
+    if (!this._loadPromise) {
+      this._loadPromise = this._db.loadVisualSignatures().then((records) => {
+        for (const record of records) {
+          if (record?.version !== VISUAL_SIGNATURE_VERSION || !record.key || !record.hash) continue;
+          if (!this._signatures.has(record.key)) this._signatures.set(record.key, { hash: record.hash, colors: record.colors || [] });
+        }
+        this._loaded = true;
+      }, (error) => {
+        Logger.warn('VisualSignatures.load.failed', { error: String(error?.message || error) });
+        this._loaded = true;
+      });
+    }
+    return this._loadPromise;
+  }
+
+  /**
+   * Cached signature of an item.
+   * @param {object} item
+   * @returns {{hash:string, colors:Array}|null}
+   */
+  get(item) {
+    const key = visualSignatureKey(item);
+    return key ? this._signatures.get(key) || null : null;
+  }
+
+  /**
+   * Queue an item's signature for idle-time computation unless it is cached.
+   * @param {object} item - Needs `source` and `file_path`
+   * @param {{url?:string, element?:HTMLImageElement|HTMLVideoElement|null}} [source] - Loaded element showing `url`, when there is one
+   * @returns {Promise<{hash:string, colors:Array}|null>}
+   */
+  capture(item, { url = '', element = null } = {}) {
+    const key = visualSignatureKey(item);
+    if (!key || (!url && !element)) return Promise.resolve(null);
+    const known = this._signatures.get(key);
+    if (known) return Promise.resolve(known);
+    if (this._failed.has(key)) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      const queued = this._queue.get(key);
+      if (queued) {
+        queued.waiters.push(resolve);
+        if (element) Object.assign(queued, { url: url || queued.url, element });
+        return;
+      }
+      this._queue.set(key, { key, url, element, waiters: [resolve] });
+      if (this._queue.size > MAX_QUEUE) {
+        const [oldest] = this._queue.values();
+        this._queue.delete(oldest.key);
+        for (const waiter of oldest.waiters) waiter(null);
+      }
+      this._schedule();
+    });
+  }
+
+  /**
+   * Hash an element that shows the item right now (e.g. the hover preview, which reuses its
+   * element); cross-origin elements are skipped rather than fetched again at full size.
+   * @param {object} item
+   * @param {HTMLImageElement|HTMLVideoElement} element
+   */
+  captureElement(item, element) {
+    const key = visualSignatureKey(item);
+    if (!key || !element || this._signatures.has(key) || this._failed.has(key)) return;
+    const job = { key, url: '', element, waiters: [] };
+    const signature = this._computeFromElement(job);
+    if (signature) this._finish(job, signature);
+  }
+
+  /**
+   * Signature of an item, computed right away when it is not cached.
+   * @param {object} item
+   * @param {{url?:string, element?:HTMLImageElement|HTMLVideoElement|null}} [source]
+   * @returns {Promise<{hash:string, colors:Array}|null>}
+   */
+  async ensure(item, { url = '', element = null } = {}) {
+    await this.load();
+    const key = visualSignatureKey(item);
+    if (!key) return null;
+    if (this._signatures.has(key)) return this._signatures.get(key);
+    const queued = this._queue.get(key);
+    this._queue.delete(key);
+    const job = { key, url: url || queued?.url || '', element: element || queued?.element || null, waiters: queued?.waiters || [] };
+    let signature = this._computeFromElement(job);
+    if (signature === undefined) signature = await this._computeFromUrl(job.url);
+    this._finish(job, signature);
+    return signature;
+  }
+
+  _schedule() {
+    if (this._pumpHandle !== null || !this._queue.size || this._fetching >= FETCH_CONCURRENCY) return;
+    const run = () => {
+      this._pumpHandle = null;
+      if (!this._loaded) {
+        this.load().then(() => this._schedule());
+        return;
+      }
+      this._pump();
+    };
+    this._pumpHandle = typeof requestIdleCallback === 'function'
+      ? requestIdleCallback(run, { timeout: 2000 })
+      : setTimeout(run, 50);
+  }
+
+  _pump() {
+    const started = performance.now();
+    for (const job of Array.from(this._queue.values())) {
+      if (performance.now() - started > IDLE_BUDGET_MS) break;
+      const known = this._signatures.get(job.key);
+      if (known) {
+        this._queue.delete(job.key);
+        for (const waiter of job.waiters) waiter(known);
+        continue;
+      }
+      const signature = this._computeFromElement(job);
+      if (signature !== undefined) {
+        this._queue.delete(job.key);
+        this._finish(job, signature);
+        continue;
+      }
+      if (this._fetching >= FETCH_CONCURRENCY) continue;
+      this._queue.delete(job.key);
+      this._fetching++;
+      this._computeFromUrl(job.url)
+        .then((result) => this._finish(job, result))
+        .finally(() => {
+          this._fetching--;
+          this._schedule();
+        });
+    }
+    this._schedule();
+  }
+
+  /** @returns {object|null|undefined} Undefined when the element cannot be read (gone, replaced or cross-origin) */
+  _computeFromElement(job) {
+    const el = job.element;
+    job.element = null;
+    if (!el) return undefined;
+    if (job.url && el.getAttribute?.('src') !== job.url && el.currentSrc !== job.url && el.src !== job.url) return undefined;
+    const ready = el instanceof HTMLVideoElement ? el.readyState >= 2 : (el.complete && el.naturalWidth > 0);
+    if (!ready) return undefined;
+    try {
+      return computeVisualSignature(el);
+    } catch (error) {
+      if (error?.name === 'SecurityError') return undefined;
+      Logger.warn('VisualSignatures.compute.failed', { key: job.key, error: String(error?.message || error) });
+      return null;
+    }
+  }
+
+  async _computeFromUrl(url) {
+    if (!url || typeof createImageBitmap !== 'function') return null;
+    try {
+      const response = await fetch(url, { mode: 'cors' });
+      if (!response.ok) return null;
+      const bitmap = await createImageBitmap(await response.blob());
+      try { return computeVisualSignature(bitmap); }
+      finally { bitmap.close?.(); }
+    } catch (_) {
+      return null;
+    }
+  }
+
+  _finish(job, signature) {
+    if (signature) {
+      this._signatures.set(job.key, signature);
+      this._dirty.set(job.key, { key: job.key, version: VISUAL_SIGNATURE_VERSION, ...signature });
+      this._scheduleSave();
+    } else {
+      // Not retried this session (missing file, no CORS, undecodable)
+      this._failed.add(job.key);
+    }
+    for (const waiter of job.waiters) waiter(signature || null);
+  }
+
+  _scheduleSave() {
+    if (this._saveTimer) clearTimeout(this._saveTimer);
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      const records = Array.from(this._dirty.values());
+      this._dirty.clear();
+      this._db.saveVisualSignatures(records).then((ok) => {
+        if (!ok) Logger.warn('VisualSignatures.save.failed', { count: records.length });
+      });
+    }, SAVE_DELAY_MS);
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Visual Signature
+ * Perceptual hash (DCT pHash over a 32×32 grayscale copy) and dominant colours of an image,
+ * plus the distance used by "Find similar". Pure functions; caching lives in visual-signature-store.js.
+ */
+
+export const VISUAL_SIGNATURE_VERSION = 1;
+
+const SAMPLE = 32;
+const HASH_SIZE = 8;
+// Colour bins per channel when picking dominant colours (4 → 64 bins)
+const COLOR_LEVELS = 4;
+const MAX_COLORS = 3;
+// Transparent areas count as mid grey for the hash so cut-out assets compare by their shape
+const BACKDROP = 128;
+const HASH_WEIGHT = 0.5;
+const COLOR_WEIGHT = 0.5;
+const MAX_RGB_DISTANCE = Math.sqrt(3) * 255;
+
+let _cosTable = null;
+let _canvas = null;
+
+function cosTable() {
+  if (_cosTable) return _cosTable;
+  _cosTable = new Float64Array(HASH_SIZE * SAMPLE);
+  for (let u = 0; u < HASH_SIZE; u++) {
+    for (let x = 0; x < SAMPLE; x++) _cosTable[u * SAMPLE + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SAMPLE));
+  }
+  return _cosTable;
+}
+
+function sampleContext() {
+  if (!_canvas) {
+    if (typeof OffscreenCanvas === 'function') _canvas = new OffscreenCanvas(SAMPLE, SAMPLE);
+    else {
+      _canvas = document.createElement('canvas');
+      _canvas.width = SAMPLE;
+      _canvas.height = SAMPLE;
+    }
+  }
+  const ctx = _canvas.getContext('2d', { willReadFrequently: true });
+  ctx.clearRect(0, 0, SAMPLE, SAMPLE);
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  return ctx;
+}
+
+function sourceSize(source) {
+  const width = source?.naturalWidth || source?.videoWidth || source?.width || 0;
+  const height = source?.naturalHeight || source?.videoHeight || source?.height || 0;
+  return { width, height };
+}
+
+/**
+ * 64-bit pHash of 32×32 RGBA pixels as a 16 character hex string.
+ * @param {Uint8ClampedArray} data
+ * @returns {string}
+ */
+export function perceptualHash(data) {
+  const gray = new Float64Array(SAMPLE * SAMPLE);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    const alpha = data[p + 3] / 255;
+    const luma = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    gray[i] = luma * alpha + BACKDROP * (1 - alpha);
+  }
+  // Separable DCT: rows first, then the low-frequency columns
+  const table = cosTable();
+  const rows = new Float64Array(SAMPLE * HASH_SIZE);
+  for (let y = 0; y < SAMPLE; y++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let x = 0; x < SAMPLE; x++) sum += gray[y * SAMPLE + x] * table[u * SAMPLE + x];
+      rows[y * HASH_SIZE + u] = sum;
+    }
+  }
+  const coeffs = new Float64Array(HASH_SIZE * HASH_SIZE);
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < SAMPLE; y++) sum += rows[y * HASH_SIZE + u] * table[v * SAMPLE + y];
+      coeffs[v * HASH_SIZE + u] = sum;
+    }
+  }
+  // The DC term only carries overall brightness; leave it out of the median and the hash
+  const ac = Array.from(coeffs.subarray(1)).sort((a, b) => a - b);
+  const median = (ac[(ac.length - 1) >> 1] + ac[ac.length >> 1]) / 2;
+  let hex = '';
+  for (let nibble = 0; nibble < 16; nibble++) {
+    let value = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      const index = nibble * 4 + bit;
+      if (index > 0 && coeffs[index] > median) value |= 8 >> bit;
+    }
+    hex += value.toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Up to three dominant colours of the opaque pixels as `[r, g, b, weight]`.
+ * @param {Uint8ClampedArray} data
+ * @returns {Array<[number, number, number, number]>}
+ */
+export function dominantColors(data) {
+  const bins = new Map();
+  let total = 0;
+  const shift = 8 - Math.log2(COLOR_LEVELS);
+  for (let p = 0; p < data.length; p += 4) {
+    if (data[p + 3] < 128) continue;
+    const r = data[p];
+    const g = data[p + 1];
+    const b = data[p + 2];
+    const key = ((r >> shift) * COLOR_LEVELS + (g >> shift)) * COLOR_LEVELS + (b >> shift);
+    let bin = bins.get(key);
+    if (!bin) {
+      bin = [0, 0, 0, 0];
+      bins.set(key, bin);
+    }
+    bin[0] += r; bin[1] += g; bin[2] += b; bin[3]++;
+    total++;
+  }
+  if (!total) return [];
+  return Array.from(bins.values())
+    .sort((a, b) => b[3] - a[3])
+    .slice(0, MAX_COLORS)
+    .map(([r, g, b, count]) => [
+      Math.round(r / count),
+      Math.round(g / count),
+      Math.round(b / count),
+      Math.round((count / total) * 100) / 100
+    ]);
+}
+
+/**
+ * Signature of a decoded image, bitmap, canvas or video frame.
+ * Throws a SecurityError when the source is cross-origin without CORS.
+ * @param {CanvasImageSource} source
+ * @returns {{hash:string, colors:Array<[number,number,number,number]>}|null} Null when the source has no pixels yet
+ */
+export function computeVisualSignature(source) {
+  const { width, height } = sourceSize(source);
+  if (!width || !height) return null;
+  const ctx = sampleContext();
+  ctx.drawImage(source, 0, 0, SAMPLE, SAMPLE);
+  const { data } = ctx.getImageData(0, 0, SAMPLE, SAMPLE);
+  return { hash: perceptualHash(data), colors: dominantColors(data) };
+}
+
+function popcount(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Differing bits between two hex hashes (0–64).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+  let bits = 0;
+  for (let i = 0; i < 16; i += 8) {
+    bits += popcount((parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0);
+  }
+  return bits;
+}
+
+function colorDistance(a, b) {
+  // Weighted nearest-colour distance, averaged in both directions
+  const oneWay = (from, to) => {
+    let sum = 0;
+    let weight = 0;
+    for (const [r, g, bl, w] of from) {
+      let best = MAX_RGB_DISTANCE;
+      for (const [r2, g2, b2] of to) best = Math.min(best, Math.hypot(r - r2, g - g2, bl - b2));
+      sum += (best / MAX_RGB_DISTANCE) * w;
+      weight += w;
+    }
+    return weight ? sum / weight : 1;
+  };
+  return (oneWay(a, b) + oneWay(b, a)) / 2;
+}
+
+/**
+ * Visual distance between two signatures: 0 for identical, 1 for nothing in common.
+ * @param {{hash:string, colors?:Array}} a
+ * @param {{hash:string, colors?:Array}} b
+ * @returns {number}
+ */
+export function visualDistance(a, b) {
+  const shape = hammingDistance(a.hash, b.hash) / 64;
+  if (!a.colors?.length || !b.colors?.length) return shape;
+  return shape * HASH_WEIGHT + colorDistance(a.colors, b.colors) * COLOR_WEIGHT;
+}
+
+/**
+ * Cache key of an item; the same image from the cloud and a local folder stay separate.
+ * @param {object} item - Needs `source` and `file_path` (or `path` + `filename`)
+ * @returns {string} Empty when the item has no path
+ */
+export function visualSignatureKey(item) {
+  const path = item?.file_path || [item?.path, item?.filename].filter(Boolean).join('/');
+  if (!path) return '';
+  const source = String(item?.source || 'local').toLowerCase();
+  return `${source}:${String(path).replace(/^\/+/, '')}`;
+}
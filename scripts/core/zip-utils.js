@@ -0,0 +1,196 @@
+// Minimal ZIP writer/reader used for portable FA Nexus bundles.
+// Supports STORE and DEFLATE (via CompressionStream) entries without zip64.
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+const CENTRAL_HEADER_SIG = 0x02014b50;
+const END_OF_CENTRAL_SIG = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const MAX_UINT32 = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+let CRC_TABLE = null;
+
+function crcTable() {
+  if (CRC_TABLE) return CRC_TABLE;
+  CRC_TABLE = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    CRC_TABLE[n] = c >>> 0;
+  }
+  return CRC_TABLE;
+}
+
+/**
+ * Compute the CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+  const table = crcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: ((d.getHours() & 0x1f) << 11) | ((d.getMinutes() & 0x3f) << 5) | ((d.getSeconds() >> 1) & 0x1f),
+    date: (((year - 1980) & 0x7f) << 9) | (((d.getMonth() + 1) & 0x0f) << 5) | (d.getDate() & 0x1f)
+  };
+}
+
+async function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  return new TextEncoder().encode(typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+async function pipeThrough(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function canDeflate() {
+  return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+}
+
+/**
+ * Build a ZIP archive.
+ * Entries are processed sequentially so only one file body is held in memory
+ * for checksumming at a time; the resulting Blob references the sources.
+ * @param {Array<{name:string,data:Blob|ArrayBuffer|Uint8Array|string|object,compress?:boolean,date?:Date}>} entries
+ * @param {{compress?:boolean,onProgress?:(done:number,total:number)=>void,signal?:AbortSignal}} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(entries, options = {}) {
+  const list = Array.isArray(entries) ? entries.filter((e) => e && e.name) : [];
+  if (list.length > MAX_ENTRIES) throw new Error(`Too many files for a ZIP bundle (${list.length} > ${MAX_ENTRIES})`);
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [index, entry] of list.entries()) {
+    if (options.signal?.aborted) throw new DOMException('Operation aborted', 'AbortError');
+    const nameBytes = encoder.encode(String(entry.name).replace(/^\/+/, ''));
+    const raw = await toBytes(entry.data);
+    const checksum = crc32(raw);
+    let body = raw;
+    let method = METHOD_STORE;
+    if ((entry.compress ?? options.compress) && canDeflate() && raw.length > 64) {
+      const deflated = await pipeThrough(raw, new CompressionStream('deflate-raw'));
+      if (deflated.length < raw.length) { body = deflated; method = METHOD_DEFLATE; }
+    }
+    if (offset + 30 + nameBytes.length + body.length > MAX_UINT32) {
+      throw new Error('ZIP bundle exceeds 4 GB; export fewer files');
+    }
+    const { time, date } = dosDateTime(entry.date);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIG, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, CENTRAL_HEADER_SIG, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(8, UTF8_FLAG, true);
+    header.setUint16(10, method, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, date, true);
+    header.setUint32(16, checksum, true);
+    header.setUint32(20, body.length, true);
+    header.setUint32(24, raw.length, true);
+    header.setUint16(28, nameBytes.length, true);
+    header.setUint32(42, offset, true);
+
+    // Keep the original Blob for stored entries so large files are not duplicated in memory
+    const payload = (method === METHOD_STORE && entry.data instanceof Blob) ? entry.data : body;
+    parts.push(local.buffer, nameBytes, payload);
+    central.push(header.buffer, nameBytes);
+    offset += 30 + nameBytes.length + body.length;
+    try { options.onProgress?.(index + 1, list.length); } catch (_) {}
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  if (offset + centralSize + 22 > MAX_UINT32) throw new Error('ZIP bundle exceeds 4 GB; export fewer files');
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_SIG, true);
+  end.setUint16(8, list.length, true);
+  end.setUint16(10, list.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+/**
+ * Read the directory of a ZIP archive. Entry bodies are only read on demand.
+ * @param {Blob} blob
+ * @returns {Promise<Map<string,{name:string,size:number,blob:()=>Promise<Blob>,text:()=>Promise<string>,json:()=>Promise<any>}>>}
+ */
+export async function readZip(blob) {
+  if (!(blob instanceof Blob)) throw new Error('Expected a ZIP file');
+  const tailSize = Math.min(blob.size, 22 + 0xffff);
+  const tail = new DataView(await blob.slice(blob.size - tailSize).arrayBuffer());
+  let endPos = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_SIG) { endPos = i; break; }
+  }
+  if (endPos < 0) throw new Error('Not a ZIP file');
+  const count = tail.getUint16(endPos + 10, true);
+  const centralSize = tail.getUint32(endPos + 12, true);
+  const centralOffset = tail.getUint32(endPos + 16, true);
+  const centralView = new DataView(await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    if (centralView.getUint32(pos, true) !== CENTRAL_HEADER_SIG) throw new Error('Corrupt ZIP directory');
+    const method = centralView.getUint16(pos + 10, true);
+    const compressedSize = centralView.getUint32(pos + 20, true);
+    const size = centralView.getUint32(pos + 24, true);
+    const nameLength = centralView.getUint16(pos + 28, true);
+    const extraLength = centralView.getUint16(pos + 30, true);
+    const commentLength = centralView.getUint16(pos + 32, true);
+    const localOffset = centralView.getUint32(pos + 42, true);
+    const name = decoder.decode(new Uint8Array(centralView.buffer, pos + 46, nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+    if (!name || name.endsWith('/')) continue;
+
+    const readBody = async () => {
+      const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+      if (local.getUint32(0, true) !== LOCAL_HEADER_SIG) throw new Error(`Corrupt ZIP entry: ${name}`);
+      const start = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+      const data = blob.slice(start, start + compressedSize);
+      if (method === METHOD_STORE) return data;
+      if (method !== METHOD_DEFLATE || !canDeflate()) throw new Error(`Unsupported ZIP compression for ${name}`);
+      const bytes = await pipeThrough(new Uint8Array(await data.arrayBuffer()), new DecompressionStream('deflate-raw'));
+      return new Blob([bytes]);
+    };
+    entries.set(name, {
+      name,
+      size,
+      blob: readBody,
+      text: async () => (await readBody()).text(),
+      json: async () => JSON.parse(await (await readBody()).text())
+    });
+  }
+  return entries;
+}
@@ -3,6 +3,7 @@ import { TileFlattenManager } from '../canvas/tile-flatten-manager.js';
 import { createCanvasGestureSession } from '../canvas/canvas-gesture-session.js';
 import { computeNextSortAtElevation } from '../canvas/canvas-interaction-controller.js';
 import { isKeepTokensAboveTileElevationsEnabled } from '../canvas/elevation-band-utils.js';
+import { NEXUS_KEYBINDINGS, getKeybindings, isKeybindingHeld, isKeybindingKey } from '../core/keybindings.js';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 const { AbstractSidebarTab, Sidebar } = foundry.applications.sidebar;
@@ -40,7 +41,7 @@ const hoverEventStub = { buttons: 0 };
 const clickEventStub = { shiftKey: false, stopPropagation: () => {} };
 
 let _tileFlattenManager = null;
-let _altKeyHeld = false;
+let _elevationKeyHeld = false;
 
 function getTileFlattenManager() {
   if (!_tileFlattenManager) _tileFlattenManager = new TileFlattenManager();
@@ -67,10 +68,12 @@ function quantizeElevation(value) {
   return Object.is(quantized, -0) ? 0 : quantized;
 }
 
-function isAltModifierActive() {
-  if (_altKeyHeld) return true;
+function isElevationModifierActive() {
+  if (_elevationKeyHeld) return true;
   try {
-    return !!game?.keyboard?.isModifierActive?.('ALT');
+    const downKeys = game?.keyboard?.downKeys;
+    if (!downKeys) return false;
+    return getKeybindings(NEXUS_KEYBINDINGS.ELEVATION_WHEEL).some((binding) => downKeys.has(binding.key));
   } catch (_) {
     return false;
   }
@@ -194,7 +197,7 @@ function forceHideEditedTile(tile) {
 }
 
 function shouldSuppressTileHover() {
-  return !!selectionFilterState.active && isAltModifierActive() && isTilesLayerActive();
+  return !!selectionFilterState.active && isElevationModifierActive() && isTilesLayerActive();
 }
 
 function clearTileHover() {
@@ -203,10 +206,10 @@ function clearTileHover() {
   try { hover._onHoverOut?.(hoverEventStub); } catch (_) {}
 }
 
-function setAltKeyHeld(active) {
+function setElevationKeyHeld(active) {
   const next = !!active;
-  if (_altKeyHeld === next) return;
-  _altKeyHeld = next;
+  if (_elevationKeyHeld === next) return;
+  _elevationKeyHeld = next;
   if (!selectionFilterState.active) return;
   if (shouldSuppressTileHover()) {
     clearTileHover();
@@ -1456,7 +1459,7 @@ export class LayerManagerTab extends HandlebarsApplicationMixin(AbstractSidebarT
     const next = !!active;
     if (selectionFilterState.active === next) return;
     selectionFilterState.active = next;
-    if (next) setAltKeyHeld(isAltModifierActive());
+    if (next) setElevationKeyHeld(isElevationModifierActive());
     refreshTileInteractionState();
     pruneSelectionForFilter();
   }
@@ -1639,15 +1642,15 @@ export class LayerManagerTab extends HandlebarsApplicationMixin(AbstractSidebarT
 
   _onCanvasKeyDown(event) {
     if (!event) return;
-    if (event.key === 'Alt' || event.code === 'AltLeft' || event.code === 'AltRight') {
-      setAltKeyHeld(true);
+    if (isKeybindingKey(event, NEXUS_KEYBINDINGS.ELEVATION_WHEEL)) {
+      setElevationKeyHeld(true);
     }
   }
 
   _onCanvasKeyUp(event) {
     if (!event) return;
-    if (event.key === 'Alt' || event.code === 'AltLeft' || event.code === 'AltRight') {
-      setAltKeyHeld(false);
+    if (isKeybindingKey(event, NEXUS_KEYBINDINGS.ELEVATION_WHEEL)) {
+      setElevationKeyHeld(false);
     }
   }
 
@@ -1658,9 +1661,9 @@ export class LayerManagerTab extends HandlebarsApplicationMixin(AbstractSidebarT
   }
 
   _handleElevationWheel(event, pointer = null) {
-    const altActive = !!event?.altKey;
-    if (event) setAltKeyHeld(altActive);
-    if (!altActive) return;
+    const elevationActive = isKeybindingHeld(event, NEXUS_KEYBINDINGS.ELEVATION_WHEEL);
+    if (event) setElevationKeyHeld(elevationActive);
+    if (!elevationActive) return;
 
     const direction = event.deltaY < 0 ? 1 : -1;
     const fineModifier = event.ctrlKey || event.metaKey;
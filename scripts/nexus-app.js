@@ -18,6 +18,8 @@ import { FolderFilterController } from './core/folder-filter/folder-filter-contr
 import { initializeNexusLauncher, applyThemeToElement } from './core/nexus-launcher.js';
 import { renderPatreonAuthHeader } from './premium/patreon-auth-header.js';
 import { FooterController } from './core/footer-controller.js';
+import { registerNexusApi } from './core/nexus-api.js';
+import { registerNexusKeybindings } from './core/keybindings.js';
 import './tokens/token-elevation-offset.js';
 
 /**
@@ -323,6 +325,12 @@ class FaNexusApp extends HandlebarsApplicationMixin(ApplicationV2) {
     return this._bookmarkToolbar?.loadBookmark?.(bookmarkId) ?? false;
   }
 
+  cycleBookmark(direction = 1) {
+    const bookmark = this._bookmarkToolbar?.cycleBookmark?.(direction) || null;
+    if (bookmark) ui.notifications?.info?.(`Bookmark: ${bookmark.title}`);
+    return bookmark;
+  }
+
   updateBookmark(bookmarkId, updates) {
     return this._bookmarkToolbar?.updateBookmark?.(bookmarkId, updates);
   }
@@ -397,7 +405,12 @@ Hooks.once('ready', () => {
   } catch (_) {}
 });
 
-// Expose a small API for macros/console if needed later
+// Public API for macros and other modules (game.modules.get('fa-nexus').api) and rebindable hotkeys
+Hooks.once('init', () => {
+  try { registerNexusApi({ open: renderFaNexus }); } catch (e) { Logger.warn('NexusApi.register.failed', e); }
+  try { registerNexusKeybindings({ open: renderFaNexus }); } catch (e) { Logger.warn('Keybindings.register.failed', e); }
+});
+
 window.faNexus = Object.assign(window.faNexus || {}, {
   open: renderFaNexus
 });
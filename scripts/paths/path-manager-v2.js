@@ -4,6 +4,9 @@ import { premiumEntitlementsService } from '../premium/premium-entitlements-serv
 import { ensurePremiumFeaturesRegistered } from '../premium/premium-feature-registry.js';
 import { applyPathTile, cleanupPathOverlay } from './path-tiles.js';
 import { toolOptionsController } from '../core/tool-options-controller.js';
+import { nexusCollaboration } from '../core/collaboration-service.js';
+import { recordTileCommits } from '../core/placement/placement-history.js';
+import { registerLineSnapTool } from '../core/grid-snap-utils.js';
 
 const MODULE_ID = 'fa-nexus';
 const PATH_SUBTOOL_SETTING_KEY = 'pathToolActiveSubtool';
@@ -55,7 +58,10 @@ export class PathManagerV2 {
     this._lastPersistedSubtool = null;
     this._toolDefaultsPersistTimer = null;
     this._editingTileId = null;
+    this._historyStart = null;
     this._syncToolOptionsState();
+    recordTileCommits('path', 'pathV2', () => this._historySession());
+    registerLineSnapTool('paths-v2', () => this.isActive);
   }
 
   get isActive() {
@@ -115,6 +121,8 @@ export class PathManagerV2 {
     const delegate = await this._ensureDelegate();
     const wasActive = !!delegate?.isActive;
     if (!wasActive) this._clearEditingTile();
+    const [path, name] = args;
+    this._historyStart = this._editingTileId ? null : { path, name };
     let result;
     try {
       this._refreshDelegateToolDefaults();
@@ -147,6 +155,7 @@ export class PathManagerV2 {
     }
     const doc = resolveTileDocument(targetTile);
     if (doc) this._markEditingTile(doc);
+    this._historyStart = null;
     let result;
     try {
       this._refreshDelegateToolDefaults();
@@ -178,6 +187,7 @@ export class PathManagerV2 {
 
   stop(...args) {
     this._cancelToolWindowMonitor();
+    this._historyStart = null;
     if (!this._delegate) {
       this._clearEditingTile();
       toolOptionsController.deactivateTool('path.edit.v2');
@@ -202,6 +212,29 @@ export class PathManagerV2 {
     return delegate.save?.(...args);
   }
 
+  /**
+   * Restore the path scale of a recent placement after `start`.
+   * @param {{scale?:{min:number,max:number}}} params
+   */
+  applyHistoryParams(params = {}) {
+    if (!this._delegate?.isActive) return;
+    const scale = params.scale?.min;
+    if (!Number.isFinite(scale)) return;
+    const handler = this._buildToolOptionsState().handlers?.setPathScale;
+    if (typeof handler !== 'function') return;
+    try { handler(scale, true); }
+    catch (error) { Logger.warn('PathManagerV2.history.apply.failed', { error: String(error?.message || error) }); }
+    this._syncToolOptionsState({ suppressSubtoolPersistence: true });
+  }
+
+  _historySession() {
+    if (!this._historyStart || this._editingTileId) return null;
+    const scaleState = this._buildToolOptionsState().state?.pathAppearance?.scale;
+    const scale = Number(scaleState?.value);
+    const params = scaleState?.available !== false && Number.isFinite(scale) ? { scale: { min: scale, max: scale } } : {};
+    return { start: this._historyStart, params };
+  }
+
   _scheduleEntitlementProbe() {
     ensurePremiumFeaturesRegistered();
     if (this._entitlementProbe) return this._entitlementProbe;
@@ -348,6 +381,7 @@ export class PathManagerV2 {
     }
     this._editingTileId = id;
     try { getEditingTileSet().add(id); } catch (_) {}
+    nexusCollaboration.setEditLock('paths', id, true);
     const tile = doc?.object || resolveTilePlaceableById(id);
     if (tile) {
       try { cleanupPathOverlay(tile); } catch (_) {}
@@ -358,6 +392,7 @@ export class PathManagerV2 {
     const id = typeof target === 'string' ? target : target?.id || this._editingTileId;
     if (!id) return;
     try { getEditingTileSet().delete(id); } catch (_) {}
+    nexusCollaboration.setEditLock('paths', id, false);
     if (this._editingTileId === id) this._editingTileId = null;
     const tile = (typeof target === 'object' && target?.object) ? target.object : resolveTilePlaceableById(id);
     if (tile) {
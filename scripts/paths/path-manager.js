@@ -4,6 +4,7 @@ import { premiumEntitlementsService } from '../premium/premium-entitlements-serv
 import { ensurePremiumFeaturesRegistered } from '../premium/premium-feature-registry.js';
 import './path-tiles.js';
 import { toolOptionsController } from '../core/tool-options-controller.js';
+import { registerLineSnapTool } from '../core/grid-snap-utils.js';
 
 const MODULE_ID = 'fa-nexus';
 const PATH_SUBTOOL_SETTING_KEY = 'pathToolActiveSubtool';
@@ -19,6 +20,7 @@ export class PathManager {
     this._lastPersistedSubtool = null;
     this._toolDefaultsPersistTimer = null;
     this._syncToolOptionsState();
+    registerLineSnapTool('paths', () => this.isActive);
   }
 
   get isActive() {
@@ -1,5 +1,12 @@
 import { FaNexusTokensFolderSelectionDialog } from "./tokens/tokens-content-sources-dialog.js";
 import { FaNexusAssetsFolderSelectionDialog } from "./assets/assets-content-sources-dialog.js";
+import { OfflineSnapshotDialog } from "./content/offline-snapshot-dialog.js";
+import { UvttImportDialog } from "./canvas/uvtt-import-dialog.js";
+import { SearchSynonymsDialog } from "./core/search/search-synonyms-dialog.js";
+import { DEFAULT_SEARCH_SYNONYMS } from "./core/search/search-synonyms.js";
+import { invalidateUserTags } from "./core/tags/user-tags.js";
+import { invalidatePlacementHistory } from "./core/placement/placement-history.js";
+import { invalidateUsageStats } from "./core/placement/usage-stats.js";
 
 let _cloudDownloadFolderPickerHookInstalled = false;
 
@@ -140,6 +147,7 @@ export function registerFaNexusSettings() {
   const client = (key, data) => game.settings.register(MODULE_ID, key, Object.assign({ scope: 'client', config: true }, data));
   const world = (key, data) => game.settings.register(MODULE_ID, key, Object.assign({ scope: 'world', config: true }, data));
   const menu = (key, data) => game.settings.registerMenu(MODULE_ID, key, data);
+  const user = (key, data) => game.settings.register(MODULE_ID, key, Object.assign({ scope: 'user', config: false }, data));
 
   // Operates in background; toggled by in-app checkbox
   client('mainColorOnly', { name: 'Show Main Color Only', type: Boolean, default: true, config: false });
@@ -161,6 +169,18 @@ export function registerFaNexusSettings() {
   });
   client('launcherPosition', { name: 'Launcher Position', type: Object, default: { left: null, top: null }, config: false });
 
+  // Multi-GM collaboration: live placement previews over the module socket
+  client('collaborationLivePreviews', {
+    name: 'Live Placement Previews for Co-GMs',
+    type: Boolean,
+    default: true,
+    config: true,
+    hint: 'Share your asset placement and scatter brush cursor with other connected GMs, and show theirs on your canvas. Tile edit locks are always shared.',
+    onChange: (value) => {
+      try { Hooks.callAll('updateSetting', { namespace: MODULE_ID, key: 'collaborationLivePreviews', value }); } catch (_) { }
+    }
+  });
+
   // New persisted UI state (per tab)
   client('thumbWidthTokens', { name: 'Token Thumbnail Width', type: Number, default: 140, config: false });
   client('thumbWidthAssets', { name: 'Asset Thumbnail Width', type: Number, default: 108, config: false });
@@ -186,6 +206,7 @@ export function registerFaNexusSettings() {
     default: {
       ppi: 200,
       quality: 0.85,
+      format: 'webp',
       paddingSnap: 'none',
       paddingExtra: 0,
       exportSplitLayers: false,
@@ -194,6 +215,7 @@ export function registerFaNexusSettings() {
     },
     config: false
   });
+  client('uvttImportOptions', { name: 'Universal VTT Import Options', type: Object, default: {}, config: false });
   client('layerManagerElevationMin', { name: 'Layer Manager Elevation Min', type: String, default: '', config: false });
   client('layerManagerElevationMax', { name: 'Layer Manager Elevation Max', type: String, default: '', config: false });
   client('layerManagerSkipLocked', { name: 'Layer Manager Skip Locked', type: Boolean, default: false, config: false });
@@ -211,6 +233,34 @@ export function registerFaNexusSettings() {
     restricted: true,
     hint: 'When enabled, free cloud tokens and assets will be loaded directly from the public CDN instead of being downloaded and cached locally. This saves disk space but requires an internet connection during gameplay.'
   });
+  // Content endpoint (cloud manifests and signed download URLs) with ordered mirror failover
+  world('contentEndpointBase', {
+    name: 'Content Endpoint',
+    type: String,
+    default: '',
+    config: true,
+    restricted: true,
+    hint: 'Base URL for cloud manifest updates and premium download links. Leave empty to use the Forgotten Adventures service.'
+  });
+  world('contentEndpointMirrors', {
+    name: 'Content Endpoint Mirrors',
+    type: String,
+    default: '',
+    config: true,
+    restricted: true,
+    hint: 'Comma-separated base URLs tried in order when the content endpoint does not respond, e.g. a self-hosted mirror or a local stand-in.'
+  });
+  // Offline content mode: cloud tabs use imported offline snapshots only
+  client('offlineContentMode', {
+    name: 'Offline Content Mode',
+    type: Boolean,
+    default: false,
+    config: true,
+    hint: 'Never contact the FA cloud. Cloud tokens and assets come from an imported offline snapshot (see Offline Content Snapshot) and only downloaded files can be placed.',
+    onChange: (value) => {
+      try { Hooks.callAll('updateSetting', { namespace: MODULE_ID, key: 'offlineContentMode', value }); } catch (_) { }
+    }
+  });
   client('cloudTokensEnabled', {
     name: 'Enable Cloud Tokens', type: Boolean, default: true, config: false, onChange: (value) => {
       try { Hooks.callAll('updateSetting', { namespace: MODULE_ID, key: 'cloudTokensEnabled', value }); } catch (_) { }
@@ -236,6 +286,23 @@ export function registerFaNexusSettings() {
       try { Hooks.callAll('updateSetting', { namespace: MODULE_ID, key: 'assetFolders', value }); } catch (_) { }
     }
   });
+  // Duplicate report choices (hide local / hide cloud / unify), keyed by content kind and group
+  client('duplicateResolutions', {
+    name: 'Duplicate Resolutions', type: Object, default: {}, config: false, onChange: (value) => {
+      try { Hooks.callAll('updateSetting', { namespace: MODULE_ID, key: 'duplicateResolutions', value }); } catch (_) { }
+    }
+  });
+  // When cloud files were downloaded ("Recently downloaded" sort), keyed by content kind
+  client('downloadHistory', { name: 'Download History', type: Object, default: {}, config: false });
+  // Browse grid sort and grouping per tab
+  client('gridSortModes', { name: 'Grid Sort Modes', type: Object, default: {}, config: false });
+  // Token placement formation pattern and size
+  client('tokenFormationOptions', { name: 'Token Formation Options', type: Object, default: {}, config: false });
+  // Token placement dynamic ring toggle and colours
+  client('tokenRingOptions', { name: 'Dynamic Ring Options', type: Object, default: {}, config: false });
+  // Token placement name template and per-system name lists
+  client('tokenNamingOptions', { name: 'Token Naming Options', type: Object, default: {}, config: false });
+  world('tokenNameLists', { name: 'Token Name Lists', type: Object, default: {}, config: false });
   client('hideLocked', { name: 'Hide Locked Items', type: Boolean, default: false, config: false });
   client('gridSnap', { name: 'Snap to Grid', type: Boolean, default: true, config: false });
   client('gridSnapSubdivisions', {
@@ -458,6 +525,70 @@ export function registerFaNexusSettings() {
 
   // Bookmarks per tab (array of bookmark objects)
   client('bookmarks', { name: 'Bookmarks', type: Object, default: {}, config: false });
+  // Bookmarks GMs publish for everyone in the world, keyed by tab like `bookmarks`
+  world('sharedBookmarks', {
+    name: 'Shared Bookmarks',
+    type: Object,
+    default: {},
+    config: false,
+    onChange: () => {
+      const app = foundry.applications.instances.get('fa-nexus-app');
+      try { app?._bookmarkManager?.reloadSharedBookmarks?.(); app?._refreshBookmarkToolbar?.(); } catch (_) { }
+    }
+  });
+  world('searchSynonyms', {
+    name: 'Search Synonyms',
+    type: Object,
+    default: foundry.utils.deepClone(DEFAULT_SEARCH_SYNONYMS),
+    config: false,
+    onChange: () => {
+      // Re-run the open tab's search so new aliases apply immediately
+      try { foundry.applications.instances.get('fa-nexus-app')?._activeTabObj?.applySearchAsync?.(); } catch (_) { }
+    }
+  });
+  menu('searchSynonymsMenu', {
+    name: 'Search Synonyms',
+    label: 'Edit Synonyms',
+    hint: 'Aliases that searches also match, e.g. "tree: oak, pine, fir". Shared by everyone in this world.',
+    icon: 'fas fa-spell-check',
+    type: SearchSynonymsDialog,
+    restricted: true
+  });
+  client('assetPalettes', { name: 'Asset Palettes', type: Array, default: [], config: false });
+  // Personal tags and favorites follow the user across devices; GMs can add a world-shared layer
+  const onUserTagsChange = () => {
+    invalidateUserTags();
+    try { foundry.applications.instances.get('fa-nexus-app')?._activeTabObj?.onUserTagsChanged?.(); } catch (_) { }
+  };
+  user('userTags', { name: 'Personal Tags', type: Object, default: {}, onChange: onUserTagsChange });
+  world('sharedTags', { name: 'Shared Tags', type: Object, default: {}, config: false, onChange: onUserTagsChange });
+  client('showSharedTags', {
+    name: 'Show Shared Tags',
+    hint: 'Include tags the GM added for everyone in this world alongside your personal tags.',
+    type: Boolean,
+    default: true,
+    onChange: onUserTagsChange
+  });
+  user('placementHistory', {
+    name: 'Placement History',
+    type: Array,
+    default: [],
+    onChange: () => {
+      invalidatePlacementHistory();
+      try { foundry.applications.instances.get('fa-nexus-app')?._activeTabObj?.onPlacementHistoryChanged?.(); } catch (_) { }
+    }
+  });
+  user('usageStats', { name: 'Usage Statistics', type: Object, default: {}, onChange: () => invalidateUsageStats() });
+  client('usageSearchBoost', {
+    name: 'Boost Often Used Items in Search',
+    hint: 'Search results list the tokens and assets you place most a little higher. Counts come from your own placements in this world.',
+    type: Boolean,
+    default: false,
+    config: true,
+    onChange: () => {
+      try { foundry.applications.instances.get('fa-nexus-app')?._activeTabObj?.applySearchAsync?.(); } catch (_) { }
+    }
+  });
 
   // Local Token Folders (settings menu opens the dialog)
   menu('folderSelectionMenu', {
@@ -477,6 +608,24 @@ export function registerFaNexusSettings() {
     type: FaNexusAssetsFolderSelectionDialog,
     restricted: true
   });
+  // Offline content snapshot export/import
+  menu('offlineSnapshotMenu', {
+    name: 'Offline Content Snapshot',
+    label: 'Export / Import',
+    hint: 'Export the cloud manifests and already downloaded files into a portable bundle, or import one to use FA Nexus without internet.',
+    icon: 'fas fa-plane-slash',
+    type: OfflineSnapshotDialog,
+    restricted: true
+  });
+  // Universal VTT (.dd2vtt) map import
+  menu('uvttImportMenu', {
+    name: 'Import Universal VTT Map',
+    label: 'Import',
+    hint: 'Create a scene with walls, doors and lights from a Dungeondraft (.dd2vtt) or other Universal VTT file.',
+    icon: 'fas fa-map',
+    type: UvttImportDialog,
+    restricted: true
+  });
   // Actor creation target folder
   world('actorCreationFolder', { name: 'Actor Creation Folder', type: String, default: '', config: true, restricted: true });
 
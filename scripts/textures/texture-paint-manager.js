@@ -5,6 +5,8 @@ import { ensurePremiumFeaturesRegistered } from '../premium/premium-feature-regi
 import './masked-tiles.js';
 import { applyMaskedTilingToTile } from './texture-render.js';
 import { toolOptionsController } from '../core/tool-options-controller.js';
+import { nexusCollaboration } from '../core/collaboration-service.js';
+import { recordTileCommits } from '../core/placement/placement-history.js';
 
 const EDITING_TILE_SET_KEY = '__faNexusTextureEditingTileIds';
 
@@ -53,7 +55,9 @@ export class TexturePaintManager {
     this._toolMonitor = null;
     this._delegateListenerBound = false;
     this._editingTileId = null;
+    this._historyStart = null;
     this._syncToolOptionsState();
+    recordTileCommits('texture', 'maskedTiling', () => this._historySession());
   }
 
   get isActive() {
@@ -115,6 +119,8 @@ export class TexturePaintManager {
       if (!this._editingTileId) {
         this._clearEditingTile();
       }
+      const [path, name, options] = args;
+      this._historyStart = this._editingTileId ? null : { path, name, solidColor: options?.solidColor || null };
       result = delegate.start?.(...args);
       try { canvas?.tiles?.releaseAll?.(); } catch (_) {}
       this._syncToolOptionsState({ suppressRender: false });
@@ -139,6 +145,7 @@ export class TexturePaintManager {
     }
     let result;
     try {
+      this._historyStart = null;
       this._markEditingTile(targetTile);
       result = delegate.editTile(targetTile, options);
       if (result && typeof result.catch === 'function') {
@@ -164,6 +171,7 @@ export class TexturePaintManager {
   stop(...args) {
     this._cancelToolWindowMonitor();
     this._clearEditingTile();
+    this._historyStart = null;
     if (!this._delegate) {
       toolOptionsController.deactivateTool('texture.paint');
       return;
@@ -190,6 +198,34 @@ export class TexturePaintManager {
     return delegate.placeMaskedTiling?.(...args);
   }
 
+  /**
+   * Restore the texture scale and rotation of a recent placement after `start`.
+   * @param {{scale?:{min:number,max:number}, rotation?:{min:number,max:number}}} params
+   */
+  applyHistoryParams(params = {}) {
+    const delegate = this._delegate;
+    if (!delegate?.isActive) return;
+    const apply = (fn, value) => {
+      if (typeof fn !== 'function' || !Number.isFinite(value)) return;
+      try { fn.call(delegate, value, true); }
+      catch (error) { Logger.warn('TexturePaintManager.history.apply.failed', { error: String(error?.message || error) }); }
+    };
+    apply(delegate.setScale || delegate.setTextureScale, params.scale?.min);
+    apply(delegate.setRotation || delegate.setTextureRotation, params.rotation?.min);
+    this._syncToolOptionsState({ suppressRender: false });
+  }
+
+  _historySession() {
+    if (!this._historyStart || this._editingTileId) return null;
+    const state = this._buildToolOptionsState();
+    const params = {};
+    const scale = Number(state?.scale?.value);
+    if (state?.scale?.available !== false && Number.isFinite(scale)) params.scale = { min: scale, max: scale };
+    const rotation = Number(state?.rotation?.value);
+    if (state?.rotation?.available !== false && Number.isFinite(rotation)) params.rotation = { min: rotation, max: rotation };
+    return { start: this._historyStart, params };
+  }
+
   _scheduleEntitlementProbe() {
     ensurePremiumFeaturesRegistered();
     if (this._entitlementProbe) return this._entitlementProbe;
@@ -307,6 +343,7 @@ export class TexturePaintManager {
       this._editingTileId = tileId;
       const set = getEditingTileSet();
       if (set) set.add(tileId);
+      nexusCollaboration.setEditLock('textures', tileId, true);
       const tile = resolvePlaceableTile(targetTile, tileId);
       if (tile) applyMaskedTilingToTile(tile);
     } catch (_) {}
@@ -319,6 +356,7 @@ export class TexturePaintManager {
       this._editingTileId = null;
       const set = getEditingTileSet();
       if (set) set.delete(tileId);
+      nexusCollaboration.setEditLock('textures', tileId, false);
       const tile = resolvePlaceableTile(null, tileId);
       if (tile) applyMaskedTilingToTile(tile);
     } catch (_) {}
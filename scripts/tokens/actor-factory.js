@@ -4,6 +4,9 @@
  */
 
 import * as SystemDetection from './system-detection.js';
+import { applyAfterTokenCreate } from './system-adapters.js';
+import { applyRingToTokenData } from './token-ring.js';
+import { getGridCellSize, mapTokenFootprintToGrid } from '../core/grid-snap-utils.js';
 
 /**
  * Generate a clean actor name from filename
@@ -96,7 +99,7 @@ export class ActorFactory {
    * @returns {Promise<Actor>} Created actor or null if all strategies fail
    */
   static async _createActorWithFallback(actorName, dragData) {
-    const fallbackTypes = SystemDetection.getFallbackActorTypes();
+    const fallbackTypes = SystemDetection.getFallbackActorTypes(null, { ...this._sizeContext(dragData), dragData, name: actorName });
     
     // Try each fallback type in sequence
     for (const actorType of fallbackTypes) {
@@ -179,25 +182,49 @@ export class ActorFactory {
     const tokenData = this._buildTokenData(dragData);
     const actorData = SystemDetection.getActorDataForType(actorType, actorName, dragData.url, tokenData);
     
-    // Add system-specific enhancements
-    const systemId = SystemDetection.getCurrentSystemId();
-
-    switch (systemId) {
-      case 'dnd5e':
-        return this._enhanceForDnd5e(actorData, actorType, dragData);
-      case 'pf2e':
-        return this._enhanceForPf2e(actorData, actorType, dragData);
-      case 'pf1':
-        return this._enhanceForPf1(actorData, actorType, dragData);
-      case 'dsa5':
-        return this._enhanceForDsa5(actorData, actorType, dragData);
-      case 'black-flag':
-        return this._enhanceForBlackFlag(actorData, actorType, dragData);
-      case 'daggerheart':
-        return this._enhanceForDaggerheart(actorData, actorType, dragData);
-      default:
-        return actorData; // Keep minimal data for unknown systems
+    // Add system-specific data from the system's adapter
+    const adapter = SystemDetection.getSystemMapping();
+    const context = {
+      ...this._sizeContext(dragData),
+      actorType,
+      dragData,
+      scale: Math.abs(Number(tokenData.texture?.scaleX ?? 1)) || 1
+    };
+    const utils = foundry.utils;
+
+    const systemData = adapter.actorSystemData?.(actorType, context);
+    if (systemData) {
+      actorData.system = utils.mergeObject(actorData.system || {}, systemData, { inplace: false });
+    }
+    const sizeUpdate = adapter.sizeUpdate?.(context.size, context);
+    if (sizeUpdate) {
+      utils.mergeObject(actorData, utils.expandObject(sizeUpdate));
+    }
+    const tokenDefaults = adapter.tokenDefaults?.(context);
+    if (tokenDefaults && actorData.prototypeToken) {
+      actorData.prototypeToken = utils.mergeObject(actorData.prototypeToken, tokenDefaults, { inplace: false });
     }
+
+    if (sizeUpdate) {
+      console.log(`fa-nexus | ${adapter.description}: Set creature size to "${context.size}" for ${actorData.name} (${context.gridWidth}x${context.gridHeight} grid)`);
+    }
+    return actorData;
+  }
+
+  /**
+   * Footprint and size category of a dropped token for system adapters
+   * @param {Object} dragData - Drag data containing token size
+   * @returns {{gridWidth:number, gridHeight:number, scale:number, size:string}}
+   */
+  static _sizeContext(dragData) {
+    // Safely extract token size with fallbacks
+    const { gridWidth = 1, gridHeight = 1, scale = 1 } = dragData?.tokenSize || {};
+    return {
+      gridWidth,
+      gridHeight,
+      scale,
+      size: SystemDetection.getCreatureSizeFromDimensions(gridWidth, gridHeight)
+    };
   }
   
   /**
@@ -206,7 +233,7 @@ export class ActorFactory {
    * @returns {Object} Token prototype data
    */
   static _buildTokenData(dragData) {
-    const { gridWidth, gridHeight, scale } = dragData.tokenSize;
+    const { gridWidth, gridHeight, scale } = mapTokenFootprintToGrid(dragData.tokenSize, canvas?.grid);
     
     // Check if this is a gargantuan token with explicit dimensions that can be optimized
     const optimizedDimensions = this._optimizeGargantuanDimensions(dragData.filename, gridWidth, gridHeight, scale);
@@ -304,248 +331,6 @@ export class ActorFactory {
     };
   }
   
-  /**
-   * Get creature size from grid dimensions
-   * @param {number} gridWidth - Grid width in squares
-   * @param {number} gridHeight - Grid height in squares
-   * @returns {string} Size category
-   */
-  static _getCreatureSizeFromGridDimensions(gridWidth, gridHeight) {
-    return SystemDetection.getCreatureSizeFromDimensions(gridWidth, gridHeight);
-  }
-
-  /**
-   * Enhance actor data for D&D 5e system
-   * @param {Object} actorData - Base actor data
-   * @param {string} actorType - Actor type
-   * @param {Object} dragData - Drag data
-   * @returns {Object} Enhanced actor data
-   */
-  static _enhanceForDnd5e(actorData, actorType, dragData) {
-    // Safely extract token size with fallbacks
-    const tokenSize = dragData.tokenSize || { gridWidth: 1, gridHeight: 1, scale: 1 };
-    const { gridWidth, gridHeight } = tokenSize;
-    const sizeCategory = this._getCreatureSizeFromGridDimensions(gridWidth, gridHeight);
-    
-    // Add D&D 5e specific data structure
-    if (actorType === 'npc') {
-      actorData.system = {
-        abilities: {
-          str: { value: 10 },
-          dex: { value: 10 },
-          con: { value: 10 },
-          int: { value: 10 },
-          wis: { value: 10 },
-          cha: { value: 10 }
-        },
-        attributes: {
-          hp: { value: 10, max: 10 },
-          ac: { value: 10 }
-        },
-        details: {
-          type: { value: 'humanoid' },
-          cr: 0
-        },
-        traits: {
-          size: sizeCategory
-        }
-      };
-    } else {
-      // For character actors, just set the size trait
-      actorData.system = actorData.system || {};
-      actorData.system.traits = actorData.system.traits || {};
-      actorData.system.traits.size = sizeCategory;
-    }
-    
-    return actorData;
-  }
-  
-  /**
-   * Enhance actor data for Pathfinder 2e system
-   * @param {Object} actorData - Base actor data
-   * @param {string} actorType - Actor type
-   * @param {Object} dragData - Drag data
-   * @returns {Object} Enhanced actor data
-   */
-  static _enhanceForPf2e(actorData, actorType, dragData) {
-    // Safely extract token size with fallbacks
-    const tokenSize = dragData.tokenSize || { gridWidth: 1, gridHeight: 1, scale: 1 };
-    const { gridWidth, gridHeight, scale } = tokenSize;
-    const sizeCategory = this._getCreatureSizeFromGridDimensions(gridWidth, gridHeight);
-    
-    // Set actor system data with appropriate size
-    actorData.system = actorData.system || {};
-    actorData.system.traits = actorData.system.traits || {};
-    actorData.system.traits.size = { value: sizeCategory };
-    
-    // Apply custom scale to prototype token and prevent PF2e from overriding it
-    if (actorData.prototypeToken) {
-      // Set flags to preserve our custom scale
-      actorData.prototypeToken.flags = actorData.prototypeToken.flags || {};
-      actorData.prototypeToken.flags['fa-nexus'] = {
-        customScale: true,
-        originalScale: scale
-      };
-      
-      // Apply the parsed scale to the texture
-      if (actorData.prototypeToken.texture) {
-        actorData.prototypeToken.texture.scaleX = scale;
-        actorData.prototypeToken.texture.scaleY = scale;
-      }
-      
-      // Disable PF2e's automatic scale adjustments
-      actorData.prototypeToken.flags.pf2e = actorData.prototypeToken.flags.pf2e || {};
-      actorData.prototypeToken.flags.pf2e.linkToActorSize = false;
-    }
-    
-    console.log(`fa-nexus | PF2e: Set creature size to "${sizeCategory}" (${gridWidth}x${gridHeight}) with ${scale}x scale for ${actorData.name}`);
-    return actorData;
-  }
-  
-  /**
-   * Enhance actor data for Pathfinder 1e system
-   * @param {Object} actorData - Base actor data
-   * @param {string} actorType - Actor type
-   * @param {Object} dragData - Drag data
-   * @returns {Object} Enhanced actor data
-   */
-  static _enhanceForPf1(actorData, actorType, dragData) {
-    // Safely extract token size with fallbacks
-    const tokenSize = dragData.tokenSize || { gridWidth: 1, gridHeight: 1, scale: 1 };
-    const { gridWidth, gridHeight, scale } = tokenSize;
-    const sizeCategory = this._getCreatureSizeFromGridDimensions(gridWidth, gridHeight);
-    
-    // Set actor system data with appropriate size
-    actorData.system = actorData.system || {};
-    actorData.system.traits = actorData.system.traits || {};
-    actorData.system.traits.size = sizeCategory; // PF1 uses string directly, not { value: }
-    
-    // Apply custom scale to prototype token and prevent PF1 from overriding it
-    if (actorData.prototypeToken) {
-      // Set flags to preserve our custom scale
-      actorData.prototypeToken.flags = actorData.prototypeToken.flags || {};
-      actorData.prototypeToken.flags['fa-nexus'] = {
-        customScale: true,
-        originalScale: scale
-      };
-      
-      // Apply the parsed scale to the texture
-      if (actorData.prototypeToken.texture) {
-        actorData.prototypeToken.texture.scaleX = scale;
-        actorData.prototypeToken.texture.scaleY = scale;
-      }
-      
-      // Disable PF1's automatic scale adjustments
-      actorData.prototypeToken.flags.pf1 = actorData.prototypeToken.flags.pf1 || {};
-      actorData.prototypeToken.flags.pf1.linkToActorSize = false;
-    }
-    
-    console.log(`fa-nexus | PF1: Set creature size to "${sizeCategory}" (${gridWidth}x${gridHeight}) with ${scale}x scale for ${actorData.name}`);
-    return actorData;
-  }
-
-  /**
-   * Enhance actor data for DSA5 system
-   * @param {Object} actorData - Base actor data
-   * @param {string} actorType - Actor type
-   * @param {Object} dragData - Drag data
-   * @returns {Object} Enhanced actor data
-   */
-  static _enhanceForDsa5(actorData, actorType, dragData) {
-    // Safely extract token size with fallbacks
-    const tokenSize = dragData.tokenSize || { gridWidth: 1, gridHeight: 1, scale: 1 };
-    const { gridWidth, gridHeight, scale } = tokenSize;
-    const sizeCategory = this._getCreatureSizeFromGridDimensions(gridWidth, gridHeight);
-
-    actorData.system = actorData.system || {};
-    actorData.system.status = actorData.system.status || {};
-    actorData.system.status.size = { value: sizeCategory };
-
-    switch (actorType) {
-      case 'character':
-        actorData.system.status.wounds = { value: 10, max: 10 };
-        actorData.system.status.astralenergy = { value: 10, max: 10 };
-        actorData.system.status.karmaenergy = { value: 0, max: 0 };
-        break;
-
-      case 'creature':
-        actorData.system.description = actorData.system.description || { value: '' };
-        actorData.system.behavior = actorData.system.behavior || { value: '' };
-        actorData.system.flight = actorData.system.flight || { value: '' };
-        actorData.system.specialRules = actorData.system.specialRules || { value: '' };
-        break;
-
-      case 'npc':
-        actorData.system.status.wounds = { value: 10, max: 10 };
-        actorData.system.status.astralenergy = { value: 10, max: 10 };
-        actorData.system.status.karmaenergy = { value: 0, max: 0 };
-        break;
-    }
-
-    // Apply custom scale to prototype token and prevent DSA5 from overriding it
-    if (actorData.prototypeToken) {
-      actorData.prototypeToken.flags = actorData.prototypeToken.flags || {};
-      actorData.prototypeToken.flags['fa-nexus'] = {
-        customScale: true,
-        originalScale: scale
-      };
-
-      if (actorData.prototypeToken.texture) {
-        actorData.prototypeToken.texture.scaleX = scale;
-        actorData.prototypeToken.texture.scaleY = scale;
-      }
-
-      actorData.prototypeToken.flags.dsa5 = actorData.prototypeToken.flags.dsa5 || {};
-      actorData.prototypeToken.flags.dsa5.linkToActorSize = false;
-      actorData.prototypeToken.scale = scale;
-    }
-
-    console.log(`fa-nexus | DSA5: Created ${actorType} with size category "${sizeCategory}" (${gridWidth}x${gridHeight}) with ${scale}x scale for ${actorData.name}`);
-    return actorData;
-  }
-
-  /**
-   * Enhance actor data for Black Flag system
-   * @param {Object} actorData - Base actor data
-   * @param {string} actorType - Actor type
-   * @param {Object} dragData - Drag data
-   * @returns {Object} Enhanced actor data
-   */
-  static _enhanceForBlackFlag(actorData, actorType, dragData) {
-    // Safely extract token size with fallbacks
-    const tokenSize = dragData.tokenSize || { gridWidth: 1, gridHeight: 1, scale: 1 };
-    const { gridWidth, gridHeight } = tokenSize;
-    const sizeCategory = this._getCreatureSizeFromGridDimensions(gridWidth, gridHeight);
-    
-    actorData.system = actorData.system || {};
-    actorData.system.traits = actorData.system.traits || {};
-    actorData.system.traits.size = sizeCategory;
-    
-    console.log(`fa-nexus | Black Flag: Set creature size to "${sizeCategory}" for ${actorData.name} (${gridWidth}x${gridHeight} grid)`);
-    return actorData;
-  }
-
-  /**
-   * Enhance actor data for Daggerheart system
-   * @param {Object} actorData - Base actor data
-   * @param {string} actorType - Actor type
-   * @param {Object} dragData - Drag data
-   * @returns {Object} Enhanced actor data
-   */
-  static _enhanceForDaggerheart(actorData, actorType, dragData) {
-    // Safely extract token size with fallbacks
-    const tokenSize = dragData.tokenSize || { gridWidth: 1, gridHeight: 1, scale: 1 };
-    const { gridWidth, gridHeight } = tokenSize;
-    const sizeCategory = this._getCreatureSizeFromGridDimensions(gridWidth, gridHeight);
-    
-    actorData.system = actorData.system || {};
-    actorData.system.bio = actorData.system.bio || {};
-    actorData.system.bio.size = sizeCategory;
-    
-    console.log(`fa-nexus | Daggerheart: Set creature size to "${sizeCategory}" for ${actorData.name} (${gridWidth}x${gridHeight} grid)`);
-    return actorData;
-  }
-  
   /**
    * Create token on canvas from actor and drop data
    * @param {Actor} actor - The created actor
@@ -570,12 +355,12 @@ export class ActorFactory {
     const textureMirrorY = prototypeScaleY < 0;
     const tokenRotation = Number.isFinite(dragData?.rotation) ? Number(dragData.rotation) : 0;
 
-    // Get grid size for calculating token dimensions
-    const gridSize = canvas.grid.size;
+    // Get grid cell size for calculating token dimensions (hex cells are not square)
+    const cell = getGridCellSize(canvas.grid);
 
     // Calculate actual token dimensions in pixels using optimized dimensions
-    const tokenWidth = gridWidth * gridSize;
-    const tokenHeight = gridHeight * gridSize;
+    const tokenWidth = gridWidth * cell.width;
+    const tokenHeight = gridHeight * cell.height;
     
     // Center the token on the cursor position
     // Since Foundry token coordinates are top-left corner, we need to offset by half dimensions
@@ -588,8 +373,8 @@ export class ActorFactory {
 
     const requestMirrorX = dragData?.mirrorX !== undefined ? !!dragData.mirrorX : textureMirrorX;
     const requestMirrorY = dragData?.mirrorY !== undefined ? !!dragData.mirrorY : textureMirrorY;
-    const appliedScaleX = baseScaleX * (requestMirrorX ? -1 : 1);
-    const appliedScaleY = baseScaleY * (requestMirrorY ? -1 : 1);
+    let appliedScaleX = baseScaleX * (requestMirrorX ? -1 : 1);
+    let appliedScaleY = baseScaleY * (requestMirrorY ? -1 : 1);
 
     const baseTokenData = {
       name: actor.name,
@@ -627,6 +412,19 @@ export class ActorFactory {
       if (tokenOptions?.prependAdjective !== undefined && tokenOptions.prependAdjective !== null) {
         baseTokenData.prependAdjective = !!tokenOptions.prependAdjective;
       }
+      // Template names are final; Foundry must not number or prefix them again
+      if (tokenOptions?.name) {
+        baseTokenData.name = tokenOptions.name;
+        baseTokenData.appendNumber = false;
+        baseTokenData.prependAdjective = false;
+      }
+    }
+
+    // Dynamic ring: the ring fills the footprint and the art scale moves to the ring subject
+    if (tokenOptions?.ring) {
+      applyRingToTokenData(baseTokenData, tokenOptions.ring);
+      appliedScaleX = baseTokenData.texture.scaleX;
+      appliedScaleY = baseTokenData.texture.scaleY;
     }
     
     // Create token document
@@ -642,29 +440,7 @@ export class ActorFactory {
     }
 
     // Reapply/restore scale for systems that override prototype values
-    try {
-      const systemId = SystemDetection.getCurrentSystemId();
-      if (systemId === 'pf2e') {
-        // Ensure PF2e doesn't relink size; preserve custom scale
-        await tokenDoc.update({
-          'texture.scaleX': appliedScaleX,
-          'texture.scaleY': appliedScaleY,
-          'flags.pf2e.linkToActorSize': false,
-          'flags.fa-nexus.customScale': true,
-          'flags.fa-nexus.originalScale': baseScaleX
-        }, { animate: false });
-      } else if (systemId === 'dsa5') {
-        // DSA5 can override scales after placement; reapply after a tick
-        setTimeout(async () => {
-          try {
-            await tokenDoc.update({
-              'texture.scaleX': appliedScaleX,
-              'texture.scaleY': appliedScaleY
-            }, { animate: false });
-          } catch (_) {}
-        }, 50);
-      }
-    } catch (_) {}
+    await applyAfterTokenCreate(tokenDoc, { appliedScaleX, appliedScaleY, baseScaleX });
 
     return tokenDoc;
   }
@@ -712,8 +488,7 @@ export class ActorFactory {
    */
   static async updateActorPrototypeToken(actor, dropData, options = {}) {
     const preserveSize = !!options.preserveSize;
-    const tokenSize = dropData.tokenSize || { gridWidth: 1, gridHeight: 1, scale: 1 };
-    const systemId = SystemDetection.getCurrentSystemId();
+    const tokenSize = mapTokenFootprintToGrid(dropData.tokenSize || { gridWidth: 1, gridHeight: 1, scale: 1 }, canvas?.grid);
     const baseScale = Number(tokenSize.scale ?? 1) || 1;
     const textureScaleX = baseScale * (dropData?.mirrorX ? -1 : 1);
     const textureScaleY = baseScale * (dropData?.mirrorY ? -1 : 1);
@@ -756,56 +531,25 @@ export class ActorFactory {
       prototypeTokenUpdate.prependAdjective = !!options.prependAdjective;
     }
     
-    // System-specific handling (optional)
+    // System-specific handling from the system's adapter
     if (!preserveSize) {
-      const sizeCategory = SystemDetection.getCreatureSizeFromDimensions(tokenSize.gridWidth, tokenSize.gridHeight);
+      const adapter = SystemDetection.getSystemMapping();
+      const context = {
+        actor,
+        gridWidth: tokenSize.gridWidth,
+        gridHeight: tokenSize.gridHeight,
+        scale: Math.abs(baseScale),
+        size: SystemDetection.getCreatureSizeFromDimensions(tokenSize.gridWidth, tokenSize.gridHeight)
+      };
+      const tokenDefaults = adapter.tokenDefaults?.(context);
+      if (tokenDefaults) {
+        foundry.utils.mergeObject(prototypeTokenUpdate, tokenDefaults);
+      }
 
-      if (systemId === 'pf2e') {
-        // Pathfinder 2nd Edition specific handling
-        prototypeTokenUpdate.flags = prototypeTokenUpdate.flags || {};
-        prototypeTokenUpdate.flags['fa-nexus'] = {
-          customScale: true,
-          originalScale: Math.abs(baseScale)
-        };
-        prototypeTokenUpdate.flags.pf2e = prototypeTokenUpdate.flags.pf2e || {};
-        prototypeTokenUpdate.flags.pf2e.linkToActorSize = false;
-
-        // Update actor's size trait to match token dimensions
-        await actor.update({
-          'system.traits.size': { value: sizeCategory }
-        });
-      } else if (systemId === 'pf1') {
-        // Pathfinder 1st Edition specific handling
-        prototypeTokenUpdate.flags = prototypeTokenUpdate.flags || {};
-        prototypeTokenUpdate.flags['fa-nexus'] = {
-          customScale: true,
-          originalScale: Math.abs(baseScale)
-        };
-        prototypeTokenUpdate.flags.pf1 = prototypeTokenUpdate.flags.pf1 || {};
-        prototypeTokenUpdate.flags.pf1.linkToActorSize = false;
-
-        // Update actor's size trait (PF1 uses string directly)
-        await actor.update({
-          'system.traits.size': sizeCategory
-        });
-      } else if (systemId === 'dnd5e') {
-        // D&D 5e specific handling
-        await actor.update({
-          'system.traits.size': sizeCategory
-        });
-      } else if (systemId === 'dsa5') {
-        // DSA5 specific handling
-        prototypeTokenUpdate.flags = prototypeTokenUpdate.flags || {};
-        prototypeTokenUpdate.flags['fa-nexus'] = {
-          customScale: true,
-          originalScale: Math.abs(baseScale)
-        };
-        prototypeTokenUpdate.flags.dsa5 = prototypeTokenUpdate.flags.dsa5 || {};
-        prototypeTokenUpdate.flags.dsa5.linkToActorSize = false;
-
-        await actor.update({
-          'system.status.size': { value: sizeCategory }
-        });
+      // Update actor's size to match token dimensions
+      const sizeUpdate = adapter.sizeUpdate?.(context.size, context);
+      if (sizeUpdate) {
+        await actor.update(sizeUpdate);
       }
     }
     
@@ -0,0 +1,233 @@
+/**
+ * Built-in System Adapters for FA Nexus Drag & Drop
+ * The game systems FA Nexus supports out of the box, written against the same
+ * adapter interface other modules register through `fa-nexus.registerSystemAdapter`.
+ */
+
+/**
+ * Map grid dimensions to the D&D-style size categories most systems use
+ * @param {number} gridWidth - Token width in grid units
+ * @param {number} gridHeight - Token height in grid units
+ * @returns {string} tiny, sm, med, lg, huge or grg
+ */
+export function sizeFromDimensions(gridWidth, gridHeight) {
+  const maxDimension = Math.max(gridWidth, gridHeight);
+  if (maxDimension >= 4) return 'grg';
+  if (maxDimension >= 3) return 'huge';
+  if (maxDimension >= 2) return 'lg';
+  return 'med';
+}
+
+/**
+ * Prototype token defaults for systems that resize tokens from the actor size:
+ * keep our parsed scale and switch the system's size link off.
+ * @param {string} systemId - Flag scope of the system
+ * @returns {(context:{scale:number})=>object}
+ */
+function keepCustomScale(systemId) {
+  return ({ scale }) => ({
+    flags: {
+      'fa-nexus': { customScale: true, originalScale: scale },
+      [systemId]: { linkToActorSize: false }
+    }
+  });
+}
+
+/** Fallback for systems without an adapter */
+export const GENERIC_SYSTEM_ADAPTER = {
+  id: 'generic',
+  description: 'Generic System',
+  defaultType: 'character',
+  supportedTypes: ['character', 'npc'],
+  requiredFields: ['name'],
+  optionalFields: ['type', 'img'],
+  sizeCategory: sizeFromDimensions,
+  hp: { path: 'system.attributes.hp' }
+};
+
+export const BUILTIN_SYSTEM_ADAPTERS = [
+  {
+    id: 'dnd5e',
+    description: 'D&D 5th Edition',
+    defaultType: 'npc',
+    supportedTypes: ['character', 'npc', 'vehicle'],
+    sizeUpdate: (size) => ({ 'system.traits.size': size }),
+    actorSystemData(actorType) {
+      if (actorType !== 'npc') return null;
+      return {
+        abilities: {
+          str: { value: 10 },
+          dex: { value: 10 },
+          con: { value: 10 },
+          int: { value: 10 },
+          wis: { value: 10 },
+          cha: { value: 10 }
+        },
+        attributes: {
+          hp: { value: 10, max: 10 },
+          ac: { value: 10 }
+        },
+        details: {
+          type: { value: 'humanoid' },
+          cr: 0
+        }
+      };
+    }
+  },
+  {
+    id: 'pf2e',
+    description: 'Pathfinder 2nd Edition',
+    defaultType: 'npc',
+    supportedTypes: ['character', 'npc', 'familiar', 'vehicle'],
+    sizeUpdate: (size) => ({ 'system.traits.size': { value: size } }),
+    tokenDefaults: keepCustomScale('pf2e'),
+    // PF2e relinks token size to the actor after creation
+    async afterTokenCreate(tokenDoc, { appliedScaleX, appliedScaleY, baseScaleX }) {
+      await tokenDoc.update({
+        'texture.scaleX': appliedScaleX,
+        'texture.scaleY': appliedScaleY,
+        'flags.pf2e.linkToActorSize': false,
+        'flags.fa-nexus.customScale': true,
+        'flags.fa-nexus.originalScale': baseScaleX
+      }, { animate: false });
+    }
+  },
+  {
+    id: 'pf1',
+    description: 'Pathfinder 1st Edition',
+    defaultType: 'npc',
+    supportedTypes: ['character', 'npc'],
+    // PF1 stores the size as a plain string, not { value }
+    sizeUpdate: (size) => ({ 'system.traits.size': size }),
+    tokenDefaults: keepCustomScale('pf1')
+  },
+  {
+    id: 'swade',
+    description: 'Savage Worlds Adventure Edition',
+    defaultType: 'npc',
+    supportedTypes: ['character', 'npc', 'vehicle']
+  },
+  {
+    id: 'wfrp4e',
+    description: 'Warhammer Fantasy Roleplay 4th Edition',
+    defaultType: 'npc',
+    supportedTypes: ['character', 'npc', 'creature', 'vehicle']
+  },
+  {
+    id: 'coc7',
+    description: 'Call of Cthulhu 7th Edition',
+    defaultType: 'npc',
+    supportedTypes: ['character', 'npc', 'creature']
+  },
+  {
+    id: 'cyberpunk-red-core',
+    description: 'Cyberpunk RED',
+    defaultType: 'character',
+    supportedTypes: ['character', 'npc']
+  },
+  {
+    id: 'shadowrun5e',
+    description: 'Shadowrun 5th Edition',
+    defaultType: 'character',
+    supportedTypes: ['character', 'npc', 'spirit', 'vehicle']
+  },
+  {
+    id: 'alien-rpg',
+    description: 'Alien RPG',
+    defaultType: 'character',
+    supportedTypes: ['character', 'npc', 'creature']
+  },
+  {
+    id: 'forbidden-lands',
+    description: 'Forbidden Lands',
+    defaultType: 'npc',
+    supportedTypes: ['character', 'npc', 'monster']
+  },
+  {
+    id: 'dsa5',
+    description: 'Das Schwarze Auge / The Dark Eye 5th Edition',
+    defaultType: 'creature',
+    supportedTypes: ['character', 'creature', 'npc'],
+    // DSA5's size values: tiny, small, average, big, giant
+    sizeCategory(gridWidth, gridHeight) {
+      const maxDimension = Math.max(gridWidth, gridHeight);
+      if (maxDimension >= 3) return 'giant';
+      if (maxDimension >= 2) return 'big';
+      return 'average';
+    },
+    sizeUpdate: (size) => ({ 'system.status.size': { value: size } }),
+    hp: { path: 'system.status.wounds' },
+    actorSystemData(actorType) {
+      if (actorType === 'creature') {
+        return {
+          description: { value: '' },
+          behavior: { value: '' },
+          flight: { value: '' },
+          specialRules: { value: '' }
+        };
+      }
+      if (actorType === 'character' || actorType === 'npc') {
+        return {
+          status: {
+            wounds: { value: 10, max: 10 },
+            astralenergy: { value: 10, max: 10 },
+            karmaenergy: { value: 0, max: 0 }
+          }
+        };
+      }
+      return null;
+    },
+    tokenDefaults(context) {
+      return { ...keepCustomScale('dsa5')(context), scale: context.scale };
+    },
+    // DSA5 can override scales after placement; reapply after a tick
+    afterTokenCreate(tokenDoc, { appliedScaleX, appliedScaleY }) {
+      setTimeout(async () => {
+        try {
+          await tokenDoc.update({
+            'texture.scaleX': appliedScaleX,
+            'texture.scaleY': appliedScaleY
+          }, { animate: false });
+        } catch (_) {}
+      }, 50);
+    }
+  },
+  {
+    id: 'black-flag',
+    description: 'Black Flag Roleplaying',
+    defaultType: 'npc',
+    supportedTypes: ['pc', 'npc', 'lair', 'siege', 'vehicle'],
+    sizeUpdate: (size) => ({ 'system.traits.size': size })
+  },
+  {
+    id: 'daggerheart',
+    description: 'Daggerheart',
+    defaultType: 'adversary',
+    supportedTypes: ['character', 'companion', 'adversary', 'environment'],
+    sizeUpdate: (size) => ({ 'system.bio.size': size })
+  },
+  {
+    id: 'sfrpg',
+    description: 'Starfinder',
+    defaultType: 'npc',
+    supportedTypes: ['character', 'npc', 'vehicle', 'starship']
+  },
+  {
+    id: 'vtm5e',
+    description: 'Vampire: The Masquerade 5th Edition',
+    defaultType: 'character',
+    supportedTypes: ['character']
+  },
+  {
+    id: 'shadowdark',
+    description: 'Shadowdark RPG',
+    defaultType: 'NPC',
+    supportedTypes: ['Player', 'NPC']
+  },
+  {
+    id: 'rmu',
+    description: 'Rolemaster Unified',
+    defaultType: 'Creature',
+    supportedTypes: ['Creature', 'Character']
+  }
+];
@@ -0,0 +1,147 @@
+/**
+ * System Adapters for FA Nexus Drag & Drop
+ * Everything actor creation needs to know about a game system: actor types, size fields,
+ * hit point paths and token defaults. Built-in systems and ones added by other modules
+ * share the same interface.
+ *
+ * Register from a system or companion module:
+ *   Hooks.on('fa-nexus.registerSystemAdapter', (register) => register({ id: 'lancer', defaultType: 'npc', ... }));
+ * or later through `game.modules.get('fa-nexus').api.systems.registerAdapter(adapter)`.
+ */
+
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { BUILTIN_SYSTEM_ADAPTERS, GENERIC_SYSTEM_ADAPTER, sizeFromDimensions } from './builtin-system-adapters.js';
+
+export const REGISTER_SYSTEM_ADAPTER_HOOK = 'fa-nexus.registerSystemAdapter';
+
+/**
+ * @typedef {object} SystemAdapterContext
+ * @property {string} [actorType] - Actor type being created
+ * @property {Object} [dragData] - Drag data of the dropped token
+ * @property {Actor} [actor] - Existing actor whose prototype token is updated
+ * @property {number} gridWidth - Token footprint in grid units
+ * @property {number} gridHeight
+ * @property {number} scale - Texture scale inside the footprint
+ * @property {string} size - Size category from `sizeCategory`
+ */
+
+/**
+ * @typedef {object} SystemAdapter
+ * @property {string} id - Game system id (`game.system.id`)
+ * @property {string} [description] - Display name of the system
+ * @property {string} defaultType - Actor type created for dropped tokens
+ * @property {string[]} [supportedTypes] - Types tried in order when creating the default type fails
+ * @property {string[]} [requiredFields] - Actor data fields that must be set (default name and type)
+ * @property {string[]} [optionalFields]
+ * @property {(context:SystemAdapterContext)=>string|null} [chooseActorType] - Type to try first for one token
+ * @property {(gridWidth:number, gridHeight:number)=>string} [sizeCategory] - Size category of a footprint
+ * @property {(size:string, context:SystemAdapterContext)=>Object|null} [sizeUpdate] - Flat actor update writing the size, e.g. `{ 'system.traits.size': size }`
+ * @property {(actorType:string, context:SystemAdapterContext)=>Object|null} [actorSystemData] - Starting `system` data of new actors
+ * @property {{path:string, formulaPath?:string}} [hp] - Where actors keep `{ value, max }` hit points; the formula defaults to `<path>.formula`
+ * @property {(context:SystemAdapterContext)=>Object|null} [tokenDefaults] - Prototype token data for new actors and updated prototypes
+ * @property {(tokenDoc:TokenDocument, scales:{appliedScaleX:number, appliedScaleY:number, baseScaleX:number})=>(Promise<void>|void)} [afterTokenCreate] - Undo system changes to a placed token
+ */
+
+const _adapters = new Map();
+let _announced = false;
+
+function normalizeAdapter(adapter) {
+  const id = String(adapter.id).trim();
+  const isGeneric = id === GENERIC_SYSTEM_ADAPTER.id;
+  return {
+    ...GENERIC_SYSTEM_ADAPTER,
+    requiredFields: isGeneric ? GENERIC_SYSTEM_ADAPTER.requiredFields : ['name', 'type'],
+    optionalFields: isGeneric ? GENERIC_SYSTEM_ADAPTER.optionalFields : ['img'],
+    ...adapter,
+    id,
+    description: String(adapter.description || id),
+    supportedTypes: Array.isArray(adapter.supportedTypes) ? adapter.supportedTypes.slice() : [],
+    sizeCategory: typeof adapter.sizeCategory === 'function' ? adapter.sizeCategory : sizeFromDimensions,
+    hp: { ...GENERIC_SYSTEM_ADAPTER.hp, ...(adapter.hp || {}) }
+  };
+}
+
+/**
+ * Add or replace the adapter of a game system. Replacing a built-in adapter is allowed,
+ * so companion modules can improve on the defaults.
+ * @param {SystemAdapter} adapter
+ * @returns {boolean} False when the adapter is invalid
+ */
+export function registerSystemAdapter(adapter) {
+  if (!adapter || typeof adapter !== 'object' || !String(adapter.id || '').trim()) {
+    Logger.warn('SystemAdapters.register.invalid', { reason: 'missing id' });
+    return false;
+  }
+  if (!String(adapter.defaultType || '').trim()) {
+    Logger.warn('SystemAdapters.register.invalid', { id: adapter.id, reason: 'missing defaultType' });
+    return false;
+  }
+  const normalized = normalizeAdapter(adapter);
+  const replaced = _adapters.has(normalized.id);
+  _adapters.set(normalized.id, normalized);
+  if (_announced) Logger.info('SystemAdapters.registered', { id: normalized.id, replaced });
+  return true;
+}
+
+for (const adapter of [GENERIC_SYSTEM_ADAPTER, ...BUILTIN_SYSTEM_ADAPTERS]) registerSystemAdapter(adapter);
+
+/**
+ * Let systems and modules register adapters once the world is ready, so their hook
+ * listeners from `init` and `setup` are in place.
+ */
+function announce() {
+  if (_announced || !game?.ready) return;
+  _announced = true;
+  try {
+    Hooks.callAll(REGISTER_SYSTEM_ADAPTER_HOOK, registerSystemAdapter);
+  } catch (error) {
+    Logger.warn('SystemAdapters.announce.failed', { error: String(error?.message || error) });
+  }
+}
+
+/**
+ * Whether a system has its own adapter
+ * @param {string} systemId
+ * @returns {boolean}
+ */
+export function hasSystemAdapter(systemId) {
+  announce();
+  return !!systemId && systemId !== GENERIC_SYSTEM_ADAPTER.id && _adapters.has(systemId);
+}
+
+/**
+ * Adapter of the current or specified system; the generic adapter for unknown systems
+ * @param {string} [systemId] - Defaults to the current system
+ * @returns {SystemAdapter}
+ */
+export function getSystemAdapter(systemId = null) {
+  announce();
+  const id = systemId || game?.system?.id;
+  return _adapters.get(id) || _adapters.get(GENERIC_SYSTEM_ADAPTER.id);
+}
+
+/**
+ * Where the current system keeps hit points
+ * @param {string} [systemId]
+ * @returns {{path:string, formulaPath:string}}
+ */
+export function getHpPaths(systemId = null) {
+  const { path, formulaPath } = getSystemAdapter(systemId).hp;
+  return { path, formulaPath: formulaPath || `${path}.formula` };
+}
+
+/**
+ * Let the current system's adapter repair a token it changed after placement
+ * @param {TokenDocument} tokenDoc
+ * @param {{appliedScaleX:number, appliedScaleY:number, baseScaleX:number}} scales
+ * @returns {Promise<void>}
+ */
+export async function applyAfterTokenCreate(tokenDoc, scales) {
+  const adapter = getSystemAdapter();
+  if (!tokenDoc || typeof adapter.afterTokenCreate !== 'function') return;
+  try {
+    await adapter.afterTokenCreate(tokenDoc, scales);
+  } catch (error) {
+    Logger.warn('SystemAdapters.afterTokenCreate.failed', { id: adapter.id, error: String(error?.message || error) });
+  }
+}
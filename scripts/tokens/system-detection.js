@@ -1,174 +1,10 @@
 /**
  * System Detection Utility for FA Nexus Drag & Drop
  * Identifies the current game system and provides system-specific actor type mappings
+ * from its adapter (see system-adapters.js)
  */
 
-/**
- * Actor type mapping for different game systems
- * Each system maps to its preferred actor types and required fields
- */
-const ACTOR_TYPE_MAPPINGS = {
-  // D&D 5th Edition
-  'dnd5e': {
-    defaultType: 'npc',
-    supportedTypes: ['character', 'npc', 'vehicle'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'D&D 5th Edition'
-  },
-  
-  // Pathfinder 2nd Edition
-  'pf2e': {
-    defaultType: 'npc',
-    supportedTypes: ['character', 'npc', 'familiar', 'vehicle'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Pathfinder 2nd Edition'
-  },
-  
-  // Pathfinder 1st Edition
-  'pf1': {
-    defaultType: 'npc',
-    supportedTypes: ['character', 'npc'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Pathfinder 1st Edition'
-  },
-  
-  // Savage Worlds Adventure Edition
-  'swade': {
-    defaultType: 'npc',
-    supportedTypes: ['character', 'npc', 'vehicle'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Savage Worlds Adventure Edition'
-  },
-  
-  // Warhammer Fantasy Roleplay 4th Edition
-  'wfrp4e': {
-    defaultType: 'npc',
-    supportedTypes: ['character', 'npc', 'creature', 'vehicle'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Warhammer Fantasy Roleplay 4th Edition'
-  },
-  
-  // Call of Cthulhu 7th Edition
-  'coc7': {
-    defaultType: 'npc',
-    supportedTypes: ['character', 'npc', 'creature'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Call of Cthulhu 7th Edition'
-  },
-  
-  // Cyberpunk RED
-  'cyberpunk-red-core': {
-    defaultType: 'character',
-    supportedTypes: ['character', 'npc'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Cyberpunk RED'
-  },
-  
-  // Shadowrun 5th Edition
-  'shadowrun5e': {
-    defaultType: 'character',
-    supportedTypes: ['character', 'npc', 'spirit', 'vehicle'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Shadowrun 5th Edition'
-  },
-  
-  // Alien RPG
-  'alien-rpg': {
-    defaultType: 'character',
-    supportedTypes: ['character', 'npc', 'creature'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Alien RPG'
-  },
-  
-  // Forbidden Lands
-  'forbidden-lands': {
-    defaultType: 'npc',
-    supportedTypes: ['character', 'npc', 'monster'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Forbidden Lands'
-  },
-  
-  // Das Schwarze Auge / The Dark Eye 5th Edition
-  'dsa5': {
-    defaultType: 'creature',
-    supportedTypes: ['character', 'creature', 'npc'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Das Schwarze Auge / The Dark Eye 5th Edition'
-  },
-
-  // Black Flag Roleplaying
-  'black-flag': {
-    defaultType: 'npc',
-    supportedTypes: ['pc', 'npc', 'lair', 'siege', 'vehicle'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Black Flag Roleplaying'
-  },
-
-  // Daggerheart
-  'daggerheart': {
-    defaultType: 'adversary',
-    supportedTypes: ['character', 'companion', 'adversary', 'environment'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Daggerheart'
-  },
-
-  // Starfinder
-  'sfrpg': {
-    defaultType: 'npc',
-    supportedTypes: ['character', 'npc', 'vehicle', 'starship'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Starfinder'
-  },
-  
-  // Vampire: The Masquerade 5th Edition
-  'vtm5e': {
-    defaultType: 'character',
-    supportedTypes: ['character'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Vampire: The Masquerade 5th Edition'
-  },
-  // Shadowdark
-  'shadowdark': {
-    defaultType: 'NPC',
-    supportedTypes: ['Player', 'NPC'],
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Shadowdark RPG'
-  },
-
-  // Rolemaster Unified
-  'rmu': {
-    defaultType: 'Creature',
-    supportedTypes: ['Creature','Character'], 
-    requiredFields: ['name', 'type'],
-    optionalFields: ['img'],
-    description: 'Rolemaster Unified'
-  },
-
-  // Generic fallback for unknown systems
-  'generic': {
-    defaultType: 'character',
-    supportedTypes: ['character', 'npc'],
-    requiredFields: ['name'],
-    optionalFields: ['type', 'img'],
-    description: 'Generic System'
-  }
-};
+import { getSystemAdapter, hasSystemAdapter } from './system-adapters.js';
 
 /**
  * Fallback actor types in order of preference
@@ -189,7 +25,7 @@ export function getCurrentSystemId() {
   const systemId = game.system.id;
   
   // Check if this is a known system, log warning if using generic fallback
-  if (!ACTOR_TYPE_MAPPINGS[systemId]) {
+  if (!hasSystemAdapter(systemId)) {
     console.info(`fa-nexus | System detection: Unknown system "${systemId}", using generic fallback`);
   }
   
@@ -199,11 +35,11 @@ export function getCurrentSystemId() {
 /**
  * Get system mapping for the current or specified system
  * @param {string} [systemId] - Optional system ID to check. Defaults to current system.
- * @returns {Object} System mapping object with defaultType, supportedTypes, etc.
+ * @returns {import('./system-adapters.js').SystemAdapter} System adapter with defaultType, supportedTypes, etc.
  */
 export function getSystemMapping(systemId = null) {
   const targetSystem = systemId || getCurrentSystemId();
-  return ACTOR_TYPE_MAPPINGS[targetSystem] || ACTOR_TYPE_MAPPINGS.generic;
+  return getSystemAdapter(targetSystem);
 }
 
 /**
@@ -217,17 +53,27 @@ export function getDefaultActorType(systemId = null) {
 }
 
 /**
- * Get fallback actor types to try in order (default type first, then other supported types, then general fallbacks)
+ * Get fallback actor types to try in order (adapter choice and default type first, then other supported types, then general fallbacks)
  * @param {string} [systemId] - Optional system ID. Defaults to current system.
+ * @param {import('./system-adapters.js').SystemAdapterContext} [context] - Token being created, passed to the adapter's `chooseActorType`
  * @returns {string[]} Array of actor types to try in order
  */
-export function getFallbackActorTypes(systemId = null) {
+export function getFallbackActorTypes(systemId = null, context = null) {
   const mapping = getSystemMapping(systemId);
   const defaultType = mapping.defaultType;
   const supportedTypes = mapping.supportedTypes || [];
-  
-  // Start with default type, then other supported types, then general fallbacks
-  const allTypes = [defaultType, ...supportedTypes, ...FALLBACK_ACTOR_TYPES];
+
+  let chosenType = null;
+  if (context && typeof mapping.chooseActorType === 'function') {
+    try {
+      chosenType = mapping.chooseActorType(context) || null;
+    } catch (error) {
+      console.warn(`fa-nexus | System detection: chooseActorType failed for "${mapping.id}"`, error);
+    }
+  }
+
+  // Start with the chosen and default types, then other supported types, then general fallbacks
+  const allTypes = [chosenType, defaultType, ...supportedTypes, ...FALLBACK_ACTOR_TYPES].filter(Boolean);
   return [...new Set(allTypes)]; // Remove duplicates while preserving order
 }
 
@@ -246,21 +92,7 @@ export function isSystemReady() {
  * @returns {string} Creature size category
  */
 export function getCreatureSizeFromDimensions(gridWidth, gridHeight) {
-  const maxDimension = Math.max(gridWidth, gridHeight);
-
-  if (game.system.id === 'dsa5') {
-    // DSA5's size values: tiny, small, average, big, giant
-    if (maxDimension >= 4) return 'giant';
-    if (maxDimension >= 3) return 'giant';
-    if (maxDimension >= 2) return 'big';
-    return 'average';
-  }
-
-  // D&D 5e and most systems use: tiny, sm, med, lg, huge, grg
-  if (maxDimension >= 4) return 'grg';
-  if (maxDimension >= 3) return 'huge';
-  if (maxDimension >= 2) return 'lg';
-  return 'med';
+  return getSystemMapping().sizeCategory(gridWidth, gridHeight);
 }
 
 /**
@@ -7,6 +7,8 @@
 import { ActorFactory } from './actor-factory.js';
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
 import { PlacementOverlay, createPlacementSpinner } from '../core/placement/placement-overlay.js';
+import { getGridCellSize, mapTokenFootprintToGrid, snapTokenCenterToGrid } from '../core/grid-snap-utils.js';
+import { NEXUS_KEYBINDINGS, matchesKeybinding } from '../core/keybindings.js';
 
 const TOKEN_PREVIEW_Z_INDEX = 30; // Keep queued previews under FA Nexus UI chrome
 
@@ -99,6 +101,8 @@ export class TokenDragDropManager {
       if (event.button !== 0) return;
       const card = event.target?.closest('.fa-nexus-card');
       if (!card || !this.grid.contains(card)) return;
+      // Card buttons (favorite, tags) never start a drag
+      if (event.target?.closest?.('.fa-nexus-card-action')) return;
       // Start pre-downloading cloud token to local so dragstart is fast
       try { await this._prepareCloudForDrag(card); } catch (_) {}
       // No need to track last mouse pos for native drag; unified queued drag will use live coords
@@ -215,11 +219,11 @@ export class TokenDragDropManager {
 
   static createPreviewForCard(card, { cursorX, cursorY, deferImage = false } = {}) {
     const sizeInfo = TokenDragDropManager._readSizeInfoFromCard(card);
-    const gridSize = canvas?.scene?.grid?.size || 100;
+    const cell = getGridCellSize(canvas?.grid, canvas?.scene?.grid?.size || 100);
     const zoom = canvas?.stage?.scale?.x || 1;
     const pointer = (Number.isFinite(cursorX) && Number.isFinite(cursorY)) ? { x: cursorX, y: cursorY } : null;
-    const worldWidth = Math.max(8, (sizeInfo?.gridWidth || 1) * gridSize * (sizeInfo?.scale || 1));
-    const worldHeight = Math.max(8, (sizeInfo?.gridHeight || 1) * gridSize * (sizeInfo?.scale || 1));
+    const worldWidth = Math.max(8, (sizeInfo?.gridWidth || 1) * cell.width * (sizeInfo?.scale || 1));
+    const worldHeight = Math.max(8, (sizeInfo?.gridHeight || 1) * cell.height * (sizeInfo?.scale || 1));
 
     let loadingDiv = null;
     let img = null;
@@ -307,7 +311,7 @@ export class TokenDragDropManager {
     const gridHeight = parseFloat(card.getAttribute('data-grid-h') || '1') || 1;
     const scaleAttr = card.getAttribute('data-scale') || '1x';
     const scale = typeof scaleAttr === 'string' && scaleAttr.endsWith('x') ? Number(scaleAttr.replace('x', '')) : Number(scaleAttr) || 1;
-    return { gridWidth, gridHeight, scale };
+    return mapTokenFootprintToGrid({ gridWidth, gridHeight, scale }, canvas?.grid);
   }
 
   static async _loadPreviewImageForCard(card, img, loadingDiv) {
@@ -373,10 +377,10 @@ export class TokenDragDropManager {
   static _applyZoomToPreview(preview, zoomLevel) {
     try {
       if (!preview || !preview.overlay) return;
-      const gridSize = canvas?.scene?.grid?.size || 100;
+      const cell = getGridCellSize(canvas?.grid, canvas?.scene?.grid?.size || 100);
       const { gridWidth = 1, gridHeight = 1, scale = 1 } = preview.sizeInfo || {};
-      const worldWidth = Math.max(0.01, gridWidth * gridSize * scale);
-      const worldHeight = Math.max(0.01, gridHeight * gridSize * scale);
+      const worldWidth = Math.max(0.01, gridWidth * cell.width * scale);
+      const worldHeight = Math.max(0.01, gridHeight * cell.height * scale);
       const zoom = Number(zoomLevel) || Number(canvas?.stage?.scale?.x || 1) || 1;
       const w = Math.max(8, Math.round(worldWidth * zoom));
       const h = Math.max(8, Math.round(worldHeight * zoom));
@@ -643,7 +647,7 @@ export class TokenDragDropManager {
       }
     };
     const handleQueuedKey = (ev) => { 
-      if (ev.key === 'Escape') { 
+      if (matchesKeybinding(ev, NEXUS_KEYBINDINGS.PLACEMENT_CANCEL)) { 
         ev.preventDefault();
         ev.stopPropagation();
         this._cleanupQueuedDrag(); 
@@ -746,25 +750,10 @@ export class TokenDragDropManager {
     }
 
     try {
-      const gridSize = canvas.scene.grid.size;
-      const { gridWidth, gridHeight } = tokenSize;
-
-      let snapX, snapY;
-
-      if (gridWidth % 2 === 0) {
-        // Even-sized tokens (2x2, 4x4) snap to grid intersections
-        // Use Math.round to snap to nearest intersection
-        snapX = Math.round(worldCoords.x / gridSize) * gridSize;
-        snapY = Math.round(worldCoords.y / gridSize) * gridSize;
-      } else {
-        // Odd-sized tokens (1x1, 3x3) snap to grid centers
-        // Use Math.floor to stay in current grid square, then add center offset
-        snapX = Math.floor(worldCoords.x / gridSize) * gridSize + (gridSize / 2);
-        snapY = Math.floor(worldCoords.y / gridSize) * gridSize + (gridSize / 2);
-      }
-
-      return { x: snapX, y: snapY };
-      
+      // Even-sized tokens (2x2, 4x4) snap to grid intersections (hex vertices),
+      // odd-sized tokens (1x1, 3x3) snap to grid/hex centers
+      const footprint = mapTokenFootprintToGrid(tokenSize, canvas.grid);
+      return snapTokenCenterToGrid(worldCoords, footprint, canvas.grid);
     } catch (error) {
       console.warn('fa-nexus | Grid snapping failed, using raw coordinates:', error);
       return worldCoords;
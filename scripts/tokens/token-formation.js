@@ -0,0 +1,207 @@
+/**
+ * Formation placement for FA Nexus tokens
+ * Lays out a group of tokens around the cursor in a pattern and finds free grid cells
+ * for each footprint: inside the scene, clear of other tokens and not behind a wall
+ * as seen from the formation center.
+ */
+
+import { getGridCellSize, isHexGrid, snapTokenCenterToGrid } from '../core/grid-snap-utils.js';
+
+const MODULE_ID = 'fa-nexus';
+const SETTING_KEY = 'tokenFormationOptions';
+
+export const FORMATION_PATTERNS = {
+  cluster: 'Cluster',
+  line: 'Line',
+  wedge: 'Wedge',
+  ring: 'Ring',
+  scatter: 'Scatter'
+};
+
+export const FORMATION_COUNT_MIN = 2;
+export const FORMATION_COUNT_MAX = 24;
+export const FORMATION_RADIUS_MIN = 1;
+export const FORMATION_RADIUS_MAX = 12;
+// Cells searched around a blocked slot before it is dropped
+const FREE_CELL_SEARCH = 6;
+
+const clampInt = (value, min, max, fallback) => {
+  const num = Math.round(Number(value));
+  if (!Number.isFinite(num)) return fallback;
+  return Math.max(min, Math.min(max, num));
+};
+
+/**
+ * Stored formation options of this client
+ * @returns {{enabled:boolean, pattern:string, count:number, radius:number}}
+ */
+export function getTokenFormationOptions() {
+  let stored = null;
+  try { stored = game.settings.get(MODULE_ID, SETTING_KEY); } catch (_) { stored = null; }
+  return {
+    enabled: !!stored?.enabled,
+    pattern: FORMATION_PATTERNS[stored?.pattern] ? stored.pattern : 'cluster',
+    count: clampInt(stored?.count, FORMATION_COUNT_MIN, FORMATION_COUNT_MAX, 5),
+    radius: clampInt(stored?.radius, FORMATION_RADIUS_MIN, FORMATION_RADIUS_MAX, 3)
+  };
+}
+
+/**
+ * @param {{enabled?:boolean, pattern?:string, count?:number, radius?:number}} changes
+ * @returns {Promise<void>}
+ */
+export async function setTokenFormationOptions(changes) {
+  const next = { ...getTokenFormationOptions(), ...changes };
+  await game.settings.set(MODULE_ID, SETTING_KEY, next);
+}
+
+/**
+ * Slot offsets of a pattern in grid cells. The first slot is always the cursor (0, 0);
+ * line, wedge and ring turn with `rotation`, with the front facing down at 0°.
+ * @param {string} pattern - Key of FORMATION_PATTERNS
+ * @param {number} count - Number of tokens
+ * @param {{spacing?:number, radius?:number, rotation?:number, random?:()=>number}} [options]
+ *   spacing: cells between neighbours (the largest footprint); radius: scatter radius in cells
+ * @returns {{x:number, y:number}[]}
+ */
+export function formationOffsets(pattern, count, { spacing = 1, radius = 3, rotation = 0, random = Math.random } = {}) {
+  const total = Math.max(1, Math.round(Number(count) || 1));
+  const step = Math.max(1, Number(spacing) || 1);
+  const offsets = [{ x: 0, y: 0 }];
+  if (pattern === 'line') {
+    // Leader in the middle, then alternate right and left
+    for (let i = 1; i < total; i += 1) {
+      const rank = Math.ceil(i / 2);
+      offsets.push({ x: (i % 2 ? rank : -rank) * step, y: 0 });
+    }
+  } else if (pattern === 'wedge') {
+    // Leader at the tip, the rest fan out behind on both sides
+    for (let i = 1; i < total; i += 1) {
+      const rank = Math.ceil(i / 2);
+      offsets.push({ x: (i % 2 ? rank : -rank) * step, y: -rank * step });
+    }
+  } else if (pattern === 'ring') {
+    // Leader in the center, the rest evenly around it
+    const others = total - 1;
+    const ringRadius = Math.max(step, (others * step) / (2 * Math.PI));
+    for (let i = 0; i < others; i += 1) {
+      const angle = (i / others) * Math.PI * 2;
+      offsets.push({ x: Math.sin(angle) * ringRadius, y: Math.cos(angle) * ringRadius });
+    }
+  } else if (pattern === 'scatter') {
+    const scatterRadius = Math.max(step, Number(radius) || step);
+    for (let i = 1; i < total; i += 1) {
+      const distance = Math.sqrt(random()) * scatterRadius;
+      const angle = random() * Math.PI * 2;
+      offsets.push({ x: Math.cos(angle) * distance, y: Math.sin(angle) * distance });
+    }
+    return offsets;
+  } else {
+    // Cluster: nearest lattice points around the leader
+    const reach = Math.ceil(Math.sqrt(total));
+    const points = [];
+    for (let i = -reach; i <= reach; i += 1) {
+      for (let j = -reach; j <= reach; j += 1) {
+        if (!i && !j) continue;
+        points.push({ x: i, y: j, distance: i * i + j * j, angle: Math.atan2(j, i) });
+      }
+    }
+    points.sort((a, b) => (a.distance - b.distance) || (a.angle - b.angle));
+    for (const point of points.slice(0, total - 1)) offsets.push({ x: point.x * step, y: point.y * step });
+    return offsets;
+  }
+  const radians = (Number(rotation) || 0) * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  return offsets.map(({ x, y }) => ({ x: x * cos - y * sin, y: x * sin + y * cos }));
+}
+
+/**
+ * Pixel rectangles of the tokens on the active scene
+ * @returns {{x:number, y:number, width:number, height:number}[]}
+ */
+export function sceneTokenRects() {
+  const cell = getGridCellSize(canvas?.grid);
+  return Array.from(canvas?.scene?.tokens || []).map((tokenDoc) => ({
+    x: Number(tokenDoc.x) || 0,
+    y: Number(tokenDoc.y) || 0,
+    width: (Number(tokenDoc.width) || 1) * cell.width,
+    height: (Number(tokenDoc.height) || 1) * cell.height
+  }));
+}
+
+function overlaps(a, b, inset) {
+  return a.x + inset.x < b.x + b.width - inset.x
+    && b.x + inset.x < a.x + a.width - inset.x
+    && a.y + inset.y < b.y + b.height - inset.y
+    && b.y + inset.y < a.y + a.height - inset.y;
+}
+
+function blockedByWalls(origin, destination) {
+  const backend = globalThis.CONFIG?.Canvas?.polygonBackends?.move;
+  if (typeof backend?.testCollision !== 'function') return false;
+  if (Math.abs(origin.x - destination.x) < 1 && Math.abs(origin.y - destination.y) < 1) return false;
+  try {
+    return !!backend.testCollision(origin, destination, { type: 'move', mode: 'any' });
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Nearest free spot for every slot of a formation
+ * @param {{x:number, y:number}} center - World point of the formation center
+ * @param {{gridWidth:number, gridHeight:number}[]} footprints - Token footprint of every slot
+ * @param {{x:number, y:number}[]} offsets - Slot offsets in grid cells, from `formationOffsets`
+ * @param {{snap?:boolean, occupied?:Object[]}} [options]
+ *   snap: snap slots to the grid; occupied: pixel rectangles already taken (defaults to the scene's tokens)
+ * @returns {({x:number, y:number, width:number, height:number}|null)[]} Token center and size per slot; null when no free spot was found
+ */
+export function resolveFormationSlots(center, footprints, offsets, { snap = true, occupied = sceneTokenRects() } = {}) {
+  const grid = canvas?.grid;
+  const cell = getGridCellSize(grid);
+  const sceneRect = canvas?.dimensions?.sceneRect || null;
+  // Bounding boxes of neighbouring hexes overlap by a quarter cell
+  const inset = isHexGrid(grid)
+    ? { x: cell.width * 0.26, y: cell.height * 0.26 }
+    : { x: 1, y: 1 };
+  const taken = occupied.slice();
+  const slots = [];
+
+  footprints.forEach((footprint, index) => {
+    const offset = offsets[index] || { x: 0, y: 0 };
+    const width = footprint.gridWidth * cell.width;
+    const height = footprint.gridHeight * cell.height;
+    const desired = { x: center.x + offset.x * cell.width, y: center.y + offset.y * cell.height };
+    const seen = new Set();
+    let found = null;
+    for (let ring = 0; ring <= FREE_CELL_SEARCH && !found; ring += 1) {
+      const candidates = [];
+      for (let dx = -ring; dx <= ring; dx += 1) {
+        for (let dy = -ring; dy <= ring; dy += 1) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+          candidates.push({ dx, dy, distance: dx * dx + dy * dy });
+        }
+      }
+      candidates.sort((a, b) => a.distance - b.distance);
+      for (const { dx, dy } of candidates) {
+        let point = { x: desired.x + dx * cell.width, y: desired.y + dy * cell.height };
+        if (snap) point = snapTokenCenterToGrid(point, footprint, grid);
+        const key = `${Math.round(point.x)}:${Math.round(point.y)}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const rect = { x: point.x - width / 2, y: point.y - height / 2, width, height };
+        if (sceneRect && (rect.x < sceneRect.x || rect.y < sceneRect.y
+          || rect.x + width > sceneRect.x + sceneRect.width
+          || rect.y + height > sceneRect.y + sceneRect.height)) continue;
+        if (taken.some((other) => overlaps(rect, other, inset))) continue;
+        if (blockedByWalls(center, point)) continue;
+        found = { x: point.x, y: point.y, width, height };
+        taken.push(rect);
+        break;
+      }
+    }
+    slots.push(found);
+  });
+  return slots;
+}
@@ -0,0 +1,263 @@
+/**
+ * Template naming for FA Nexus tokens
+ * Builds token names like "{adjective} {actor} of {table:Clans}" from RollTables, the
+ * system name list and Foundry's token adjectives, never repeating a name on the scene.
+ *
+ * Placeholders:
+ *   {actor}       base name of the actor
+ *   {name}        a draw from the selected name source (RollTable or system name list)
+ *   {table:Name}  a draw from the world or compendium RollTable called Name
+ *   {adjective}   one of Foundry's token adjectives
+ *   {number}      the lowest number that makes the name unique
+ */
+
+import { NexusLogger as Logger } from '../core/nexus-logger.js';
+
+const MODULE_ID = 'fa-nexus';
+const OPTIONS_KEY = 'tokenNamingOptions';
+const NAME_LISTS_KEY = 'tokenNameLists';
+
+export const SYSTEM_NAME_SOURCE = 'system';
+// Random draws tried before falling back to a number suffix
+const MAX_DRAW_ATTEMPTS = 25;
+const FALLBACK_ADJECTIVES = ['Angry', 'Brave', 'Clever', 'Dark', 'Eager', 'Fierce', 'Grim', 'Hungry', 'Mad', 'Old', 'Quiet', 'Scarred', 'Sly', 'Swift', 'Wild', 'Young'];
+const PLACEHOLDER_PATTERN = /\{(actor|name|adjective|number|table:([^}]+))\}/gi;
+
+const _tableResults = new Map();
+let _hooksInstalled = false;
+
+function installCacheHooks() {
+  if (_hooksInstalled || !globalThis.Hooks) return;
+  _hooksInstalled = true;
+  const clear = () => _tableResults.clear();
+  for (const hook of ['createRollTable', 'updateRollTable', 'deleteRollTable', 'createTableResult', 'updateTableResult', 'deleteTableResult']) {
+    Hooks.on(hook, clear);
+  }
+}
+
+/**
+ * Stored naming options of this client
+ * @returns {{template:string, source:string}} source: '' (none), 'system' or a RollTable UUID
+ */
+export function getTokenNamingOptions() {
+  let stored = null;
+  try { stored = game.settings.get(MODULE_ID, OPTIONS_KEY); } catch (_) { stored = null; }
+  return {
+    template: typeof stored?.template === 'string' ? stored.template : '',
+    source: typeof stored?.source === 'string' ? stored.source : ''
+  };
+}
+
+/**
+ * @param {{template?:string, source?:string}} changes
+ * @returns {Promise<void>}
+ */
+export async function setTokenNamingOptions(changes) {
+  const next = { ...getTokenNamingOptions(), ...changes };
+  await game.settings.set(MODULE_ID, OPTIONS_KEY, next);
+}
+
+/**
+ * Name list of a game system, shared by everyone in the world
+ * @param {string} [systemId] - Defaults to the current system
+ * @returns {string[]}
+ */
+export function getSystemNameList(systemId = game.system?.id) {
+  let lists = null;
+  try { lists = game.settings.get(MODULE_ID, NAME_LISTS_KEY); } catch (_) { lists = null; }
+  const list = lists?.[systemId];
+  return Array.isArray(list) ? list.filter((name) => typeof name === 'string' && name.trim()) : [];
+}
+
+/**
+ * @param {string[]|string} names - Array or one name per line
+ * @param {string} [systemId]
+ * @returns {Promise<string[]>} The saved list
+ */
+export async function setSystemNameList(names, systemId = game.system?.id) {
+  const list = (Array.isArray(names) ? names : String(names || '').split(/\r?\n/))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+  let lists = {};
+  try { lists = { ...(game.settings.get(MODULE_ID, NAME_LISTS_KEY) || {}) }; } catch (_) { lists = {}; }
+  lists[systemId] = [...new Set(list)];
+  await game.settings.set(MODULE_ID, NAME_LISTS_KEY, lists);
+  return lists[systemId];
+}
+
+/**
+ * RollTables that can serve as name source: world tables first, then compendium tables
+ * @returns {{uuid:string, name:string, pack:string|null}[]}
+ */
+export function listNameTables() {
+  const tables = Array.from(game.tables || [])
+    .map((table) => ({ uuid: table.uuid, name: table.name, pack: null }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const pack of game.packs || []) {
+    if (pack.documentName !== 'RollTable') continue;
+    const label = pack.metadata?.label || pack.collection;
+    const entries = Array.from(pack.index || [])
+      .map((entry) => ({
+        uuid: entry.uuid || `Compendium.${pack.collection}.RollTable.${entry._id}`,
+        name: entry.name,
+        pack: label
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    tables.push(...entries);
+  }
+  return tables;
+}
+
+function findTableUuidByName(name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  const match = listNameTables().find((table) => table.name.trim().toLowerCase() === wanted);
+  return match?.uuid || null;
+}
+
+// Parsed in a detached document so handlers in table text never run
+function stripHtml(value) {
+  const doc = new DOMParser().parseFromString(String(value || ''), 'text/html');
+  return (doc.body?.textContent || '').trim();
+}
+
+/**
+ * Weighted text results of a RollTable, cached until a table changes
+ * @param {string} uuid
+ * @returns {Promise<{text:string, weight:number}[]>}
+ */
+async function getTableResults(uuid) {
+  installCacheHooks();
+  if (_tableResults.has(uuid)) return _tableResults.get(uuid);
+  let results = [];
+  try {
+    const table = await fromUuid(uuid);
+    results = Array.from(table?.results || [])
+      .map((result) => ({
+        // v13 stores the text in name/description; earlier versions in text
+        text: stripHtml(result.name || result.description || result.text || ''),
+        weight: Math.max(0, Number(result.weight ?? 1) || 0)
+      }))
+      .filter((result) => result.text && result.weight > 0);
+  } catch (error) {
+    Logger.warn('TokenNaming.table.loadFailed', { uuid, error: String(error?.message || error) });
+  }
+  _tableResults.set(uuid, results);
+  return results;
+}
+
+function pickWeighted(results) {
+  if (!results.length) return '';
+  const total = results.reduce((sum, result) => sum + result.weight, 0);
+  let roll = Math.random() * total;
+  for (const result of results) {
+    roll -= result.weight;
+    if (roll <= 0) return result.text;
+  }
+  return results[results.length - 1].text;
+}
+
+function pickOne(list) {
+  return list.length ? list[Math.floor(Math.random() * list.length)] : '';
+}
+
+function tokenAdjectives() {
+  try {
+    const prefix = CONFIG.Token?.adjectivesPrefix || 'TOKEN.Adjectives';
+    const values = Object.values(foundry.utils.getProperty(game.i18n.translations, prefix) || {})
+      .filter((value) => typeof value === 'string' && value.trim());
+    if (values.length) return values;
+  } catch (_) {}
+  return FALLBACK_ADJECTIVES;
+}
+
+/**
+ * Lower-cased token names already on a scene
+ * @param {Scene} [scene]
+ * @returns {Set<string>}
+ */
+export function sceneTokenNames(scene = canvas?.scene) {
+  return new Set(Array.from(scene?.tokens || []).map((tokenDoc) => String(tokenDoc.name || '').trim().toLowerCase()));
+}
+
+/**
+ * Whether naming options produce template names
+ * @param {{template:string, source:string}} options
+ * @returns {boolean}
+ */
+export function isTemplateNamingActive(options) {
+  return !!(String(options?.template || '').trim() || options?.source);
+}
+
+/**
+ * Draw a token name from the template that is not yet used on the scene
+ * @param {{template:string, source:string}} options - A source without template draws `{name}`
+ * @param {{actorName?:string, scene?:Scene, taken?:Set<string>}} [context]
+ *   taken: lower-cased names to avoid; defaults to the scene's token names
+ * @returns {Promise<string|null>} null when naming is off or the template renders empty
+ */
+export async function generateTokenName(options, { actorName = '', scene = canvas?.scene, taken = null } = {}) {
+  if (!isTemplateNamingActive(options)) return null;
+  const template = String(options.template || '').trim() || '{name}';
+  const used = taken || sceneTokenNames(scene);
+
+  const sources = new Map();
+  const sourceFor = async (key, uuid) => {
+    if (!sources.has(key)) sources.set(key, uuid ? await getTableResults(uuid) : []);
+    return sources.get(key);
+  };
+  let nameResults = [];
+  if (options.source === SYSTEM_NAME_SOURCE) {
+    nameResults = getSystemNameList().map((text) => ({ text, weight: 1 }));
+  } else if (options.source) {
+    nameResults = await sourceFor(options.source, options.source);
+  }
+  const tableRefs = [...template.matchAll(PLACEHOLDER_PATTERN)]
+    .filter((match) => match[2])
+    .map((match) => match[2].trim());
+  for (const tableName of tableRefs) {
+    const key = `table:${tableName.toLowerCase()}`;
+    if (!sources.has(key)) {
+      const uuid = findTableUuidByName(tableName);
+      if (!uuid) Logger.warn('TokenNaming.table.missing', { table: tableName });
+      await sourceFor(key, uuid);
+    }
+  }
+  const adjectives = tokenAdjectives();
+  const hasNumber = /\{number\}/i.test(template);
+
+  const render = (number) => template
+    .replace(PLACEHOLDER_PATTERN, (_match, token, tableName) => {
+      const kind = token.toLowerCase();
+      if (kind === 'actor') return actorName;
+      if (kind === 'name') return pickWeighted(nameResults) || actorName;
+      if (kind === 'adjective') return pickOne(adjectives);
+      if (kind === 'number') return String(number);
+      return pickWeighted(sources.get(`table:${String(tableName).trim().toLowerCase()}`) || []);
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  let name = '';
+  for (let attempt = 0; attempt < MAX_DRAW_ATTEMPTS; attempt += 1) {
+    if (hasNumber) {
+      // Keep the random parts of this draw and count up until the name is free
+      const parts = render('\u0000');
+      for (let number = 1; number <= used.size + 1; number += 1) {
+        const candidate = parts.replace(/\u0000/g, String(number));
+        if (!used.has(candidate.toLowerCase())) return candidate;
+      }
+      continue;
+    }
+    name = render(1);
+    if (!name) return null;
+    if (!used.has(name.toLowerCase())) return name;
+  }
+  // Every draw was taken: number the last one
+  const base = name || render(1);
+  if (!base) return null;
+  for (let number = 2; ; number += 1) {
+    const candidate = `${base} ${number}`;
+    if (!used.has(candidate.toLowerCase())) return candidate;
+  }
+}
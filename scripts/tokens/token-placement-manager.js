@@ -1,12 +1,18 @@
 import { TokenDragDropManager } from './token-dragdrop-manager.js';
 import { ActorFactory } from './actor-factory.js';
-import * as SystemDetection from './system-detection.js';
+import { applyAfterTokenCreate, getHpPaths } from './system-adapters.js';
+import { FORMATION_COUNT_MAX, FORMATION_COUNT_MIN, FORMATION_PATTERNS, FORMATION_RADIUS_MAX, FORMATION_RADIUS_MIN, formationOffsets, getTokenFormationOptions, resolveFormationSlots, setTokenFormationOptions } from './token-formation.js';
+import { SYSTEM_NAME_SOURCE, generateTokenName, getSystemNameList, getTokenNamingOptions, isTemplateNamingActive, listNameTables, setSystemNameList, setTokenNamingOptions } from './token-naming.js';
+import { RING_COLOR_MODES, applyRingToTokenData, convertNexusTokensToRing, getTokenRingOptions, normalizeHexColor, parseRingPalette, pickRingColor, setTokenRingOptions } from './token-ring.js';
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
 import { getCanvasInteractionController, announceChange } from '../canvas/canvas-interaction-controller.js';
 import { getZoomAtCursorView, isPointerOverCanvas } from '../canvas/canvas-pointer-utils.js';
 import { createCanvasGestureSession } from '../canvas/canvas-gesture-session.js';
 import { toolOptionsController } from '../core/tool-options-controller.js';
 import { PlacementPrefetchQueue } from '../core/placement/placement-prefetch-queue.js';
+import { recordPlacement } from '../core/placement/placement-history.js';
+import { getGridCellSize, mapTokenFootprintToGrid } from '../core/grid-snap-utils.js';
+import { NEXUS_KEYBINDINGS, matchesKeybinding, isKeybindingHeld } from '../core/keybindings.js';
 
 const DEFAULT_PLACE_AS_SELECTION = 'fa-nexus:create-new';
 const MAX_PLACE_AS_RESULTS = 60;
@@ -99,6 +105,19 @@ export class TokenPlacementManager {
     this._hpFormulaWarned = false;
     this._appendNumberOverride = null;
     this._prependAdjectiveOverride = null;
+    this._ringOptions = getTokenRingOptions();
+    this._ringConverting = false;
+    this._combatOptions = { add: false, roll: false, hidden: false };
+    this._namingOptions = getTokenNamingOptions();
+    this._formationOptions = getTokenFormationOptions();
+    // Set while "place again" runs with a recorded formation instead of the saved one
+    this._formationFromHistory = false;
+    this._formationMembers = null;
+    this._formationScatter = null;
+    this._formationPlanKey = null;
+    this._formationPlan = null;
+    this._formationOverlay = null;
+    this._formationGfx = null;
     this._scrollingTextGuardReady = false;
 
     this._installGridSnapHooks();
@@ -208,6 +227,21 @@ export class TokenPlacementManager {
     }
   }
 
+  /**
+   * Restart placement from a placement history entry with its rotation and flip settings.
+   * @param {object} entry - From placement-history.js
+   * @param {{sticky?:boolean, pointerEvent?:PointerEvent|null}} [options]
+   */
+  async startPlacementFromHistory(entry, { sticky = true, pointerEvent = null } = {}) {
+    const items = Array.isArray(entry?.items) ? entry.items : [];
+    if (!items.length) return;
+    await this.startPlacementRandomFromEntries(items.map((item) => ({ ...item })), {
+      sticky,
+      pointerEvent,
+      transforms: entry.params || null
+    });
+  }
+
   async startPlacementFromEntries(entries, { sticky = true, pointerEvent = null, forceRandom = false } = {}) {
     const list = Array.isArray(entries) ? entries : [];
     if (!list.length) return;
@@ -219,7 +253,7 @@ export class TokenPlacementManager {
     await this.startPlacementRandomFromEntries(list, { sticky, pointerEvent });
   }
 
-  async startPlacementRandomFromEntries(entries, { sticky = true, pointerEvent = null } = {}) {
+  async startPlacementRandomFromEntries(entries, { sticky = true, pointerEvent = null, transforms = null } = {}) {
     try {
       const list = Array.isArray(entries) ? entries : [];
       if (!list.length) return;
@@ -253,6 +287,7 @@ export class TokenPlacementManager {
       this._pendingFlipHorizontal = this._flipHorizontal;
       this._pendingFlipVertical = this._flipVertical;
       this._updateFlipPreview();
+      if (transforms) this._applyHistoryTransforms(transforms);
       this._placing = false;
       this._ensureActorOptionsLoaded();
       this._placeAsOpen = false;
@@ -288,6 +323,80 @@ export class TokenPlacementManager {
     }
   }
 
+  /**
+   * Apply recorded rotation (base and random range), flip modes, hit point preset and formation
+   * to the session. The formation is not saved; the saved one comes back when placement ends.
+   * Tokens have no elevation, scale or shadow settings; size and scale come from each item.
+   * @param {{rotation?:{min:number,max:number}, flip?:{horizontal:string, vertical:string},
+   *   hp?:{mode:string, percent:number, static:string},
+   *   formation?:{enabled:boolean, pattern:string, count:number, radius:number}}} params
+   */
+  _applyHistoryTransforms(params) {
+    const rotation = params?.rotation;
+    if (rotation && Number.isFinite(rotation.min) && Number.isFinite(rotation.max)) {
+      const min = Math.min(rotation.min, rotation.max);
+      const max = Math.max(rotation.min, rotation.max);
+      this._rotation = this._normalizeRotation((min + max) / 2);
+      this._rotationRandomEnabled = max > min;
+      this._rotationRandomStrength = max > min ? Math.min(180, (max - min) / 2) : this._rotationRandomStrength;
+      this._currentRandomOffset = 0;
+      this._updateRotationPreview({ regenerateOffset: this._rotationRandomEnabled, clampOffset: true });
+    }
+    const flip = params?.flip;
+    if (flip) {
+      this._flipHorizontal = flip.horizontal === 'on';
+      this._flipVertical = flip.vertical === 'on';
+      this._flipRandomHorizontalEnabled = flip.horizontal === 'random';
+      this._flipRandomVerticalEnabled = flip.vertical === 'random';
+      this._flipRandomHorizontalOffset = this._flipRandomHorizontalEnabled ? null : false;
+      this._flipRandomVerticalOffset = this._flipRandomVerticalEnabled ? null : false;
+      this._updateFlipPreview({ regenerateOffsets: this._hasRandomFlipEnabled() });
+    }
+    const hp = params?.hp;
+    if (hp) {
+      this._hpMode = this._normalizeHpMode(hp.mode);
+      this._hpPercent = this._sanitizeHpPercent(hp.percent);
+      this._hpStaticValue = typeof hp.static === 'string' ? hp.static.slice(0, 120) : '';
+    }
+    const formation = params?.formation;
+    if (formation && FORMATION_PATTERNS[formation.pattern]) {
+      this._formationOptions = {
+        enabled: !!formation.enabled,
+        pattern: formation.pattern,
+        count: Math.max(FORMATION_COUNT_MIN, Math.min(FORMATION_COUNT_MAX, Math.round(formation.count))),
+        radius: Math.max(FORMATION_RADIUS_MIN, Math.min(FORMATION_RADIUS_MAX, Math.round(formation.radius)))
+      };
+      this._formationFromHistory = true;
+      this._resetFormationMembers();
+    }
+  }
+
+  /** The session's token pool, rotation, flip, hit point preset and formation for the placement history. */
+  _placementHistorySnapshot() {
+    const entries = (this._randomMode ? this._randomEntries : [this._currentEntry]).filter(Boolean);
+    if (!entries.length) return null;
+    let rotation = this._normalizeRotation(this._rotation);
+    if (rotation > 180) rotation -= 360;
+    const spread = this._hasRandomRotationEnabled() ? Math.min(180, Number(this._rotationRandomStrength) || 0) : 0;
+    const flipMode = (fixed, random) => (random ? 'random' : (fixed ? 'on' : 'off'));
+    return {
+      items: entries,
+      params: {
+        rotation: { min: rotation - spread, max: rotation + spread },
+        flip: {
+          horizontal: flipMode(this._flipHorizontal, this._flipRandomHorizontalEnabled),
+          vertical: flipMode(this._flipVertical, this._flipRandomVerticalEnabled)
+        },
+        hp: {
+          mode: this._normalizeHpMode(this._hpMode),
+          percent: this._sanitizeHpPercent(this._hpPercent),
+          static: typeof this._hpStaticValue === 'string' ? this._hpStaticValue : ''
+        },
+        formation: { ...this._formationOptions }
+      }
+    };
+  }
+
   cancelPlacement(reason = 'user') {
     if (!this.isPlacementActive) return;
     this.isPlacementActive = false;
@@ -296,6 +405,11 @@ export class TokenPlacementManager {
     this._randomMode = false;
     this._randomEntries = [];
     this._currentEntry = null;
+    if (this._formationFromHistory) {
+      this._formationFromHistory = false;
+      this._formationOptions = getTokenFormationOptions();
+      this._resetFormationMembers();
+    }
     try { this._randomPrefetch?.reset?.(); } catch (_) {}
     const maintainToolUI = reason === 'restart' || reason === 'replace';
     if (!maintainToolUI) {
@@ -319,6 +433,8 @@ export class TokenPlacementManager {
     this._pendingFlipVertical = false;
     this._lastPointer = null;
     this._lastPointerWorld = null;
+    this._resetFormationMembers();
+    this._clearFormationOverlay();
     this._clearActorHoverHighlight();
     this._teardownActorClickBlocker();
     try {
@@ -479,6 +595,7 @@ export class TokenPlacementManager {
         if (this._preview.box.style.display === 'none') this._preview.box.style.display = 'block';
         this._updatePreviewPosition({ pointer });
       }
+      this._updateFormationPreview();
       if (pointer?.screen) {
         this._updateActorHoverHighlight(pointer.screen.x, pointer.screen.y);
       }
@@ -497,6 +614,7 @@ export class TokenPlacementManager {
         this._rotation = ((this._rotation + dir * step) % 360 + 360) % 360;
         this._updateRotationPreview({ clampOffset: true });
         this._syncToolOptionsState();
+        this._updateFormationPreview();
         return;
       }
 
@@ -554,7 +672,7 @@ export class TokenPlacementManager {
         this.cancelPlacement('error');
         return;
       }
-      const keepPlacing = event.shiftKey || this._stickyMode;
+      const keepPlacing = isKeybindingHeld(event, NEXUS_KEYBINDINGS.PLACEMENT_STICKY) || this._stickyMode;
       if (!keepPlacing && (result === 'canvas' || result === 'actor')) {
         this.cancelPlacement('placed');
       } else if (keepPlacing && result === 'actor' && pointer?.screen) {
@@ -567,7 +685,7 @@ export class TokenPlacementManager {
 
     const keyDownHandler = (event) => {
       if (!this.isPlacementActive) return;
-      if (event.key === 'Escape') {
+      if (matchesKeybinding(event, NEXUS_KEYBINDINGS.PLACEMENT_CANCEL)) {
         event.preventDefault();
         event.stopPropagation();
         this.cancelPlacement('esc');
@@ -793,20 +911,7 @@ export class TokenPlacementManager {
       if (!effectiveUrl) throw new Error('Token image not available locally yet.');
       this._current.payload.url = effectiveUrl;
 
-      const flipState = this._getPendingFlipState();
-      const dragData = {
-        type: 'fa-nexus-token',
-        source: 'fa-nexus',
-        filename: payload.filename,
-        url: effectiveUrl,
-        displayName: payload.displayName,
-        originSource: payload.originSource,
-        originTier: payload.originTier,
-        tokenSize,
-        rotation: this._getPendingRotation(),
-        mirrorX: !!flipState.horizontal,
-        mirrorY: !!flipState.vertical
-      };
+      const dragData = this._buildTokenDragData(payload, effectiveUrl);
 
       const resolvedActorEl = actorEl || this._findActorElement(event.clientX, event.clientY);
       if (resolvedActorEl) {
@@ -825,7 +930,7 @@ export class TokenPlacementManager {
           try { resolvedActorEl.classList.remove('actor-drop-target'); } catch (_) {}
           if (this._hoveredActorEl === resolvedActorEl) this._hoveredActorEl = null;
           this._teardownActorClickBlocker();
-          if (this.isPlacementActive && (event.shiftKey || this._stickyMode)) {
+          if (this.isPlacementActive && (isKeybindingHeld(event, NEXUS_KEYBINDINGS.PLACEMENT_STICKY) || this._stickyMode)) {
             const pointer = this._lastPointer || pointerSnapshot;
             const deferImage = this._shouldDeferPreview(this._current?.payload || null, previewCard);
             this._installPreview(previewCard, pointer, { deferImage });
@@ -841,49 +946,23 @@ export class TokenPlacementManager {
         return 'actor';
       }
 
-      const drop = this._transformCoordinates(event.clientX, event.clientY, tokenSize);
-      if (!drop) throw new Error('Unable to determine drop coordinates');
-
-      const placeAsSelection = this._getActivePlaceAsSelection();
-      if (placeAsSelection.mode === 'actor') {
-        await this._placeUsingActorSelection(placeAsSelection, dragData, drop);
+      const history = this._placementHistorySnapshot();
+      const leaderEntry = this._currentEntry;
+      let placedTokens = [];
+      let placedEntries = [];
+      if (this._isFormationActive()) {
+        ({ tokens: placedTokens, entries: placedEntries } = await this._placeFormation(event, dragData, leaderEntry));
       } else {
-        let pendingHpOverride = null;
-        const created = await ActorFactory.createActorFromDragData(dragData, drop, {
-          beforeTokenCreate: async (actorDoc) => {
-            const tokenOptions = {};
-            try {
-              pendingHpOverride = await this._resolveHpOverride({ actor: actorDoc });
-            } catch (error) {
-              Logger.warn('TokenPlacement.hp.resolveFailed', { scope: 'new-actor', error: String(error?.message || error) });
-              pendingHpOverride = null;
-            }
-            if (pendingHpOverride) {
-              await this._applyHpOverrideToActorDocument(actorDoc, pendingHpOverride);
-              tokenOptions.hpOverride = pendingHpOverride;
-            }
-            if (this._supportsTokenNamingOptions()) {
-              if (this._appendNumberOverride !== null) tokenOptions.appendNumber = !!this._appendNumberOverride;
-              if (this._prependAdjectiveOverride !== null) tokenOptions.prependAdjective = !!this._prependAdjectiveOverride;
-            }
-            return tokenOptions;
-          }
-        });
-        if (created?.actor && created?.token) {
-          try {
-            await this._applyHpOverrides({
-              actor: created.actor,
-              tokenDoc: created.token,
-              applyToActor: true,
-              override: pendingHpOverride || undefined
-            });
-          } catch (error) {
-            Logger.warn('TokenPlacement.hp.applyFailed', { scope: pendingHpOverride ? 'new-actor-override' : 'new-actor', error: String(error?.message || error) });
-          }
-        }
+        const drop = this._transformCoordinates(event.clientX, event.clientY, tokenSize);
+        if (!drop) throw new Error('Unable to determine drop coordinates');
+        placedTokens = [await this._placeTokenOnCanvas(dragData, drop)];
+        placedEntries = [leaderEntry];
       }
+      await this._addPlacedTokensToCombat(placedTokens);
+      recordPlacement('token', history, { placed: placedEntries });
       this._prepareNextPlacementRotation();
       this._prepareNextPlacementFlip();
+      this._updateFormationPreview();
       return 'canvas';
     } catch (error) {
       Logger.warn('TokenPlacement.place.failed', { error: String(error?.message || error) });
@@ -897,6 +976,323 @@ export class TokenPlacementManager {
     }
   }
 
+  _buildTokenDragData(payload, url) {
+    const flipState = this._getPendingFlipState();
+    return {
+      type: 'fa-nexus-token',
+      source: 'fa-nexus',
+      filename: payload.filename,
+      url,
+      displayName: payload.displayName,
+      originSource: payload.originSource,
+      originTier: payload.originTier,
+      tokenSize: payload.tokenSize || { gridWidth: 1, gridHeight: 1, scale: 1 },
+      rotation: this._getPendingRotation(),
+      mirrorX: !!flipState.horizontal,
+      mirrorY: !!flipState.vertical
+    };
+  }
+
+  /**
+   * Create one token on the canvas through Place As or a new actor, with HP presets and naming
+   * @param {object} dragData
+   * @param {{screen:{x:number,y:number}, world:{x:number,y:number}}} drop - World point is the token center
+   * @returns {Promise<TokenDocument|null>}
+   */
+  async _placeTokenOnCanvas(dragData, drop) {
+    const placeAsSelection = this._getActivePlaceAsSelection();
+    if (placeAsSelection.mode === 'actor') {
+      return this._placeUsingActorSelection(placeAsSelection, dragData, drop);
+    } else {
+      let pendingHpOverride = null;
+      const created = await ActorFactory.createActorFromDragData(dragData, drop, {
+        beforeTokenCreate: async (actorDoc) => {
+          const tokenOptions = {};
+          try {
+            pendingHpOverride = await this._resolveHpOverride({ actor: actorDoc });
+          } catch (error) {
+            Logger.warn('TokenPlacement.hp.resolveFailed', { scope: 'new-actor', error: String(error?.message || error) });
+            pendingHpOverride = null;
+          }
+          if (pendingHpOverride) {
+            await this._applyHpOverrideToActorDocument(actorDoc, pendingHpOverride);
+            tokenOptions.hpOverride = pendingHpOverride;
+          }
+          if (this._supportsTokenNamingOptions()) {
+            if (this._appendNumberOverride !== null) tokenOptions.appendNumber = !!this._appendNumberOverride;
+            if (this._prependAdjectiveOverride !== null) tokenOptions.prependAdjective = !!this._prependAdjectiveOverride;
+          }
+          const name = await this._nextTemplatedTokenName(actorDoc);
+          if (name) tokenOptions.name = name;
+          const ring = this._nextRingPlacement();
+          if (ring) tokenOptions.ring = ring;
+          return tokenOptions;
+        }
+      });
+      if (created?.actor && created?.token) {
+        try {
+          await this._applyHpOverrides({
+            actor: created.actor,
+            tokenDoc: created.token,
+            applyToActor: true,
+            override: pendingHpOverride || undefined
+          });
+        } catch (error) {
+          Logger.warn('TokenPlacement.hp.applyFailed', { scope: pendingHpOverride ? 'new-actor-override' : 'new-actor', error: String(error?.message || error) });
+        }
+      }
+      return created?.token || null;
+    }
+  }
+
+  /**
+   * Add the tokens of one placement click to combat in a single batch, so a formation
+   * becomes one combatant update and one initiative roll.
+   * @param {Array<TokenDocument|null>} tokens
+   */
+  async _addPlacedTokensToCombat(tokens) {
+    const options = this._combatOptions;
+    if (!options.add) return;
+    const placed = (tokens || []).filter((tokenDoc) => tokenDoc?.id && tokenDoc.parent);
+    if (!placed.length) return;
+    try {
+      const combat = await this._resolvePlacementCombat(placed[0].parent);
+      if (!combat) return;
+      const fresh = placed.filter((tokenDoc) => !combat.getCombatantsByToken?.(tokenDoc)?.length);
+      if (!fresh.length) return;
+      const combatants = await combat.createEmbeddedDocuments('Combatant', fresh.map((tokenDoc) => ({
+        tokenId: tokenDoc.id,
+        sceneId: tokenDoc.parent.id,
+        actorId: tokenDoc.actorId,
+        hidden: !!options.hidden
+      })));
+      // Foundry rolls privately for hidden combatants
+      if (options.roll && combatants.length) {
+        await combat.rollInitiative(combatants.map((combatant) => combatant.id));
+      }
+      Logger.info('TokenPlacement.combat.added', { count: combatants.length, roll: !!options.roll, hidden: !!options.hidden });
+    } catch (error) {
+      Logger.warn('TokenPlacement.combat.addFailed', { error: String(error?.message || error) });
+      ui.notifications?.warn?.(`Placed tokens could not be added to combat: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * The combat placed tokens join: the viewed encounter, or a new one on the scene when
+   * a GM places without one (like Foundry's own Toggle Combat State)
+   * @param {Scene} scene
+   * @returns {Promise<Combat|null>}
+   */
+  async _resolvePlacementCombat(scene) {
+    const viewed = game.combats?.viewed || null;
+    if (viewed) return viewed;
+    if (!game.user?.isGM) {
+      ui.notifications?.warn?.('No active combat to add the placed tokens to.');
+      return null;
+    }
+    return Combat.implementation.create({ scene: scene.id, active: true }, { render: false });
+  }
+
+  _isFormationActive() {
+    return !!this._formationOptions.enabled && !!this._current;
+  }
+
+  _resetFormationMembers() {
+    this._formationMembers = null;
+    this._formationScatter = null;
+    this._formationPlanKey = null;
+    this._formationPlan = null;
+  }
+
+  /**
+   * Tokens that follow the leader in the next formation: picks from the random pool, or
+   * null (another copy of the current token) outside random mode
+   * @returns {Array<object|null>}
+   */
+  _getFormationMembers() {
+    const wanted = this._formationOptions.count - 1;
+    if (!this._randomMode) return new Array(wanted).fill(null);
+    const members = this._formationMembers || (this._formationMembers = []);
+    while (members.length < wanted) {
+      const entry = this._pickRandomEntry();
+      if (!entry) break;
+      members.push(entry);
+    }
+    if (members.length > wanted) members.length = wanted;
+    return members.slice();
+  }
+
+  _formationFootprints(members) {
+    const leader = mapTokenFootprintToGrid(this._current?.payload?.tokenSize || { gridWidth: 1, gridHeight: 1, scale: 1 }, canvas?.grid);
+    return [leader, ...members.map((entry) => (
+      entry ? TokenDragDropManager._readSizeInfoFromCard(this._ensureEntryCard(entry)) : leader
+    ))];
+  }
+
+  /**
+   * Slots of the next formation around a world point, cached while nothing changes
+   * @param {{x:number, y:number}} world
+   * @returns {{members:Array<object|null>, slots:Array<object|null>}|null}
+   */
+  _planFormation(world) {
+    if (!world || !canvas?.grid || !this._current) return null;
+    const members = this._getFormationMembers();
+    const footprints = this._formationFootprints(members);
+    const snap = !!game.settings.get('fa-nexus', 'gridSnap') && !canvas.grid.isGridless;
+    const center = snap ? TokenDragDropManager.applyGridSnapping(world, canvas, footprints[0]) : world;
+    const { pattern, radius } = this._formationOptions;
+    const rotation = this._normalizeRotation(this._rotation);
+    const key = [
+      Math.round(center.x), Math.round(center.y), pattern, radius, rotation, snap,
+      footprints.map((footprint) => `${footprint.gridWidth}x${footprint.gridHeight}`).join(',')
+    ].join(':');
+    if (key === this._formationPlanKey && this._formationPlan) return this._formationPlan;
+
+    const spacing = Math.max(...footprints.map((footprint) => Math.max(footprint.gridWidth, footprint.gridHeight)));
+    let offsets;
+    if (pattern === 'scatter') {
+      // Keep scattered offsets until placement so the preview does not jitter
+      const scatter = this._formationScatter;
+      if (!scatter || scatter.radius !== radius || scatter.spacing !== spacing || scatter.offsets.length !== footprints.length) {
+        this._formationScatter = { radius, spacing, offsets: formationOffsets('scatter', footprints.length, { spacing, radius }) };
+      }
+      offsets = this._formationScatter.offsets;
+    } else {
+      offsets = formationOffsets(pattern, footprints.length, { spacing, radius, rotation });
+    }
+    this._formationPlanKey = key;
+    this._formationPlan = { members, slots: resolveFormationSlots(center, footprints, offsets, { snap }) };
+    return this._formationPlan;
+  }
+
+  _ensureFormationOverlay() {
+    if (this._formationOverlay && !this._formationOverlay.destroyed && this._formationGfx) return;
+    try {
+      const overlay = new PIXI.Container();
+      overlay.eventMode = 'none';
+      overlay.zIndex = 999999;
+      const gfx = new PIXI.Graphics();
+      gfx.eventMode = 'none';
+      overlay.addChild(gfx);
+      const parent = canvas?.stage || canvas?.primary;
+      parent?.addChild?.(overlay);
+      if (parent && 'sortDirty' in parent) parent.sortDirty = true;
+      parent?.sortChildren?.();
+      this._formationOverlay = overlay;
+      this._formationGfx = gfx;
+    } catch (_) {
+      this._formationOverlay = null;
+      this._formationGfx = null;
+    }
+  }
+
+  _clearFormationOverlay() {
+    if (this._formationOverlay) {
+      try { this._formationOverlay.parent?.removeChild?.(this._formationOverlay); } catch (_) {}
+      try { this._formationOverlay.destroy?.({ children: true }); } catch (_) {}
+    }
+    this._formationOverlay = null;
+    this._formationGfx = null;
+  }
+
+  /** Outline every footprint of the formation under the cursor; the leader in amber */
+  _updateFormationPreview() {
+    if (!this.isPlacementActive || !this._isFormationActive()) {
+      this._clearFormationOverlay();
+      return;
+    }
+    let plan = null;
+    try {
+      plan = this._planFormation(this._lastPointerWorld);
+    } catch (error) {
+      Logger.warn('TokenPlacement.formation.previewFailed', { error: String(error?.message || error) });
+    }
+    if (!plan) return;
+    this._ensureFormationOverlay();
+    const gfx = this._formationGfx;
+    if (!gfx) return;
+    gfx.clear();
+    plan.slots.forEach((slot, index) => {
+      if (!slot) return;
+      const color = index ? 0x66ccff : 0xffb74d;
+      gfx.lineStyle(2, color, 0.9);
+      gfx.beginFill(color, 0.12);
+      gfx.drawRoundedRect(slot.x - slot.width / 2, slot.y - slot.height / 2, slot.width, slot.height, Math.min(slot.width, slot.height) * 0.1);
+      gfx.endFill();
+    });
+  }
+
+  async _buildFormationMemberDragData(entry, leaderDragData) {
+    if (!entry) {
+      const flipState = this._getPendingFlipState();
+      return {
+        ...leaderDragData,
+        rotation: this._getPendingRotation(),
+        mirrorX: !!flipState.horizontal,
+        mirrorY: !!flipState.vertical
+      };
+    }
+    const card = this._ensureEntryCard(entry);
+    if (entry._ensureLocalPromise && !card._ensureLocalPromise) card._ensureLocalPromise = entry._ensureLocalPromise;
+    const payload = await this._prepareTokenPayload(card, {
+      authed: this._authContext?.authed ?? false,
+      authState: this._authContext?.authState ?? null
+    });
+    if (!payload) return null;
+    const url = this._resolveCurrentUrl(card, payload);
+    if (!url) return null;
+    return this._buildTokenDragData(payload, url);
+  }
+
+  /**
+   * Place the leader and its followers on the free slots of the formation under the pointer.
+   * Every token goes through the normal single-token path, so Place As, HP presets, naming
+   * and rings apply per token.
+   * @param {PointerEvent} event
+   * @param {object} leaderDragData - Drag data of the current token
+   * @param {object|null} [leaderEntry] - Entry of the current token, for the usage stats
+   * @returns {Promise<{tokens:Array<TokenDocument|null>, entries:Array<object|null>}>} The entry of every placed token
+   */
+  async _placeFormation(event, leaderDragData, leaderEntry = null) {
+    const placedTokens = [];
+    const placedEntries = [];
+    const world = canvas.canvasCoordinatesFromClient({ x: event.clientX, y: event.clientY });
+    const plan = this._planFormation(world);
+    if (!plan) throw new Error('Unable to determine drop coordinates');
+    const screen = { x: event.clientX, y: event.clientY };
+    let placed = 0;
+    let lastError = null;
+    for (let index = 0; index < plan.slots.length; index += 1) {
+      const slot = plan.slots[index];
+      if (!slot) continue;
+      try {
+        let dragData = leaderDragData;
+        if (index > 0) {
+          // Followers roll their own random rotation and flip
+          this._updateRotationPreview({ regenerateOffset: this._hasRandomRotationEnabled(), clampOffset: true });
+          this._updateFlipPreview({ regenerateOffsets: this._hasRandomFlipEnabled() });
+          dragData = await this._buildFormationMemberDragData(plan.members[index - 1], leaderDragData);
+          if (!dragData) continue;
+        }
+        placedTokens.push(await this._placeTokenOnCanvas(dragData, { screen, world: { x: slot.x, y: slot.y } }));
+        // Members without an entry of their own are copies of the leader
+        placedEntries.push((index > 0 && plan.members[index - 1]) || leaderEntry);
+        placed += 1;
+      } catch (error) {
+        lastError = error;
+        Logger.warn('TokenPlacement.formation.memberFailed', { index, error: String(error?.message || error) });
+      }
+    }
+    this._resetFormationMembers();
+    if (!placed) throw lastError || new Error('No free space for the formation here.');
+    const blocked = plan.slots.filter((slot) => !slot).length;
+    if (blocked) {
+      ui.notifications?.warn?.(`Placed ${placed} of ${plan.slots.length} tokens; no free space was found for the rest.`);
+    }
+    Logger.info('TokenPlacement.formation.placed', { pattern: this._formationOptions.pattern, placed, blocked });
+    return { tokens: placedTokens, entries: placedEntries };
+  }
+
   _resolveCurrentUrl(card, payload) {
     const looksFile = (p) => {
       if (!p) return false;
@@ -1244,6 +1640,7 @@ export class TokenPlacementManager {
 
     try { this._randomPrefetch?.prime?.(entry); } catch (_) {}
     this._syncToolOptionsState({ suppressRender: false });
+    this._updateFormationPreview();
   }
 
   _attachDeferredPreviewLoad(card, entry, payload, pendingPromise = null) {
@@ -1436,12 +1833,16 @@ export class TokenPlacementManager {
     };
     state.rotation = this._buildRotationToolState();
     state.flip = this._buildFlipToolState();
+    state.formation = this._buildFormationToolState();
+    state.tokenRing = this._buildTokenRingToolState();
     const placeAs = this._buildPlaceAsUIState();
     if (placeAs) state.placeAs = placeAs;
     // Tool options window sometimes runs "sync-only" updates which cannot create new DOM.
     // Bump layoutRevision when conditional sections (like naming toggles) appear/disappear so
     // the controller forces a re-render.
-    state.layoutRevision = `token.placement:${placeAs?.naming?.available ? 'n1' : 'n0'}`;
+    const ringLayout = this._ringOptions.enabled ? `r1-${this._ringOptions.colorMode}` : 'r0';
+    const formationLayout = this._formationOptions.enabled ? `f1-${this._formationOptions.pattern}` : 'f0';
+    state.layoutRevision = `token.placement:${placeAs?.naming?.available ? 'n1' : 'n0'}:${ringLayout}:${formationLayout}`;
     return state;
   }
 
@@ -1530,6 +1931,143 @@ export class TokenPlacementManager {
     };
   }
 
+  _buildFormationToolState() {
+    const options = this._formationOptions;
+    return {
+      available: true,
+      enabled: options.enabled,
+      patterns: Object.entries(FORMATION_PATTERNS).map(([id, label]) => ({ id, label, selected: id === options.pattern })),
+      count: options.count,
+      countMin: FORMATION_COUNT_MIN,
+      countMax: FORMATION_COUNT_MAX,
+      showRadius: options.enabled && options.pattern === 'scatter',
+      radius: options.radius,
+      radiusMin: FORMATION_RADIUS_MIN,
+      radiusMax: FORMATION_RADIUS_MAX,
+      hint: this._randomMode
+        ? 'Each click places a group drawn from the selected tokens on free cells around the cursor. Ctrl+Wheel turns lines and wedges.'
+        : 'Each click places a group of this token on free cells around the cursor. Ctrl+Wheel turns lines and wedges.'
+    };
+  }
+
+  _updateFormationOptions(changes) {
+    this._formationOptions = { ...this._formationOptions, ...changes };
+    setTokenFormationOptions(this._formationOptions).catch((error) => {
+      Logger.warn('TokenPlacement.formation.saveFailed', { error: String(error?.message || error) });
+    });
+    this._formationPlanKey = null;
+    this._syncToolOptionsState({ suppressRender: false });
+    this._updateFormationPreview();
+    return true;
+  }
+
+  _handleFormationEnabled(value) {
+    return this._updateFormationOptions({ enabled: !!value });
+  }
+
+  _handleFormationPattern(pattern) {
+    if (!FORMATION_PATTERNS[pattern]) return false;
+    return this._updateFormationOptions({ pattern });
+  }
+
+  _handleFormationCount(value) {
+    const count = Math.round(Number(value));
+    if (!Number.isFinite(count)) return false;
+    return this._updateFormationOptions({ count: Math.max(FORMATION_COUNT_MIN, Math.min(FORMATION_COUNT_MAX, count)) });
+  }
+
+  _handleFormationRadius(value) {
+    const radius = Math.round(Number(value));
+    if (!Number.isFinite(radius)) return false;
+    return this._updateFormationOptions({ radius: Math.max(FORMATION_RADIUS_MIN, Math.min(FORMATION_RADIUS_MAX, radius)) });
+  }
+
+  _buildTokenRingToolState() {
+    const options = this._ringOptions;
+    return {
+      available: true,
+      enabled: options.enabled,
+      colorModes: Object.entries(RING_COLOR_MODES).map(([id, label]) => ({ id, label, selected: id === options.colorMode })),
+      showColor: options.enabled && options.colorMode === 'color',
+      showPalette: options.enabled && options.colorMode === 'palette',
+      color: options.color,
+      palette: options.palette.join(', '),
+      swatches: options.palette,
+      converting: this._ringConverting,
+      hint: 'Places tokens inside a Foundry dynamic ring; the FA art scale becomes the ring subject scale.',
+      convertTooltip: 'Switch the selected tokens, or every token placed by FA Nexus on this scene, to ring mode'
+    };
+  }
+
+  /** Ring settings for one token placement, or null without a ring */
+  _nextRingPlacement() {
+    if (!this._ringOptions.enabled) return null;
+    return { color: pickRingColor(this._ringOptions) };
+  }
+
+  _updateRingOptions(changes) {
+    this._ringOptions = { ...this._ringOptions, ...changes };
+    setTokenRingOptions(this._ringOptions).catch((error) => {
+      Logger.warn('TokenPlacement.ring.saveFailed', { error: String(error?.message || error) });
+    });
+    this._syncToolOptionsState({ suppressRender: false });
+    return true;
+  }
+
+  _handleTokenRingEnabled(value) {
+    return this._updateRingOptions({ enabled: !!value });
+  }
+
+  _handleTokenRingColorMode(mode) {
+    if (!RING_COLOR_MODES[mode]) return false;
+    return this._updateRingOptions({ colorMode: mode });
+  }
+
+  _handleTokenRingColor(value) {
+    const color = normalizeHexColor(value);
+    if (!color) return false;
+    return this._updateRingOptions({ color });
+  }
+
+  _handleTokenRingPalette(value) {
+    const palette = parseRingPalette(value);
+    if (!palette.length) {
+      this._syncToolOptionsState({ suppressRender: false });
+      return false;
+    }
+    return this._updateRingOptions({ palette });
+  }
+
+  async _handleConvertTokensToRing() {
+    if (this._ringConverting) return false;
+    if (!canvas?.scene) {
+      ui.notifications?.warn?.('No active scene to convert tokens on.');
+      return false;
+    }
+    const selected = (canvas.tokens?.controlled || []).length;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Convert to Dynamic Rings' },
+      content: `<p>Show ${selected ? 'the selected FA Nexus tokens' : 'every FA Nexus token on this scene'} inside a dynamic ring, using the current ring colour settings?</p>`
+    });
+    if (!confirmed) return false;
+    this._ringConverting = true;
+    this._syncToolOptionsState({ suppressRender: false });
+    try {
+      const { converted, skipped } = await convertNexusTokensToRing({ options: this._ringOptions });
+      if (!converted && !skipped) ui.notifications?.info?.('No FA Nexus tokens to convert on this scene.');
+      else ui.notifications?.info?.(`Converted ${converted} token(s) to dynamic rings${skipped ? `; ${skipped} already had one` : ''}.`);
+      Logger.info('TokenPlacement.ring.converted', { converted, skipped });
+      return true;
+    } catch (error) {
+      Logger.warn('TokenPlacement.ring.convertFailed', { error: String(error?.message || error) });
+      ui.notifications?.error?.(`Failed to convert tokens: ${error?.message || error}`);
+      return false;
+    } finally {
+      this._ringConverting = false;
+      this._syncToolOptionsState({ suppressRender: false });
+    }
+  }
+
   _handleRotationSliderInput(value) {
     const numeric = Number(value);
     if (!Number.isFinite(numeric)) {
@@ -1609,6 +2147,10 @@ export class TokenPlacementManager {
           setPlaceAsHpStatic: (value) => this._setPlaceAsHpStatic(value),
           setPlaceAsAppendNumber: (value) => this._setPlaceAsAppendNumber(value),
           setPlaceAsPrependAdjective: (value) => this._setPlaceAsPrependAdjective(value),
+          setPlaceAsCombatOption: (key, value) => this._setPlaceAsCombatOption(key, value),
+          setPlaceAsNameTemplate: (value) => this._setPlaceAsNameTemplate(value),
+          setPlaceAsNameSource: (value) => this._setPlaceAsNameSource(value),
+          editSystemNameList: () => this._editSystemNameList(),
           toggleFlipHorizontal: () => this._handleFlipHorizontalToggle(),
           toggleFlipVertical: () => this._handleFlipVerticalToggle(),
           toggleFlipHorizontalRandom: () => this._handleFlipRandomHorizontalToggle(),
@@ -1616,6 +2158,15 @@ export class TokenPlacementManager {
           setRotation: (value) => this._handleRotationSliderInput(value),
           toggleRotationRandom: () => this._handleRotationRandomToggle(),
           setRotationRandomStrength: (value) => this._handleRotationRandomStrength(value),
+          setFormationEnabled: (value) => this._handleFormationEnabled(value),
+          setFormationPattern: (pattern) => this._handleFormationPattern(pattern),
+          setFormationCount: (value) => this._handleFormationCount(value),
+          setFormationRadius: (value) => this._handleFormationRadius(value),
+          setTokenRingEnabled: (value) => this._handleTokenRingEnabled(value),
+          setTokenRingColorMode: (mode) => this._handleTokenRingColorMode(mode),
+          setTokenRingColor: (value) => this._handleTokenRingColor(value),
+          setTokenRingPalette: (value) => this._handleTokenRingPalette(value),
+          convertTokensToRing: () => this._handleConvertTokensToRing(),
           openCompendiumFilterDialog: () => this._openCompendiumFilterDialog()
         },
         suppressRender
@@ -2291,6 +2842,8 @@ export class TokenPlacementManager {
       hasSelectableOptions,
       hp: hpState,
       naming: namingState,
+      nameTemplate: this._buildNameTemplateUIState(),
+      combat: this._buildCombatUIState(),
       filter: {
         excludedCount: excludedPackCount,
         hasExcluded: excludedPackCount > 0,
@@ -2301,6 +2854,122 @@ export class TokenPlacementManager {
     };
   }
 
+  _buildNameTemplateUIState() {
+    const options = this._namingOptions;
+    const tableOption = (table) => ({
+      id: table.uuid,
+      label: table.pack ? `${table.pack}: ${table.name}` : table.name,
+      selected: options.source === table.uuid
+    });
+    let tables = [];
+    try { tables = listNameTables(); } catch (_) { tables = []; }
+    const systemCount = getSystemNameList().length;
+    return {
+      template: options.template,
+      placeholder: '{adjective} {actor} of {table:Clans}',
+      noSourceSelected: !options.source,
+      systemSource: {
+        id: SYSTEM_NAME_SOURCE,
+        label: `${game.system?.title || 'System'} name list (${systemCount})`,
+        selected: options.source === SYSTEM_NAME_SOURCE
+      },
+      worldTables: tables.filter((table) => !table.pack).map(tableOption),
+      compendiumTables: tables.filter((table) => table.pack).map(tableOption),
+      canEditList: !!game.user?.isGM,
+      active: isTemplateNamingActive(options),
+      hint: 'Placeholders: {actor}, {name} (from the source), {adjective}, {number} and {table:Table Name}. Applies to unlinked tokens; names never repeat on a scene.'
+    };
+  }
+
+  _updateNamingOptions(changes) {
+    this._namingOptions = { ...this._namingOptions, ...changes };
+    setTokenNamingOptions(this._namingOptions).catch((error) => {
+      Logger.warn('TokenPlacement.naming.saveFailed', { error: String(error?.message || error) });
+    });
+    this._syncToolOptionsState();
+    return true;
+  }
+
+  _setPlaceAsNameTemplate(value) {
+    return this._updateNamingOptions({ template: String(value ?? '').trim() });
+  }
+
+  _setPlaceAsNameSource(value) {
+    return this._updateNamingOptions({ source: String(value ?? '') });
+  }
+
+  async _editSystemNameList() {
+    if (!game.user?.isGM) return false;
+    const escape = (value) => foundry.utils.escapeHTML(String(value));
+    const names = getSystemNameList();
+    const DialogV2 = foundry.applications.api.DialogV2;
+    const result = await DialogV2.prompt({
+      window: { title: `${game.system?.title || 'System'} Token Names` },
+      content: `<p>One name per line. Choose the name list as source and use {name} in the template.</p>
+        <textarea name="names" rows="14" style="width: 100%">${escape(names.join('\n'))}</textarea>`,
+      ok: {
+        label: 'Save',
+        icon: 'fas fa-save',
+        callback: (_event, button) => button.form.elements.names.value
+      },
+      rejectClose: false
+    });
+    if (result === null || result === undefined) return false;
+    try {
+      const saved = await setSystemNameList(result);
+      ui.notifications?.info?.(`Saved ${saved.length} token name(s) for ${game.system?.title || game.system?.id}.`);
+    } catch (error) {
+      Logger.warn('TokenPlacement.naming.listSaveFailed', { error: String(error?.message || error) });
+      ui.notifications?.error?.(`Failed to save the name list: ${error?.message || error}`);
+      return false;
+    }
+    this._syncToolOptionsState({ suppressRender: false });
+    return true;
+  }
+
+  /**
+   * Template name for the next unlinked token; null leaves naming to Foundry's
+   * append-number and adjective rules
+   * @param {Actor} actor
+   * @returns {Promise<string|null>}
+   */
+  async _nextTemplatedTokenName(actor) {
+    if (!isTemplateNamingActive(this._namingOptions)) return null;
+    try {
+      const actorName = actor?.prototypeToken?.name || actor?.name || '';
+      return await generateTokenName(this._namingOptions, { actorName, scene: canvas?.scene });
+    } catch (error) {
+      Logger.warn('TokenPlacement.naming.templateFailed', { error: String(error?.message || error) });
+      return null;
+    }
+  }
+
+  _buildCombatUIState() {
+    const options = this._combatOptions;
+    const combat = game.combats?.viewed || null;
+    return {
+      add: !!options.add,
+      roll: !!options.roll,
+      hidden: !!options.hidden,
+      optionsDisabled: !options.add,
+      addLabel: 'Add to active combat',
+      addTooltip: combat
+        ? `Adds each placed token to ${combat.name || 'the current encounter'}.`
+        : 'No encounter yet: the first placement starts one on this scene.',
+      rollLabel: 'Roll initiative',
+      rollTooltip: 'Rolls initiative for the new combatants after each placement.',
+      hiddenLabel: 'Hide from players until revealed',
+      hiddenTooltip: 'New combatants stay hidden in the Combat Tracker until you reveal them.'
+    };
+  }
+
+  _setPlaceAsCombatOption(key, value) {
+    if (!['add', 'roll', 'hidden'].includes(key)) return false;
+    this._combatOptions = { ...this._combatOptions, [key]: !!value };
+    this._syncToolOptionsState();
+    return true;
+  }
+
   _supportsTokenNamingOptions() {
     return true;
   }
@@ -2451,10 +3120,7 @@ export class TokenPlacementManager {
 
   _actorHasHpFormula(actor) {
     if (!actor) return false;
-    const utils = foundry?.utils;
-    const formula = utils?.getProperty
-      ? utils.getProperty(actor, 'system.attributes.hp.formula')
-      : actor?.system?.attributes?.hp?.formula;
+    const formula = foundry.utils.getProperty(actor, getHpPaths().formulaPath);
     return typeof formula === 'string' && formula.trim().length > 0;
   }
 
@@ -2897,8 +3563,9 @@ export class TokenPlacementManager {
       }
     }
     if (!tokenProto) {
-      const width = Number(tokenSize.gridWidth || 1) || 1;
-      const height = Number(tokenSize.gridHeight || 1) || 1;
+      const footprint = mapTokenFootprintToGrid(tokenSize, canvas?.grid);
+      const width = Number(footprint.gridWidth || 1) || 1;
+      const height = Number(footprint.gridHeight || 1) || 1;
       const scale = Number(tokenSize.scale || 1) || 1;
       tokenProto = {
         width,
@@ -2912,9 +3579,9 @@ export class TokenPlacementManager {
       };
     }
 
-    const gridSize = canvas?.grid?.size || 100;
-    const tokenWidthPx = Number(tokenProto.width || 1) * gridSize;
-    const tokenHeightPx = Number(tokenProto.height || 1) * gridSize;
+    const cell = getGridCellSize(canvas?.grid);
+    const tokenWidthPx = Number(tokenProto.width || 1) * cell.width;
+    const tokenHeightPx = Number(tokenProto.height || 1) * cell.height;
     const rotation = Number.isFinite(dragData?.rotation) ? Number(dragData.rotation) : 0;
     const world = drop.world;
     const x = world.x - tokenWidthPx / 2;
@@ -2937,8 +3604,8 @@ export class TokenPlacementManager {
     const requestMirrorY = dragData?.mirrorY !== undefined
       ? !!dragData.mirrorY
       : (protoMirrorY || actorProtoMirrorY);
-    const appliedScaleX = baseScaleX * (requestMirrorX ? -1 : 1);
-    const appliedScaleY = baseScaleY * (requestMirrorY ? -1 : 1);
+    let appliedScaleX = baseScaleX * (requestMirrorX ? -1 : 1);
+    let appliedScaleY = baseScaleY * (requestMirrorY ? -1 : 1);
 
     // Build token data using Actor#getTokenDocument where available so system-specific
     // prototype token behavior (e.g. name generation) is preserved.
@@ -3024,6 +3691,15 @@ export class TokenPlacementManager {
       if (this._appendNumberOverride !== null) merged.appendNumber = !!this._appendNumberOverride;
       if (this._prependAdjectiveOverride !== null) merged.prependAdjective = !!this._prependAdjectiveOverride;
     }
+    if (!linked) {
+      // A name template replaces the number/adjective name Actor#getTokenDocument generated
+      const templatedName = await this._nextTemplatedTokenName(actor);
+      if (templatedName) {
+        merged.name = templatedName;
+        merged.appendNumber = false;
+        merged.prependAdjective = false;
+      }
+    }
 
     try { delete merged._id; } catch (_) {}
     merged.actorId = actor.id;
@@ -3032,6 +3708,12 @@ export class TokenPlacementManager {
     if (hpOverride && !linked) {
       this._applyHpOverrideToTokenData(merged, hpOverride);
     }
+    const ring = this._nextRingPlacement();
+    if (ring) {
+      applyRingToTokenData(merged, ring);
+      appliedScaleX = merged.texture.scaleX;
+      appliedScaleY = merged.texture.scaleY;
+    }
 
     const tokenDoc = await TokenDocument.create(merged, { parent: canvas.scene });
     if (dragData?.mirrorX !== undefined || dragData?.mirrorY !== undefined) {
@@ -3051,28 +3733,7 @@ export class TokenPlacementManager {
   }
 
   async _applySystemScaleFixes(tokenDoc, { appliedScaleX, appliedScaleY, baseScaleX }) {
-    const systemId = SystemDetection.getCurrentSystemId?.();
-    if (!systemId || !tokenDoc) return;
-    try {
-      if (systemId === 'pf2e') {
-        await tokenDoc.update({
-          'texture.scaleX': appliedScaleX,
-          'texture.scaleY': appliedScaleY,
-          'flags.pf2e.linkToActorSize': false,
-          'flags.fa-nexus.customScale': true,
-          'flags.fa-nexus.originalScale': baseScaleX
-        }, { animate: false });
-      } else if (systemId === 'dsa5') {
-        setTimeout(async () => {
-          try {
-            await tokenDoc.update({
-              'texture.scaleX': appliedScaleX,
-              'texture.scaleY': appliedScaleY
-            }, { animate: false });
-          } catch (_) {}
-        }, 50);
-      }
-    } catch (_) {}
+    await applyAfterTokenCreate(tokenDoc, { appliedScaleX, appliedScaleY, baseScaleX });
   }
 
   async _resolveHpOverride({ actor = null, tokenDoc = null } = {}) {
@@ -3237,18 +3898,14 @@ export class TokenPlacementManager {
   }
 
   _resolveActorHpData(actor, tokenDoc) {
-    const utils = foundry?.utils;
-    const path = 'system.attributes.hp';
-    const resolve = (target, basePath) => {
-      if (!target) return null;
-      if (utils?.getProperty) return utils.getProperty(target, basePath);
-      return target?.system?.attributes?.hp ?? null;
-    };
+    const utils = foundry.utils;
+    // Where the system keeps hit points comes from its adapter
+    const { path } = getHpPaths();
+    const resolve = (target, basePath) => (target ? utils.getProperty(target, basePath) : null);
 
     let data = resolve(actor, path);
     if (!data && tokenDoc) {
-      data = utils?.getProperty?.(tokenDoc, `actorData.${path}`)
-        ?? tokenDoc?.actorData?.system?.attributes?.hp
+      data = resolve(tokenDoc, `actorData.${path}`)
         ?? resolve(tokenDoc?.actor, path);
     }
     if (!data || typeof data !== 'object') return null;
@@ -3260,19 +3917,18 @@ export class TokenPlacementManager {
   }
 
   _resolveHpFormula(actor, tokenDoc) {
-    const utils = foundry?.utils;
+    const utils = foundry.utils;
+    const { formulaPath } = getHpPaths();
     const extract = (target) => {
       if (!target) return '';
-      const value = utils?.getProperty
-        ? utils.getProperty(target, 'system.attributes.hp.formula')
-        : target?.system?.attributes?.hp?.formula;
+      const value = utils.getProperty(target, formulaPath);
       if (typeof value === 'string' && value.trim().length) return value.trim();
       return '';
     };
     let formula = extract(actor);
     if (formula) return formula;
     if (tokenDoc) {
-      const tokenFormula = utils?.getProperty?.(tokenDoc, 'actorData.system.attributes.hp.formula');
+      const tokenFormula = utils.getProperty(tokenDoc, `actorData.${formulaPath}`);
       if (typeof tokenFormula === 'string' && tokenFormula.trim().length) return tokenFormula.trim();
       formula = extract(tokenDoc.actor);
       if (formula) return formula;
@@ -0,0 +1,152 @@
+/**
+ * Dynamic Token Ring support for FA Nexus tokens (Foundry v13 `TokenDocument#ring`)
+ * FA top-down tokens carry their art scale in `texture.scale`; in ring mode the ring has to
+ * fill the token footprint, so that scale moves to `ring.subject.scale` and the subject art
+ * keeps the size it has without a ring.
+ */
+
+const MODULE_ID = 'fa-nexus';
+const SETTING_KEY = 'tokenRingOptions';
+
+export const RING_COLOR_MODES = {
+  default: 'System colours',
+  color: 'One colour',
+  palette: 'Random from palette'
+};
+
+export const DEFAULT_RING_COLOR = '#c9a227';
+export const DEFAULT_RING_PALETTE = ['#c0392b', '#2980b9', '#27ae60', '#8e44ad', '#d35400', '#c9a227', '#16a085', '#7f8c8d'];
+
+/**
+ * Normalize a CSS hex colour to `#rrggbb`
+ * @param {string} value
+ * @returns {string|null} null when the value is not a hex colour
+ */
+export function normalizeHexColor(value) {
+  const raw = String(value || '').trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(raw)) return `#${raw.split('').map((c) => c + c).join('')}`.toLowerCase();
+  if (/^[0-9a-f]{6}$/i.test(raw)) return `#${raw}`.toLowerCase();
+  return null;
+}
+
+/**
+ * Parse a palette typed as hex colours separated by commas or spaces
+ * @param {string|string[]} value
+ * @returns {string[]} Unique colours; empty when none is valid
+ */
+export function parseRingPalette(value) {
+  const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  return [...new Set(parts.map(normalizeHexColor).filter(Boolean))];
+}
+
+/**
+ * Stored ring options of this client
+ * @returns {{enabled:boolean, colorMode:string, color:string, palette:string[]}}
+ */
+export function getTokenRingOptions() {
+  let stored = null;
+  try { stored = game.settings.get(MODULE_ID, SETTING_KEY); } catch (_) { stored = null; }
+  const palette = parseRingPalette(stored?.palette || []);
+  return {
+    enabled: !!stored?.enabled,
+    colorMode: RING_COLOR_MODES[stored?.colorMode] ? stored.colorMode : 'default',
+    color: normalizeHexColor(stored?.color) || DEFAULT_RING_COLOR,
+    palette: palette.length ? palette : DEFAULT_RING_PALETTE.slice()
+  };
+}
+
+/**
+ * @param {{enabled?:boolean, colorMode?:string, color?:string, palette?:string[]}} changes
+ * @returns {Promise<void>}
+ */
+export async function setTokenRingOptions(changes) {
+  const next = { ...getTokenRingOptions(), ...changes };
+  await game.settings.set(MODULE_ID, SETTING_KEY, next);
+}
+
+/**
+ * Ring colour for one placement: fixed, random from the palette, or null for the system default
+ * @param {{colorMode:string, color:string, palette:string[]}} options
+ * @returns {string|null}
+ */
+export function pickRingColor(options) {
+  if (options?.colorMode === 'color') return normalizeHexColor(options.color);
+  if (options?.colorMode === 'palette' && options.palette?.length) {
+    return options.palette[Math.floor(Math.random() * options.palette.length)];
+  }
+  return null;
+}
+
+/**
+ * Switch token data to ring mode in place
+ * @param {Object} tokenData - Token creation data with `texture.scaleX/Y`
+ * @param {{color?:string|null}} [ring]
+ * @returns {Object} The same token data
+ */
+export function applyRingToTokenData(tokenData, { color = null } = {}) {
+  const texture = tokenData.texture || (tokenData.texture = {});
+  const scaleX = Number(texture.scaleX ?? 1) || 1;
+  const scaleY = Number(texture.scaleY ?? 1) || 1;
+  // Keep mirroring on the texture; the art scale goes to the subject
+  texture.scaleX = Math.sign(scaleX);
+  texture.scaleY = Math.sign(scaleY);
+  tokenData.ring = {
+    ...(tokenData.ring || {}),
+    enabled: true,
+    colors: { ...(tokenData.ring?.colors || {}), ring: color },
+    subject: { ...(tokenData.ring?.subject || {}), scale: Math.abs(scaleX), texture: null }
+  };
+  return tokenData;
+}
+
+/**
+ * Whether a token was placed by FA Nexus (placements flag their custom scale)
+ * @param {TokenDocument} tokenDoc
+ * @returns {boolean}
+ */
+export function isNexusToken(tokenDoc) {
+  return tokenDoc?.getFlag?.(MODULE_ID, 'customScale') === true;
+}
+
+/**
+ * Flat update that converts a placed Nexus token to ring mode
+ * @param {TokenDocument} tokenDoc
+ * @param {{color?:string|null}} [ring]
+ * @returns {Object|null} null when the token already shows a ring
+ */
+export function ringUpdateForToken(tokenDoc, ring = {}) {
+  if (!tokenDoc || tokenDoc.ring?.enabled) return null;
+  const data = applyRingToTokenData({
+    texture: { scaleX: tokenDoc.texture?.scaleX, scaleY: tokenDoc.texture?.scaleY }
+  }, ring);
+  return {
+    _id: tokenDoc.id,
+    'texture.scaleX': data.texture.scaleX,
+    'texture.scaleY': data.texture.scaleY,
+    'ring.enabled': true,
+    'ring.colors.ring': data.ring.colors.ring,
+    'ring.subject.scale': data.ring.subject.scale,
+    'ring.subject.texture': null
+  };
+}
+
+/**
+ * Convert Nexus-placed tokens of a scene to ring mode: the controlled ones when any
+ * are selected, otherwise every Nexus token on the scene.
+ * @param {{scene?:Scene, options?:{colorMode:string, color:string, palette:string[]}}} [params]
+ * @returns {Promise<{converted:number, skipped:number}>}
+ */
+export async function convertNexusTokensToRing({ scene = canvas?.scene, options = getTokenRingOptions() } = {}) {
+  if (!scene) return { converted: 0, skipped: 0 };
+  const controlled = scene === canvas?.scene
+    ? (canvas.tokens?.controlled || []).map((token) => token.document).filter(Boolean)
+    : [];
+  const candidates = (controlled.length ? controlled : Array.from(scene.tokens || [])).filter(isNexusToken);
+  const updates = [];
+  for (const tokenDoc of candidates) {
+    const update = ringUpdateForToken(tokenDoc, { color: pickRingColor(options) });
+    if (update) updates.push(update);
+  }
+  if (updates.length) await scene.updateEmbeddedDocuments('Token', updates, { animate: false });
+  return { converted: updates.length, skipped: candidates.length - updates.length };
+}
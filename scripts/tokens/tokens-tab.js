@@ -1,5 +1,6 @@
 import { GridBrowseTab } from '../core/ui/grid-browse-tab.js';
 import { collectLocalInventory, getEnabledFolders, mergeLocalAndCloudRecords } from '../content/nexus-content-service.js';
+import { getDuplicateResolutions } from '../content/duplicate-report.js';
 import { TokenDataService } from './token-data-service.js';
 import { TokenPreviewManager } from './token-preview-manager.js';
 import { FaNexusTokensFolderSelectionDialog } from './tokens-content-sources-dialog.js';
@@ -7,7 +8,9 @@ import { TokenDragDropManager } from './token-dragdrop-manager.js';
 import { TokenPlacementManager } from './token-placement-manager.js';
 import { TokenSelectionHelper } from './token-selection-helper.js';
 import { NexusLogger as Logger } from '../core/nexus-logger.js';
+import { NEXUS_KEYBINDINGS, isKeybindingHeld } from '../core/keybindings.js';
 import { forgeIntegration } from '../core/forge-integration.js';
+import { decorateUserTagCard } from '../core/tags/user-tag-card.js';
 import {
   normalizeFolderSelection,
   enforceFolderSelectionAvailability,
@@ -68,6 +71,40 @@ export class TokensTab extends GridBrowseTab {
 
   get asyncSearchThreshold() { return 40000; }
 
+  get searchIndexName() { return 'tokens/tokens'; }
+
+  get supportsUserTags() { return true; }
+
+  get supportsVisualSearch() { return true; }
+
+  visualThumbnailURL(item) {
+    if (!item) return '';
+    if (String(item.source || '') === 'cloud') {
+      try { return this.app?._contentService?.getThumbnailURL('tokens', item) || ''; } catch (_) { return ''; }
+    }
+    if (item.enhanced_thumbnail && item.thumbnail_url) return item.thumbnail_url;
+    return item.file_path || '';
+  }
+
+  get placementHistoryKind() { return 'token'; }
+
+  get sortModes() { return ['relevance', 'name', 'date', 'size', 'footprint', 'used', 'downloaded']; }
+
+  get groupModes() { return ['none', 'folder', 'creature']; }
+
+  get downloadKind() { return 'tokens'; }
+
+  /**
+   * Restart placement with the tokens, rotation, flip, hit point preset and formation of a recent placement.
+   * @param {object} entry - From the placement history
+   */
+  async placeAgain(entry) {
+    if (!this._placement) this._placement = new TokenPlacementManager(this.app);
+    try { Logger.info('TokensTab.placeAgain', { items: entry?.items?.length || 0, count: entry?.count }); } catch (_) {}
+    try { await this._placement.startPlacementFromHistory(entry, { sticky: true }); }
+    catch (error) { Logger.warn('TokensTab.placeAgain.failed', { error: String(error?.message || error) }); }
+  }
+
   getPlaceholderCardSize() {
     const base = super.getPlaceholderCardSize();
     const options = this.getGridOptions?.();
@@ -181,7 +218,7 @@ export class TokensTab extends GridBrowseTab {
       this._boundSettingsChange = async (setting) => {
         if (!setting || setting.namespace !== 'fa-nexus') return;
         // Allow folder/cloud settings to trigger reloads even for inactive tabs
-        if (setting.key === 'tokenFolders' || setting.key === 'cloudTokensEnabled') {
+        if (setting.key === 'tokenFolders' || setting.key === 'cloudTokensEnabled' || setting.key === 'offlineContentMode' || setting.key === 'duplicateResolutions') {
           this.loadTokens();
         } else if (this.app?._activeTab !== 'tokens') {
           return;
@@ -745,6 +782,7 @@ export class TokensTab extends GridBrowseTab {
       kind: 'tokens',
       local: collectedLocal,
       cloud: cloudItems,
+      resolutions: getDuplicateResolutions('tokens'),
       keySelector: (rec) => {
         const base = String(rec?.base_name_no_variant || '').toLowerCase();
         const color = String(rec?.color_variant ?? '').toLowerCase();
@@ -792,9 +830,9 @@ export class TokensTab extends GridBrowseTab {
           };
         } catch (_) { return null; }
       },
-      onStats: ({ collisions, preferLocal, preferCloud, enhanced, localCount, cloudCount, mergedCount }) => {
+      onStats: ({ collisions, preferLocal, preferCloud, enhanced, hidden, unified, localCount, cloudCount, mergedCount }) => {
         try {
-          Logger.info('TokensTab.merge', { collisions, preferLocal, preferCloud, enhanced, local: localCount, cloud: cloudCount, merged: mergedCount });
+          Logger.info('TokensTab.merge', { collisions, preferLocal, preferCloud, enhanced, hidden, unified, local: localCount, cloud: cloudCount, merged: mergedCount });
         } catch (_) {}
       }
     });
@@ -1172,6 +1210,8 @@ export class TokensTab extends GridBrowseTab {
     } catch (_) {}
     try { this._dragDrop?.enableForCard?.(cardElement);
      } catch (_) {}
+    try { decorateUserTagCard(cardElement, item); } catch (_) {}
+    try { this._decorateFindSimilar(cardElement); } catch (_) {}
   }
 
   _unmountTokenCard(cardElement) {
@@ -1772,14 +1812,14 @@ export class TokensTab extends GridBrowseTab {
           const entries = this._buildEntriesFromItems(variantItems, { primaryCard: item });
           if (entries.length > 0) {
             placementPromise = this._placement?.startPlacementFromEntries?.(entries, {
-              sticky: ev.shiftKey,
+              sticky: isKeybindingHeld(ev, NEXUS_KEYBINDINGS.PLACEMENT_STICKY),
               pointerEvent: ev,
               forceRandom: true
             });
           }
         }
         if (!placementPromise) {
-          placementPromise = this._placement?.startPlacementFromCard?.(item, { sticky: ev.shiftKey, pointerEvent: ev });
+          placementPromise = this._placement?.startPlacementFromCard?.(item, { sticky: isKeybindingHeld(ev, NEXUS_KEYBINDINGS.PLACEMENT_STICKY), pointerEvent: ev });
         }
         Promise.resolve(placementPromise)
           .catch(() => {})